@@ -2,6 +2,7 @@
 
 let erlpack;
 const { Buffer } = require('node:buffer');
+const ETF = require('./util/ETF');
 
 try {
   erlpack = require('erlpack');
@@ -14,22 +15,28 @@ const ab = new TextDecoder();
 
 exports.encoding = erlpack ? 'etf' : 'json';
 
-exports.pack = erlpack ? erlpack.pack : JSON.stringify;
+// ETF payloads are handled by erlpack when it is installed, and by the built-in codec otherwise
+exports.erlpack = Boolean(erlpack);
 
-exports.unpack = (data, type) => {
-  if (exports.encoding === 'json' || type === 'json') {
+const etf = erlpack ?? ETF;
+
+exports.pack = (data, encoding = exports.encoding) => (encoding === 'etf' ? etf.pack(data) : JSON.stringify(data));
+
+exports.unpack = (data, type = exports.encoding) => {
+  if (type === 'json') {
     if (typeof data !== 'string') {
       data = ab.decode(data);
     }
     return JSON.parse(data);
   }
-  if (!Buffer.isBuffer(data)) data = Buffer.from(new Uint8Array(data));
-  return erlpack.unpack(data);
+  if (data instanceof ArrayBuffer) data = Buffer.from(data);
+  else if (!Buffer.isBuffer(data)) data = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  return etf.unpack(data);
 };
 
 exports.create = (gateway, query = {}, ...args) => {
   const [g, q] = gateway.split('?');
-  query.encoding = exports.encoding;
+  query.encoding ??= exports.encoding;
   query = new URLSearchParams(query);
   if (q) new URLSearchParams(q).forEach((v, k) => query.set(k, v));
   const ws = new exports.WebSocket(`${g}?${query}`, ...args);
@@ -48,6 +48,7 @@ class BaseClient extends EventEmitter {
    */
   destroy() {
     if (this.rest.sweepInterval) clearInterval(this.rest.sweepInterval);
+    if (this.rest.rateLimitSaveTimeout) this.rest.saveRateLimits();
   }
 
   /**
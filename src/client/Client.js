@@ -14,6 +14,7 @@ const { Error, TypeError } = require('../errors');
 const BaseGuildEmojiManager = require('../managers/BaseGuildEmojiManager');
 const BillingManager = require('../managers/BillingManager');
 const ChannelManager = require('../managers/ChannelManager');
+const ClientCacheManager = require('../managers/ClientCacheManager');
 const ClientUserSettingManager = require('../managers/ClientUserSettingManager');
 const GuildManager = require('../managers/GuildManager');
 const PresenceManager = require('../managers/PresenceManager');
@@ -35,6 +36,7 @@ const Widget = require('../structures/Widget');
 const Application = require('../structures/interfaces/Application');
 const { Events, Status } = require('../util/Constants');
 const DataResolver = require('../util/DataResolver');
+const GatewayCapabilities = require('../util/GatewayCapabilities');
 const Intents = require('../util/Intents');
 const DiscordAuthWebsocket = require('../util/RemoteAuth');
 const Sweepers = require('../util/Sweepers');
@@ -66,6 +68,12 @@ class Client extends BaseClient {
      */
     this._finalizers = new FinalizationRegistry(this._finalize.bind(this));
 
+    /**
+     * The manager of the snapshots of the caches, created before the other managers so it receives all their data
+     * @type {ClientCacheManager}
+     */
+    this.cache = new ClientCacheManager(this);
+
     /**
      * The WebSocket manager of the client
      * @type {WebSocketManager}
@@ -218,6 +226,17 @@ class Client extends BaseClient {
         this.options.messageSweepInterval * 1_000,
       ).unref();
     }
+
+    if (this.options.cacheStatsInterval > 0) {
+      this.cacheStatsInterval = setInterval(() => {
+        /**
+         * Emitted periodically with the statistics of the caches, see {@link ClientOptions#cacheStatsInterval}.
+         * @event Client#cacheStats
+         * @param {CacheStats} stats The statistics of the caches
+         */
+        this.emit(Events.CACHE_STATS, this.cacheStats());
+      }, this.options.cacheStatsInterval * 1_000).unref();
+    }
   }
 
   /**
@@ -284,6 +303,7 @@ class Client extends BaseClient {
     this.emit(Events.DEBUG, 'Preparing to connect to the gateway...');
 
     try {
+      if (this.options.warmStart) await this.cache.restore(this.options.warmStart);
       await this.ws.connect();
       return this.token;
     } catch (error) {
@@ -353,9 +373,11 @@ class Client extends BaseClient {
     this._cleanups.clear();
 
     if (this.sweepMessageInterval) clearInterval(this.sweepMessageInterval);
+    if (this.cacheStatsInterval) clearInterval(this.cacheStatsInterval);
 
     this.sweepers.destroy();
     this.ws.destroy();
+    if (this.ws.sessionSaveTimeout) this.ws.saveSessions();
     this.token = null;
   }
 
@@ -488,6 +510,18 @@ class Client extends BaseClient {
     }
   }
 
+  /**
+   * Computes the number of entries, estimated memory, lookups and sweeps of every cached manager,
+   * including the ones of each guild and channel, see {@link ClientCacheManager#stats}.
+   * @returns {CacheStats}
+   * @example
+   * const { managers } = client.cacheStats();
+   * console.log(`Messages use about ${Math.round(managers.MessageManager.bytes / 1024)} KiB`);
+   */
+  cacheStats() {
+    return this.cache.stats();
+  }
+
   /**
    * Sweeps all text-based channels' messages and removes the ones older than the max message lifetime.
    * If the message has been edited, the time of the edit is used rather than the time of the original message.
@@ -897,9 +931,32 @@ class Client extends BaseClient {
     if (typeof options.restSweepInterval !== 'number' || isNaN(options.restSweepInterval)) {
       throw new TypeError('CLIENT_INVALID_OPTION', 'restSweepInterval', 'a number');
     }
+    if (typeof options.cacheStatsInterval !== 'number' || isNaN(options.cacheStatsInterval)) {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'cacheStatsInterval', 'a number');
+    }
     if (typeof options.retryLimit !== 'number' || isNaN(options.retryLimit)) {
       throw new TypeError('CLIENT_INVALID_OPTION', 'retryLimit', 'a number');
     }
+    if (!['json', 'etf'].includes(options.ws?.encoding)) {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'ws.encoding', "'json' or 'etf'");
+    }
+    if (![null, 'zlib-stream', 'zstd-stream'].includes(options.ws?.compression)) {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'ws.compression', "'zlib-stream', 'zstd-stream' or null");
+    }
+    // Sent as a number when identifying
+    options.ws.capabilities = GatewayCapabilities.resolve(options.ws.capabilities);
+    if (options.warmStart !== null && typeof options.warmStart !== 'string') {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'warmStart', 'a string or null');
+    }
+    if (
+      typeof options.structureFields !== 'object' ||
+      options.structureFields === null ||
+      !Object.values(options.structureFields).every(
+        fields => Array.isArray(fields) && fields.every(field => typeof field === 'string'),
+      )
+    ) {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'structureFields', 'an object of string arrays');
+    }
     if (typeof options.failIfNotExists !== 'boolean') {
       throw new TypeError('CLIENT_INVALID_OPTION', 'failIfNotExists', 'a boolean');
     }
@@ -0,0 +1,92 @@
+'use strict';
+
+const fs = require('node:fs');
+const readline = require('node:readline');
+const Client = require('./Client');
+const WebSocketShard = require('./websocket/WebSocketShard');
+const { Error } = require('../errors');
+const MockTransport = require('../rest/MockTransport');
+const { Events, Status, WSEvents } = require('../util/Constants');
+
+/**
+ * A shard without a connection, keeping the packets the handlers send instead.
+ * @extends {WebSocketShard}
+ * @private
+ */
+class ReplayShard extends WebSocketShard {
+  send(data) {
+    this.manager.client.sentPackets.push(data);
+  }
+
+  // The client is marked as ready by the replay, there are no guilds to wait for
+  checkReady() {} // eslint-disable-line class-methods-use-this
+}
+
+/**
+ * A client that feeds dispatch packets recorded by a {@link DispatchRecorder} through the handlers and actions,
+ * without connecting to the gateway.
+ * <info>REST requests are answered by a {@link MockTransport} with no routes unless the `http.transport` option is
+ * set, so the handlers never reach the Discord API.</info>
+ * @extends {Client}
+ * @example
+ * const client = new ReplayClient();
+ * client.on('messageCreate', message => console.log(message.content));
+ * await client.replay('./dispatches.ndjson');
+ */
+class ReplayClient extends Client {
+  /**
+   * @param {ClientOptions} [options] Options for the client
+   */
+  constructor(options = {}) {
+    super({ ...options, http: { transport: new MockTransport(), ...options.http } });
+
+    /**
+     * The packets the handlers sent to the gateway during the replay
+     * @type {Object[]}
+     */
+    this.sentPackets = [];
+
+    // There is no connection to wait for, packets are handled as soon as they are replayed
+    this.ws.status = Status.READY;
+  }
+
+  /**
+   * Feeds the packets of a recording through the handlers, in order.
+   * @param {string} file The path of the recording file
+   * @returns {Promise<number>} The number of packets replayed
+   */
+  async replay(file) {
+    if (!fs.existsSync(file)) throw new Error('FILE_NOT_FOUND', file);
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let count = 0;
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      this.dispatch(JSON.parse(line));
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Feeds a recorded packet through the handlers, like a shard would when receiving it.
+   * @param {RecordedDispatch} recorded The recorded packet
+   */
+  dispatch({ shard: id = 0, packet }) {
+    let shard = this.ws.shards.get(id);
+    if (!shard) {
+      shard = new ReplayShard(this.ws, id);
+      shard.status = Status.READY;
+      this.ws.shards.set(id, shard);
+    }
+    if (packet.s > shard.sequence) shard.sequence = packet.s;
+
+    this.emit(Events.RAW, packet, id);
+    this.ws.emit(packet.t, packet.d, id);
+    this.ws.handlePacket(packet, shard);
+
+    // The recording holds no guilds to wait for, the client is ready as soon as its user is known
+    if (packet.t === WSEvents.READY && !this.readyAt) this.ws.triggerClientReady();
+  }
+}
+
+module.exports = ReplayClient;
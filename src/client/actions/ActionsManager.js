@@ -58,6 +58,7 @@ class ActionsManager {
     this.register(require('./MessageReactionRemoveEmoji'));
     this.register(require('./MessageUpdate'));
     this.register(require('./PresenceUpdate'));
+    this.register(require('./ReadySupplemental'));
     this.register(require('./StageInstanceCreate'));
     this.register(require('./StageInstanceDelete'));
     this.register(require('./StageInstanceUpdate'));
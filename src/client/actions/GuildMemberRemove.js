@@ -23,7 +23,7 @@ class GuildMemberRemoveAction extends Action {
          */
         if (shard.status === Status.READY) client.emit(Events.GUILD_MEMBER_REMOVE, member);
       }
-      guild.presences.cache.delete(data.user.id);
+      guild.presences._remove(data.user.id);
       guild.voiceStates.cache.delete(data.user.id);
     }
     return { guild, member };
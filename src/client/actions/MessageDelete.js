@@ -14,7 +14,7 @@ class MessageDeleteAction extends Action {
 
       message = this.getMessage(data, channel);
       if (message) {
-        channel.messages.cache.delete(message.id);
+        channel.messages._remove(message.id);
         deletedMessages.add(message);
         /**
          * Emitted whenever a message is deleted.
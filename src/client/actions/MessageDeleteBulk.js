@@ -27,7 +27,7 @@ class MessageDeleteBulkAction extends Action {
         if (message) {
           deletedMessages.add(message);
           messages.set(message.id, message);
-          channel.messages.cache.delete(id);
+          channel.messages._remove(id);
         }
       }
 
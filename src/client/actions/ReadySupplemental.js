@@ -0,0 +1,45 @@
+'use strict';
+
+const Action = require('./Action');
+
+class ReadySupplementalAction extends Action {
+  handle(data) {
+    const client = this.client;
+    const presences = data.merged_presences ?? {};
+
+    // The merged arrays are indexed like the guilds of the payload, which are in the order of the READY guilds
+    for (const [index, rawGuild] of (data.guilds ?? []).entries()) {
+      const guild = client.guilds.cache.get(rawGuild.id);
+      if (!guild) continue;
+
+      this.addMembers(guild, data.merged_members?.[index]);
+
+      for (const rawPresence of presences.guilds?.[index] ?? []) {
+        const user = this.addUser(rawPresence);
+        guild.presences._add({ ...rawPresence, user: { id: user.id }, guild });
+      }
+
+      for (const voiceState of rawGuild.voice_states ?? []) {
+        guild.voiceStates._add(voiceState);
+      }
+    }
+
+    for (const rawPresence of presences.friends ?? []) {
+      const user = this.addUser(rawPresence);
+      client.presences._add({ ...rawPresence, user: { id: user.id } });
+    }
+  }
+
+  addMembers(guild, members = []) {
+    for (const rawMember of members) {
+      guild.members._add({ ...rawMember, user: rawMember.user ?? { id: rawMember.user_id } });
+    }
+  }
+
+  // The merged members and presences hold their user, or only its id with the DEDUPE_USER_OBJECTS capability
+  addUser(data) {
+    return this.client.users._add(data.user ?? { id: data.user_id });
+  }
+}
+
+module.exports = ReadySupplementalAction;
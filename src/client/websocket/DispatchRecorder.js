@@ -0,0 +1,79 @@
+'use strict';
+
+const fs = require('node:fs');
+
+/**
+ * A line of a dispatch recording.
+ * @typedef {Object} RecordedDispatch
+ * @property {number} time The timestamp at which the packet was received
+ * @property {number} shard The id of the shard that received the packet
+ * @property {Object} packet The raw dispatch packet, as sent by the gateway
+ */
+
+/**
+ * Records the dispatch packets handled by a {@link WebSocketManager} to a newline-delimited JSON file,
+ * to be fed back through the handlers by a {@link ReplayClient}.
+ * <info>The recording stops at the first error writing the file.</info>
+ */
+class DispatchRecorder {
+  /**
+   * @param {string} file The path of the recording file
+   * @param {Function} [onError] Called with the error that stopped the recording
+   */
+  constructor(file, onError) {
+    /**
+     * The path of the recording file
+     * @type {string}
+     */
+    this.file = file;
+
+    /**
+     * The number of packets recorded so far
+     * @type {number}
+     */
+    this.count = 0;
+
+    /**
+     * The error that stopped the recording, if any
+     * @type {?Error}
+     */
+    this.error = null;
+
+    /**
+     * The stream writing the recording file
+     * @type {WriteStream}
+     * @private
+     */
+    this.stream = fs.createWriteStream(file);
+    this.stream.on('error', error => {
+      this.error ??= error;
+      onError?.(error);
+    });
+  }
+
+  /**
+   * Appends a packet to the recording.
+   * @param {Object} packet The raw dispatch packet
+   * @param {?WebSocketShard} [shard] The shard that received the packet
+   */
+  record(packet, shard) {
+    if (this.error) return;
+    this.count++;
+    this.stream.write(`${JSON.stringify({ time: Date.now(), shard: shard?.id ?? 0, packet })}\n`);
+  }
+
+  /**
+   * Closes the recording file once the recorded packets are written.
+   * @returns {Promise<void>}
+   */
+  close() {
+    // The stream is already destroyed, and the error was handed to the error callback
+    if (this.error) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      this.stream.once('error', reject);
+      this.stream.end(resolve);
+    });
+  }
+}
+
+module.exports = DispatchRecorder;
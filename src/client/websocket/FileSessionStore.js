@@ -0,0 +1,11 @@
+'use strict';
+
+const JSONFileStore = require('../../util/JSONFileStore');
+
+/**
+ * A {@link SessionStore} that keeps the gateway sessions of a {@link WebSocketManager} in a JSON file.
+ * @extends JSONFileStore
+ */
+class FileSessionStore extends JSONFileStore {}
+
+module.exports = FileSessionStore;
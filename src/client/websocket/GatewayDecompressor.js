@@ -0,0 +1,138 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const zlib = require('node:zlib');
+const { Error } = require('../../errors');
+
+let zlibSync;
+
+try {
+  zlibSync = require('zlib-sync');
+} catch {} // eslint-disable-line no-empty
+
+/**
+ * The transport compression of a gateway connection:
+ * * `zlib-stream`, decompressed with [zlib-sync](https://www.npmjs.com/package/zlib-sync) when it is installed
+ * and with `node:zlib` otherwise
+ * * `zstd-stream`, decompressed with `node:zlib` on Node.js versions that support zstd, `zlib-stream` is used
+ * on the others
+ * * `null`, to disable transport compression
+ * @typedef {?string} GatewayCompression
+ */
+
+/**
+ * Decompresses the messages of a gateway connection using transport compression.
+ * @private
+ */
+class GatewayDecompressor {
+  constructor(compression, encoding, callback) {
+    /**
+     * Whether zstd is requested but not supported by this version of Node.js
+     * @type {boolean}
+     */
+    this.fallback = compression === 'zstd-stream' && !this.constructor.zstdSupported;
+
+    /**
+     * The compression negotiated with the gateway
+     * @type {string}
+     */
+    this.mode = this.fallback ? 'zlib-stream' : compression;
+
+    /**
+     * The library decompressing the messages
+     * @type {string}
+     */
+    this.backend = this.mode === 'zlib-stream' && zlibSync ? 'zlib-sync' : 'node:zlib';
+
+    /**
+     * The function called with each decompressed payload, or the error that occurred, which ends the decompressor
+     * @type {Function}
+     */
+    this.callback = callback;
+
+    this.destroyed = false;
+
+    if (this.backend === 'zlib-sync') {
+      this.inflate = new zlibSync.Inflate({
+        chunkSize: 65535,
+        flush: zlibSync.Z_SYNC_FLUSH,
+        to: encoding === 'json' ? 'string' : '',
+      });
+      return;
+    }
+
+    this.chunks = [];
+    this.stream = this.mode === 'zstd-stream' ? zlib.createZstdDecompress() : zlib.createInflate({ chunkSize: 65535 });
+    this.stream.on('data', chunk => this.chunks.push(chunk));
+    this.stream.on('error', error => {
+      if (this.destroyed) return;
+      this.destroy();
+      this.callback(error);
+    });
+  }
+
+  /**
+   * Whether this version of Node.js supports zstd
+   * @type {boolean}
+   * @readonly
+   */
+  static get zstdSupported() {
+    return typeof zlib.createZstdDecompress === 'function';
+  }
+
+  /**
+   * A description of the compression, for debug messages.
+   * @type {string}
+   * @readonly
+   */
+  get description() {
+    return `${this.mode} (${this.backend})${this.fallback ? ', zstd is not supported by this Node.js version' : ''}`;
+  }
+
+  /**
+   * Adds a message received from the gateway.
+   * The callback is called once the message completes a payload, in the order the messages were received.
+   * Once a message fails to decompress, the next ones are dropped as the decompression context is lost.
+   * @param {Uint8Array} data The message
+   */
+  push(data) {
+    if (this.destroyed) return;
+    // A zlib-stream payload can span several messages, the last of which ends with a sync flush.
+    // Each zstd-stream message is a payload of its own.
+    const l = data.length;
+    const flush =
+      this.mode === 'zstd-stream' ||
+      (l >= 4 && data[l - 4] === 0x00 && data[l - 3] === 0x00 && data[l - 2] === 0xff && data[l - 1] === 0xff);
+
+    if (this.inflate) {
+      this.inflate.push(data, flush && zlibSync.Z_SYNC_FLUSH);
+      if (!flush) return;
+      if (this.inflate.err) {
+        this.destroy();
+        this.callback(new Error('WS_DECOMPRESSION_FAILED', this.inflate.msg));
+      } else {
+        this.callback(null, this.inflate.result);
+      }
+      return;
+    }
+
+    this.stream.write(data);
+    if (!flush) return;
+    this.stream.flush(() => {
+      if (this.destroyed) return;
+      const raw = Buffer.concat(this.chunks);
+      this.chunks = [];
+      this.callback(null, raw);
+    });
+  }
+
+  /**
+   * Releases the decompression context, the payloads still being decompressed are dropped.
+   */
+  destroy() {
+    this.destroyed = true;
+    this.stream?.destroy();
+  }
+}
+
+module.exports = GatewayDecompressor;
@@ -0,0 +1,206 @@
+'use strict';
+
+const { Events, Status } = require('../../util/Constants');
+
+const STATUS_KEYS = Object.keys(Status);
+
+/**
+ * Why a {@link Client#event:shardHealth} event was emitted:
+ * * `latency`, the 95th percentile of the heartbeat latency went over the threshold
+ * * `missedAcks`, heartbeats went without acknowledgement as many times in a row as the threshold
+ * * `zombie`, the connection stopped acknowledging heartbeats and was closed to reconnect
+ * @typedef {string} ShardHealthReason
+ */
+
+/**
+ * A snapshot of the health of a shard's connection.
+ * @typedef {Object} ShardHealthData
+ * @property {number} shardId The id of the shard
+ * @property {string} status The status of the shard, e.g. `READY`
+ * @property {number} ping The latency of the last acknowledged heartbeat, in milliseconds
+ * @property {ShardLatencyPercentiles} latency The percentiles of the recent heartbeat latencies
+ * @property {number} samples The number of heartbeat latencies the percentiles are computed from
+ * @property {?number} lastAckAt The timestamp of the last heartbeat acknowledgement
+ * @property {number} missedAcks The number of heartbeats sent while the previous one was not acknowledged
+ * @property {number} consecutiveMissedAcks The number of heartbeats in a row not acknowledged
+ * @property {number} zombieConnections The number of connections closed for not acknowledging heartbeats
+ * @property {number} reconnects The number of times the shard connected again after its first connection
+ * @property {number} resumes The number of sessions resumed successfully
+ */
+
+/**
+ * Percentiles of heartbeat latencies, in milliseconds, `null` until a heartbeat is acknowledged.
+ * @typedef {Object} ShardLatencyPercentiles
+ * @property {?number} p50 The median latency
+ * @property {?number} p95 The 95th percentile of the latency
+ * @property {?number} p99 The 99th percentile of the latency
+ */
+
+/**
+ * Tracks the health of the connection of a {@link WebSocketShard}.
+ */
+class ShardHealth {
+  constructor(shard, { historySize = 100, latencyThreshold = 1_000, missedAckThreshold = 1 } = {}) {
+    /**
+     * The shard this tracks the health of
+     * @type {WebSocketShard}
+     * @readonly
+     * @name ShardHealth#shard
+     */
+    Object.defineProperty(this, 'shard', { value: shard });
+
+    /**
+     * The number of heartbeat latencies kept
+     * @type {number}
+     */
+    this.historySize = historySize;
+
+    /**
+     * The 95th percentile of the latency above which the shard is reported unhealthy, in milliseconds
+     * @type {number}
+     */
+    this.latencyThreshold = latencyThreshold;
+
+    /**
+     * The number of heartbeats in a row not acknowledged after which the shard is reported unhealthy
+     * @type {number}
+     */
+    this.missedAckThreshold = missedAckThreshold;
+
+    /**
+     * The latencies of the last acknowledged heartbeats, oldest first
+     * @type {number[]}
+     */
+    this.latencies = [];
+
+    /**
+     * The timestamp of the last heartbeat acknowledgement
+     * @type {?number}
+     */
+    this.lastAckAt = null;
+
+    /**
+     * The number of heartbeats sent while the previous one was not acknowledged
+     * @type {number}
+     */
+    this.missedAcks = 0;
+
+    /**
+     * The number of heartbeats in a row not acknowledged
+     * @type {number}
+     */
+    this.consecutiveMissedAcks = 0;
+
+    /**
+     * The number of connections closed for not acknowledging heartbeats
+     * @type {number}
+     */
+    this.zombieConnections = 0;
+
+    /**
+     * The number of times the shard connected again after its first connection
+     * @type {number}
+     */
+    this.reconnects = 0;
+
+    /**
+     * The number of sessions resumed successfully
+     * @type {number}
+     */
+    this.resumes = 0;
+
+    /**
+     * Whether the latency is over the threshold, so it is only reported when it crosses it
+     * @type {boolean}
+     * @private
+     */
+    this.latencyExceeded = false;
+  }
+
+  /**
+   * Gets a percentile of the recent heartbeat latencies, using the nearest-rank method.
+   * @param {number} percentile The percentile to get, between 0 and 100
+   * @returns {?number}
+   */
+  percentile(percentile) {
+    if (!this.latencies.length) return null;
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    const rank = Math.ceil((percentile / 100) * sorted.length);
+    return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+  }
+
+  /**
+   * Records a new connection of the shard, the heartbeats of the previous one no longer count as missed.
+   * @param {boolean} reconnect Whether the shard was connected before
+   * @private
+   */
+  connecting(reconnect) {
+    if (reconnect) this.reconnects++;
+    this.consecutiveMissedAcks = 0;
+  }
+
+  /**
+   * Records the acknowledgement of a heartbeat.
+   * @param {number} latency The latency of the heartbeat, in milliseconds
+   * @private
+   */
+  ack(latency) {
+    this.lastAckAt = Date.now();
+    this.consecutiveMissedAcks = 0;
+    this.latencies.push(latency);
+    if (this.latencies.length > this.historySize) this.latencies.shift();
+
+    const exceeded = this.percentile(95) > this.latencyThreshold;
+    if (exceeded && !this.latencyExceeded) this.report('latency');
+    this.latencyExceeded = exceeded;
+  }
+
+  /**
+   * Records a heartbeat sent while the previous one was not acknowledged.
+   * @param {boolean} zombie Whether the connection is closed because of it
+   * @private
+   */
+  missAck(zombie) {
+    this.missedAcks++;
+    this.consecutiveMissedAcks++;
+    if (zombie) {
+      this.zombieConnections++;
+      this.report('zombie');
+    } else if (this.consecutiveMissedAcks === this.missedAckThreshold) {
+      this.report('missedAcks');
+    }
+  }
+
+  /**
+   * Emits a {@link Client#event:shardHealth} event.
+   * @param {ShardHealthReason} reason Why the shard is reported
+   * @private
+   */
+  report(reason) {
+    /**
+     * Emitted when the connection of a shard crosses one of the health thresholds.
+     * @event Client#shardHealth
+     * @param {ShardHealthData} health The health of the shard
+     * @param {ShardHealthReason} reason Why the shard is reported
+     */
+    this.shard.manager.client.emit(Events.SHARD_HEALTH, this.toJSON(), reason);
+  }
+
+  toJSON() {
+    return {
+      shardId: this.shard.id,
+      status: STATUS_KEYS[this.shard.status],
+      ping: this.shard.ping,
+      latency: { p50: this.percentile(50), p95: this.percentile(95), p99: this.percentile(99) },
+      samples: this.latencies.length,
+      lastAckAt: this.lastAckAt,
+      missedAcks: this.missedAcks,
+      consecutiveMissedAcks: this.consecutiveMissedAcks,
+      zombieConnections: this.zombieConnections,
+      reconnects: this.reconnects,
+      resumes: this.resumes,
+    };
+  }
+}
+
+module.exports = ShardHealth;
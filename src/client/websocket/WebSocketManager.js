@@ -1,17 +1,20 @@
 'use strict';
 
 const EventEmitter = require('node:events');
-const { setImmediate } = require('node:timers');
+const { setImmediate, setTimeout, clearTimeout } = require('node:timers');
 const { setTimeout: sleep } = require('node:timers/promises');
 const { Collection } = require('@discordjs/collection');
 const { RPCErrorCodes } = require('discord-api-types/v10');
+const DispatchRecorder = require('./DispatchRecorder');
+const FileSessionStore = require('./FileSessionStore');
 const WebSocketShard = require('./WebSocketShard');
 const PacketHandlers = require('./handlers');
-const { Error } = require('../../errors');
+const { Error, TypeError } = require('../../errors');
 const { Events, ShardEvents, Status, WSCodes, WSEvents } = require('../../util/Constants');
 
 const BeforeReadyWhitelist = [
   WSEvents.READY,
+  WSEvents.READY_SUPPLEMENTAL,
   WSEvents.RESUMED,
   WSEvents.GUILD_CREATE,
   WSEvents.GUILD_DELETE,
@@ -20,6 +23,11 @@ const BeforeReadyWhitelist = [
   WSEvents.GUILD_MEMBER_REMOVE,
 ];
 
+// The dispatches the client cannot work without
+const RequiredEvents = [WSEvents.READY, WSEvents.RESUMED];
+
+let ClientUser;
+
 const UNRECOVERABLE_CLOSE_CODES = Object.keys(WSCodes).slice(2).map(Number);
 const UNRESUMABLE_CLOSE_CODES = [
   RPCErrorCodes.UnknownError,
@@ -99,6 +107,56 @@ class WebSocketManager extends EventEmitter {
      * @private
      */
     this.reconnecting = false;
+
+    const { sessionStore } = client.options.ws;
+    if (
+      sessionStore &&
+      typeof sessionStore !== 'string' &&
+      (typeof sessionStore.load !== 'function' || typeof sessionStore.save !== 'function')
+    ) {
+      throw new TypeError(
+        'CLIENT_INVALID_OPTION',
+        'ws.sessionStore',
+        'a path or an object with load and save functions',
+      );
+    }
+
+    /**
+     * The store the gateway sessions are saved to, so they can be resumed after a restart
+     * @type {?SessionStore}
+     */
+    this.sessionStore = typeof sessionStore === 'string' ? new FileSessionStore(sessionStore) : sessionStore ?? null;
+
+    /**
+     * The timeout of the pending save of the sessions
+     * @type {?NodeJS.Timeout}
+     * @private
+     */
+    this.sessionSaveTimeout = null;
+
+    /**
+     * The recorder of the dispatch packets, if they are being recorded
+     * @type {?DispatchRecorder}
+     */
+    this.recorder = null;
+
+    const { disabledEvents, middleware } = client.options.ws;
+    if (!Array.isArray(disabledEvents)) {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'ws.disabledEvents', 'an Array');
+    }
+
+    /**
+     * The dispatch events that are dropped without being handled
+     * @type {Set<WSEventType>}
+     */
+    this.disabledEvents = new Set(disabledEvents.filter(event => !RequiredEvents.includes(event)));
+
+    /**
+     * The functions run on every dispatch packet before it is handled
+     * @type {DispatchMiddleware[]}
+     */
+    this.middleware = [];
+    for (const fn of [middleware ?? []].flat()) this.addMiddleware(fn);
   }
 
   /**
@@ -111,6 +169,29 @@ class WebSocketManager extends EventEmitter {
     return sum / this.shards.size;
   }
 
+  /**
+   * A snapshot of the health of the gateway connection.
+   * @typedef {Object} WebSocketHealthData
+   * @property {string} status The status of the manager, e.g. `READY`
+   * @property {number} ping The average ping of the shards
+   * @property {ShardHealthData[]} shards The health of each shard
+   */
+
+  /**
+   * Gets a snapshot of the health of the gateway connection.
+   * @returns {WebSocketHealthData}
+   * @example
+   * const { shards } = client.ws.health();
+   * if (shards.some(shard => shard.zombieConnections > 3)) process.exit(1);
+   */
+  health() {
+    return {
+      status: Object.keys(Status)[this.status],
+      ping: this.ping,
+      shards: this.shards.map(shard => shard.health.toJSON()),
+    };
+  }
+
   /**
    * Emits a debug message.
    * @param {string} message The debug message
@@ -158,6 +239,8 @@ class WebSocketManager extends EventEmitter {
     this.debug(`Spawning shards: ${shards.join(', ')}`);
     this.shardQueue = new Set(shards.map(id => new WebSocketShard(this, id)));
 
+    if (this.sessionStore) await this.restoreSessions();
+
     return this.createShards();
   }
 
@@ -320,13 +403,207 @@ class WebSocketManager extends EventEmitter {
   }
 
   /**
-   * Processes a packet and queues it if this WebSocketManager is not ready.
+   * The gateway sessions saved in a {@link SessionStore}.
+   * @typedef {Object} SessionState
+   * @property {number} version The version of the state format
+   * @property {Object<number, SavedSession>} shards The sessions, keyed by shard id
+   */
+
+  /**
+   * A gateway session saved in a {@link SessionState}.
+   * @typedef {Object} SavedSession
+   * @property {string} sessionId The id of the session
+   * @property {number} sequence The sequence number of the last dispatch received
+   * @property {?string} resumeURL The gateway URL to resume the session on
+   */
+
+  /**
+   * Gets the sessions of the shards, as saved in the session store.
+   * @returns {SessionState}
+   */
+  getSessionState() {
+    return {
+      version: 1,
+      shards: Object.fromEntries(
+        this.shards
+          .filter(shard => shard.sessionId && shard.sequence !== -1)
+          .map(({ id, sessionId, sequence, resumeURL }) => [id, { sessionId, sequence, resumeURL }]),
+      ),
+    };
+  }
+
+  /**
+   * Loads the saved sessions into the shards about to connect, so they resume instead of identifying.
+   * @private
+   */
+  async restoreSessions() {
+    let state;
+    try {
+      state = await this.sessionStore.load();
+    } catch (error) {
+      this.debug(`Failed to restore the saved sessions: ${error}`);
+      return;
+    }
+    if (state?.version !== 1) return;
+
+    let restored = false;
+    for (const shard of this.shardQueue) {
+      const session = state.shards[shard.id];
+      if (!session?.sessionId) continue;
+      shard.sessionId = session.sessionId;
+      shard.sequence = shard.closeSequence = session.sequence;
+      shard.resumeURL = session.resumeURL;
+      shard.restoredSession = true;
+      restored = true;
+      this.debug(`Restored session ${session.sessionId} at sequence ${session.sequence}`, shard);
+    }
+    if (restored && !this.client.options.warmStart) {
+      this.debug('Resuming the restored sessions without warmStart, the guilds, channels and members are not cached');
+    }
+
+    // A resumed session gets no READY, the handlers still need to know which user they run as
+    if (restored && !this.client.user) {
+      let data;
+      try {
+        data = await this.client.api.users('@me').get();
+      } catch (error) {
+        // The resumed dispatches could not be handled without the user, so the shards identify instead
+        this.debug(`Failed to fetch the client user, discarding the restored sessions: ${error}`);
+        for (const shard of this.shardQueue) {
+          if (!shard.restoredSession) continue;
+          shard.sessionId = shard.resumeURL = null;
+          shard.sequence = -1;
+          shard.closeSequence = 0;
+          shard.restoredSession = false;
+        }
+        return;
+      }
+      ClientUser ??= require('../../structures/ClientUser');
+      this.client.presence.userId = data.id;
+      this.client.user = new ClientUser(this.client, data);
+      this.client.users.cache.set(this.client.user.id, this.client.user);
+    }
+  }
+
+  /**
+   * Saves the sessions shortly, so the dispatches received meanwhile share a single write.
+   * @private
+   */
+  scheduleSessionSave() {
+    if (!this.sessionStore || this.sessionSaveTimeout) return;
+    this.sessionSaveTimeout = setTimeout(() => {
+      this.sessionSaveTimeout = null;
+      this.saveSessions();
+    }, 100).unref();
+  }
+
+  /**
+   * Saves the sessions of the shards in the session store.
+   * @returns {Promise<void>}
+   */
+  saveSessions() {
+    if (!this.sessionStore) return Promise.resolve();
+    if (this.sessionSaveTimeout) {
+      clearTimeout(this.sessionSaveTimeout);
+      this.sessionSaveTimeout = null;
+    }
+    return Promise.resolve()
+      .then(() => this.sessionStore.save(this.getSessionState()))
+      .catch(error => this.debug(`Failed to save the sessions: ${error}`));
+  }
+
+  /**
+   * Starts recording the dispatch packets to a file, replacing the current recording if any.
+   * @param {string} file The path of the recording file
+   * @returns {DispatchRecorder}
+   * @example
+   * client.ws.startRecording('./dispatches.ndjson');
+   * await client.login(token);
+   */
+  startRecording(file) {
+    this.recorder?.close().catch(() => null);
+    const recorder = new DispatchRecorder(file, error => {
+      this.debug(`Failed to write the dispatch recording, stopping it: ${error}`);
+      if (this.recorder === recorder) this.recorder = null;
+    });
+    this.recorder = recorder;
+    return recorder;
+  }
+
+  /**
+   * Stops recording the dispatch packets.
+   * @returns {Promise<void>} Resolves once the recording file is written
+   */
+  stopRecording() {
+    const recorder = this.recorder;
+    this.recorder = null;
+    return recorder ? recorder.close() : Promise.resolve();
+  }
+
+  /**
+   * A function run on a dispatch packet before it is handled.
+   * It can modify the packet, return a new packet to handle instead, or return `false` to drop it.
+   * <warn>Middleware runs synchronously, in the order the packets are received.</warn>
+   * @typedef {Function} DispatchMiddleware
+   * @param {Object} packet The dispatch packet (t: EVENT_NAME, d: any)
+   * @param {WebSocketShard} shard The shard that received the packet
+   * @returns {Object|boolean|void}
+   */
+
+  /**
+   * Adds a middleware run on every dispatch packet, after the ones already added.
+   * @param {DispatchMiddleware} middleware The middleware to add
+   * @returns {Function} A function removing the middleware
+   * @example
+   * // Drop the messages of a noisy channel before they reach the cache
+   * client.ws.addMiddleware(packet => !(packet.t === 'MESSAGE_CREATE' && packet.d.channel_id === noisyChannelId));
+   */
+  addMiddleware(middleware) {
+    if (typeof middleware !== 'function') throw new TypeError('INVALID_TYPE', 'middleware', 'function');
+    this.middleware.push(middleware);
+    return () => this.removeMiddleware(middleware);
+  }
+
+  /**
+   * Removes a middleware.
+   * @param {DispatchMiddleware} middleware The middleware to remove
+   * @returns {boolean} Whether the middleware was removed
+   */
+  removeMiddleware(middleware) {
+    const index = this.middleware.indexOf(middleware);
+    if (index === -1) return false;
+    this.middleware.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Records a packet if the dispatch packets are being recorded, runs the middleware on it, then processes it.
    * @param {Object} [packet] The packet to be handled
    * @param {WebSocketShard} [shard] The shard that will handle this packet
    * @returns {boolean}
    * @private
    */
   handlePacket(packet, shard) {
+    if (packet) {
+      this.recorder?.record(packet, shard);
+      if (this.disabledEvents.has(packet.t)) return false;
+      for (const middleware of this.middleware) {
+        const result = middleware(packet, shard);
+        if (result === false) return false;
+        if (typeof result === 'object' && result !== null) packet = result;
+      }
+    }
+    return this.processPacket(packet, shard);
+  }
+
+  /**
+   * Processes a packet and queues it if this WebSocketManager is not ready.
+   * @param {Object} [packet] The packet to be handled
+   * @param {WebSocketShard} [shard] The shard that will handle this packet
+   * @returns {boolean}
+   * @private
+   */
+  processPacket(packet, shard) {
     if (packet && this.status !== Status.READY) {
       if (!BeforeReadyWhitelist.includes(packet.t)) {
         this.packetQueue.push({ packet, shard });
@@ -337,7 +614,7 @@ class WebSocketManager extends EventEmitter {
     if (this.packetQueue.length) {
       const item = this.packetQueue.shift();
       setImmediate(() => {
-        this.handlePacket(item.packet, item.shard);
+        this.processPacket(item.packet, item.shard);
       }).unref();
     }
 
@@ -2,6 +2,8 @@
 
 const EventEmitter = require('node:events');
 const { setTimeout, setInterval, clearTimeout } = require('node:timers');
+const GatewayDecompressor = require('./GatewayDecompressor');
+const ShardHealth = require('./ShardHealth');
 const WebSocket = require('../../WebSocket');
 const { Status, Events, ShardEvents, Opcodes, WSEvents, WSCodes } = require('../../util/Constants');
 const Intents = require('../../util/Intents');
@@ -10,11 +12,17 @@ const Util = require('../../util/Util');
 const STATUS_KEYS = Object.keys(Status);
 const CONNECTION_STATE = Object.keys(WebSocket.WebSocket);
 
-let zlib;
-
-try {
-  zlib = require('zlib-sync');
-} catch {} // eslint-disable-line no-empty
+// WebSocket options configuring the client itself, which are not part of the identify payload
+const CLIENT_OPTIONS = [
+  'version',
+  'agent',
+  'encoding',
+  'compression',
+  'sessionStore',
+  'disabledEvents',
+  'middleware',
+  'health',
+];
 
 /**
  * Represents a Shard's WebSocket connection
@@ -76,6 +84,12 @@ class WebSocketShard extends EventEmitter {
      */
     this.ping = -1;
 
+    /**
+     * The health of the shard's connection
+     * @type {ShardHealth}
+     */
+    this.health = new ShardHealth(this, manager.client.options.ws.health);
+
     /**
      * The last time a ping was sent (a timestamp)
      * @type {number}
@@ -97,6 +111,20 @@ class WebSocketShard extends EventEmitter {
      */
     this.closeEmitted = false;
 
+    /**
+     * Whether the session was loaded from the session store and has not been resumed yet
+     * @type {boolean}
+     * @private
+     */
+    this.restoredSession = false;
+
+    /**
+     * Whether the shard received READY and is waiting for the READY_SUPPLEMENTAL payload
+     * @type {boolean}
+     * @private
+     */
+    this.awaitingSupplemental = false;
+
     /**
      * Contains the rate limit queue and metadata
      * @name WebSocketShard#ratelimit
@@ -122,17 +150,19 @@ class WebSocketShard extends EventEmitter {
     Object.defineProperty(this, 'connection', { value: null, writable: true });
 
     /**
-     * @external Inflate
-     * @see {@link https://www.npmjs.com/package/zlib-sync}
+     * The decompressor of the current connection, if it uses transport compression
+     * @name WebSocketShard#inflate
+     * @type {?GatewayDecompressor}
+     * @private
      */
+    Object.defineProperty(this, 'inflate', { value: null, writable: true });
 
     /**
-     * The compression to use
-     * @name WebSocketShard#inflate
-     * @type {?Inflate}
+     * The encoding of the payloads of the current connection
+     * @type {string}
      * @private
      */
-    Object.defineProperty(this, 'inflate', { value: null, writable: true });
+    this.encoding = WebSocket.encoding;
 
     /**
      * The HELLO timeout
@@ -255,26 +285,35 @@ class WebSocketShard extends EventEmitter {
         this.destroy({ emit: false });
       }
 
-      const wsQuery = { v: client.options.ws.version };
-
-      if (zlib) {
-        this.inflate = new zlib.Inflate({
-          chunkSize: 65535,
-          flush: zlib.Z_SYNC_FLUSH,
-          to: WebSocket.encoding === 'json' ? 'string' : '',
+      this.encoding = client.options.ws.encoding;
+      const wsQuery = { v: client.options.ws.version, encoding: this.encoding };
+
+      this.inflate?.destroy();
+      this.inflate = null;
+      if (client.options.ws.compression) {
+        this.inflate = new GatewayDecompressor(client.options.ws.compression, this.encoding, (error, raw) => {
+          if (!error) {
+            this.onPayload(raw);
+            return;
+          }
+          this.manager.client.emit(Events.SHARD_ERROR, error, this.id);
+          // The decompression context of the connection is lost, a new connection resumes the session with a new one
+          this.debug(`[DECOMPRESSION] Failed to decompress a payload, reconnecting. ${error.message}`);
+          this.destroy({ closeCode: 4_000 });
         });
-        wsQuery.compress = 'zlib-stream';
+        wsQuery.compress = this.inflate.mode;
       }
 
       this.debug(
         `[CONNECT]
     Gateway    : ${gateway}
     Version    : ${client.options.ws.version}
-    Encoding   : ${WebSocket.encoding}
-    Compression: ${zlib ? 'zlib-stream' : 'none'}
+    Encoding   : ${this.encoding}${this.encoding === 'etf' && !WebSocket.erlpack ? ' (built-in decoder)' : ''}
+    Compression: ${this.inflate?.description ?? 'none'}
     Agent      : ${Util.verifyProxyAgent(client.options.ws.agent)}`,
       );
 
+      this.health.connecting(this.status === Status.DISCONNECTED);
       this.status = this.status === Status.DISCONNECTED ? Status.RECONNECTING : Status.CONNECTING;
       this.setHelloTimeout();
       this.setWsCloseTimeout(-1);
@@ -307,22 +346,20 @@ class WebSocketShard extends EventEmitter {
    * @private
    */
   onMessage({ data }) {
-    let raw;
     if (data instanceof ArrayBuffer) data = new Uint8Array(data);
-    if (zlib) {
-      const l = data.length;
-      const flush =
-        l >= 4 && data[l - 4] === 0x00 && data[l - 3] === 0x00 && data[l - 2] === 0xff && data[l - 1] === 0xff;
-
-      this.inflate.push(data, flush && zlib.Z_SYNC_FLUSH);
-      if (!flush) return;
-      raw = this.inflate.result;
-    } else {
-      raw = data;
-    }
+    if (this.inflate) this.inflate.push(data);
+    else this.onPayload(data);
+  }
+
+  /**
+   * Called whenever a payload is received, once it is decompressed.
+   * @param {string|Uint8Array} raw The encoded payload
+   * @private
+   */
+  onPayload(raw) {
     let packet;
     try {
-      packet = WebSocket.unpack(raw);
+      packet = WebSocket.unpack(raw, this.encoding);
     } catch (err) {
       this.manager.client.emit(Events.SHARD_ERROR, err, this.id);
       return;
@@ -434,6 +471,9 @@ class WebSocketShard extends EventEmitter {
 
         this.resumeURL = packet.d.resume_gateway_url;
         this.sessionId = packet.d.session_id;
+        this.restoredSession = false;
+        // READY_SUPPLEMENTAL follows READY whatever the capabilities, with the merged presences at least
+        this.awaitingSupplemental = true;
         this.expectedGuilds = new Set(packet.d.guilds.filter(d => d?.unavailable == true).map(d => d.id));
         this.status = Status.WAITING_FOR_GUILDS;
         this.debug(`[READY] Session ${this.sessionId} | Resume url ${this.resumeURL}.`);
@@ -448,15 +488,22 @@ class WebSocketShard extends EventEmitter {
         this.emit(ShardEvents.RESUMED);
 
         this.status = Status.READY;
+        this.health.resumes++;
         const replayed = packet.s - this.closeSequence;
         this.debug(`[RESUMED] Session ${this.sessionId} | Replayed ${replayed} events.`);
         this.lastHeartbeatAcked = true;
         this.sendHeartbeat('ResumeHeartbeat');
+        // A session resumed after a restart gets no READY nor guilds, the client is ready with the replayed events
+        if (this.restoredSession) {
+          this.restoredSession = false;
+          this.emit(ShardEvents.ALL_READY);
+        }
         break;
       }
     }
 
     if (packet.s > this.sequence) this.sequence = packet.s;
+    if (packet.op === Opcodes.DISPATCH) this.manager.scheduleSessionSave();
 
     switch (packet.op) {
       case Opcodes.HELLO:
@@ -479,6 +526,7 @@ class WebSocketShard extends EventEmitter {
         this.sequence = -1;
         // Reset the session id as it's invalid
         this.sessionId = null;
+        this.manager.scheduleSessionSave();
         // Set the status to reconnecting
         this.status = Status.RECONNECTING;
         // Finally, emit the INVALID_SESSION event
@@ -500,6 +548,11 @@ class WebSocketShard extends EventEmitter {
           this.expectedGuilds.delete(packet.d.id);
           this.checkReady();
         }
+        if (packet.t === WSEvents.READY_SUPPLEMENTAL) {
+          this.awaitingSupplemental = false;
+          // The READY handler checks it once it is done, until then there is nothing to mark as ready
+          if (this.status === Status.WAITING_FOR_GUILDS && this.readyTimeout) this.checkReady();
+        }
     }
   }
 
@@ -513,8 +566,8 @@ class WebSocketShard extends EventEmitter {
       clearTimeout(this.readyTimeout);
       this.readyTimeout = null;
     }
-    // Step 1. If we don't have any other guilds pending, we are ready
-    if (!this.expectedGuilds.size) {
+    // Step 1. If we don't have any other guilds pending nor the READY_SUPPLEMENTAL payload, we are ready
+    if (!this.expectedGuilds.size && !this.awaitingSupplemental) {
       this.debug('Shard received all its guilds. Marking as fully ready.');
       this.status = Status.READY;
 
@@ -530,7 +583,8 @@ class WebSocketShard extends EventEmitter {
       return;
     }
     const hasGuildsIntent = new Intents(this.manager.client.options.intents).has(Intents.FLAGS.GUILDS);
-    // Step 2. Create a timeout that will mark the shard as ready if there are still unavailable guilds
+    // Step 2. Create a timeout that will mark the shard as ready if there are still unavailable guilds,
+    // or if READY_SUPPLEMENTAL was not received
     // * The timeout is 15 seconds by default
     // * This can be optionally changed in the client options via the `waitGuildTimeout` option
     // * a timeout time of zero will skip this timeout, which potentially could cause the Client to miss guilds.
@@ -545,6 +599,10 @@ class WebSocketShard extends EventEmitter {
               this.expectedGuilds.size
             }`,
         );
+        if (this.awaitingSupplemental) {
+          this.debug('Shard did not receive READY_SUPPLEMENTAL, merged members and presences are missing.');
+          this.awaitingSupplemental = false;
+        }
 
         this.readyTimeout = null;
 
@@ -552,7 +610,7 @@ class WebSocketShard extends EventEmitter {
 
         this.emit(ShardEvents.ALL_READY, this.expectedGuilds);
       },
-      hasGuildsIntent ? waitGuildTimeout : 0,
+      hasGuildsIntent || this.awaitingSupplemental ? waitGuildTimeout : 0,
     ).unref();
   }
 
@@ -649,6 +707,7 @@ class WebSocketShard extends EventEmitter {
     tag = 'HeartbeatTimer',
     ignoreHeartbeatAck = [Status.WAITING_FOR_GUILDS, Status.IDENTIFYING, Status.RESUMING].includes(this.status),
   ) {
+    if (!this.lastHeartbeatAcked) this.health.missAck(!ignoreHeartbeatAck);
     if (ignoreHeartbeatAck && !this.lastHeartbeatAcked) {
       this.debug(`[${tag}] Didn't process heartbeat ack yet but we are still connected. Sending one now.`);
     } else if (!this.lastHeartbeatAcked) {
@@ -677,6 +736,7 @@ class WebSocketShard extends EventEmitter {
     const latency = Date.now() - this.lastPingTimestamp;
     this.debug(`Heartbeat acknowledged, latency of ${latency}ms.`);
     this.ping = latency;
+    this.health.ack(latency);
   }
 
   /**
@@ -715,8 +775,7 @@ class WebSocketShard extends EventEmitter {
       token: client.token,
     };
 
-    delete d.version;
-    delete d.agent;
+    for (const option of CLIENT_OPTIONS) delete d[option];
 
     this.debug(`[IDENTIFY] Shard ${this.id}`);
     this.send({ op: Opcodes.IDENTIFY, d }, true);
@@ -773,7 +832,7 @@ class WebSocketShard extends EventEmitter {
     }
 
     this.debug(`[WebSocketShard] send packet '${JSON.stringify(data)}'`);
-    this.connection.send(WebSocket.pack(data), err => {
+    this.connection.send(WebSocket.pack(data, this.encoding), err => {
       if (err) this.manager.client.emit(Events.SHARD_ERROR, err, this.id);
     });
   }
@@ -870,6 +929,7 @@ class WebSocketShard extends EventEmitter {
       this.resumeURL = null;
       this.sequence = -1;
       this.sessionId = null;
+      this.manager.scheduleSessionSave();
     }
 
     // Step 6: reset the rate limit data
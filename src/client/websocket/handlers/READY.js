@@ -20,14 +20,29 @@ module.exports = (client, { d: data }, shard) => {
     client.users.cache.set(client.user.id, client.user);
   }
 
+  // Sent with the DEDUPE_USER_OBJECTS capability, the other objects only hold the ids of these users
+  const users = new Map(data.users?.map(user => [user.id, user]));
+  for (const user of users.values()) {
+    client.users._add(user);
+  }
+
   for (const private_channel of data.private_channels) {
+    if (private_channel.recipient_ids && !private_channel.recipients) {
+      private_channel.recipients = private_channel.recipient_ids.map(id => users.get(id) ?? { id });
+    }
     client.channels._add(private_channel);
   }
 
-  for (const guild of data.guilds) {
-    guild.shardId = shard.id;
-    client.guilds._add(guild);
+  for (const [index, rawGuild] of data.guilds.entries()) {
+    rawGuild.shardId = shard.id;
+    const guild = client.guilds._add(rawGuild);
+    // The member of the client user in each guild
+    client.actions.ReadySupplemental.addMembers(guild, data.merged_members?.[index]);
   }
+  client.cache._pruneRestored(
+    shard.id,
+    data.guilds.map(guild => guild.id),
+  );
 
   // User Notes
   client.notes._reload(data.notes);
@@ -2,6 +2,7 @@
 
 const handlers = Object.fromEntries([
   ['READY', require('./READY')],
+  ['READY_SUPPLEMENTAL', require('./READY_SUPPLEMENTAL')],
   ['RESUMED', require('./RESUMED')],
   ['APPLICATION_COMMAND_CREATE', require('./APPLICATION_COMMAND_CREATE')],
   ['APPLICATION_COMMAND_DELETE', require('./APPLICATION_COMMAND_DELETE')],
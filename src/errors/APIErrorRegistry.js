@@ -0,0 +1,88 @@
+'use strict';
+
+const {
+  UnknownResourceError,
+  UnknownMessageError,
+  UnknownChannelError,
+  UnknownGuildError,
+  UnknownMemberError,
+  UnknownUserError,
+  MaximumReachedError,
+  MaxPinsReachedError,
+  MissingAccessError,
+  MissingPermissionsError,
+  InvalidFormBodyError,
+} = require('./DiscordAPIErrors');
+const DiscordAPIError = require('../rest/DiscordAPIError');
+const { APIErrors } = require('../util/Constants');
+
+const errorClasses = new Map([
+  [APIErrors.UNKNOWN_MESSAGE, UnknownMessageError],
+  [APIErrors.UNKNOWN_CHANNEL, UnknownChannelError],
+  [APIErrors.UNKNOWN_GUILD, UnknownGuildError],
+  [APIErrors.UNKNOWN_MEMBER, UnknownMemberError],
+  [APIErrors.UNKNOWN_USER, UnknownUserError],
+  [APIErrors.MAXIMUM_PINS, MaxPinsReachedError],
+  [APIErrors.MISSING_ACCESS, MissingAccessError],
+  [APIErrors.MISSING_PERMISSIONS, MissingPermissionsError],
+  [APIErrors.INVALID_FORM_BODY, InvalidFormBodyError],
+]);
+
+const errorNames = new Map(Object.entries(APIErrors).map(([name, code]) => [code, name]));
+
+/**
+ * Maps the JSON error codes of the Discord API to their names and to the {@link DiscordAPIError} subclasses
+ * thrown for them.
+ */
+class APIErrorRegistry extends null {
+  /**
+   * Gets the name of a JSON error code, as found in {@link APIErrors}.
+   * @param {number} code The JSON error code
+   * @returns {?string}
+   */
+  static nameOf(code) {
+    return errorNames.get(code) ?? null;
+  }
+
+  /**
+   * Gets the error class thrown for a JSON error code.
+   * Codes without a class of their own fall back to the class of their family, e.g. any `UNKNOWN_*` error
+   * is an {@link UnknownResourceError} and any `MAXIMUM_*` error is a {@link MaximumReachedError}.
+   * @param {number} code The JSON error code
+   * @returns {Function}
+   */
+  static resolve(code) {
+    if (errorClasses.has(code)) return errorClasses.get(code);
+    if (code >= 10_000 && code < 11_000) return UnknownResourceError;
+    if (code >= 30_000 && code < 31_000) return MaximumReachedError;
+    return DiscordAPIError;
+  }
+
+  /**
+   * Registers the error class thrown for a JSON error code, replacing the existing one.
+   * @param {number} code The JSON error code
+   * @param {Function} errorClass The class to throw, extending {@link DiscordAPIError}
+   * @returns {APIErrorRegistry}
+   * @example
+   * class AlreadyCrosspostedError extends DiscordAPIError {}
+   * APIErrorRegistry.register(Constants.APIErrors.ALREADY_CROSSPOSTED, AlreadyCrosspostedError);
+   */
+  static register(code, errorClass) {
+    errorClasses.set(code, errorClass);
+    return this;
+  }
+
+  /**
+   * Creates the error for a failed request.
+   * @param {APIError} error The error returned by the Discord API
+   * @param {number} status The HTTP status code of the response
+   * @param {APIRequest} request The request that failed
+   * @returns {DiscordAPIError}
+   */
+  static create(error, status, request) {
+    const ErrorClass = this.resolve(error.code);
+    return new ErrorClass(error, status, request);
+  }
+}
+
+module.exports = APIErrorRegistry;
@@ -0,0 +1,285 @@
+'use strict';
+
+const DiscordAPIError = require('../rest/DiscordAPIError');
+const RoutePattern = require('../rest/RoutePattern');
+const { APIErrors } = require('../util/Constants');
+
+// The limits of the resources Discord mentions in its error messages, in case a message does not include it
+const knownLimits = {
+  [APIErrors.MAXIMUM_GUILDS]: 100,
+  [APIErrors.MAXIMUM_FRIENDS]: 1_000,
+  [APIErrors.MAXIMUM_PINS]: 50,
+  [APIErrors.MAXIMUM_RECIPIENTS]: 10,
+  [APIErrors.MAXIMUM_ROLES]: 250,
+  [APIErrors.MAXIMUM_WEBHOOKS]: 15,
+  [APIErrors.MAXIMUM_REACTIONS]: 20,
+  [APIErrors.MAXIMUM_CHANNELS]: 500,
+  [APIErrors.MAXIMUM_ATTACHMENTS]: 10,
+  [APIErrors.MAXIMUM_INVITES]: 1_000,
+};
+
+// The permission most likely missing when an endpoint answers with MISSING_PERMISSIONS
+const endpointPermissions = [
+  ['POST', '/channels/:channel/messages', 'SEND_MESSAGES'],
+  ['GET', '/channels/:channel/messages', 'READ_MESSAGE_HISTORY'],
+  ['POST', '/channels/:channel/messages/bulk-delete', 'MANAGE_MESSAGES'],
+  ['DELETE', '/channels/:channel/messages/:message', 'MANAGE_MESSAGES'],
+  ['PUT', '/channels/:channel/messages/pins/:message', 'MANAGE_MESSAGES'],
+  ['DELETE', '/channels/:channel/messages/pins/:message', 'MANAGE_MESSAGES'],
+  ['PUT', '/channels/:channel/messages/:message/reactions/:emoji/@me', 'ADD_REACTIONS'],
+  ['DELETE', '/channels/:channel/messages/:message/reactions', 'MANAGE_MESSAGES'],
+  ['PATCH', '/channels/:channel', 'MANAGE_CHANNELS'],
+  ['DELETE', '/channels/:channel', 'MANAGE_CHANNELS'],
+  ['PUT', '/channels/:channel/permissions/:overwrite', 'MANAGE_ROLES'],
+  ['POST', '/channels/:channel/invites', 'CREATE_INSTANT_INVITE'],
+  ['POST', '/channels/:channel/webhooks', 'MANAGE_WEBHOOKS'],
+  ['POST', '/guilds/:guild/channels', 'MANAGE_CHANNELS'],
+  ['POST', '/guilds/:guild/roles', 'MANAGE_ROLES'],
+  ['PATCH', '/guilds/:guild/roles/:role', 'MANAGE_ROLES'],
+  ['DELETE', '/guilds/:guild/roles/:role', 'MANAGE_ROLES'],
+  ['PUT', '/guilds/:guild/members/:user/roles/:role', 'MANAGE_ROLES'],
+  ['DELETE', '/guilds/:guild/members/:user/roles/:role', 'MANAGE_ROLES'],
+  ['DELETE', '/guilds/:guild/members/:user', 'KICK_MEMBERS'],
+  ['PUT', '/guilds/:guild/bans/:user', 'BAN_MEMBERS'],
+  ['DELETE', '/guilds/:guild/bans/:user', 'BAN_MEMBERS'],
+  ['GET', '/guilds/:guild/audit-logs', 'VIEW_AUDIT_LOG'],
+  ['PATCH', '/guilds/:guild', 'MANAGE_GUILD'],
+].map(([method, pattern, permission]) => [method, new RoutePattern(pattern), permission]);
+
+function pathOf(request) {
+  return new URL(request.path, 'http://localhost').pathname;
+}
+
+/**
+ * Represents an error from the Discord API caused by a resource that does not exist.
+ * @extends {DiscordAPIError}
+ */
+class UnknownResourceError extends DiscordAPIError {
+  constructor(error, status, request) {
+    super(error, status, request);
+    this.name = 'UnknownResourceError';
+
+    /**
+     * The kind of resource that does not exist, e.g. `MESSAGE` for the `UNKNOWN_MESSAGE` error
+     * @type {?string}
+     */
+    this.resource = this.codeName?.replace(/^UNKNOWN_/, '') ?? null;
+  }
+}
+
+/**
+ * Represents an `UNKNOWN_MESSAGE` error from the Discord API.
+ * @extends {UnknownResourceError}
+ */
+class UnknownMessageError extends UnknownResourceError {
+  constructor(error, status, request) {
+    super(error, status, request);
+    this.name = 'UnknownMessageError';
+    const params = new RoutePattern('/channels/:channel/messages/:message').match(pathOf(request));
+
+    /**
+     * The id of the channel the message was requested from, if the request was about a single message
+     * @type {?Snowflake}
+     */
+    this.channelId = params?.channel ?? null;
+
+    /**
+     * The id of the message that does not exist, if the request was about a single message
+     * @type {?Snowflake}
+     */
+    this.messageId = params?.message ?? null;
+  }
+}
+
+/**
+ * Represents an `UNKNOWN_CHANNEL` error from the Discord API.
+ * @extends {UnknownResourceError}
+ */
+class UnknownChannelError extends UnknownResourceError {
+  constructor(error, status, request) {
+    super(error, status, request);
+    this.name = 'UnknownChannelError';
+
+    /**
+     * The id of the channel that does not exist, if the request was made on a channel
+     * @type {?Snowflake}
+     */
+    this.channelId = pathOf(request).match(/^\/channels\/(\d+)/)?.[1] ?? null;
+  }
+}
+
+/**
+ * Represents an `UNKNOWN_GUILD` error from the Discord API.
+ * @extends {UnknownResourceError}
+ */
+class UnknownGuildError extends UnknownResourceError {
+  constructor(error, status, request) {
+    super(error, status, request);
+    this.name = 'UnknownGuildError';
+
+    /**
+     * The id of the guild that does not exist, if the request was made on a guild
+     * @type {?Snowflake}
+     */
+    this.guildId = pathOf(request).match(/^\/guilds\/(\d+)/)?.[1] ?? null;
+  }
+}
+
+/**
+ * Represents an `UNKNOWN_MEMBER` error from the Discord API.
+ * @extends {UnknownResourceError}
+ */
+class UnknownMemberError extends UnknownResourceError {
+  constructor(error, status, request) {
+    super(error, status, request);
+    this.name = 'UnknownMemberError';
+    const params = new RoutePattern('/guilds/:guild/members/:user').match(pathOf(request));
+
+    /**
+     * The id of the guild the member was requested from, if the request was about a single member
+     * @type {?Snowflake}
+     */
+    this.guildId = params?.guild ?? null;
+
+    /**
+     * The id of the user that is not a member of the guild, if the request was about a single member
+     * @type {?Snowflake}
+     */
+    this.userId = params?.user ?? null;
+  }
+}
+
+/**
+ * Represents an `UNKNOWN_USER` error from the Discord API.
+ * @extends {UnknownResourceError}
+ */
+class UnknownUserError extends UnknownResourceError {
+  constructor(error, status, request) {
+    super(error, status, request);
+    this.name = 'UnknownUserError';
+
+    /**
+     * The id of the user that does not exist, if the request was made on a user
+     * @type {?Snowflake}
+     */
+    this.userId = pathOf(request).match(/^\/users\/(\d+)/)?.[1] ?? null;
+  }
+}
+
+/**
+ * Represents an error from the Discord API caused by a resource limit being reached.
+ * @extends {DiscordAPIError}
+ */
+class MaximumReachedError extends DiscordAPIError {
+  constructor(error, status, request) {
+    super(error, status, request);
+    this.name = 'MaximumReachedError';
+
+    /**
+     * The limit that was reached, if it is known
+     * @type {?number}
+     */
+    this.limit = Number(error.message?.match(/\((\d+)\)/)?.[1] ?? knownLimits[this.code]) || null;
+  }
+}
+
+/**
+ * Represents a `MAXIMUM_PINS` error from the Discord API.
+ * @extends {MaximumReachedError}
+ */
+class MaxPinsReachedError extends MaximumReachedError {
+  constructor(error, status, request) {
+    super(error, status, request);
+    this.name = 'MaxPinsReachedError';
+
+    /**
+     * The id of the channel whose pins are full
+     * @type {?Snowflake}
+     */
+    this.channelId = pathOf(request).match(/^\/channels\/(\d+)/)?.[1] ?? null;
+  }
+}
+
+/**
+ * Represents a `MISSING_ACCESS` error from the Discord API.
+ * @extends {DiscordAPIError}
+ */
+class MissingAccessError extends DiscordAPIError {
+  constructor(error, status, request) {
+    super(error, status, request);
+    this.name = 'MissingAccessError';
+  }
+}
+
+/**
+ * Represents a `MISSING_PERMISSIONS` error from the Discord API.
+ * <info>Discord does not say which permission is missing, it is inferred from the endpoint that was called.</info>
+ * @extends {DiscordAPIError}
+ */
+class MissingPermissionsError extends DiscordAPIError {
+  constructor(error, status, request) {
+    super(error, status, request);
+    this.name = 'MissingPermissionsError';
+    const path = pathOf(request);
+    const method = request.method.toUpperCase();
+
+    /**
+     * The permission required by the endpoint that was called, if it is known
+     * @type {?PermissionString}
+     */
+    this.missingPermission =
+      endpointPermissions.find(([m, pattern]) => m === method && pattern.test(path))?.[2] ?? null;
+
+    /**
+     * The id of the channel the request was made on, if any
+     * @type {?Snowflake}
+     */
+    this.channelId = path.match(/^\/channels\/(\d+)/)?.[1] ?? null;
+
+    /**
+     * The id of the guild the request was made on, if any
+     * @type {?Snowflake}
+     */
+    this.guildId = path.match(/^\/guilds\/(\d+)/)?.[1] ?? null;
+  }
+}
+
+/**
+ * Represents an `INVALID_FORM_BODY` error from the Discord API.
+ * @extends {DiscordAPIError}
+ */
+class InvalidFormBodyError extends DiscordAPIError {
+  constructor(error, status, request) {
+    super(error, status, request);
+    this.name = 'InvalidFormBodyError';
+
+    /**
+     * The invalid fields of the request, keyed by their path in the request body (e.g. `embeds[0].title`),
+     * each with the list of the validation errors of the field
+     * @type {Object<string, string[]>}
+     */
+    this.fields = {};
+    const collect = (errors, key) => {
+      for (const [k, v] of Object.entries(errors ?? {})) {
+        const path = key ? (isNaN(k) ? `${key}.${k}` : `${key}[${k}]`) : k;
+        if (v?._errors) this.fields[path] = v._errors.map(e => e.message);
+        else if (typeof v === 'object') collect(v, path);
+      }
+    };
+    collect(error.errors, '');
+  }
+}
+
+module.exports = {
+  UnknownResourceError,
+  UnknownMessageError,
+  UnknownChannelError,
+  UnknownGuildError,
+  UnknownMemberError,
+  UnknownUserError,
+  MaximumReachedError,
+  MaxPinsReachedError,
+  MissingAccessError,
+  MissingPermissionsError,
+  InvalidFormBodyError,
+};
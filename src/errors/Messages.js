@@ -15,6 +15,7 @@ const Messages = {
   WS_CLOSE_REQUESTED: 'WebSocket closed due to user request.',
   WS_CONNECTION_EXISTS: 'There is already an existing WebSocket connection.',
   WS_NOT_OPEN: (data = 'data') => `WebSocket not open to send ${data}`,
+  WS_DECOMPRESSION_FAILED: reason => `Failed to decompress a gateway message: ${reason}`,
   MANAGER_DESTROYED: 'Manager was destroyed.',
 
   BITFIELD_INVALID: bit => `Invalid bitfield flag or number: ${bit}.`,
@@ -70,6 +71,16 @@ const Messages = {
   INTERACTION_COLLECTOR_ERROR: reason => `Collector received no interactions before ending with reason: ${reason}`,
 
   FILE_NOT_FOUND: file => `File could not be found: ${file}`,
+  CACHE_SNAPSHOT_DISABLED: 'Snapshots of the caches need the warmStart client option to be set.',
+  STRUCTURE_FIELD_DROPPED: (structure, field) =>
+    `${structure}#${field} is not kept by the structureFields client option of the cached ${structure}s.`,
+
+  REST_FIXTURE_MISSING: (method, path) => `No recorded response matches ${method} ${path}.`,
+  REST_FIXTURE_MODE: mode => `Unknown REST fixture mode: ${mode}.`,
+  ATTACHMENT_UPLOAD_FAILED: status => `The attachment upload failed with status ${status}.`,
+  ATTACHMENT_UPLOAD_NOT_RESUMABLE: offset =>
+    `The upload server asked to resume the attachment upload from byte ${offset}, which was already discarded.`,
+  ATTACHMENT_UPLOAD_STALLED: offset => `The upload server stopped accepting the attachment upload at byte ${offset}.`,
 
   USER_BANNER_NOT_FETCHED: "You must fetch this user's banner before trying to generate its URL!",
   USER_NO_DM_CHANNEL: 'No DM Channel exists!',
@@ -88,6 +99,7 @@ const Messages = {
   MESSAGE_BULK_DELETE_TYPE: 'The messages must be an Array, Collection, or number.',
   MESSAGE_NONCE_TYPE: 'Message nonce must be an integer or a string.',
   MESSAGE_CONTENT_TYPE: 'Message content must be a non-empty string.',
+  MESSAGE_ITERATE_CURSORS: 'Only one of before, after and around can be given to iterate over messages.',
 
   SPLIT_MAX_LEN: 'Chunk exceeds the max length and contains no split characters.',
 
@@ -102,6 +114,7 @@ const Messages = {
   GUILD_CHANNEL_UNOWNED: "The fetched channel does not belong to this manager's guild.",
   GUILD_OWNED: 'Guild is owned by the client.',
   GUILD_MEMBERS_TIMEOUT: "Members didn't arrive in time.",
+  GUILD_MEMBERS_ABORTED: 'Fetching the guild members was aborted.',
   GUILD_UNCACHED_ME: 'The client user as a member of this guild is uncached.',
   CHANNEL_NOT_CACHED: 'Could not find the channel where this message came from in the cache!',
   STAGE_CHANNEL_RESOLVE: 'Could not resolve channel to a stage channel.',
@@ -3,6 +3,7 @@
 // "Root" classes (starting points)
 exports.BaseClient = require('./client/BaseClient');
 exports.Client = require('./client/Client');
+exports.ReplayClient = require('./client/ReplayClient');
 /** @deprecated This will be removed in the next major version */
 exports.Shard = require('./sharding/Shard');
 /** @deprecated This will be removed in the next major version */
@@ -12,7 +13,9 @@ exports.ShardingManager = require('./sharding/ShardingManager');
 exports.WebhookClient = require('./client/WebhookClient');
 
 // Utilities
+exports.AbortError = require('./rest/AbortError');
 exports.ActivityFlags = require('./util/ActivityFlags');
+exports.APIErrorRegistry = require('./errors/APIErrorRegistry');
 exports.ApplicationFlags = require('./util/ApplicationFlags');
 exports.AttachmentFlags = require('./util/AttachmentFlags');
 exports.BaseManager = require('./managers/BaseManager');
@@ -21,20 +24,44 @@ exports.Collection = require('@discordjs/collection').Collection;
 exports.Constants = require('./util/Constants');
 exports.DataResolver = require('./util/DataResolver');
 exports.DiscordAPIError = require('./rest/DiscordAPIError');
+exports.DispatchRecorder = require('./client/websocket/DispatchRecorder');
+exports.FileCacheAdapter = require('./util/FileCacheAdapter');
+exports.FileRateLimitStore = require('./rest/FileRateLimitStore');
+exports.FileSessionStore = require('./client/websocket/FileSessionStore');
 exports.Formatters = require('./util/Formatters');
+exports.GatewayCapabilities = require('./util/GatewayCapabilities');
 exports.GuildMemberFlags = require('./util/GuildMemberFlags');
 exports.HTTPError = require('./rest/HTTPError');
 exports.Intents = require('./util/Intents');
+exports.InvalidFormBodyError = require('./errors/DiscordAPIErrors').InvalidFormBodyError;
+exports.JSONFileStore = require('./util/JSONFileStore');
 exports.LimitedCollection = require('./util/LimitedCollection');
+exports.MaximumReachedError = require('./errors/DiscordAPIErrors').MaximumReachedError;
+exports.MaxPinsReachedError = require('./errors/DiscordAPIErrors').MaxPinsReachedError;
+exports.MemoryCacheAdapter = require('./util/MemoryCacheAdapter');
 exports.MessageFlags = require('./util/MessageFlags');
+exports.MissingAccessError = require('./errors/DiscordAPIErrors').MissingAccessError;
+exports.MissingPermissionsError = require('./errors/DiscordAPIErrors').MissingPermissionsError;
+exports.MockTransport = require('./rest/MockTransport');
 exports.Options = require('./util/Options');
 exports.Permissions = require('./util/Permissions');
 exports.RateLimitError = require('./rest/RateLimitError');
+exports.ReplayTransport = require('./rest/ReplayTransport');
+exports.RESTMetrics = require('./rest/RESTMetrics');
+exports.RESTRecorder = require('./rest/RESTRecorder');
+exports.RetryPolicy = require('./rest/RetryPolicy');
 exports.RoleFlags = require('./util/RoleFlags');
+exports.ShardHealth = require('./client/websocket/ShardHealth');
 exports.SnowflakeUtil = require('./util/SnowflakeUtil');
 exports.Sweepers = require('./util/Sweepers');
 exports.SystemChannelFlags = require('./util/SystemChannelFlags');
 exports.ThreadMemberFlags = require('./util/ThreadMemberFlags');
+exports.UnknownChannelError = require('./errors/DiscordAPIErrors').UnknownChannelError;
+exports.UnknownGuildError = require('./errors/DiscordAPIErrors').UnknownGuildError;
+exports.UnknownMemberError = require('./errors/DiscordAPIErrors').UnknownMemberError;
+exports.UnknownMessageError = require('./errors/DiscordAPIErrors').UnknownMessageError;
+exports.UnknownResourceError = require('./errors/DiscordAPIErrors').UnknownResourceError;
+exports.UnknownUserError = require('./errors/DiscordAPIErrors').UnknownUserError;
 exports.UserFlags = require('./util/UserFlags');
 exports.Util = require('./util/Util');
 exports.version = require('../package.json').version;
@@ -46,6 +73,7 @@ exports.AutoModerationRuleManager = require('./managers/AutoModerationRuleManage
 exports.BaseGuildEmojiManager = require('./managers/BaseGuildEmojiManager');
 exports.CachedManager = require('./managers/CachedManager');
 exports.ChannelManager = require('./managers/ChannelManager');
+exports.ClientCacheManager = require('./managers/ClientCacheManager');
 exports.ClientVoiceManager = require('./client/voice/ClientVoiceManager');
 exports.DataManager = require('./managers/DataManager');
 exports.GuildBanManager = require('./managers/GuildBanManager');
@@ -67,6 +67,7 @@ class ApplicationCommandManager extends CachedManager {
    * @typedef {Object} BaseFetchOptions
    * @property {boolean} [cache=true] Whether to cache the fetched data if it wasn't already
    * @property {boolean} [force=false] Whether to skip the cache check and request the API
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -93,15 +94,15 @@ class ApplicationCommandManager extends CachedManager {
    *   .then(commands => console.log(`Fetched ${commands.size} commands`))
    *   .catch(console.error);
    */
-  async fetch(id, { guildId, cache = true, force = false, locale, withLocalizations } = {}) {
+  async fetch(id, { guildId, cache = true, force = false, locale, withLocalizations, signal } = {}) {
     if (typeof id === 'object') {
-      ({ guildId, cache = true, locale, withLocalizations } = id);
+      ({ guildId, cache = true, locale, withLocalizations, signal } = id);
     } else if (id) {
       if (!force) {
-        const existing = this.cache.get(id);
+        const existing = this._lookup(id);
         if (existing) return existing;
       }
-      const command = await this.commandPath({ id, guildId }).get();
+      const command = await this.commandPath({ id, guildId }).get({ signal });
       return this._add(command, cache);
     }
 
@@ -110,6 +111,7 @@ class ApplicationCommandManager extends CachedManager {
         'X-Discord-Locale': locale,
       },
       query: typeof withLocalizations === 'boolean' ? { with_localizations: withLocalizations } : undefined,
+      signal,
     });
     return data.reduce((coll, command) => coll.set(command.id, this._add(command, cache, guildId)), new Collection());
   }
@@ -119,6 +121,7 @@ class ApplicationCommandManager extends CachedManager {
    * @param {ApplicationCommandDataResolvable} command The command
    * @param {Snowflake} [guildId] The guild's id to create this command in,
    * ignored when using a {@link GuildApplicationCommandManager}
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<ApplicationCommand>}
    * @example
    * // Create a new command
@@ -129,9 +132,10 @@ class ApplicationCommandManager extends CachedManager {
    *   .then(console.log)
    *   .catch(console.error);
    */
-  async create(command, guildId) {
+  async create(command, guildId, signal) {
     const data = await this.commandPath({ guildId }).post({
       data: this.constructor.transformCommand(command),
+      signal,
     });
     return this._add(data, true, guildId);
   }
@@ -141,6 +145,7 @@ class ApplicationCommandManager extends CachedManager {
    * @param {ApplicationCommandDataResolvable[]} commands The commands
    * @param {Snowflake} [guildId] The guild's id to create the commands in,
    * ignored when using a {@link GuildApplicationCommandManager}
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Collection<Snowflake, ApplicationCommand>>}
    * @example
    * // Set all commands to just this one
@@ -158,9 +163,10 @@ class ApplicationCommandManager extends CachedManager {
    *   .then(console.log)
    *   .catch(console.error);
    */
-  async set(commands, guildId) {
+  async set(commands, guildId, signal) {
     const data = await this.commandPath({ guildId }).put({
       data: commands.map(c => this.constructor.transformCommand(c)),
+      signal,
     });
     return data.reduce((coll, command) => coll.set(command.id, this._add(command, true, guildId)), new Collection());
   }
@@ -171,6 +177,7 @@ class ApplicationCommandManager extends CachedManager {
    * @param {Partial<ApplicationCommandDataResolvable>} data The data to update the command with
    * @param {Snowflake} [guildId] The guild's id where the command registered,
    * ignored when using a {@link GuildApplicationCommandManager}
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<ApplicationCommand>}
    * @example
    * // Edit an existing command
@@ -180,12 +187,13 @@ class ApplicationCommandManager extends CachedManager {
    *   .then(console.log)
    *   .catch(console.error);
    */
-  async edit(command, data, guildId) {
+  async edit(command, data, guildId, signal) {
     const id = this.resolveId(command);
     if (!id) throw new TypeError('INVALID_TYPE', 'command', 'ApplicationCommandResolvable');
 
     const patched = await this.commandPath({ id, guildId }).patch({
       data: this.constructor.transformCommand(data),
+      signal,
     });
     return this._add(patched, true, guildId);
   }
@@ -195,6 +203,7 @@ class ApplicationCommandManager extends CachedManager {
    * @param {ApplicationCommandResolvable} command The command to delete
    * @param {Snowflake} [guildId] The guild's id where the command is registered,
    * ignored when using a {@link GuildApplicationCommandManager}
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<?ApplicationCommand>}
    * @example
    * // Delete a command
@@ -202,11 +211,11 @@ class ApplicationCommandManager extends CachedManager {
    *   .then(console.log)
    *   .catch(console.error);
    */
-  async delete(command, guildId) {
+  async delete(command, guildId, signal) {
     const id = this.resolveId(command);
     if (!id) throw new TypeError('INVALID_TYPE', 'command', 'ApplicationCommandResolvable');
 
-    await this.commandPath({ id, guildId }).delete();
+    await this.commandPath({ id, guildId }).delete({ signal });
 
     const cached = this.cache.get(id);
     this.cache.delete(id);
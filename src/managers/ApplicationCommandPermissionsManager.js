@@ -75,6 +75,7 @@ class ApplicationCommandPermissionsManager extends BaseManager {
    * <warn>Ignored when the manager has a non-null `guildId` property</warn>
    * @property {ApplicationCommandResolvable} [command] The command to modify / check permissions for
    * <warn>Ignored when the manager has a non-null `commandId` property</warn>
+   * @property {AbortSignal} [signal] A signal to abort the requests with
    */
 
   /**
@@ -92,14 +93,14 @@ class ApplicationCommandPermissionsManager extends BaseManager {
    *   .then(perms => console.log(`Fetched permissions for ${perms.size} commands`))
    *   .catch(console.error);
    */
-  async fetch({ guild, command } = {}) {
+  async fetch({ guild, command, signal } = {}) {
     const { guildId, commandId } = this._validateOptions(guild, command);
     if (commandId) {
-      const data = await this.permissionsPath(guildId, commandId).get();
+      const data = await this.permissionsPath(guildId, commandId).get({ signal });
       return data.permissions.map(perm => this.constructor.transformPermissions(perm, true));
     }
 
-    const data = await this.permissionsPath(guildId).get();
+    const data = await this.permissionsPath(guildId).get({ signal });
     return data.reduce(
       (coll, perm) =>
         coll.set(
@@ -158,7 +159,7 @@ class ApplicationCommandPermissionsManager extends BaseManager {
    *   .then(console.log)
    *   .catch(console.error);
    */
-  async set({ guild, command, permissions, fullPermissions } = {}) {
+  async set({ guild, command, permissions, fullPermissions, signal } = {}) {
     const { guildId, commandId } = this._validateOptions(guild, command);
 
     if (commandId) {
@@ -167,6 +168,7 @@ class ApplicationCommandPermissionsManager extends BaseManager {
       }
       const data = await this.permissionsPath(guildId, commandId).put({
         data: { permissions: permissions.map(perm => this.constructor.transformPermissions(perm)) },
+        signal,
       });
       return data.permissions.map(perm => this.constructor.transformPermissions(perm, true));
     }
@@ -185,6 +187,7 @@ class ApplicationCommandPermissionsManager extends BaseManager {
     }
     const data = await this.permissionsPath(guildId).put({
       data: APIPermissions,
+      signal,
     });
     return data.reduce(
       (coll, perm) =>
@@ -219,7 +222,7 @@ class ApplicationCommandPermissionsManager extends BaseManager {
    *   .then(console.log)
    *   .catch(console.error);
    */
-  async add({ guild, command, permissions }) {
+  async add({ guild, command, permissions, signal }) {
     const { guildId, commandId } = this._validateOptions(guild, command);
     if (!commandId) throw new TypeError('INVALID_TYPE', 'command', 'ApplicationCommandResolvable');
     if (!Array.isArray(permissions)) {
@@ -228,7 +231,7 @@ class ApplicationCommandPermissionsManager extends BaseManager {
 
     let existing = [];
     try {
-      existing = await this.fetch({ guild: guildId, command: commandId });
+      existing = await this.fetch({ guild: guildId, command: commandId, signal });
     } catch (error) {
       if (error.code !== APIErrors.UNKNOWN_APPLICATION_COMMAND_PERMISSIONS) throw error;
     }
@@ -240,7 +243,7 @@ class ApplicationCommandPermissionsManager extends BaseManager {
       }
     }
 
-    return this.set({ guild: guildId, command: commandId, permissions: newPermissions });
+    return this.set({ guild: guildId, command: commandId, permissions: newPermissions, signal });
   }
 
   /**
@@ -270,7 +273,7 @@ class ApplicationCommandPermissionsManager extends BaseManager {
    *    .then(console.log)
    *    .catch(console.error);
    */
-  async remove({ guild, command, users, roles }) {
+  async remove({ guild, command, users, roles, signal }) {
     const { guildId, commandId } = this._validateOptions(guild, command);
     if (!commandId) throw new TypeError('INVALID_TYPE', 'command', 'ApplicationCommandResolvable');
 
@@ -317,14 +320,14 @@ class ApplicationCommandPermissionsManager extends BaseManager {
 
     let existing = [];
     try {
-      existing = await this.fetch({ guild: guildId, command: commandId });
+      existing = await this.fetch({ guild: guildId, command: commandId, signal });
     } catch (error) {
       if (error.code !== APIErrors.UNKNOWN_APPLICATION_COMMAND_PERMISSIONS) throw error;
     }
 
     const permissions = existing.filter(perm => !resolvedIds.includes(perm.id));
 
-    return this.set({ guild: guildId, command: commandId, permissions });
+    return this.set({ guild: guildId, command: commandId, permissions, signal });
   }
 
   /**
@@ -345,7 +348,7 @@ class ApplicationCommandPermissionsManager extends BaseManager {
    *  .then(console.log)
    *  .catch(console.error);
    */
-  async has({ guild, command, permissionId }) {
+  async has({ guild, command, permissionId, signal }) {
     const { guildId, commandId } = this._validateOptions(guild, command);
     if (!commandId) throw new TypeError('INVALID_TYPE', 'command', 'ApplicationCommandResolvable');
 
@@ -364,7 +367,7 @@ class ApplicationCommandPermissionsManager extends BaseManager {
 
     let existing = [];
     try {
-      existing = await this.fetch({ guild: guildId, command: commandId });
+      existing = await this.fetch({ guild: guildId, command: commandId, signal });
     } catch (error) {
       if (error.code !== APIErrors.UNKNOWN_APPLICATION_COMMAND_PERMISSIONS) throw error;
     }
@@ -98,6 +98,7 @@ class AutoModerationRuleManager extends CachedManager {
    * @property {Collection<Snowflake, GuildChannel|ThreadChannel>|GuildChannelResolvable[]} [exemptChannels]
    * The channels that should not be affected by the auto moderation rule
    * @property {string} [reason] The reason for creating the auto moderation rule
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -115,6 +116,7 @@ class AutoModerationRuleManager extends CachedManager {
     exemptRoles,
     exemptChannels,
     reason,
+    signal,
   }) {
     const data = await this.client.api.guilds(this.guild.id)['auto-moderation'].rules.post({
       data: {
@@ -144,6 +146,7 @@ class AutoModerationRuleManager extends CachedManager {
         exempt_channels: exemptChannels?.map(exemptChannel => this.guild.channels.resolveId(exemptChannel)),
       },
       reason,
+      signal,
     });
 
     return this._add(data);
@@ -163,6 +166,7 @@ class AutoModerationRuleManager extends CachedManager {
    * @property {Collection<Snowflake, GuildChannel|ThreadChannel>|GuildChannelResolvable[]} [exemptChannels]
    * The channels that should not be affected by the auto moderation rule
    * @property {string} [reason] The reason for creating the auto moderation rule
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -173,7 +177,7 @@ class AutoModerationRuleManager extends CachedManager {
    */
   async edit(
     autoModerationRule,
-    { name, eventType, triggerMetadata, actions, enabled, exemptRoles, exemptChannels, reason },
+    { name, eventType, triggerMetadata, actions, enabled, exemptRoles, exemptChannels, reason, signal },
   ) {
     const autoModerationRuleId = this.resolveId(autoModerationRule);
 
@@ -207,6 +211,7 @@ class AutoModerationRuleManager extends CachedManager {
           exempt_channels: exemptChannels?.map(exemptChannel => this.guild.channels.resolveId(exemptChannel)),
         },
         reason,
+        signal,
       });
 
     return this._add(data);
@@ -229,6 +234,7 @@ class AutoModerationRuleManager extends CachedManager {
    * Options used to fetch all auto moderation rules from a guild.
    * @typedef {Object} FetchAutoModerationRulesOptions
    * @property {boolean} [cache] Whether to cache the fetched auto moderation rules
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -254,26 +260,29 @@ class AutoModerationRuleManager extends CachedManager {
    */
   fetch(options) {
     if (!options) return this._fetchMany();
-    const { autoModerationRule, cache, force } = options;
+    const { autoModerationRule, cache, force, signal } = options;
     const resolvedAutoModerationRule = this.resolveId(autoModerationRule ?? options);
     if (resolvedAutoModerationRule) {
-      return this._fetchSingle({ autoModerationRule: resolvedAutoModerationRule, cache, force });
+      return this._fetchSingle({ autoModerationRule: resolvedAutoModerationRule, cache, force, signal });
     }
     return this._fetchMany(options);
   }
 
-  async _fetchSingle({ autoModerationRule, cache, force = false }) {
+  async _fetchSingle({ autoModerationRule, cache, force = false, signal }) {
     if (!force) {
-      const existing = this.cache.get(autoModerationRule);
+      const existing = this._lookup(autoModerationRule);
       if (existing) return existing;
     }
 
-    const data = await this.client.api.guilds(this.guild.id)('auto-moderation').rules(autoModerationRule).get();
+    const data = await this.client.api
+      .guilds(this.guild.id)('auto-moderation')
+      .rules(autoModerationRule)
+      .get({ signal });
     return this._add(data, cache);
   }
 
   async _fetchMany(options = {}) {
-    const data = await this.client.api.guilds(this.guild.id)('auto-moderation').rules.get();
+    const data = await this.client.api.guilds(this.guild.id)('auto-moderation').rules.get({ signal: options.signal });
 
     return data.reduce(
       (col, autoModerationRule) => col.set(autoModerationRule.id, this._add(autoModerationRule, options.cache)),
@@ -285,11 +294,15 @@ class AutoModerationRuleManager extends CachedManager {
    * Deletes an auto moderation rule.
    * @param {AutoModerationRuleResolvable} autoModerationRule The auto moderation rule to delete
    * @param {string} [reason] The reason for deleting the auto moderation rule
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  async delete(autoModerationRule, reason) {
+  async delete(autoModerationRule, reason, signal) {
     const autoModerationRuleId = this.resolveId(autoModerationRule);
-    await this.client.api.guilds(this.guild.id)('auto-moderation').rules(autoModerationRuleId).delete({ reason });
+    await this.client.api
+      .guilds(this.guild.id)('auto-moderation')
+      .rules(autoModerationRuleId)
+      .delete({ reason, signal });
   }
 }
 
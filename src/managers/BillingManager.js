@@ -30,11 +30,12 @@ class BillingManager extends BaseManager {
 
   /**
    * Fetches all the payment sources of the client
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Collection<Snowflake, Object>}
    */
-  async fetchPaymentSources() {
+  async fetchPaymentSources(signal) {
     // https://discord.com/api/v9/users/@me/billing/payment-sources
-    const d = await this.client.api.users('@me').billing['payment-sources'].get();
+    const d = await this.client.api.users('@me').billing['payment-sources'].get({ signal });
     // ! TODO: Create a PaymentSource class
     this.paymentSources = new Collection(d.map(s => [s.id, s]));
     return this.paymentSources;
@@ -42,22 +43,24 @@ class BillingManager extends BaseManager {
 
   /**
    * Fetches all the guild boosts of the client
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Collection<Snowflake, GuildBoost>}
    */
-  async fetchGuildBoosts() {
+  async fetchGuildBoosts(signal) {
     // https://discord.com/api/v9/users/@me/guilds/premium/subscription-slots
-    const d = await this.client.api.users('@me').guilds.premium['subscription-slots'].get();
+    const d = await this.client.api.users('@me').guilds.premium['subscription-slots'].get({ signal });
     this.guildBoosts = new Collection(d.map(s => [s.id, new GuildBoost(this.client, s)]));
     return this.guildBoosts;
   }
 
   /**
    * Fetches the current subscription of the client
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Collection<Snowflake, Object>}
    */
-  async fetchCurrentSubscription() {
+  async fetchCurrentSubscription(signal) {
     // https://discord.com/api/v9/users/@me/billing/subscriptions
-    const d = await this.client.api.users('@me').billing.subscriptions.get();
+    const d = await this.client.api.users('@me').billing.subscriptions.get({ signal });
     this.currentSubscription = new Collection(d.map(s => [s.id, s]));
     return this.currentSubscription;
   }
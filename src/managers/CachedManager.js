@@ -1,7 +1,15 @@
 'use strict';
 
+const { setTimeout, clearTimeout } = require('node:timers');
 const DataManager = require('./DataManager');
-const { _cleanupSymbol } = require('../util/Constants');
+const { TypeError } = require('../errors');
+const Base = require('../structures/Base');
+const { _cleanupSymbol, Events } = require('../util/Constants');
+const LimitedCollection = require('../util/LimitedCollection');
+
+// Caches are Maps, adapters are anything else implementing the CacheAdapter methods
+const isCacheAdapter = cache =>
+  !(cache instanceof Map) && ['get', 'set', 'delete', 'entries'].every(method => typeof cache?.[method] === 'function');
 
 /**
  * Manages the API methods of a data model with a mutable cache of instances.
@@ -19,7 +27,66 @@ class CachedManager extends DataManager {
      * @readonly
      * @name CachedManager#_cache
      */
-    Object.defineProperty(this, '_cache', { value: this.client.options.makeCache(this.constructor, this.holds) });
+    const cache = this.client.options.makeCache(this.constructor, this.holds);
+    const adapter = isCacheAdapter(cache) ? cache : null;
+    if (!adapter && !(cache instanceof Map)) {
+      throw new TypeError('INVALID_TYPE', `cache of ${this.constructor.name}`, 'Collection or CacheAdapter');
+    }
+
+    /**
+     * The adapter keeping the data of this manager outside of the cache, if the cache factory returned one.
+     * The cache then only holds the structures created by this process, up to the `maxSize` of the adapter.
+     * @type {?CacheAdapter}
+     * @readonly
+     * @name CachedManager#adapter
+     */
+    Object.defineProperty(this, 'adapter', { value: adapter });
+
+    Object.defineProperty(this, '_cache', {
+      value: adapter ? new LimitedCollection({ maxSize: adapter.maxSize ?? Infinity }) : cache,
+    });
+
+    /**
+     * The statistics of this manager, see {@link Client#cacheStats}
+     * @type {Object}
+     * @private
+     * @name CachedManager#_stats
+     */
+    Object.defineProperty(this, '_stats', { value: { hits: 0, misses: 0, sweeps: 0, swept: 0 } });
+
+    client.cache?._register(this);
+
+    /**
+     * The pending writes to the adapter, by key
+     * @type {Map<string, Promise<void>>}
+     * @private
+     * @name CachedManager#_storing
+     */
+    Object.defineProperty(this, '_storing', { value: new Map() });
+
+    /**
+     * The data waiting to be merged into the adapter, by key
+     * @type {Map<string, Object>}
+     * @private
+     * @name CachedManager#_pendingStores
+     */
+    Object.defineProperty(this, '_pendingStores', { value: new Map() });
+
+    /**
+     * The timeout writing the pending data to the adapter
+     * @type {?Timeout}
+     * @private
+     * @name CachedManager#_storeTimeout
+     */
+    Object.defineProperty(this, '_storeTimeout', { value: null, writable: true });
+
+    /**
+     * Whether the data being added comes from the adapter, so it is not written back
+     * @type {boolean}
+     * @private
+     * @name CachedManager#_restoring
+     */
+    Object.defineProperty(this, '_restoring', { value: false, writable: true });
 
     let cleanup = this._cache[_cleanupSymbol]?.();
     if (cleanup) {
@@ -55,6 +122,9 @@ class CachedManager extends DataManager {
     if (existing) {
       if (cache) {
         existing._patch(data);
+        this.client.cache?._record(existing, data);
+        this.client.cache?._slim(existing);
+        this._store(id ?? data.id, data);
         return existing;
       }
       const clone = existing._clone();
@@ -62,10 +132,150 @@ class CachedManager extends DataManager {
       return clone;
     }
 
-    const entry = this.holds ? new this.holds(this.client, data, ...extras) : data;
-    if (cache) this.cache.set(id ?? entry.id, entry);
+    const holds = cache ? this.client.cache?._slimClass(this.holds) ?? this.holds : this.holds;
+    const entry = holds ? new holds(this.client, data, ...extras) : data;
+    if (cache) {
+      this.cache.set(id ?? entry.id, entry);
+      this.client.cache?._record(entry, data);
+      this.client.cache?._slim(entry);
+      this._store(id ?? entry.id, data);
+      if (this.adapter) this.client.cache?.storedStructures.set(entry, [this, id ?? entry.id]);
+    }
     return entry;
   }
+
+  /**
+   * Resolves a data entry to an instance, looking in the adapter of this manager if it is not cached.
+   * <info>{@link DataManager#resolve} only looks in the cache, which may not hold the entries of the other processes
+   * sharing the adapter.</info>
+   * @param {string|Object} idOrInstance The id or instance of something in this manager
+   * @returns {Promise<?Object>} An instance from this manager
+   */
+  async resolveStored(idOrInstance) {
+    const resolved = this.resolve(idOrInstance);
+    if (resolved || !this.adapter) return resolved;
+    const id = this.resolveId(idOrInstance);
+    return id ? this._resolveStored(id) : null;
+  }
+
+  _lookup(id) {
+    const entry = this.cache.get(id);
+    if (entry) this._stats.hits++;
+    else this._stats.misses++;
+    return entry;
+  }
+
+  /**
+   * Sweeps the cache, counting the sweep in the statistics of this manager.
+   * @param {Function} filter The function used to determine which entries will be removed
+   * @returns {number} The number of entries removed
+   * @private
+   */
+  _sweep(filter) {
+    const swept = this.cache.sweep(filter);
+    this._stats.sweeps++;
+    this._stats.swept += swept;
+    return swept;
+  }
+
+  /**
+   * The key of an entry in the adapter.
+   * @param {string} id The id of the entry
+   * @returns {string}
+   * @private
+   */
+  _storageKey(id) {
+    return id;
+  }
+
+  /**
+   * Merges raw data into the entry of the adapter, the structures it holds are left out.
+   * The data added in the next 100 milliseconds is merged with it, so each entry is written once per burst.
+   * @param {string} id The id of the entry
+   * @param {Object} data The raw data
+   * @private
+   */
+  _store(id, data) {
+    if (!this.adapter || this._restoring || data instanceof Base) return;
+    const key = this._storageKey(id);
+    const raw = this._pendingStores.get(key) ?? {};
+    for (const [field, value] of Object.entries(data)) {
+      if (!(value instanceof Base)) raw[field] = value;
+    }
+    this._pendingStores.set(key, raw);
+    this._storeTimeout ??= setTimeout(() => this._flushStores(), 100).unref();
+  }
+
+  /**
+   * Merges the pending data into the entries of the adapter.
+   * @private
+   */
+  _flushStores() {
+    clearTimeout(this._storeTimeout);
+    this._storeTimeout = null;
+    for (const [key, raw] of this._pendingStores) {
+      this._queueStorage(key, async () => {
+        const previous = await this.adapter.get(key);
+        await this.adapter.set(key, previous ? { ...previous, ...raw } : raw);
+      });
+    }
+    this._pendingStores.clear();
+  }
+
+  /**
+   * Runs an update of the adapter once the previous updates of the same key are done,
+   * so the partial updates are merged in order.
+   * @param {string} key The key of the entry
+   * @param {Function} update The function updating the entry
+   * @private
+   */
+  _queueStorage(key, update) {
+    const pending = (this._storing.get(key) ?? Promise.resolve())
+      .then(update)
+      .catch(error => this.client.emit(Events.DEBUG, `[${this.constructor.name}] Failed to update ${key}: ${error}`))
+      .finally(() => {
+        if (this._storing.get(key) === pending) this._storing.delete(key);
+      });
+    this._storing.set(key, pending);
+  }
+
+  /**
+   * Gets an entry from the cache, or from the adapter if it is not cached or only partially.
+   * @param {string} id The id of the entry
+   * @param {boolean} [cache=true] Whether to cache the entry restored from the adapter
+   * @returns {Promise<?Object>}
+   * @private
+   */
+  async _resolveStored(id, cache = true) {
+    const existing = this._lookup(id);
+    if (!this.adapter || (existing && !existing.partial)) return existing ?? null;
+    const key = this._storageKey(id);
+    if (this._pendingStores.has(key)) this._flushStores();
+    await this._storing.get(key);
+    const data = await this.adapter.get(key);
+    if (!data) return null;
+    this._restoring = true;
+    try {
+      return this._add(data, cache);
+    } finally {
+      this._restoring = false;
+    }
+  }
+
+  /**
+   * Removes an entry from the cache and from the adapter.
+   * @param {string} id The id of the entry
+   * @private
+   */
+  _remove(id) {
+    const entry = this.cache.get(id);
+    this.cache.delete(id);
+    if (!this.adapter) return;
+    if (entry) this.client.cache?.storedStructures.delete(entry);
+    const key = this._storageKey(id);
+    this._pendingStores.delete(key);
+    this._queueStorage(key, () => this.adapter.delete(key));
+  }
 }
 
 module.exports = CachedManager;
@@ -17,7 +17,7 @@ class ChannelManager extends CachedManager {
     const defaultCaching =
       this._cache.constructor.name === 'Collection' ||
       ((this._cache.maxSize === undefined || this._cache.maxSize === Infinity) &&
-        (this._cache.sweepFilter === undefined || this._cache.sweepFilter.isDefault));
+        (!this._cache.sweepFilter || this._cache.sweepFilter.isDefault));
     if (!cacheWarningEmitted && !defaultCaching) {
       cacheWarningEmitted = true;
       process.emitWarning(
@@ -36,7 +36,11 @@ class ChannelManager extends CachedManager {
   _add(data, guild, { cache = true, allowUnknownGuild = false } = {}) {
     const existing = this.cache.get(data.id);
     if (existing) {
-      if (cache) existing._patch(data);
+      if (cache) {
+        existing._patch(data);
+        this.client.cache?._record(existing, data);
+        this._store(existing.id, data);
+      }
       guild?.channels?._add(existing);
       if (ThreadChannelTypes.includes(existing.type)) {
         existing.parent?.threads?._add(existing);
@@ -51,7 +55,12 @@ class ChannelManager extends CachedManager {
       return null;
     }
 
-    if (cache && !allowUnknownGuild) this.cache.set(channel.id, channel);
+    if (cache && !allowUnknownGuild) {
+      this.cache.set(channel.id, channel);
+      this.client.cache?._record(channel, data);
+      this._store(channel.id, data);
+      if (this.adapter) this.client.cache?.storedStructures.set(channel, [this, channel.id]);
+    }
 
     return channel;
   }
@@ -63,10 +72,10 @@ class ChannelManager extends CachedManager {
       if (invite.channelId === id) channel.guild.invites.cache.delete(code);
     }
     channel?.parent?.threads?.cache.delete(id);
-    this.cache.delete(id);
+    super._remove(id);
     if (channel?.threads) {
       for (const threadId of channel.threads.cache.keys()) {
-        this.cache.delete(threadId);
+        super._remove(threadId);
         channel.guild?.channels.cache.delete(threadId);
       }
     }
@@ -115,24 +124,25 @@ class ChannelManager extends CachedManager {
    *   .then(channel => console.log(channel.name))
    *   .catch(console.error);
    */
-  async fetch(id, { allowUnknownGuild = false, cache = true, force = false } = {}) {
+  async fetch(id, { allowUnknownGuild = false, cache = true, force = false, signal } = {}) {
     if (!force) {
-      const existing = this.cache.get(id);
+      const existing = this._lookup(id);
       if (existing && !existing.partial) return existing;
     }
 
-    const data = await this.client.api.channels(id).get();
+    const data = await this.client.api.channels(id).get({ signal });
     return this._add(data, null, { cache, allowUnknownGuild });
   }
 
   /**
    * Create Group DM
    * @param {UserResolvable[]} [recipients=[]] Array of recipients
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GroupDMChannel>} Channel
    * @example
    * client.channels.createGroupDM();
    */
-  async createGroupDM(recipients = []) {
+  async createGroupDM(recipients = [], signal) {
     if (!Array.isArray(recipients)) throw new Error(`Expected an array of recipients (got ${typeof recipients})`);
     recipients = recipients
       .map(r => this.client.users.resolveId(r))
@@ -140,6 +150,7 @@ class ChannelManager extends CachedManager {
     if (recipients.length == 1 || recipients.length > 9) throw new Error('Invalid Users length (max=9)');
     const data = await this.client.api.users['@me'].channels.post({
       data: { recipients },
+      signal,
     });
     return this._add(data, null, { cache: true, allowUnknownGuild: true });
   }
@@ -0,0 +1,453 @@
+'use strict';
+
+const fs = require('node:fs');
+const BaseManager = require('./BaseManager');
+const { Error } = require('../errors');
+const Base = require('../structures/Base');
+const { Channel } = require('../structures/Channel');
+const { Guild } = require('../structures/Guild');
+const { Message } = require('../structures/Message');
+const { Role } = require('../structures/Role');
+const User = require('../structures/User');
+const { Events } = require('../util/Constants');
+
+// The structures whose raw data is kept for the snapshots
+const SnapshotTypes = [Guild, Channel, Role, User, Message];
+
+// The data of a guild that is snapshotted on its own, or not at all
+const GuildNestedKeys = ['channels', 'threads', 'roles', 'members', 'presences', 'voice_states'];
+
+// The number of entries of a cache whose size is measured to estimate the size of the others
+const SizeSampleCount = 25;
+
+// The methods of the slimmed structures that read their dropped properties as undefined instead of throwing, so the
+// library can still compare and serialize them
+const LenientMethods = ['_equals', 'equals', 'toJSON'];
+
+// The number of slimmed structures being constructed, patched or running one of the lenient methods
+let lenient = 0;
+
+// Ignores the values assigned to the dropped properties of the slimmed structures
+const discard = () => undefined;
+
+/**
+ * Creates the subclass of a structure class whose cached instances only keep some of its properties, see
+ * {@link ClientOptions#structureFields}. The dropped properties are turned into accessors of its prototype as they
+ * are found, which ignore the values assigned by `_patch` and throw when they are read outside of it.
+ * @param {Function} holds The structure class
+ * @param {Set<string>} fields The properties kept
+ * @returns {Function}
+ * @private
+ */
+function createSlimClass(holds, fields) {
+  const { name } = holds;
+  // The raw keys of the dropped properties, which are not patched
+  const skipped = new Set();
+
+  const SlimStructure = {
+    [name]: class extends holds {
+      constructor(...args) {
+        lenient++;
+        try {
+          super(...args);
+        } finally {
+          lenient--;
+        }
+      }
+
+      _patch(data) {
+        lenient++;
+        try {
+          return super._patch(
+            skipped.size && !(data instanceof Base)
+              ? Object.fromEntries(Object.entries(data).filter(([key]) => !skipped.has(key)))
+              : data,
+          );
+        } finally {
+          lenient--;
+        }
+      }
+
+      static _slim(structure) {
+        for (const key of Object.keys(structure)) {
+          if (fields.has(key)) continue;
+          delete structure[key];
+          if (Object.hasOwn(this.prototype, key)) continue;
+          skipped.add(key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`));
+          Object.defineProperty(this.prototype, key, {
+            get() {
+              if (lenient) return undefined;
+              throw new Error('STRUCTURE_FIELD_DROPPED', name, key);
+            },
+            set: discard,
+          });
+        }
+      }
+    },
+  }[name];
+
+  for (const method of LenientMethods) {
+    if (typeof holds.prototype[method] !== 'function') continue;
+    Object.defineProperty(SlimStructure.prototype, method, {
+      value(...args) {
+        lenient++;
+        try {
+          return holds.prototype[method].apply(this, args);
+        } finally {
+          lenient--;
+        }
+      },
+      writable: true,
+      configurable: true,
+    });
+  }
+  return SlimStructure;
+}
+
+/**
+ * Estimates the number of bytes retained by a value, without the structures and managers it references as they are
+ * accounted for by their own cache.
+ * @param {*} value The value to measure
+ * @param {number} [depth=0] The depth of the value in the measured entry
+ * @returns {number}
+ * @private
+ */
+function estimateSize(value, depth = 0) {
+  switch (typeof value) {
+    case 'string':
+      return 12 + value.length * 2;
+    case 'number':
+    case 'bigint':
+      return 8;
+    case 'boolean':
+      return 4;
+    case 'object': {
+      if (value === null) return 0;
+      if (depth > 0 && (value instanceof Base || value instanceof BaseManager)) return 8;
+      if (depth > 4) return 8;
+      if (value instanceof Date) return 24;
+      let size = 16;
+      const entries = value instanceof Map ? value.entries() : Object.entries(value);
+      for (const [key, entry] of entries) size += estimateSize(key, depth + 1) + estimateSize(entry, depth + 1);
+      return size;
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * The data of a snapshot of the caches.
+ * @typedef {Object} CacheSnapshot
+ * @property {number} version The version of the snapshot format
+ * @property {number} createdTimestamp The timestamp at which the snapshot was taken
+ * @property {Object[]} users The raw users
+ * @property {Object[]} relationships The relationships of the client user
+ * @property {Object[]} guilds The raw guilds, with their roles, channels and threads
+ * @property {Object[]} channels The raw channels that are not in a guild
+ * @property {Object[]} messages The raw recent messages of the channels
+ */
+
+/**
+ * Options for a snapshot of the caches.
+ * @typedef {Object} CacheSnapshotOptions
+ * @property {number} [messages=50] The number of recent messages snapshotted per channel
+ */
+
+/**
+ * Takes snapshots of the caches of the client and restores them, see {@link ClientOptions#warmStart}.
+ * <info>Snapshots are built from the raw data the caches received, which is only kept while the `warmStart` option
+ * is set.</info>
+ * @extends {BaseManager}
+ */
+class ClientCacheManager extends BaseManager {
+  constructor(client) {
+    super(client);
+
+    /**
+     * The raw data of the snapshotted structures, `null` if it is not kept
+     * @type {?WeakMap<Base, Object>}
+     * @private
+     */
+    this.raw = client.options.warmStart ? new WeakMap() : null;
+
+    /**
+     * The ids of the guilds restored from a snapshot that were not received from the gateway yet
+     * @type {Set<Snowflake>}
+     * @private
+     */
+    this.restoredGuilds = new Set();
+
+    /**
+     * The cached managers of the client, including the ones of its guilds and channels
+     * @type {Set<WeakRef<CachedManager>>}
+     * @private
+     */
+    this.managers = new Set();
+
+    /**
+     * Removes the managers that were garbage collected
+     * @type {FinalizationRegistry}
+     * @private
+     */
+    this.managerFinalizers = new FinalizationRegistry(ref => this.managers.delete(ref));
+
+    /**
+     * The properties kept by the cached structures, by the name of their class, see
+     * {@link ClientOptions#structureFields}
+     * @type {Map<string, Set<string>>}
+     * @private
+     */
+    this.keptFields = new Map(
+      Object.entries(client.options.structureFields).map(([name, fields]) => [name, new Set(['id', ...fields])]),
+    );
+
+    /**
+     * The subclasses instantiated by the managers for the structure classes with kept properties, see
+     * {@link ClientOptions#structureFields}
+     * @type {Map<Function, Function>}
+     * @private
+     */
+    this.slimClasses = new Map();
+
+    /**
+     * The manager with an adapter caching each structure, and the id of its entry, see {@link CacheAdapter}
+     * @type {WeakMap<Base, Array<CachedManager|string>>}
+     * @private
+     */
+    this.storedStructures = new WeakMap();
+  }
+
+  /**
+   * Merges the data an event updated a cached structure with into the adapter of its manager.
+   * @param {Base} structure The updated structure
+   * @param {Object} data The raw data
+   * @private
+   */
+  _storeUpdate(structure, data) {
+    const [manager, id] = this.storedStructures.get(structure) ?? [];
+    manager?._store(id, data);
+  }
+
+  /**
+   * The class a manager instantiates for its cached structures.
+   * @param {Function} holds The class of the structures of the manager
+   * @returns {Function} The subclass keeping only the properties of {@link ClientOptions#structureFields}, or the class
+   * itself if they are all kept
+   * @private
+   */
+  _slimClass(holds) {
+    const fields = this.keptFields.get(holds.name);
+    if (!fields) return holds;
+    let SlimStructure = this.slimClasses.get(holds);
+    if (!SlimStructure) {
+      SlimStructure = createSlimClass(holds, fields);
+      this.slimClasses.set(holds, SlimStructure);
+    }
+    return SlimStructure;
+  }
+
+  /**
+   * Drops the properties of a cached structure that are not kept by {@link ClientOptions#structureFields}, if it was
+   * created by its manager. Once a property is dropped, the next structures of the class no longer receive it.
+   * @param {Base} structure The structure to slim
+   * @private
+   */
+  _slim(structure) {
+    const { constructor } = structure;
+    if (this.slimClasses.get(Object.getPrototypeOf(constructor)) === constructor) constructor._slim(structure);
+  }
+
+  /**
+   * Adds a manager to the ones the statistics are computed for.
+   * @param {CachedManager} manager The manager
+   * @private
+   */
+  _register(manager) {
+    const ref = new WeakRef(manager);
+    this.managers.add(ref);
+    this.managerFinalizers.register(manager, ref);
+  }
+
+  /**
+   * The statistics of the managers of a class.
+   * @typedef {Object} CacheManagerStats
+   * @property {number} instances The number of managers of the class, e.g. one per channel for `MessageManager`
+   * @property {number} entries The number of cached entries
+   * @property {number} bytes The estimated number of bytes retained by the cached entries
+   * @property {number} hits The number of entries resolved or fetched from the cache
+   * @property {number} misses The number of entries resolved or fetched that were not cached
+   * @property {number} sweeps The number of times the caches were swept by {@link Client#sweepers}
+   * @property {number} swept The number of entries removed by the sweeps
+   */
+
+  /**
+   * The statistics of the caches of the client.
+   * @typedef {Object} CacheStats
+   * @property {number} timestamp The timestamp at which the statistics were computed
+   * @property {Object<string, CacheManagerStats>} managers The statistics of each class of manager
+   * @property {CacheManagerStats} total The statistics of all the managers
+   */
+
+  /**
+   * Computes the statistics of every cached manager of the client, grouped by class.
+   * <info>The bytes are estimated from a sample of the entries of each cache, without the structures they
+   * reference.</info>
+   * @returns {CacheStats}
+   */
+  stats() {
+    const emptyStats = () => ({ instances: 0, entries: 0, bytes: 0, hits: 0, misses: 0, sweeps: 0, swept: 0 });
+    const managers = {};
+    const total = emptyStats();
+
+    for (const ref of this.managers) {
+      const manager = ref.deref();
+      if (!manager) {
+        this.managers.delete(ref);
+        continue;
+      }
+      const { cache, _stats } = manager;
+      let sampled = 0;
+      let sampleBytes = 0;
+      for (const entry of cache.values()) {
+        if (sampled === SizeSampleCount) break;
+        sampled++;
+        sampleBytes += estimateSize(entry);
+      }
+
+      const stats = (managers[manager.constructor.name] ??= emptyStats());
+      const counts = {
+        instances: 1,
+        entries: cache.size,
+        bytes: sampled && Math.round((sampleBytes / sampled) * cache.size),
+        ..._stats,
+      };
+      for (const [key, value] of Object.entries(counts)) {
+        stats[key] += value;
+        total[key] += value;
+      }
+    }
+
+    return { timestamp: Date.now(), managers, total };
+  }
+
+  /**
+   * Merges raw data received by a structure into the data kept for the snapshots.
+   * @param {Base} structure The structure that received the data
+   * @param {Object} data The raw data
+   * @private
+   */
+  _record(structure, data) {
+    if (!this.raw || data instanceof Base || !SnapshotTypes.some(type => structure instanceof type)) return;
+    const raw = { ...this.raw.get(structure) };
+    for (const [key, value] of Object.entries(data)) {
+      if (value instanceof Base || (structure instanceof Guild && GuildNestedKeys.includes(key))) continue;
+      raw[key] = value;
+    }
+    this.raw.set(structure, raw);
+  }
+
+  /**
+   * Writes a snapshot of the guilds, channels, roles, users, relationships and recent messages to a file.
+   * @param {string} file The path of the snapshot file
+   * @param {CacheSnapshotOptions} [options] Options for the snapshot
+   * @returns {Promise<CacheSnapshot>}
+   * @example
+   * process.once('SIGTERM', async () => {
+   *   await client.cache.snapshot('./cache.json');
+   *   client.destroy();
+   * });
+   */
+  async snapshot(file, { messages = 50 } = {}) {
+    if (!this.raw) throw new Error('CACHE_SNAPSHOT_DISABLED');
+    const { client } = this;
+    const rawOf = structures => [...structures].map(structure => this.raw.get(structure)).filter(Boolean);
+
+    const snapshot = {
+      version: 1,
+      createdTimestamp: Date.now(),
+      users: rawOf(client.users.cache.values()),
+      relationships: client.relationships.cache.map((type, id) => ({
+        id,
+        type,
+        nickname: client.relationships.friendNicknames.get(id) ?? null,
+        since: client.relationships.sinceCache.get(id)?.toISOString(),
+      })),
+      guilds: client.guilds.cache.map(guild => ({
+        ...this.raw.get(guild),
+        id: guild.id,
+        roles: rawOf(guild.roles.cache.values()),
+        channels: rawOf(guild.channels.cache.filter(channel => !channel.isThread()).values()),
+        threads: rawOf(guild.channels.cache.filter(channel => channel.isThread()).values()),
+      })),
+      channels: rawOf(client.channels.cache.filter(channel => !channel.guild).values()),
+      messages: client.channels.cache.reduce(
+        (recent, channel) => recent.concat(rawOf([...(channel.messages?.cache.values() ?? [])].slice(-messages))),
+        [],
+      ),
+    };
+
+    const temporaryFile = `${file}.tmp`;
+    await fs.promises.writeFile(temporaryFile, JSON.stringify(snapshot));
+    await fs.promises.rename(temporaryFile, file);
+    return snapshot;
+  }
+
+  /**
+   * Fills the caches from a snapshot, the entries are then updated by the events received from the gateway.
+   * This is done before connecting when the `warmStart` option is set.
+   * @param {string} file The path of the snapshot file
+   * @returns {Promise<boolean>} Whether the snapshot was found
+   */
+  async restore(file) {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+    const { client } = this;
+    if (snapshot.version !== 1) {
+      client.emit(Events.DEBUG, `[CACHE] Ignoring the snapshot ${file} of unknown version ${snapshot.version}`);
+      return false;
+    }
+
+    for (const user of snapshot.users) client.users._add(user);
+    client.relationships._setup(snapshot.relationships);
+    for (const guild of snapshot.guilds) {
+      this.restoredGuilds.add(guild.id);
+      client.guilds._add(guild);
+    }
+    for (const channel of snapshot.channels) client.channels._add(channel);
+    for (const message of snapshot.messages) client.channels.cache.get(message.channel_id)?.messages?._add(message);
+
+    client.emit(
+      Events.DEBUG,
+      `[CACHE] Restored ${snapshot.guilds.length} guilds, ${snapshot.users.length} users and ` +
+        `${snapshot.messages.length} messages from a snapshot taken at ${new Date(snapshot.createdTimestamp)}`,
+    );
+    return true;
+  }
+
+  /**
+   * Removes the restored guilds of a shard the client is no longer in, once the shard received its guilds.
+   * @param {number} shardId The id of the shard
+   * @param {Snowflake[]} ids The ids of the guilds the client is in on the shard
+   * @private
+   */
+  _pruneRestored(shardId, ids) {
+    const received = new Set(ids);
+    for (const id of this.restoredGuilds) {
+      const guild = this.client.guilds.cache.get(id);
+      // The guilds of the other shards are pruned when they receive theirs
+      if (guild && guild.shardId !== shardId) continue;
+      this.restoredGuilds.delete(id);
+      if (received.has(id)) continue;
+      for (const channel of guild?.channels.cache.keys() ?? []) this.client.channels._remove(channel);
+      this.client.guilds.cache.delete(id);
+    }
+  }
+}
+
+module.exports = ClientCacheManager;
@@ -225,8 +225,8 @@ class ClientUserSettingManager extends BaseManager {
     return this.#rawSetting;
   }
 
-  async fetch() {
-    const data = await this.client.api.users('@me').settings.get();
+  async fetch(signal) {
+    const data = await this.client.api.users('@me').settings.get({ signal });
     this._patch(data);
     return this;
   }
@@ -234,9 +234,10 @@ class ClientUserSettingManager extends BaseManager {
   /**
    * Edit data
    * @param {any} data Data to edit
+   * @param {AbortSignal} [signal] A signal to abort the request with
    */
-  async edit(data) {
-    const res = await this.client.api.users('@me').settings.patch({ data });
+  async edit(data, signal) {
+    const res = await this.client.api.users('@me').settings.patch({ data, signal });
     this._patch(res);
     return this;
   }
@@ -38,10 +38,20 @@ class DataManager extends BaseManager {
    */
   resolve(idOrInstance) {
     if (idOrInstance instanceof this.holds) return idOrInstance;
-    if (typeof idOrInstance === 'string') return this.cache.get(idOrInstance) ?? null;
+    if (typeof idOrInstance === 'string') return this._lookup(idOrInstance) ?? null;
     return null;
   }
 
+  /**
+   * Gets an entry of the cache to resolve or fetch it.
+   * @param {string} id The id of the entry
+   * @returns {?Object}
+   * @private
+   */
+  _lookup(id) {
+    return this.cache.get(id);
+  }
+
   /**
    * Resolves a data entry to an instance id.
    * @param {string|Object} idOrInstance The id or instance of something in this Manager
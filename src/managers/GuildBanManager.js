@@ -63,6 +63,7 @@ class GuildBanManager extends CachedManager {
    * @property {Snowflake} [before] Consider only bans before this id
    * @property {Snowflake} [after] Consider only bans after this id
    * @property {boolean} [cache] Whether to cache the fetched bans
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -97,9 +98,9 @@ class GuildBanManager extends CachedManager {
    */
   async fetch(options) {
     if (!options) return this._fetchMany();
-    const { user, cache, force, limit, before, after } = options;
+    const { user, cache, force, limit, before, after, signal } = options;
     const resolvedUser = this.client.users.resolveId(user ?? options);
-    if (resolvedUser) return this._fetchSingle({ user: resolvedUser, cache, force });
+    if (resolvedUser) return this._fetchSingle({ user: resolvedUser, cache, force, signal });
 
     if (!before && !after && !limit && typeof cache === 'undefined') {
       throw new Error('FETCH_BAN_RESOLVE_ID');
@@ -108,19 +109,20 @@ class GuildBanManager extends CachedManager {
     return this._fetchMany(options);
   }
 
-  async _fetchSingle({ user, cache, force = false }) {
+  async _fetchSingle({ user, cache, force = false, signal }) {
     if (!force) {
-      const existing = this.cache.get(user);
+      const existing = this._lookup(user);
       if (existing && !existing.partial) return existing;
     }
 
-    const data = await this.client.api.guilds(this.guild.id).bans(user).get();
+    const data = await this.client.api.guilds(this.guild.id).bans(user).get({ signal });
     return this._add(data, cache);
   }
 
-  async _fetchMany(options = {}) {
+  async _fetchMany({ signal, ...options } = {}) {
     const data = await this.client.api.guilds(this.guild.id).bans.get({
       query: options,
+      signal,
     });
 
     return data.reduce((col, ban) => col.set(ban.user.id, this._add(ban, options.cache)), new Collection());
@@ -133,6 +135,7 @@ class GuildBanManager extends CachedManager {
    * @property {number} [deleteMessageSeconds] Number of seconds of messages to delete,
    * must be between 0 and 604800 (7 days), inclusive
    * @property {string} [reason] The reason for the ban
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -173,6 +176,7 @@ class GuildBanManager extends CachedManager {
               : (options.days ?? 0) * 24 * 60 * 60,
         },
         reason: options.reason,
+        signal: options.signal,
       });
     if (user instanceof GuildMember) return user;
     const _user = this.client.users.cache.get(id);
@@ -186,6 +190,7 @@ class GuildBanManager extends CachedManager {
    * Unbans a user from the guild.
    * @param {UserResolvable} user The user to unban
    * @param {string} [reason] Reason for unbanning user
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<?User>}
    * @example
    * // Unban a user by id (or with a user/guild member object)
@@ -193,10 +198,10 @@ class GuildBanManager extends CachedManager {
    *   .then(user => console.log(`Unbanned ${user.username} from ${guild.name}`))
    *   .catch(console.error);
    */
-  async remove(user, reason) {
+  async remove(user, reason, signal) {
     const id = this.client.users.resolveId(user);
     if (!id) throw new Error('BAN_RESOLVE_ID');
-    await this.client.api.guilds(this.guild.id).bans(id).delete({ reason });
+    await this.client.api.guilds(this.guild.id).bans(id).delete({ reason, signal });
     return this.client.users.resolve(user);
   }
 
@@ -206,6 +211,7 @@ class GuildBanManager extends CachedManager {
    * @property {number} [deleteMessageSeconds] Number of seconds of messages to delete,
    * must be between 0 and 604800 (7 days), inclusive
    * @property {string} [reason] The reason for the bans
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -242,6 +248,7 @@ class GuildBanManager extends CachedManager {
     const result = await this.client.api.guilds(this.guild.id)['bulk-ban'].post({
       data: { delete_message_days: options.deleteMessageSeconds, user_ids: userIds },
       reason: options.reason,
+      signal: options.signal,
     });
     return { bannedUsers: result.banned_users, failedUsers: result.failed_users };
   }
@@ -151,6 +151,7 @@ class GuildChannelManager extends CachedManager {
       defaultForumLayout,
       defaultThreadRateLimitPerUser,
       reason,
+      signal,
     } = {},
   ) {
     parent &&= this.client.channels.resolveId(parent);
@@ -194,6 +195,7 @@ class GuildChannelManager extends CachedManager {
         default_thread_rate_limit_per_user: defaultThreadRateLimitPerUser,
       },
       reason,
+      signal,
     });
     return this.client.actions.ChannelCreate.handle(data).channel;
   }
@@ -213,7 +215,7 @@ class GuildChannelManager extends CachedManager {
    *   .then(console.log)
    *   .catch(console.error)
    */
-  async createWebhook(channel, name, { avatar, reason } = {}) {
+  async createWebhook(channel, name, { avatar, reason, signal } = {}) {
     const id = this.resolveId(channel);
     if (!id) throw new TypeError('INVALID_TYPE', 'channel', 'GuildChannelResolvable');
 
@@ -225,6 +227,7 @@ class GuildChannelManager extends CachedManager {
         avatar: resolvedImage,
       },
       reason,
+      signal,
     });
     return new Webhook(this.client, data);
   }
@@ -234,15 +237,17 @@ class GuildChannelManager extends CachedManager {
    * @param {NewsChannel|Snowflake} channel The channel to follow
    * @param {TextChannelResolvable} targetChannel The channel where published announcements will be posted at
    * @param {string} [reason] Reason for creating the webhook
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Snowflake>} Returns created target webhook id.
    */
-  async addFollower(channel, targetChannel, reason) {
+  async addFollower(channel, targetChannel, reason, signal) {
     const channelId = this.resolveId(channel);
     const targetChannelId = this.resolveId(targetChannel);
     if (!channelId || !targetChannelId) throw new Error('GUILD_CHANNEL_RESOLVE');
     const { webhook_id } = await this.client.api.channels[channelId].followers.post({
       data: { webhook_channel_id: targetChannelId },
       reason,
+      signal,
     });
     return webhook_id;
   }
@@ -279,6 +284,7 @@ class GuildChannelManager extends CachedManager {
    * @param {GuildChannelResolvable} channel The channel to edit
    * @param {ChannelData} data The new data for the channel
    * @param {string} [reason] Reason for editing this channel
+   * @param {AbortSignal} [signal] A signal to abort the requests with
    * @returns {Promise<GuildChannel>}
    * @example
    * // Edit a channel
@@ -286,13 +292,13 @@ class GuildChannelManager extends CachedManager {
    *   .then(console.log)
    *   .catch(console.error);
    */
-  async edit(channel, data, reason) {
+  async edit(channel, data, reason, signal) {
     channel = this.resolve(channel);
     if (!channel) throw new TypeError('INVALID_TYPE', 'channel', 'GuildChannelResolvable');
 
     const parentId = data.parent && this.client.channels.resolveId(data.parent);
 
-    if (typeof data.position !== 'undefined') await this.setPosition(channel, data.position, { reason });
+    if (typeof data.position !== 'undefined') await this.setPosition(channel, data.position, { reason, signal });
 
     let permission_overwrites = data.permissionOverwrites?.map(o => PermissionOverwrites.resolve(o, this.guild));
 
@@ -338,6 +344,7 @@ class GuildChannelManager extends CachedManager {
           typeof data.defaultSortOrder === 'string' ? SortOrderTypes[data.defaultSortOrder] : data.defaultSortOrder,
       },
       reason,
+      signal,
     });
 
     return this.client.actions.ChannelUpdate.handle(newData).updated;
@@ -355,7 +362,7 @@ class GuildChannelManager extends CachedManager {
    *   .then(newChannel => console.log(`Channel's new position is ${newChannel.position}`))
    *   .catch(console.error);
    */
-  async setPosition(channel, position, { relative, reason } = {}) {
+  async setPosition(channel, position, { relative, reason, signal } = {}) {
     channel = this.resolve(channel);
     if (!channel) throw new TypeError('INVALID_TYPE', 'channel', 'GuildChannelResolvable');
     const updatedChannels = await Util.setPosition(
@@ -365,6 +372,7 @@ class GuildChannelManager extends CachedManager {
       this.guild._sortedChannels(channel),
       this.client.api.guilds(this.guild.id).channels,
       reason,
+      signal,
     );
 
     this.client.actions.GuildChannelsPositionUpdate.handle({
@@ -390,20 +398,20 @@ class GuildChannelManager extends CachedManager {
    *   .then(channel => console.log(`The channel name is: ${channel.name}`))
    *   .catch(console.error);
    */
-  async fetch(id, { cache = true, force = false } = {}) {
+  async fetch(id, { cache = true, force = false, signal } = {}) {
     if (id && !force) {
-      const existing = this.cache.get(id);
+      const existing = this._lookup(id);
       if (existing) return existing;
     }
 
     if (id) {
-      const data = await this.client.api.channels(id).get();
+      const data = await this.client.api.channels(id).get({ signal });
       // Since this is the guild manager, throw if on a different guild
       if (this.guild.id !== data.guild_id) throw new Error('GUILD_CHANNEL_UNOWNED');
       return this.client.channels._add(data, this.guild, { cache });
     }
 
-    const data = await this.client.api.guilds(this.guild.id).channels.get();
+    const data = await this.client.api.guilds(this.guild.id).channels.get({ signal });
     const channels = new Collection();
     for (const channel of data) channels.set(channel.id, this.client.channels._add(channel, this.guild, { cache }));
     return channels;
@@ -412,6 +420,7 @@ class GuildChannelManager extends CachedManager {
   /**
    * Fetches all webhooks for the channel.
    * @param {GuildChannelResolvable} channel The channel to fetch webhooks for
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Collection<Snowflake, Webhook>>}
    * @example
    * // Fetch webhooks
@@ -419,10 +428,10 @@ class GuildChannelManager extends CachedManager {
    *   .then(hooks => console.log(`This channel has ${hooks.size} hooks`))
    *   .catch(console.error);
    */
-  async fetchWebhooks(channel) {
+  async fetchWebhooks(channel, signal) {
     const id = this.resolveId(channel);
     if (!id) throw new TypeError('INVALID_TYPE', 'channel', 'GuildChannelResolvable');
-    const data = await this.client.api.channels[id].webhooks.get();
+    const data = await this.client.api.channels[id].webhooks.get({ signal });
     return data.reduce((hooks, hook) => hooks.set(hook.id, new Webhook(this.client, hook)), new Collection());
   }
 
@@ -446,13 +455,14 @@ class GuildChannelManager extends CachedManager {
    * Batch-updates the guild's channels' positions.
    * <info>Only one channel's parent can be changed at a time</info>
    * @param {ChannelPosition[]} channelPositions Channel positions to update
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Guild>}
    * @example
    * guild.channels.setPositions([{ channel: channelId, position: newChannelIndex }])
    *   .then(guild => console.log(`Updated channel positions for ${guild}`))
    *   .catch(console.error);
    */
-  async setPositions(channelPositions) {
+  async setPositions(channelPositions, signal) {
     channelPositions = channelPositions.map(r => ({
       id: this.client.channels.resolveId(r.channel),
       position: r.position,
@@ -460,7 +470,7 @@ class GuildChannelManager extends CachedManager {
       parent_id: typeof r.parent !== 'undefined' ? this.resolveId(r.parent) : undefined,
     }));
 
-    await this.client.api.guilds(this.guild.id).channels.patch({ data: channelPositions });
+    await this.client.api.guilds(this.guild.id).channels.patch({ data: channelPositions, signal });
     return this.client.actions.GuildChannelsPositionUpdate.handle({
       guild_id: this.guild.id,
       channels: channelPositions,
@@ -471,6 +481,7 @@ class GuildChannelManager extends CachedManager {
    * Deletes the channel.
    * @param {GuildChannelResolvable} channel The channel to delete
    * @param {string} [reason] Reason for deleting this channel
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    * @example
    * // Delete the channel
@@ -478,10 +489,10 @@ class GuildChannelManager extends CachedManager {
    *   .then(console.log)
    *   .catch(console.error);
    */
-  async delete(channel, reason) {
+  async delete(channel, reason, signal) {
     const id = this.resolveId(channel);
     if (!id) throw new TypeError('INVALID_TYPE', 'channel', 'GuildChannelResolvable');
-    await this.client.api.channels(id).delete({ reason });
+    await this.client.api.channels(id).delete({ reason, signal });
   }
 }
 
@@ -30,6 +30,7 @@ class GuildEmojiManager extends BaseGuildEmojiManager {
    * @typedef {Object} GuildEmojiCreateOptions
    * @property {Collection<Snowflake, Role>|RoleResolvable[]} [roles] The roles to limit the emoji to
    * @property {string} [reason] The reason for creating the emoji
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -49,7 +50,7 @@ class GuildEmojiManager extends BaseGuildEmojiManager {
    *   .then(emoji => console.log(`Created new emoji with name ${emoji.name}!`))
    *   .catch(console.error);
    */
-  async create(attachment, name, { roles, reason } = {}) {
+  async create(attachment, name, { roles, reason, signal } = {}) {
     attachment = await DataResolver.resolveImage(attachment);
     if (!attachment) throw new TypeError('REQ_RESOURCE_TYPE');
 
@@ -66,7 +67,7 @@ class GuildEmojiManager extends BaseGuildEmojiManager {
       }
     }
 
-    const emoji = await this.client.api.guilds(this.guild.id).emojis.post({ data, reason });
+    const emoji = await this.client.api.guilds(this.guild.id).emojis.post({ data, reason, signal });
     return this.client.actions.GuildEmojiCreate.handle(this.guild, emoji).emoji;
   }
 
@@ -86,17 +87,17 @@ class GuildEmojiManager extends BaseGuildEmojiManager {
    *   .then(emoji => console.log(`The emoji name is: ${emoji.name}`))
    *   .catch(console.error);
    */
-  async fetch(id, { cache = true, force = false } = {}) {
+  async fetch(id, { cache = true, force = false, signal } = {}) {
     if (id) {
       if (!force) {
-        const existing = this.cache.get(id);
+        const existing = this._lookup(id);
         if (existing) return existing;
       }
-      const emoji = await this.client.api.guilds(this.guild.id).emojis(id).get();
+      const emoji = await this.client.api.guilds(this.guild.id).emojis(id).get({ signal });
       return this._add(emoji, cache);
     }
 
-    const data = await this.client.api.guilds(this.guild.id).emojis.get();
+    const data = await this.client.api.guilds(this.guild.id).emojis.get({ signal });
     const emojis = new Collection();
     for (const emoji of data) emojis.set(emoji.id, this._add(emoji, cache));
     return emojis;
@@ -106,12 +107,13 @@ class GuildEmojiManager extends BaseGuildEmojiManager {
    * Deletes an emoji.
    * @param {EmojiResolvable} emoji The Emoji resolvable to delete
    * @param {string} [reason] Reason for deleting the emoji
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  async delete(emoji, reason) {
+  async delete(emoji, reason, signal) {
     const id = this.resolveId(emoji);
     if (!id) throw new TypeError('INVALID_TYPE', 'emoji', 'EmojiResolvable', true);
-    await this.client.api.guilds(this.guild.id).emojis(id).delete({ reason });
+    await this.client.api.guilds(this.guild.id).emojis(id).delete({ reason, signal });
   }
 
   /**
@@ -119,9 +121,10 @@ class GuildEmojiManager extends BaseGuildEmojiManager {
    * @param {EmojiResolvable} emoji The Emoji resolvable to edit
    * @param {GuildEmojiEditData} data The new data for the emoji
    * @param {string} [reason] Reason for editing this emoji
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildEmoji>}
    */
-  async edit(emoji, data, reason) {
+  async edit(emoji, data, reason, signal) {
     const id = this.resolveId(emoji);
     if (!id) throw new TypeError('INVALID_TYPE', 'emoji', 'EmojiResolvable', true);
     const roles = data.roles?.map(r => this.guild.roles.resolveId(r));
@@ -134,6 +137,7 @@ class GuildEmojiManager extends BaseGuildEmojiManager {
           roles,
         },
         reason,
+        signal,
       });
     const existing = this.cache.get(id);
     if (existing) {
@@ -147,9 +151,10 @@ class GuildEmojiManager extends BaseGuildEmojiManager {
   /**
    * Fetches the author for this emoji
    * @param {EmojiResolvable} emoji The emoji to fetch the author of
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<User>}
    */
-  async fetchAuthor(emoji) {
+  async fetchAuthor(emoji, signal) {
     emoji = this.resolve(emoji);
     if (!emoji) throw new TypeError('INVALID_TYPE', 'emoji', 'EmojiResolvable', true);
     if (emoji.managed) {
@@ -162,7 +167,7 @@ class GuildEmojiManager extends BaseGuildEmojiManager {
       throw new Error('MISSING_MANAGE_EMOJIS_AND_STICKERS_PERMISSION', this.guild);
     }
 
-    const data = await this.client.api.guilds(this.guild.id).emojis(emoji.id).get();
+    const data = await this.client.api.guilds(this.guild.id).emojis(emoji.id).get({ signal });
     emoji._patch(data);
     return emoji.author;
   }
@@ -3,7 +3,7 @@
 const ThreadManager = require('./ThreadManager');
 const { TypeError } = require('../errors');
 const MessagePayload = require('../structures/MessagePayload');
-const { resolveAutoArchiveMaxLimit, getUploadURL, uploadFile } = require('../util/Util');
+const { resolveAutoArchiveMaxLimit, uploadAttachments } = require('../util/Util');
 
 /**
  * Manages API methods for threads in forum channels and stores their cache.
@@ -55,6 +55,7 @@ class GuildForumThreadManager extends ThreadManager {
     reason,
     rateLimitPerUser,
     appliedTags,
+    signal,
   } = {}) {
     if (!message) {
       throw new TypeError('GUILD_FORUM_MESSAGE_REQUIRED');
@@ -71,20 +72,7 @@ class GuildForumThreadManager extends ThreadManager {
     const { data: body, files } = await messagePayload.resolveFiles();
 
     // New API
-    const attachments = await getUploadURL(this.client, this.channel.id, files);
-    const requestPromises = attachments.map(async attachment => {
-      await uploadFile(files[attachment.id].file, attachment.upload_url);
-      return {
-        id: attachment.id,
-        filename: files[attachment.id].name,
-        uploaded_filename: attachment.upload_filename,
-        description: files[attachment.id].description,
-        duration_secs: files[attachment.id].duration_secs,
-        waveform: files[attachment.id].waveform,
-      };
-    });
-    const attachmentsData = await Promise.all(requestPromises);
-    attachmentsData.sort((a, b) => parseInt(a.id) - parseInt(b.id));
+    const attachmentsData = await uploadAttachments(this.client, this.channel.id, files, signal);
 
     if (autoArchiveDuration === 'MAX') autoArchiveDuration = resolveAutoArchiveMaxLimit(this.channel.guild);
 
@@ -99,6 +87,7 @@ class GuildForumThreadManager extends ThreadManager {
       },
       files: [],
       reason,
+      signal,
     });
 
     return this.client.actions.ThreadCreate.handle(post_data).thread;
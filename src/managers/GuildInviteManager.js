@@ -74,6 +74,7 @@ class GuildInviteManager extends CachedManager {
    * @property {InviteResolvable} code The invite to fetch
    * @property {boolean} [cache=true] Whether or not to cache the fetched invite
    * @property {boolean} [force=false] Whether to skip the cache check and request the API
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -82,6 +83,7 @@ class GuildInviteManager extends CachedManager {
    * @property {GuildInvitableChannelResolvable} [channelId]
    * The channel to fetch all invites from
    * @property {boolean} [cache=true] Whether or not to cache the fetched invites
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -130,10 +132,10 @@ class GuildInviteManager extends CachedManager {
       if (options.channelId) {
         const id = this.guild.channels.resolveId(options.channelId);
         if (!id) throw new Error('GUILD_CHANNEL_RESOLVE');
-        return this._fetchChannelMany(id, options.cache);
+        return this._fetchChannelMany(id, options.cache, options.signal);
       }
 
-      if ('cache' in options) return this._fetchMany(options.cache);
+      if ('cache' in options) return this._fetchMany(options.cache, options.signal);
       throw new Error('INVITE_RESOLVE_CODE');
     }
     return this._fetchSingle({
@@ -142,25 +144,25 @@ class GuildInviteManager extends CachedManager {
     });
   }
 
-  async _fetchSingle({ code, cache, force = false }) {
+  async _fetchSingle({ code, cache, force = false, signal }) {
     if (!force) {
-      const existing = this.cache.get(code);
+      const existing = this._lookup(code);
       if (existing) return existing;
     }
 
-    const invites = await this._fetchMany(cache);
+    const invites = await this._fetchMany(cache, signal);
     const invite = invites.get(code);
     if (!invite) throw new Error('INVITE_NOT_FOUND');
     return invite;
   }
 
-  async _fetchMany(cache) {
-    const data = await this.client.api.guilds(this.guild.id).invites.get();
+  async _fetchMany(cache, signal) {
+    const data = await this.client.api.guilds(this.guild.id).invites.get({ signal });
     return data.reduce((col, invite) => col.set(invite.code, this._add(invite, cache)), new Collection());
   }
 
-  async _fetchChannelMany(channelId, cache) {
-    const data = await this.client.api.channels(channelId).invites.get();
+  async _fetchChannelMany(channelId, cache, signal) {
+    const data = await this.client.api.channels(channelId).invites.get({ signal });
     return data.reduce((col, invite) => col.set(invite.code, this._add(invite, cache)), new Collection());
   }
 
@@ -177,7 +179,17 @@ class GuildInviteManager extends CachedManager {
    */
   async create(
     channel,
-    { temporary = false, maxAge = 86400, maxUses = 0, unique, targetUser, targetApplication, targetType, reason } = {},
+    {
+      temporary = false,
+      maxAge = 86400,
+      maxUses = 0,
+      unique,
+      targetUser,
+      targetApplication,
+      targetType,
+      reason,
+      signal,
+    } = {},
   ) {
     const id = this.guild.channels.resolveId(channel);
     if (!id) throw new Error('GUILD_CHANNEL_RESOLVE');
@@ -193,6 +205,7 @@ class GuildInviteManager extends CachedManager {
         target_type: targetType,
       },
       reason,
+      signal,
     });
     return new Invite(this.client, invite);
   }
@@ -201,12 +214,13 @@ class GuildInviteManager extends CachedManager {
    * Deletes an invite.
    * @param {InviteResolvable} invite The invite to delete
    * @param {string} [reason] Reason for deleting the invite
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  async delete(invite, reason) {
+  async delete(invite, reason, signal) {
     const code = DataResolver.resolveInviteCode(invite);
 
-    await this.client.api.invites(code).delete({ reason });
+    await this.client.api.invites(code).delete({ reason, signal });
   }
 }
 
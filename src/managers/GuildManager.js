@@ -159,6 +159,7 @@ class GuildManager extends CachedManager {
    * @property {Snowflake|number} [systemChannelId] The system channel's id
    * @property {SystemChannelFlagsResolvable} [systemChannelFlags] The flags of the system channel
    * @property {VerificationLevel} [verificationLevel] The verification level for the guild
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -180,6 +181,7 @@ class GuildManager extends CachedManager {
       systemChannelId,
       systemChannelFlags,
       verificationLevel,
+      signal,
     } = {},
   ) {
     icon = await DataResolver.resolveImage(icon);
@@ -240,6 +242,7 @@ class GuildManager extends CachedManager {
         system_channel_flags: systemChannelFlags,
         guild_template_code: '2TffvPucqHkN', // From Discord
       },
+      signal,
     });
 
     if (this.client.guilds.cache.has(data.id)) return this.client.guilds.cache.get(data.id);
@@ -277,6 +280,7 @@ class GuildManager extends CachedManager {
    * @property {Snowflake} [before] Get guilds before this guild id
    * @property {Snowflake} [after] Get guilds after this guild id
    * @property {number} [limit=200] Maximum number of guilds to request (1-200)
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -289,15 +293,19 @@ class GuildManager extends CachedManager {
 
     if (id) {
       if (!options.force) {
-        const existing = this.cache.get(id);
+        const existing = this._lookup(id);
         if (existing) return existing;
       }
 
-      const data = await this.client.api.guilds(id).get({ query: { with_counts: options.withCounts ?? true } });
+      const data = await this.client.api.guilds(id).get({
+        query: { with_counts: options.withCounts ?? true },
+        signal: options.signal,
+      });
       return this._add(data, options.cache);
     }
 
-    const data = await this.client.api.users('@me').guilds.get({ query: options });
+    const { signal, ...query } = options;
+    const data = await this.client.api.users('@me').guilds.get({ query, signal });
     return data.reduce((coll, guild) => coll.set(guild.id, new OAuth2Guild(this.client, guild)), new Collection());
   }
 
@@ -306,6 +314,7 @@ class GuildManager extends CachedManager {
    * @typedef {Object} IncidentActionsEditOptions
    * @property {?DateResolvable} [invitesDisabledUntil] When invites should be enabled again
    * @property {?DateResolvable} [dmsDisabledUntil] When direct messages should be enabled again
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -314,7 +323,7 @@ class GuildManager extends CachedManager {
    * @param {IncidentActionsEditOptions} incidentActions The incident actions to set
    * @returns {Promise<IncidentActions>}
    */
-  async setIncidentActions(guild, { invitesDisabledUntil, dmsDisabledUntil }) {
+  async setIncidentActions(guild, { invitesDisabledUntil, dmsDisabledUntil, signal }) {
     const guildId = this.resolveId(guild);
 
     const data = await this.client.api.guilds(guildId)['incident-actions'].put({
@@ -322,6 +331,7 @@ class GuildManager extends CachedManager {
         invites_disabled_until: invitesDisabledUntil && new Date(invitesDisabledUntil).toISOString(),
         dms_disabled_until: dmsDisabledUntil && new Date(dmsDisabledUntil).toISOString(),
       },
+      signal,
     });
 
     const parsedData = Util.transformAPIIncidentsData(data);
@@ -84,6 +84,7 @@ class GuildMemberManager extends CachedManager {
    * @property {boolean} [deaf] Whether the member should be deafened (requires `DEAFEN_MEMBERS`)
    * @property {boolean} [force] Whether to skip the cache check and call the API directly
    * @property {boolean} [fetchWhenExisting=true] Whether to fetch the user if not cached and already a member
+   * @property {AbortSignal} [signal] A signal to abort the requests with
    */
 
   /**
@@ -117,9 +118,11 @@ class GuildMemberManager extends CachedManager {
       }
       resolvedOptions.roles = resolvedRoles;
     }
-    const data = await this.client.api.guilds(this.guild.id).members(userId).put({ data: resolvedOptions });
+    const { signal } = options;
+    const data = await this.client.api.guilds(this.guild.id).members(userId).put({ data: resolvedOptions, signal });
     // Data is an empty buffer if the member is already part of the guild.
-    return data instanceof Buffer ? (options.fetchWhenExisting === false ? null : this.fetch(userId)) : this._add(data);
+    if (!(data instanceof Buffer)) return this._add(data);
+    return options.fetchWhenExisting === false ? null : this._fetchSingle({ user: userId, cache: true, signal });
   }
 
   /**
@@ -232,6 +235,7 @@ class GuildMemberManager extends CachedManager {
    * @property {string} query Filter members whose username or nickname start with this query
    * @property {number} [limit=1] Maximum number of members to search
    * @property {boolean} [cache=true] Whether or not to cache the fetched member(s)
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -239,8 +243,8 @@ class GuildMemberManager extends CachedManager {
    * @param {GuildSearchMembersOptions} options Options for searching members
    * @returns {Promise<Collection<Snowflake, GuildMember>>}
    */
-  async search({ query, limit = 1, cache = true } = {}) {
-    const data = await this.client.api.guilds(this.guild.id).members.search.get({ query: { query, limit } });
+  async search({ query, limit = 1, cache = true, signal } = {}) {
+    const data = await this.client.api.guilds(this.guild.id).members.search.get({ query: { query, limit }, signal });
     return data.reduce((col, member) => col.set(member.user.id, this._add(member, cache)), new Collection());
   }
 
@@ -267,9 +271,10 @@ class GuildMemberManager extends CachedManager {
    * @param {UserResolvable} user The member to edit
    * @param {GuildMemberEditData} data The data to edit the member with
    * @param {string} [reason] Reason for editing this user
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildMember>}
    */
-  async edit(user, data, reason) {
+  async edit(user, data, reason, signal) {
     const id = this.client.users.resolveId(user);
     if (!id) throw new TypeError('INVALID_TYPE', 'user', 'UserResolvable');
 
@@ -312,7 +317,7 @@ class GuildMemberManager extends CachedManager {
     } else {
       endpoint = endpoint.members(id);
     }
-    const d = await endpoint.patch({ data: _data, reason });
+    const d = await endpoint.patch({ data: _data, reason, signal });
 
     const clone = this.cache.get(id)?._clone();
     clone?._patch(d);
@@ -329,6 +334,7 @@ class GuildMemberManager extends CachedManager {
    * @property {boolean} [count=true] Whether or not to return the number of users that have been kicked.
    * @property {RoleResolvable[]} [roles] Array of roles to bypass the "...and no roles" constraint when pruning
    * @property {string} [reason] Reason for this prune
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -351,7 +357,7 @@ class GuildMemberManager extends CachedManager {
    *    .then(pruned => console.log(`I just pruned ${pruned} people!`))
    *    .catch(console.error);
    */
-  async prune({ days = 7, dry = false, count: compute_prune_count = true, roles = [], reason } = {}) {
+  async prune({ days = 7, dry = false, count: compute_prune_count = true, roles = [], reason, signal } = {}) {
     if (typeof days !== 'number') throw new TypeError('PRUNE_DAYS_TYPE');
 
     const query = { days };
@@ -372,8 +378,8 @@ class GuildMemberManager extends CachedManager {
     const endpoint = this.client.api.guilds(this.guild.id).prune;
 
     const { pruned } = await (dry
-      ? endpoint.get({ query, reason })
-      : endpoint.post({ data: { ...query, compute_prune_count }, reason }));
+      ? endpoint.get({ query, reason, signal })
+      : endpoint.post({ data: { ...query, compute_prune_count }, reason, signal }));
 
     return pruned;
   }
@@ -383,6 +389,7 @@ class GuildMemberManager extends CachedManager {
    * <info>The user must be a member of the guild</info>
    * @param {UserResolvable} user The member to kick
    * @param {string} [reason] Reason for kicking
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildMember|User|Snowflake>} Result object will be resolved as specifically as possible.
    * If the GuildMember cannot be resolved, the User will instead be attempted to be resolved. If that also cannot
    * be resolved, the user's id will be the result.
@@ -392,11 +399,11 @@ class GuildMemberManager extends CachedManager {
    *   .then(kickInfo => console.log(`Kicked ${kickInfo.user?.tag ?? kickInfo.tag ?? kickInfo}`))
    *   .catch(console.error);
    */
-  async kick(user, reason) {
+  async kick(user, reason, signal) {
     const id = this.client.users.resolveId(user);
     if (!id) throw new TypeError('INVALID_TYPE', 'user', 'UserResolvable');
 
-    await this.client.api.guilds(this.guild.id).members(id).delete({ reason });
+    await this.client.api.guilds(this.guild.id).members(id).delete({ reason, signal });
 
     return this.resolve(user) ?? this.client.users.resolve(user) ?? id;
   }
@@ -423,6 +430,7 @@ class GuildMemberManager extends CachedManager {
    * Unbans a user from the guild. Internally calls the {@link GuildBanManager#remove} method.
    * @param {UserResolvable} user The user to unban
    * @param {string} [reason] Reason for unbanning user
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<?User>} The user that was unbanned
    * @example
    * // Unban a user by id (or with a user/guild member object)
@@ -430,17 +438,17 @@ class GuildMemberManager extends CachedManager {
    *   .then(user => console.log(`Unbanned ${user.username} from ${guild.name}`))
    *   .catch(console.error);
    */
-  unban(user, reason) {
-    return this.guild.bans.remove(user, reason);
+  unban(user, reason, signal) {
+    return this.guild.bans.remove(user, reason, signal);
   }
 
-  async _fetchSingle({ user, cache, force = false }) {
+  async _fetchSingle({ user, cache, force = false, signal }) {
     if (!force) {
-      const existing = this.cache.get(user);
+      const existing = this._lookup(user);
       if (existing && !existing.partial) return existing;
     }
 
-    const data = await this.client.api.guilds(this.guild.id).members(user).get();
+    const data = await this.client.api.guilds(this.guild.id).members(user).get({ signal });
     return this._add(data, cache);
   }
 
@@ -449,13 +457,14 @@ class GuildMemberManager extends CachedManager {
    * @param {GuildMemberResolvable} user The user to add the role from
    * @param {RoleResolvable} role The role to add
    * @param {string} [reason] Reason for adding the role
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildMember|User|Snowflake>}
    */
-  async addRole(user, role, reason) {
+  async addRole(user, role, reason, signal) {
     const userId = this.resolveId(user);
     const roleId = this.guild.roles.resolveId(role);
 
-    await this.client.api.guilds(this.guild.id).members(userId).roles(roleId).put({ reason });
+    await this.client.api.guilds(this.guild.id).members(userId).roles(roleId).put({ reason, signal });
 
     return this.resolve(user) ?? this.client.users.resolve(user) ?? userId;
   }
@@ -465,13 +474,14 @@ class GuildMemberManager extends CachedManager {
    * @param {UserResolvable} user The user to remove the role from
    * @param {RoleResolvable} role The role to remove
    * @param {string} [reason] Reason for removing the role
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildMember|User|Snowflake>}
    */
-  async removeRole(user, role, reason) {
+  async removeRole(user, role, reason, signal) {
     const userId = this.resolveId(user);
     const roleId = this.guild.roles.resolveId(role);
 
-    await this.client.api.guilds(this.guild.id).members(userId).roles(roleId).delete({ reason });
+    await this.client.api.guilds(this.guild.id).members(userId).roles(roleId).delete({ reason, signal });
 
     return this.resolve(user) ?? this.client.users.resolve(user) ?? userId;
   }
@@ -480,14 +490,28 @@ class GuildMemberManager extends CachedManager {
    * Experimental method to fetch members from the guild.
    * <info>Lists up to 10000 members of the guild.</info>
    * @param {number} [timeout=15_000] Timeout for receipt of members in ms
+   * @param {AbortSignal} [signal] A signal to stop fetching the members with
    * @returns {Promise<Collection<Snowflake, GuildMember>>}
    */
-  fetchByMemberSafety(timeout = 15_000) {
-    return new Promise(resolve => {
+  fetchByMemberSafety(timeout = 15_000, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new Error('GUILD_MEMBERS_ABORTED'));
+        return;
+      }
       const nonce = SnowflakeUtil.generate();
       const fetchedMembers = new Collection();
-      let timeout_ = setTimeout(() => {
+      const cleanup = () => {
+        clearTimeout(timeout_);
         this.client.removeListener(Events.GUILD_MEMBERS_CHUNK, handler);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        cleanup();
+        reject(new Error('GUILD_MEMBERS_ABORTED'));
+      };
+      let timeout_ = setTimeout(() => {
+        cleanup();
         resolve(fetchedMembers);
       }, timeout).unref();
       const handler = (members, guild, chunk) => {
@@ -506,12 +530,12 @@ class GuildMemberManager extends CachedManager {
               },
             });
           } else {
-            clearTimeout(timeout_);
-            this.client.removeListener(Events.GUILD_MEMBERS_CHUNK, handler);
+            cleanup();
             resolve(fetchedMembers);
           }
         }
       };
+      signal?.addEventListener('abort', onAbort, { once: true });
       this.client.on(Events.GUILD_MEMBERS_CHUNK, handler);
       this.client.ws.broadcast({
         op: Opcodes.SEARCH_RECENT_MEMBERS,
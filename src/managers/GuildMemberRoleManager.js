@@ -104,9 +104,10 @@ class GuildMemberRoleManager extends DataManager {
    * <info>Uses the idempotent PUT route for singular roles, otherwise PATCHes the underlying guild member</info>
    * @param {RoleResolvable|RoleResolvable[]|Collection<Snowflake, Role>} roleOrRoles The role or roles to add
    * @param {string} [reason] Reason for adding the role(s)
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildMember>}
    */
-  async add(roleOrRoles, reason) {
+  async add(roleOrRoles, reason, signal) {
     if (roleOrRoles instanceof Collection || Array.isArray(roleOrRoles)) {
       const resolvedRoles = [];
       for (const role of roleOrRoles.values()) {
@@ -116,14 +117,14 @@ class GuildMemberRoleManager extends DataManager {
       }
 
       const newRoles = [...new Set(resolvedRoles.concat(...this.cache.keys()))];
-      return this.set(newRoles, reason);
+      return this.set(newRoles, reason, signal);
     } else {
       roleOrRoles = this.guild.roles.resolveId(roleOrRoles);
       if (roleOrRoles === null) {
         throw new TypeError('INVALID_TYPE', 'roles', 'Role, Snowflake or Array or Collection of Roles or Snowflakes');
       }
 
-      await this.client.api.guilds[this.guild.id].members[this.member.id].roles[roleOrRoles].put({ reason });
+      await this.client.api.guilds[this.guild.id].members[this.member.id].roles[roleOrRoles].put({ reason, signal });
 
       const clone = this.member._clone();
       clone._roles = [...this.cache.keys(), roleOrRoles];
@@ -137,9 +138,10 @@ class GuildMemberRoleManager extends DataManager {
    * <info>Uses the idempotent DELETE route for singular roles, otherwise PATCHes the underlying guild member</info>
    * @param {RoleResolvable|RoleResolvable[]|Collection<Snowflake, Role>} roleOrRoles The role or roles to remove
    * @param {string} [reason] Reason for removing the role(s)
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildMember>}
    */
-  async remove(roleOrRoles, reason) {
+  async remove(roleOrRoles, reason, signal) {
     if (roleOrRoles instanceof Collection || Array.isArray(roleOrRoles)) {
       const resolvedRoles = [];
       for (const role of roleOrRoles.values()) {
@@ -149,14 +151,14 @@ class GuildMemberRoleManager extends DataManager {
       }
 
       const newRoles = this.cache.filter(role => !resolvedRoles.includes(role.id));
-      return this.set(newRoles, reason);
+      return this.set(newRoles, reason, signal);
     } else {
       roleOrRoles = this.guild.roles.resolveId(roleOrRoles);
       if (roleOrRoles === null) {
         throw new TypeError('INVALID_TYPE', 'roles', 'Role, Snowflake or Array or Collection of Roles or Snowflakes');
       }
 
-      await this.client.api.guilds[this.guild.id].members[this.member.id].roles[roleOrRoles].delete({ reason });
+      await this.client.api.guilds[this.guild.id].members[this.member.id].roles[roleOrRoles].delete({ reason, signal });
 
       const clone = this.member._clone();
       const newRoles = this.cache.filter(role => role.id !== roleOrRoles);
@@ -169,6 +171,7 @@ class GuildMemberRoleManager extends DataManager {
    * Sets the roles applied to the member.
    * @param {Collection<Snowflake, Role>|RoleResolvable[]} roles The roles or role ids to apply
    * @param {string} [reason] Reason for applying the roles
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildMember>}
    * @example
    * // Set the member's roles to a single role
@@ -181,8 +184,8 @@ class GuildMemberRoleManager extends DataManager {
    *   .then(member => console.log(`Member roles is now of ${member.roles.cache.size} size`))
    *   .catch(console.error);
    */
-  set(roles, reason) {
-    return this.member.edit({ roles }, reason);
+  set(roles, reason, signal) {
+    return this.member.edit({ roles }, reason, signal);
   }
 
   clone() {
@@ -65,6 +65,7 @@ class GuildScheduledEventManager extends CachedManager {
    * <warn>This is required if `entityType` is 'EXTERNAL'</warn>
    * @property {?(BufferResolvable|Base64Resolvable)} [image] The cover image of the guild scheduled event
    * @property {string} [reason] The reason for creating the guild scheduled event
+   * @property {AbortSignal} [signal] A signal to abort the request with
    * @property {GuildScheduledEventRecurrenceRuleOptions} [recurrenceRule]
    * The recurrence rule of the guild scheduled event
    */
@@ -95,6 +96,7 @@ class GuildScheduledEventManager extends CachedManager {
       reason,
       image,
       recurrenceRule,
+      signal,
     } = options;
 
     if (typeof privacyLevel === 'string') privacyLevel = PrivacyLevels[privacyLevel];
@@ -124,6 +126,7 @@ class GuildScheduledEventManager extends CachedManager {
         recurrence_rule: recurrenceRule && Util.transformGuildScheduledEventRecurrenceRule(recurrenceRule),
       },
       reason,
+      signal,
     });
 
     return this._add(data);
@@ -142,6 +145,7 @@ class GuildScheduledEventManager extends CachedManager {
    * @property {boolean} [cache] Whether or not to cache the fetched guild scheduled events
    * @property {boolean} [withUserCount=true] Whether to fetch the number of users subscribed to each scheduled event
    * should be returned
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -155,19 +159,19 @@ class GuildScheduledEventManager extends CachedManager {
 
     if (id) {
       if (!options.force) {
-        const existing = this.cache.get(id);
+        const existing = this._lookup(id);
         if (existing) return existing;
       }
 
       const data = await this.client.api
         .guilds(this.guild.id, 'scheduled-events', id)
-        .get({ query: { with_user_count: options.withUserCount ?? true } });
+        .get({ query: { with_user_count: options.withUserCount ?? true }, signal: options.signal });
       return this._add(data, options.cache);
     }
 
     const data = await this.client.api
       .guilds(this.guild.id, 'scheduled-events')
-      .get({ query: { with_user_count: options.withUserCount ?? true } });
+      .get({ query: { with_user_count: options.withUserCount ?? true }, signal: options.signal });
 
     return data.reduce(
       (coll, rawGuildScheduledEventData) =>
@@ -192,6 +196,7 @@ class GuildScheduledEventManager extends CachedManager {
    * <warn>This can be modified only if `entityType` of the `GuildScheduledEvent` to be edited is 'EXTERNAL'</warn>
    * @property {?(BufferResolvable|Base64Resolvable)} [image] The cover image of the guild scheduled event
    * @property {string} [reason] The reason for editing the guild scheduled event
+   * @property {AbortSignal} [signal] A signal to abort the request with
    * @property {?GuildScheduledEventRecurrenceRuleOptions} [recurrenceRule]
    * The recurrence rule of the guild scheduled event
    */
@@ -220,6 +225,7 @@ class GuildScheduledEventManager extends CachedManager {
       reason,
       image,
       recurrenceRule,
+      signal,
     } = options;
 
     if (typeof privacyLevel === 'string') privacyLevel = PrivacyLevels[privacyLevel];
@@ -248,6 +254,7 @@ class GuildScheduledEventManager extends CachedManager {
         recurrence_rule: recurrenceRule && Util.transformGuildScheduledEventRecurrenceRule(recurrenceRule),
       },
       reason,
+      signal,
     });
 
     return this._add(data);
@@ -256,13 +263,14 @@ class GuildScheduledEventManager extends CachedManager {
   /**
    * Deletes a guild scheduled event.
    * @param {GuildScheduledEventResolvable} guildScheduledEvent The guild scheduled event to delete
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  async delete(guildScheduledEvent) {
+  async delete(guildScheduledEvent, signal) {
     const guildScheduledEventId = this.resolveId(guildScheduledEvent);
     if (!guildScheduledEventId) throw new Error('GUILD_SCHEDULED_EVENT_RESOLVE');
 
-    await this.client.api.guilds(this.guild.id, 'scheduled-events', guildScheduledEventId).delete();
+    await this.client.api.guilds(this.guild.id, 'scheduled-events', guildScheduledEventId).delete({ signal });
   }
 
   /**
@@ -273,6 +281,7 @@ class GuildScheduledEventManager extends CachedManager {
    * @property {Snowflake} [before] Consider only users before this user id
    * @property {Snowflake} [after] Consider only users after this user id
    * <warn>If both `before` and `after` are provided, only `before` is respected</warn>
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -293,10 +302,11 @@ class GuildScheduledEventManager extends CachedManager {
     const guildScheduledEventId = this.resolveId(guildScheduledEvent);
     if (!guildScheduledEventId) throw new Error('GUILD_SCHEDULED_EVENT_RESOLVE');
 
-    let { limit, withMember, before, after } = options;
+    let { limit, withMember, before, after, signal } = options;
 
     const data = await this.client.api.guilds(this.guild.id, 'scheduled-events', guildScheduledEventId).users.get({
       query: { limit, with_member: withMember, before, after },
+      signal,
     });
 
     return data.reduce(
@@ -143,10 +143,11 @@ class GuildSettingManager extends BaseManager {
   /**
    * Edit guild settings
    * @param {Object} data Data to edit
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildSettingManager>}
    */
-  async edit(data) {
-    const data_ = await this.client.api.users('@me').settings.patch(data);
+  async edit(data, signal) {
+    const data_ = await this.client.api.users('@me').settings.patch({ ...data, signal });
     this._patch(data_);
     return this;
   }
@@ -36,6 +36,7 @@ class GuildStickerManager extends CachedManager {
    * @typedef {Object} GuildStickerCreateOptions
    * @property {?string} [description] The description for the sticker
    * @property {string} [reason] Reason for creating the sticker
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -56,7 +57,7 @@ class GuildStickerManager extends CachedManager {
    *   .then(sticker => console.log(`Created new sticker with name ${sticker.name}!`))
    *   .catch(console.error);
    */
-  async create(file, name, tags, { description, reason } = {}) {
+  async create(file, name, tags, { description, reason, signal } = {}) {
     const resolvedFile = await MessagePayload.resolveFile(file);
     if (!resolvedFile) throw new TypeError('REQ_RESOURCE_TYPE');
     file = { ...resolvedFile, key: 'file' };
@@ -65,7 +66,7 @@ class GuildStickerManager extends CachedManager {
 
     const sticker = await this.client.api
       .guilds(this.guild.id)
-      .stickers.post({ data, files: [file], reason, dontUsePayloadJSON: true });
+      .stickers.post({ data, files: [file], reason, dontUsePayloadJSON: true, signal });
     return this.client.actions.GuildStickerCreate.handle(this.guild, sticker).sticker;
   }
 
@@ -99,15 +100,17 @@ class GuildStickerManager extends CachedManager {
    * @param {StickerResolvable} sticker The sticker to edit
    * @param {GuildStickerEditData} [data] The new data for the sticker
    * @param {string} [reason] Reason for editing this sticker
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Sticker>}
    */
-  async edit(sticker, data, reason) {
+  async edit(sticker, data, reason, signal) {
     const stickerId = this.resolveId(sticker);
     if (!stickerId) throw new TypeError('INVALID_TYPE', 'sticker', 'StickerResolvable');
 
     const d = await this.client.api.guilds(this.guild.id).stickers(stickerId).patch({
       data,
       reason,
+      signal,
     });
 
     const existing = this.cache.get(stickerId);
@@ -123,13 +126,14 @@ class GuildStickerManager extends CachedManager {
    * Deletes a sticker.
    * @param {StickerResolvable} sticker The sticker to delete
    * @param {string} [reason] Reason for deleting this sticker
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  async delete(sticker, reason) {
+  async delete(sticker, reason, signal) {
     sticker = this.resolveId(sticker);
     if (!sticker) throw new TypeError('INVALID_TYPE', 'sticker', 'StickerResolvable');
 
-    await this.client.api.guilds(this.guild.id).stickers(sticker).delete({ reason });
+    await this.client.api.guilds(this.guild.id).stickers(sticker).delete({ reason, signal });
   }
 
   /**
@@ -148,29 +152,30 @@ class GuildStickerManager extends CachedManager {
    *   .then(sticker => console.log(`The sticker name is: ${sticker.name}`))
    *   .catch(console.error);
    */
-  async fetch(id, { cache = true, force = false } = {}) {
+  async fetch(id, { cache = true, force = false, signal } = {}) {
     if (id) {
       if (!force) {
-        const existing = this.cache.get(id);
+        const existing = this._lookup(id);
         if (existing) return existing;
       }
-      const sticker = await this.client.api.guilds(this.guild.id).stickers(id).get();
+      const sticker = await this.client.api.guilds(this.guild.id).stickers(id).get({ signal });
       return this._add(sticker, cache);
     }
 
-    const data = await this.client.api.guilds(this.guild.id).stickers.get();
+    const data = await this.client.api.guilds(this.guild.id).stickers.get({ signal });
     return new Collection(data.map(sticker => [sticker.id, this._add(sticker, cache)]));
   }
 
   /**
    * Fetches the user who uploaded this sticker, if this is a guild sticker.
    * @param {StickerResolvable} sticker The sticker to fetch the user for
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<?User>}
    */
-  async fetchUser(sticker) {
+  async fetchUser(sticker, signal) {
     sticker = this.resolve(sticker);
     if (!sticker) throw new TypeError('INVALID_TYPE', 'sticker', 'StickerResolvable');
-    const data = await this.client.api.guilds(this.guild.id).stickers(sticker.id).get();
+    const data = await this.client.api.guilds(this.guild.id).stickers(sticker.id).get({ signal });
     sticker._patch(data);
     return sticker.user;
   }
@@ -63,6 +63,7 @@ class GuildTextThreadManager extends ThreadManager {
     invitable,
     reason,
     rateLimitPerUser,
+    signal,
   } = {}) {
     let path = this.client.api.channels(this.channel.id);
     if (type && typeof type !== 'string' && typeof type !== 'number') {
@@ -89,6 +90,7 @@ class GuildTextThreadManager extends ThreadManager {
         rate_limit_per_user: rateLimitPerUser,
       },
       reason,
+      signal,
     });
 
     return this.client.actions.ThreadCreate.handle(data).thread;
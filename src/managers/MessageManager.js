@@ -2,7 +2,7 @@
 
 const { Collection } = require('@discordjs/collection');
 const CachedManager = require('./CachedManager');
-const { TypeError } = require('../errors');
+const { Error, TypeError } = require('../errors');
 const { Message } = require('../structures/Message');
 const MessagePayload = require('../structures/MessagePayload');
 const Util = require('../util/Util');
@@ -40,6 +40,7 @@ class MessageManager extends CachedManager {
    * @property {Snowflake} [before] The message's id to get the messages that were posted before it
    * @property {Snowflake} [after] The message's id to get the messages that were posted after it
    * @property {Snowflake} [around] The message's id to get the messages that were posted around it
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -65,8 +66,85 @@ class MessageManager extends CachedManager {
    *   .then(messages => console.log(`${messages.filter(m => m.author.id === '84484653687267328').size} messages`))
    *   .catch(console.error);
    */
-  fetch(message, { cache = true, force = false } = {}) {
-    return typeof message === 'string' ? this._fetchId(message, cache, force) : this._fetchMany(message, cache);
+  fetch(message, { cache = true, force = false, signal } = {}) {
+    return typeof message === 'string' ? this._fetchId(message, cache, force, signal) : this._fetchMany(message, cache);
+  }
+
+  /**
+   * Options used to iterate over the messages of a channel. `around`, `before` and `after` are mutually exclusive,
+   * without any of them the iteration starts from the latest message.
+   * @typedef {Object} MessageIterateOptions
+   * @property {Snowflake} [before] The message's id to iterate over the messages posted before it, newest first
+   * @property {Snowflake} [after] The message's id to iterate over the messages posted after it, oldest first
+   * @property {Snowflake} [around] The message's id to iterate over the messages posted around it, followed by pages
+   * of older (newest first) and newer (oldest first) messages in turn
+   * @property {number} [limit=Infinity] The maximum number of messages to iterate over
+   * @property {Function} [filter] A function that is passed each message and returns whether to yield it,
+   * the messages it skips do not count towards the limit
+   * @property {boolean} [cache=true] Whether to cache the messages
+   * @property {AbortSignal} [signal] A signal to abort the requests with
+   */
+
+  /**
+   * Iterates over the messages of this channel, fetching them by pages of up to 100 as the iteration goes.
+   * <info>The pages are requested one after the other like any other request, so they are queued on rate limits,
+   * and no more are requested once the loop is exited.</info>
+   * @param {MessageIterateOptions} [options] Options for the iteration
+   * @returns {AsyncGenerator<Message, void>}
+   * @example
+   * // Count the messages of a user among the last 1000 messages
+   * let count = 0;
+   * for await (const message of channel.messages.iterate({ limit: 1000, cache: false })) {
+   *   if (message.author.id === '84484653687267328') count++;
+   * }
+   * @example
+   * // Find the first message mentioning pizza since a message
+   * const messages = channel.messages.iterate({ after: '99539446449315840', filter: m => m.content.includes('pizza') });
+   * for await (const message of messages) {
+   *   console.log(message.url);
+   *   break;
+   * }
+   */
+  async *iterate({ before, after, around, limit = Infinity, filter = null, cache = true, signal } = {}) {
+    if ([before, after, around].filter(cursor => cursor !== undefined).length > 1) {
+      throw new Error('MESSAGE_ITERATE_CURSORS');
+    }
+    if (typeof limit !== 'number' || isNaN(limit)) throw new TypeError('INVALID_TYPE', 'limit', 'number');
+    if (filter !== null && typeof filter !== 'function') throw new TypeError('INVALID_TYPE', 'filter', 'function');
+
+    // The pages still to fetch, in turn, each from a message in a direction
+    const requests = [
+      around === undefined
+        ? { key: after === undefined ? 'before' : 'after', id: after ?? before }
+        : { key: 'around', id: around },
+    ];
+    let remaining = limit;
+
+    while (remaining > 0 && requests.length) {
+      const { key, id } = requests.shift();
+      // Without a filter, no more messages than needed are requested
+      const pageSize = filter ? 100 : Math.min(remaining, 100);
+      const data = await this.client.api.channels[this.channel.id].messages.get({
+        query: id === undefined ? { limit: pageSize } : { [key]: id, limit: pageSize },
+        signal,
+      });
+      // Newest first, the order the messages are yielded in except for the ones after a message
+      const page = data.sort((a, b) => (BigInt(b.id) > BigInt(a.id) ? 1 : -1));
+
+      // A page that is not full is the last one in its direction, the page around a message is followed by both
+      if (page.length && (key === 'around' || page.length === pageSize)) {
+        if (key !== 'after') requests.push({ key: 'before', id: page.at(-1).id });
+        if (key !== 'before') requests.push({ key: 'after', id: page[0].id });
+      }
+      if (key === 'after') page.reverse();
+
+      for (const raw of page) {
+        const message = this._add(raw, cache);
+        if (filter && !filter(message)) continue;
+        yield message;
+        if (--remaining <= 0) return;
+      }
+    }
   }
 
   /**
@@ -74,6 +152,7 @@ class MessageManager extends CachedManager {
    * <info>The returned Collection does not contain any reaction data of the messages.
    * Those need to be fetched separately.</info>
    * @param {boolean} [cache=true] Whether to cache the message(s)
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Collection<Snowflake, Message>>}
    * @example
    * // Get pinned messages
@@ -81,9 +160,10 @@ class MessageManager extends CachedManager {
    *   .then(messages => console.log(`Received ${messages.size} messages`))
    *   .catch(console.error);
    */
-  async fetchPinned(cache = true) {
+  async fetchPinned(cache = true, signal) {
     const data = await this.client.api.channels[this.channel.id].messages.pins.get({
       query: { limit: 50 },
+      signal,
     });
     const messages = new Collection();
     for (const message of data?.items || []) messages.set(message.id, this._add(message, cache));
@@ -125,32 +205,19 @@ class MessageManager extends CachedManager {
     const messageId = this.resolveId(message);
     if (!messageId) throw new TypeError('INVALID_TYPE', 'message', 'MessageResolvable');
 
-    const { data, files } = await (options instanceof MessagePayload
-      ? options
-      : MessagePayload.create(message instanceof Message ? message : this, options)
-    )
-      .resolveData()
-      .resolveFiles();
+    const messagePayload = (
+      options instanceof MessagePayload
+        ? options
+        : MessagePayload.create(message instanceof Message ? message : this, options)
+    ).resolveData();
+    const { signal } = messagePayload.options;
+    const { data, files } = await messagePayload.resolveFiles();
 
     // New API
-    const attachments = await Util.getUploadURL(this.client, this.channel.id, files);
-    const requestPromises = attachments.map(async attachment => {
-      await Util.uploadFile(files[attachment.id].file, attachment.upload_url);
-      return {
-        id: attachment.id,
-        filename: files[attachment.id].name,
-        uploaded_filename: attachment.upload_filename,
-        description: files[attachment.id].description,
-        duration_secs: files[attachment.id].duration_secs,
-        waveform: files[attachment.id].waveform,
-      };
-    });
-    const attachmentsData = await Promise.all(requestPromises);
-    attachmentsData.sort((a, b) => parseInt(a.id) - parseInt(b.id));
-    data.attachments = attachmentsData;
+    data.attachments = await Util.uploadAttachments(this.client, this.channel.id, files, signal);
     // Empty Files
 
-    const d = await this.client.api.channels[this.channel.id].messages[messageId].patch({ data });
+    const d = await this.client.api.channels[this.channel.id].messages[messageId].patch({ data, signal });
 
     const existing = this.cache.get(messageId);
     if (existing) {
@@ -164,13 +231,14 @@ class MessageManager extends CachedManager {
   /**
    * Publishes a message in an announcement channel to all channels following it, even if it's not cached.
    * @param {MessageResolvable} message The message to publish
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Message>}
    */
-  async crosspost(message) {
+  async crosspost(message, signal) {
     message = this.resolveId(message);
     if (!message) throw new TypeError('INVALID_TYPE', 'message', 'MessageResolvable');
 
-    const data = await this.client.api.channels(this.channel.id).messages(message).crosspost.post();
+    const data = await this.client.api.channels(this.channel.id).messages(message).crosspost.post({ signal });
     return this.cache.get(data.id) ?? this._add(data);
   }
 
@@ -178,26 +246,28 @@ class MessageManager extends CachedManager {
    * Pins a message to the channel's pinned messages, even if it's not cached.
    * @param {MessageResolvable} message The message to pin
    * @param {string} [reason] Reason for pinning
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  async pin(message, reason) {
+  async pin(message, reason, signal) {
     message = this.resolveId(message);
     if (!message) throw new TypeError('INVALID_TYPE', 'message', 'MessageResolvable');
 
-    await this.client.api.channels(this.channel.id).messages.pins(message).put({ reason });
+    await this.client.api.channels(this.channel.id).messages.pins(message).put({ reason, signal });
   }
 
   /**
    * Unpins a message from the channel's pinned messages, even if it's not cached.
    * @param {MessageResolvable} message The message to unpin
    * @param {string} [reason] Reason for unpinning
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  async unpin(message, reason) {
+  async unpin(message, reason, signal) {
     message = this.resolveId(message);
     if (!message) throw new TypeError('INVALID_TYPE', 'message', 'MessageResolvable');
 
-    await this.client.api.channels(this.channel.id).messages.pins(message).delete({ reason });
+    await this.client.api.channels(this.channel.id).messages.pins(message).delete({ reason, signal });
   }
 
   /**
@@ -205,9 +275,10 @@ class MessageManager extends CachedManager {
    * @param {MessageResolvable} message The message to react to
    * @param {EmojiIdentifierResolvable} emoji The emoji to react with
    * @param {boolean} [burst=false] Super Reactions (Discord Nitro only)
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  async react(message, emoji, burst = false) {
+  async react(message, emoji, burst = false, signal) {
     message = this.resolveId(message);
     if (!message) throw new TypeError('INVALID_TYPE', 'message', 'MessageResolvable');
 
@@ -227,24 +298,26 @@ class MessageManager extends CachedManager {
         query: {
           type: burst ? 1 : 0,
         },
+        signal,
       });
   }
 
   /**
    * Deletes a message, even if it's not cached.
    * @param {MessageResolvable} message The message to delete
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  async delete(message) {
+  async delete(message, signal) {
     message = this.resolveId(message);
     if (!message) throw new TypeError('INVALID_TYPE', 'message', 'MessageResolvable');
 
-    await this.client.api.channels(this.channel.id).messages(message).delete();
+    await this.client.api.channels(this.channel.id).messages(message).delete({ signal });
   }
 
-  _fetchId(messageId, cache, force) {
+  async _fetchId(messageId, cache, force, signal) {
     if (!force) {
-      const existing = this.cache.get(messageId);
+      const existing = await this._resolveStored(messageId, cache);
       if (existing && !existing.partial) return existing;
     }
 
@@ -254,6 +327,7 @@ class MessageManager extends CachedManager {
         {
           around: messageId,
           limit: 50,
+          signal,
         },
         cache,
       )
@@ -281,6 +355,7 @@ class MessageManager extends CachedManager {
    * @property {string} [sortBy] The order to sort by (`timestamp` or `relevance`)
    * @property {string} [sortOrder] The order to return results in (`asc` or `desc`)
    * <info>The default sort is <code>timestamp</code> in descending order <code>desc</code> (newest first).</info>
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -369,10 +444,14 @@ class MessageManager extends CachedManager {
       };
     }
     if (this.channel.guildId) {
-      data = await this.client.api.guilds[this.channel.guildId].messages[`search?${stringQuery.join('&')}`].get();
+      data = await this.client.api.guilds[this.channel.guildId].messages[`search?${stringQuery.join('&')}`].get({
+        signal: options.signal,
+      });
     } else {
       stringQuery = stringQuery.filter(v => !v.startsWith('channel_id') && !v.startsWith('include_nsfw'));
-      data = await this.client.api.channels[this.channel.id].messages[`search?${stringQuery.join('&')}`].get();
+      data = await this.client.api.channels[this.channel.id].messages[`search?${stringQuery.join('&')}`].get({
+        signal: options.signal,
+      });
     }
 
     for await (const message of data.messages) result.set(message[0].id, new Message(this.client, message[0]));
@@ -382,8 +461,8 @@ class MessageManager extends CachedManager {
     };
   }
 
-  async _fetchMany(options = {}, cache) {
-    const data = await this.client.api.channels[this.channel.id].messages.get({ query: options });
+  async _fetchMany({ signal, ...query } = {}, cache) {
+    const data = await this.client.api.channels[this.channel.id].messages.get({ query, signal });
     const messages = new Collection();
     for (const message of data) messages.set(message.id, this._add(message, cache));
     return messages;
@@ -392,10 +471,11 @@ class MessageManager extends CachedManager {
   /**
    * Ends a poll.
    * @param {Snowflake} messageId The id of the message
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Message>}
    */
-  async endPoll(messageId) {
-    const message = await this.client.api.channels(this.channel.id).polls(messageId).expire.post();
+  async endPoll(messageId, signal) {
+    const message = await this.client.api.channels(this.channel.id).polls(messageId).expire.post({ signal });
     return this._add(message, false);
   }
 
@@ -404,6 +484,7 @@ class MessageManager extends CachedManager {
    * @typedef {BaseFetchPollAnswerVotersOptions} FetchPollAnswerVotersOptions
    * @param {Snowflake} messageId The id of the message
    * @param {number} answerId The id of the answer
+   * @param {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -411,9 +492,10 @@ class MessageManager extends CachedManager {
    * @param {FetchPollAnswerVotersOptions} options The options for fetching the poll answer voters
    * @returns {Promise<Collection<Snowflake, User>>}
    */
-  async fetchPollAnswerVoters({ messageId, answerId, after, limit }) {
+  async fetchPollAnswerVoters({ messageId, answerId, after, limit, signal }) {
     const voters = await this.client.channels(this.channel.id).polls(messageId).answers(answerId).get({
       query: { limit, after },
+      signal,
     });
 
     return voters.users.reduce((acc, user) => acc.set(user.id, this.client.users._add(user, false)), new Collection());
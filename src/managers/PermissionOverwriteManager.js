@@ -53,6 +53,7 @@ class PermissionOverwriteManager extends CachedManager {
    * @param {OverwriteResolvable[]|Collection<Snowflake, OverwriteResolvable>} overwrites
    * Permission overwrites the channel gets updated with
    * @param {string} [reason] Reason for updating the channel overwrites
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildChannel>}
    * @example
    * message.channel.permissionOverwrites.set([
@@ -62,17 +63,18 @@ class PermissionOverwriteManager extends CachedManager {
    *   },
    * ], 'Needed to change permissions');
    */
-  async set(overwrites, reason) {
+  async set(overwrites, reason, signal) {
     if (!Array.isArray(overwrites) && !(overwrites instanceof Collection)) {
       throw new TypeError('INVALID_TYPE', 'overwrites', 'Array or Collection of Permission Overwrites', true);
     }
-    return this.channel.edit({ permissionOverwrites: overwrites, reason });
+    return this.channel.edit({ permissionOverwrites: overwrites }, reason, signal);
   }
 
   /**
    * Extra information about the overwrite
    * @typedef {Object} GuildChannelOverwriteOptions
    * @property {string} [reason] Reason for creating/editing this overwrite
+   * @property {AbortSignal} [signal] A signal to abort the request with
    * @property {number} [type] The type of overwrite, either `0` for a role or `1` for a member. Use this to bypass
    * automatic resolution of type that results in an error for uncached structure
    */
@@ -88,7 +90,7 @@ class PermissionOverwriteManager extends CachedManager {
    */
   async upsert(userOrRole, options, overwriteOptions = {}, existing) {
     let userOrRoleId = this.channel.guild.roles.resolveId(userOrRole) ?? this.client.users.resolveId(userOrRole);
-    let { type, reason } = overwriteOptions;
+    let { type, reason, signal } = overwriteOptions;
     if (typeof type !== 'number') {
       userOrRole = this.channel.guild.roles.resolve(userOrRole) ?? this.client.users.resolve(userOrRole);
       if (!userOrRole) throw new TypeError('INVALID_TYPE', 'parameter', 'User nor a Role');
@@ -103,6 +105,7 @@ class PermissionOverwriteManager extends CachedManager {
       .put({
         data: { id: userOrRoleId, type, allow, deny },
         reason,
+        signal,
       });
     return this.channel;
   }
@@ -150,13 +153,14 @@ class PermissionOverwriteManager extends CachedManager {
    * Deletes permission overwrites for a user or role in this channel.
    * @param {UserResolvable|RoleResolvable} userOrRole The user or role to delete
    * @param {string} [reason] The reason for deleting the overwrite
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildChannel>}
    */
-  async delete(userOrRole, reason) {
+  async delete(userOrRole, reason, signal) {
     const userOrRoleId = this.channel.guild.roles.resolveId(userOrRole) ?? this.client.users.resolveId(userOrRole);
     if (!userOrRoleId) throw new TypeError('INVALID_TYPE', 'parameter', 'User nor a Role');
 
-    await this.client.api.channels(this.channel.id).permissions(userOrRoleId).delete({ reason });
+    await this.client.api.channels(this.channel.id).permissions(userOrRoleId).delete({ reason, signal });
     return this.channel;
   }
 }
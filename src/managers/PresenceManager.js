@@ -8,8 +8,14 @@ const { Presence } = require('../structures/Presence');
  * @extends {CachedManager}
  */
 class PresenceManager extends CachedManager {
-  constructor(client, iterable) {
+  constructor(client, iterable, guild = null) {
     super(client, Presence, iterable);
+
+    /**
+     * The guild the presences belong to, `null` for the presences of the friends of the client
+     * @type {?Guild}
+     */
+    this.guild = guild;
   }
 
   /**
@@ -19,9 +25,14 @@ class PresenceManager extends CachedManager {
    */
 
   _add(data, cache) {
+    if (this.guild && !data.guild) data = { ...data, guild: this.guild };
     return super._add(data, cache, { id: data.user.id });
   }
 
+  _storageKey(id) {
+    return `${this.guild?.id ?? '@me'}:${id}`;
+  }
+
   /**
    * Data that can be resolved to a Presence object. This can be:
    * * A Presence
@@ -56,10 +67,14 @@ class PresenceManager extends CachedManager {
 
   /**
    * Fetches the overall user presence for all of the user's non-offline friends and implicit relationships.
-   * @returns {Promise<Collection<Snowflake, Presence>>}
+   * If a user is given, only their presence is obtained, from the cache or the {@link CachedManager#adapter}.
+   * @param {UserResolvable} [user] The user to get the presence of
+   * @param {AbortSignal} [signal] A signal to abort the request with
+   * @returns {Promise<Collection<Snowflake, Presence>|?Presence>}
    */
-  async fetch() {
-    const data = await this.client.api.presences.get();
+  async fetch(user, signal) {
+    if (user !== undefined) return this._resolveStored(this.client.users.resolveId(user));
+    const data = await this.client.api.presences.get({ signal });
     // https://docs.discord.food/resources/presence#endpoints
     data.presences.forEach(presence => {
       this._add(presence, true);
@@ -56,10 +56,11 @@ class ReactionManager extends CachedManager {
 
   /**
    * Removes all reactions from a message.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Message>}
    */
-  async removeAll() {
-    await this.client.api.channels(this.message.channelId).messages(this.message.id).reactions.delete();
+  async removeAll(signal) {
+    await this.client.api.channels(this.message.channelId).messages(this.message.id).reactions.delete({ signal });
     return this.message;
   }
 }
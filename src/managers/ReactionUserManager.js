@@ -33,6 +33,7 @@ class ReactionUserManager extends CachedManager {
    * @property {ReactionType} [type='NORMAL'] The reaction type to fetch
    * @property {number} [limit=100] The maximum amount of users to fetch, defaults to `100`
    * @property {Snowflake} [after] Limit fetching users to those with an id greater than the supplied id
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -40,11 +41,11 @@ class ReactionUserManager extends CachedManager {
    * @param {FetchReactionUsersOptions} [options] Options for fetching the users
    * @returns {Promise<Collection<Snowflake, User>>}
    */
-  async fetch({ limit = 100, after, type = 'NORMAL' } = {}) {
+  async fetch({ limit = 100, after, type = 'NORMAL', signal } = {}) {
     const message = this.reaction.message;
     const data = await this.client.api.channels[message.channelId].messages[message.id].reactions[
       this.reaction.emoji.identifier
-    ].get({ query: { limit, after, type: typeof type == 'number' ? type : ReactionTypes[type] } });
+    ].get({ query: { limit, after, type: typeof type == 'number' ? type : ReactionTypes[type] }, signal });
     const users = new Collection();
     for (const rawUser of data) {
       const user = this.client.users._add(rawUser);
@@ -57,15 +58,16 @@ class ReactionUserManager extends CachedManager {
   /**
    * Removes a user from this reaction.
    * @param {UserResolvable} [user=this.client.user] The user to remove the reaction of
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<MessageReaction>}
    */
-  async remove(user = this.client.user) {
+  async remove(user = this.client.user, signal) {
     const userId = this.client.users.resolveId(user);
     if (!userId) throw new Error('REACTION_RESOLVE_USER');
     const message = this.reaction.message;
     await this.client.api.channels[message.channelId].messages[message.id].reactions[this.reaction.emoji.identifier][
       userId === this.client.user.id ? '@me' : userId
-    ].delete();
+    ].delete({ signal });
     return this.reaction;
   }
 }
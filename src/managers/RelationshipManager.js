@@ -145,18 +145,18 @@ class RelationshipManager extends BaseManager {
    * @param {BaseFetchOptions} [options] Additional options for this fetch
    * @returns {Promise<RelationshipType|RelationshipManager>}
    */
-  async fetch(user, { force = false } = {}) {
+  async fetch(user, { force = false, signal } = {}) {
     if (user) {
       const id = this.resolveId(user);
       if (!force) {
         const existing = this.cache.get(id);
         if (existing && !existing.partial) return existing;
       }
-      const data = await this.client.api.users['@me'].relationships.get();
+      const data = await this.client.api.users['@me'].relationships.get({ signal });
       await this._setup(data);
       return this.cache.get(id);
     } else {
-      const data = await this.client.api.users['@me'].relationships.get();
+      const data = await this.client.api.users['@me'].relationships.get({ signal });
       await this._setup(data);
       return this;
     }
@@ -236,15 +236,17 @@ class RelationshipManager extends BaseManager {
    * Changes the nickname of a friend.
    * @param {UserResolvable} user The user to change the nickname
    * @param {?string} nickname New nickname
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<boolean>}
    */
-  async setNickname(user, nickname = null) {
+  async setNickname(user, nickname = null, signal) {
     const id = this.resolveId(user);
     if (this.cache.get(id) !== RelationshipTypes.FRIEND) return Promise.resolve(false);
     await this.client.api.users['@me'].relationships[id].patch({
       data: {
         nickname: typeof nickname === 'string' ? nickname : null,
       },
+      signal,
     });
     if (nickname) {
       this.friendNicknames.set(id, nickname);
@@ -62,14 +62,14 @@ class RoleManager extends CachedManager {
    *   .then(role => console.log(`The role color is: ${role.colors.primaryColor}`))
    *   .catch(console.error);
    */
-  async fetch(id, { cache = true, force = false } = {}) {
+  async fetch(id, { cache = true, force = false, signal } = {}) {
     if (id && !force) {
-      const existing = this.cache.get(id);
+      const existing = this._lookup(id);
       if (existing) return existing;
     }
 
     // We cannot fetch a single role, as of this commit's date, Discord API throws with 405
-    const data = await this.client.api.guilds(this.guild.id).roles.get();
+    const data = await this.client.api.guilds(this.guild.id).roles.get({ signal });
     const roles = new Collection();
     for (const role of data) roles.set(role.id, this._add(role, cache));
     return id ? roles.get(id) ?? null : roles;
@@ -77,10 +77,11 @@ class RoleManager extends CachedManager {
 
   /**
    * Fetches the member counts for each role in the guild.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Record<Snowflake, number>>}
    */
-  async fetchMemberCounts() {
-    const data = await this.client.api.guilds(this.guild.id).roles('member-counts').get();
+  async fetchMemberCounts(signal) {
+    const data = await this.client.api.guilds(this.guild.id).roles('member-counts').get({ signal });
 
     return data;
   }
@@ -89,13 +90,14 @@ class RoleManager extends CachedManager {
    * Fetches the member ids for a role in the guild.
    * <info>This only returns 100 member ids</info>
    * @param {RoleResolvable} role The role to fetch member ids for
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Snowflake[]>}
    */
-  async fetchMemberIds(role) {
+  async fetchMemberIds(role, signal) {
     const id = this.resolveId(role);
     if (!id) throw new TypeError('INVALID_TYPE', 'role', 'RoleResolvable');
 
-    const data = await this.client.api.guilds(this.guild.id).roles(id, 'member-ids').get();
+    const data = await this.client.api.guilds(this.guild.id).roles(id, 'member-ids').get({ signal });
 
     return data;
   }
@@ -152,6 +154,7 @@ class RoleManager extends CachedManager {
    * If not, pass the emoji's URL directly</warn>
    * @property {?string} [unicodeEmoji] The unicode emoji for the role
    * @property {string} [reason] The reason for creating this role
+   * @property {AbortSignal} [signal] A signal to abort the requests with
    */
 
   /**
@@ -191,7 +194,7 @@ class RoleManager extends CachedManager {
    */
   async create(options = {}) {
     let { permissions, icon } = options;
-    const { name, color, hoist, position, mentionable, reason, unicodeEmoji } = options;
+    const { name, color, hoist, position, mentionable, reason, unicodeEmoji, signal } = options;
 
     if (typeof permissions !== 'undefined') permissions = new Permissions(permissions);
     if (icon) {
@@ -231,12 +234,13 @@ class RoleManager extends CachedManager {
         unicode_emoji: unicodeEmoji,
       },
       reason,
+      signal,
     });
     const { role } = this.client.actions.GuildRoleCreate.handle({
       guild_id: this.guild.id,
       role: data,
     });
-    if (position) return this.setPosition(role, position, { reason });
+    if (position) return this.setPosition(role, position, { reason, signal });
     return role;
   }
 
@@ -245,6 +249,7 @@ class RoleManager extends CachedManager {
    * @param {RoleResolvable} role The role to edit
    * @param {RoleData} data The new data for the role
    * @param {string} [reason] Reason for editing this role
+   * @param {AbortSignal} [signal] A signal to abort the requests with
    * @returns {Promise<Role>}
    * @example
    * // Edit a role
@@ -252,11 +257,11 @@ class RoleManager extends CachedManager {
    *   .then(updated => console.log(`Edited role name to ${updated.name}`))
    *   .catch(console.error);
    */
-  async edit(role, data, reason) {
+  async edit(role, data, reason, signal) {
     role = this.resolve(role);
     if (!role) throw new TypeError('INVALID_TYPE', 'role', 'RoleResolvable');
 
-    if (typeof data.position === 'number') await this.setPosition(role, data.position, { reason });
+    if (typeof data.position === 'number') await this.setPosition(role, data.position, { reason, signal });
 
     let icon = data.icon;
     if (icon) {
@@ -295,7 +300,7 @@ class RoleManager extends CachedManager {
       unicode_emoji: data.unicodeEmoji,
     };
 
-    const d = await this.client.api.guilds(this.guild.id).roles(role.id).patch({ data: _data, reason });
+    const d = await this.client.api.guilds(this.guild.id).roles(role.id).patch({ data: _data, reason, signal });
 
     const clone = role._clone();
     clone._patch(d);
@@ -306,6 +311,7 @@ class RoleManager extends CachedManager {
    * Deletes a role.
    * @param {RoleResolvable} role The role to delete
    * @param {string} [reason] Reason for deleting the role
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    * @example
    * // Delete a role
@@ -313,9 +319,9 @@ class RoleManager extends CachedManager {
    *   .then(() => console.log('Deleted the role.'))
    *   .catch(console.error);
    */
-  async delete(role, reason) {
+  async delete(role, reason, signal) {
     const id = this.resolveId(role);
-    await this.client.api.guilds[this.guild.id].roles[id].delete({ reason });
+    await this.client.api.guilds[this.guild.id].roles[id].delete({ reason, signal });
     this.client.actions.GuildRoleDelete.handle({ guild_id: this.guild.id, role_id: id });
   }
 
@@ -331,7 +337,7 @@ class RoleManager extends CachedManager {
    *   .then(updated => console.log(`Role position: ${updated.position}`))
    *   .catch(console.error);
    */
-  async setPosition(role, position, { relative, reason } = {}) {
+  async setPosition(role, position, { relative, reason, signal } = {}) {
     role = this.resolve(role);
     if (!role) throw new TypeError('INVALID_TYPE', 'role', 'RoleResolvable');
     const updatedRoles = await Util.setPosition(
@@ -341,6 +347,7 @@ class RoleManager extends CachedManager {
       this.guild._sortedRoles(),
       this.client.api.guilds(this.guild.id).roles,
       reason,
+      signal,
     );
 
     this.client.actions.GuildRolesPositionUpdate.handle({
@@ -360,13 +367,14 @@ class RoleManager extends CachedManager {
   /**
    * Batch-updates the guild's role positions
    * @param {GuildRolePosition[]} rolePositions Role positions to update
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Guild>}
    * @example
    * guild.roles.setPositions([{ role: roleId, position: updatedRoleIndex }])
    *  .then(guild => console.log(`Role positions updated for ${guild}`))
    *  .catch(console.error);
    */
-  async setPositions(rolePositions) {
+  async setPositions(rolePositions, signal) {
     // Make sure rolePositions are prepared for API
     rolePositions = rolePositions.map(o => ({
       id: this.resolveId(o.role),
@@ -376,6 +384,7 @@ class RoleManager extends CachedManager {
     // Call the API to update role positions
     await this.client.api.guilds(this.guild.id).roles.patch({
       data: rolePositions,
+      signal,
     });
     return this.client.actions.GuildRolesPositionUpdate.handle({
       guild_id: this.guild.id,
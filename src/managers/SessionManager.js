@@ -25,10 +25,11 @@ class SessionManager extends CachedManager {
 
   /**
    * Fetch all sessions of the client.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Collection<string, Session>>}
    */
-  fetch() {
-    return this.client.api.auth.sessions.get().then(data => {
+  fetch(signal) {
+    return this.client.api.auth.sessions.get({ signal }).then(data => {
       const allData = data.user_sessions;
       this.cache.clear();
       for (const session of allData) {
@@ -34,6 +34,7 @@ class StageInstanceManager extends CachedManager {
    * @property {boolean} [sendStartNotification] Whether to notify `@everyone` that the stage instance has started
    * @property {GuildScheduledEventResolvable} [guildScheduledEvent]
    * The guild scheduled event associated with the stage instance
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -61,7 +62,7 @@ class StageInstanceManager extends CachedManager {
     const channelId = this.guild.channels.resolveId(channel);
     if (!channelId) throw new Error('STAGE_CHANNEL_RESOLVE');
     if (typeof options !== 'object') throw new TypeError('INVALID_TYPE', 'options', 'object', true);
-    let { guildScheduledEvent, topic, privacyLevel, sendStartNotification } = options;
+    let { guildScheduledEvent, topic, privacyLevel, sendStartNotification, signal } = options;
 
     privacyLevel &&= typeof privacyLevel === 'number' ? privacyLevel : PrivacyLevels[privacyLevel];
     const guildScheduledEventId = guildScheduledEvent && this.resolveId(guildScheduledEvent);
@@ -74,6 +75,7 @@ class StageInstanceManager extends CachedManager {
         send_start_notification: sendStartNotification,
         guild_scheduled_event_id: guildScheduledEventId,
       },
+      signal,
     });
 
     return this._add(data);
@@ -90,7 +92,7 @@ class StageInstanceManager extends CachedManager {
    *  .then(stageInstance => console.log(stageInstance))
    *  .catch(console.error);
    */
-  async fetch(channel, { cache = true, force = false } = {}) {
+  async fetch(channel, { cache = true, force = false, signal } = {}) {
     const channelId = this.guild.channels.resolveId(channel);
     if (!channelId) throw new Error('STAGE_CHANNEL_RESOLVE');
 
@@ -99,7 +101,7 @@ class StageInstanceManager extends CachedManager {
       if (existing) return existing;
     }
 
-    const data = await this.client.api('stage-instances', channelId).get();
+    const data = await this.client.api('stage-instances', channelId).get({ signal });
     return this._add(data, cache);
   }
 
@@ -108,6 +110,7 @@ class StageInstanceManager extends CachedManager {
    * @typedef {Object} StageInstanceEditOptions
    * @property {string} [topic] The new topic of the stage instance
    * @property {PrivacyLevel|number} [privacyLevel] The new privacy level of the stage instance
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -126,7 +129,7 @@ class StageInstanceManager extends CachedManager {
     const channelId = this.guild.channels.resolveId(channel);
     if (!channelId) throw new Error('STAGE_CHANNEL_RESOLVE');
 
-    let { topic, privacyLevel } = options;
+    let { topic, privacyLevel, signal } = options;
 
     privacyLevel &&= typeof privacyLevel === 'number' ? privacyLevel : PrivacyLevels[privacyLevel];
 
@@ -135,6 +138,7 @@ class StageInstanceManager extends CachedManager {
         topic,
         privacy_level: privacyLevel,
       },
+      signal,
     });
 
     if (this.cache.has(data.id)) {
@@ -149,13 +153,14 @@ class StageInstanceManager extends CachedManager {
   /**
    * Deletes an existing stage instance.
    * @param {StageChannelResolvable} channel The stage channel whose associated stage instance is to be deleted
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  async delete(channel) {
+  async delete(channel, signal) {
     const channelId = this.guild.channels.resolveId(channel);
     if (!channelId) throw new Error('STAGE_CHANNEL_RESOLVE');
 
-    await this.client.api('stage-instances', channelId).delete();
+    await this.client.api('stage-instances', channelId).delete({ signal });
   }
 }
 
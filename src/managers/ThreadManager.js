@@ -76,14 +76,14 @@ class ThreadManager extends CachedManager {
    *   .then(channel => console.log(channel.name))
    *   .catch(console.error);
    */
-  fetch(options, { cache, force } = {}) {
-    if (!options) return this.fetchActive(cache);
+  fetch(options, { cache, force, signal } = {}) {
+    if (!options) return this.fetchActive(cache, { signal });
     const channel = this.client.channels.resolveId(options);
-    if (channel) return this.client.channels.fetch(channel, { cache, force });
+    if (channel) return this.client.channels.fetch(channel, { cache, force, signal });
     if (options.archived) {
-      return this.fetchArchived(options.archived, cache);
+      return this.fetchArchived({ signal, ...options.archived }, cache);
     }
-    return this.fetchActive(cache);
+    return this.fetchActive(cache, { signal });
   }
 
   /**
@@ -103,6 +103,7 @@ class ThreadManager extends CachedManager {
    * @property {DateResolvable|ThreadChannelResolvable} [before] Only return threads that were archived before this Date
    * or Snowflake. <warn>Must be a {@link ThreadChannelResolvable} when type is `private` and fetchAll is `false`</warn>
    * @property {number} [limit] Maximum number of threads to return
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -130,6 +131,7 @@ class ThreadManager extends CachedManager {
    * @property {string} [sortOrder] How the threads should be ordered (default is desc)
    * @property {number} [limit] The maximum number of threads to return (default is 25)
    * @property {number} [offset] The number of threads to offset fetching (useful when making multiple fetches) (default is 0)
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -147,6 +149,7 @@ class ThreadManager extends CachedManager {
         sort_by: options?.sortBy ?? 'last_message_time',
         sort_order: options?.sortOrder ?? 'desc',
       },
+      signal: options?.signal,
     });
 
     return this.constructor._mapThreads(raw, this.client, { parent: this.channel, cache });
@@ -93,12 +93,13 @@ class ThreadMemberManager extends CachedManager {
    * Adds a member to the thread.
    * @param {UserResolvable|'@me'} member The member to add
    * @param {string} [reason] The reason for adding this member
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Snowflake>}
    */
-  async add(member, reason) {
+  async add(member, reason, signal) {
     const id = member === '@me' ? member : this.client.users.resolveId(member);
     if (!id) throw new TypeError('INVALID_TYPE', 'member', 'UserResolvable');
-    await this.client.api.channels(this.thread.id, 'thread-members', id).put({ reason });
+    await this.client.api.channels(this.thread.id, 'thread-members', id).put({ reason, signal });
     return id;
   }
 
@@ -106,28 +107,31 @@ class ThreadMemberManager extends CachedManager {
    * Remove a user from the thread.
    * @param {Snowflake|'@me'} id The id of the member to remove
    * @param {string} [reason] The reason for removing this member from the thread
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Snowflake>}
    */
-  async remove(id, reason) {
-    await this.client.api.channels(this.thread.id, 'thread-members', id).delete({ reason });
+  async remove(id, reason, signal) {
+    await this.client.api.channels(this.thread.id, 'thread-members', id).delete({ reason, signal });
     return id;
   }
 
-  async _fetchOne(memberId, { cache, force = false, withMember }) {
+  async _fetchOne(memberId, { cache, force = false, withMember, signal }) {
     if (!force) {
-      const existing = this.cache.get(memberId);
+      const existing = this._lookup(memberId);
       if (existing) return existing;
     }
 
     const data = await this.client.api.channels(this.thread.id, 'thread-members', memberId).get({
       query: { with_member: withMember },
+      signal,
     });
     return this._add(data, cache);
   }
 
-  async _fetchMany({ cache, limit, after, withMember } = {}) {
+  async _fetchMany({ cache, limit, after, withMember, signal } = {}) {
     const raw = await this.client.api.channels(this.thread.id, 'thread-members').get({
       query: { with_member: withMember, limit, after },
+      signal,
     });
     return raw.reduce((col, member) => col.set(member.user_id, this._add(member, cache)), new Collection());
   }
@@ -146,6 +150,7 @@ class ThreadMemberManager extends CachedManager {
    * @property {Snowflake} [after] Consider only thread members after this id
    * @property {number} [limit] The maximum number of thread members to return
    * @property {boolean} [cache] Whether to cache the fetched thread members and guild members
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -153,6 +158,7 @@ class ThreadMemberManager extends CachedManager {
    * @typedef {Object} FetchThreadMembersWithoutGuildMemberDataOptions
    * @property {false} [withMember] Whether to also return the guild member data
    * @property {boolean} [cache] Whether to cache the fetched thread members
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -48,7 +48,7 @@ class UserManager extends CachedManager {
    * @param {BaseFetchOptions} [options] Additional options for this fetch
    * @returns {Promise<DMChannel>}
    */
-  async createDM(user, { cache = true, force = false } = {}) {
+  async createDM(user, { cache = true, force = false, signal } = {}) {
     const id = this.resolveId(user);
 
     if (!force) {
@@ -61,6 +61,7 @@ class UserManager extends CachedManager {
         recipients: [id],
       },
       DiscordContext: {},
+      signal,
     });
 
     const dm_channel = await this.client.channels._add(data, null, { cache });
@@ -71,31 +72,32 @@ class UserManager extends CachedManager {
   /**
    * Deletes a {@link DMChannel} (if one exists) between the client and a user. Resolves with the channel if successful.
    * @param {UserResolvable} user The UserResolvable to identify
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<DMChannel>}
    */
-  async deleteDM(user) {
+  async deleteDM(user, signal) {
     const id = this.resolveId(user);
     const dmChannel = this.dmChannel(id);
     if (!dmChannel) throw new Error('USER_NO_DM_CHANNEL');
-    await this.client.api.channels(dmChannel.id).delete();
+    await this.client.api.channels(dmChannel.id).delete({ signal });
     this.client.channels._remove(dmChannel.id);
     return dmChannel;
   }
 
   /**
-   * Obtains a user from Discord, or the user cache if it's already available.
+   * Obtains a user from Discord, or the user cache or {@link CachedManager#adapter} if it's already available.
    * @param {UserResolvable} user The user to fetch
    * @param {BaseFetchOptions} [options] Additional options for this fetch
    * @returns {Promise<User>}
    */
-  async fetch(user, { cache = true, force = false } = {}) {
+  async fetch(user, { cache = true, force = false, signal } = {}) {
     const id = this.resolveId(user);
     if (!force) {
-      const existing = this.cache.get(id);
+      const existing = await this._resolveStored(id, cache);
       if (existing && !existing.partial) return existing;
     }
 
-    const data = await this.client.api.users(id).get();
+    const data = await this.client.api.users(id).get({ signal });
     return this._add(data, cache);
   }
 
@@ -22,8 +22,8 @@ class UserNoteManager extends BaseManager {
     return this;
   }
 
-  async updateNote(id, note = null) {
-    await this.client.api.users['@me'].notes(id).put({ data: { note } });
+  async updateNote(id, note = null, signal) {
+    await this.client.api.users['@me'].notes(id).put({ data: { note }, signal });
     if (!note) this.cache.delete(id, note);
     else this.cache.set(id, note);
     return this;
@@ -35,14 +35,14 @@ class UserNoteManager extends BaseManager {
    * @param {BaseFetchOptions} [options] Additional options for this fetch
    * @returns {Promise<string>}
    */
-  async fetch(user, { cache = true, force = false } = {}) {
+  async fetch(user, { cache = true, force = false, signal } = {}) {
     const id = this.resolveId(user);
     if (!force) {
       const existing = this.cache.get(id);
       if (existing) return existing;
     }
     const data = await this.client.api.users['@me'].notes[id]
-      .get()
+      .get({ signal })
       .then(d => d.note)
       .catch(() => '');
     if (cache) this.cache.set(id, data);
@@ -44,14 +44,14 @@ class VoiceStateManager extends CachedManager {
    *    .then(console.log)
    *    .catch(console.error);
    */
-  async fetch(member, { cache = true, force = false } = {}) {
+  async fetch(member, { cache = true, force = false, signal } = {}) {
     if (!this.guild?.id) throw new Error('Guild is not defined');
     const id = member === '@me' ? member : this.guild.members.resolveId(member);
     if (!force) {
-      const existing = this.cache.get(id === '@me' ? this.client.user.id : id);
+      const existing = this._lookup(id === '@me' ? this.client.user.id : id);
       if (existing) return existing;
     }
-    const data = await this.client.api.guilds(this.guild.id)['voice-states'][id].get();
+    const data = await this.client.api.guilds(this.guild.id)['voice-states'][id].get({ signal });
     return this._add(data, cache);
   }
 }
@@ -3,7 +3,7 @@
 const Buffer = require('node:buffer').Buffer;
 const { setTimeout } = require('node:timers');
 const { FormData, buildConnector, Client, ProxyAgent } = require('undici');
-const { ciphers } = require('../util/Constants');
+const { ciphers, Events } = require('../util/Constants');
 const Util = require('../util/Util');
 
 let agent = null;
@@ -16,6 +16,9 @@ class APIRequest {
     this.route = options.route;
     this.options = options;
     this.retries = 0;
+    this.response = null;
+    // The response the request failed with, passed to the onError interceptors
+    this.errorResponse = null;
 
     this.fullUserAgent = this.client.options.http.headers['User-Agent'];
 
@@ -32,20 +35,6 @@ class APIRequest {
   }
 
   make(captchaKey, captchaRqToken) {
-    if (!agent) {
-      const r_ = Util.checkUndiciProxyAgent(this.client.options.http.agent);
-      if (!r_) {
-        agent = new Client('https://discord.com', {
-          connect: buildConnector({ ciphers: ciphers.join(':') }),
-        });
-      } else {
-        agent = new ProxyAgent({
-          ...r_,
-          ciphers: ciphers.join(':'),
-        });
-      }
-    }
-
     const API =
       this.options.versioned === false
         ? this.client.options.http.api
@@ -137,18 +126,43 @@ class APIRequest {
 
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), this.client.options.restRequestTimeout).unref();
-    return this.rest
-      .fetch(url, {
-        method: this.method.toUpperCase(), // Undici doesn't normalize "patch" into "PATCH" (which surprisingly follows the spec).
-        headers,
-        body,
-        signal: controller.signal,
-        redirect: 'follow',
-        dispatcher: agent,
-        credentials: 'include',
+    const options = {
+      method: this.method.toUpperCase(), // Undici doesn't normalize "patch" into "PATCH" (which surprisingly follows the spec).
+      headers,
+      body,
+      signal: this.options.signal ? AbortSignal.any([controller.signal, this.options.signal]) : controller.signal,
+      redirect: 'follow',
+      credentials: 'include',
+    };
+    const response = this.rest.transport
+      ? Promise.resolve().then(() => this.rest.transport.request(url, options, this))
+      : this.rest.fetch(url, { ...options, dispatcher: this.getAgent() });
+    return response
+      .then(res => {
+        this.rest.recorder
+          ?.record(this, res)
+          .catch(error => this.client.emit(Events.DEBUG, `[REST Recorder] Failed to record ${this.path}: ${error}`));
+        return res;
       })
       .finally(() => clearTimeout(timeout));
   }
+
+  getAgent() {
+    if (!agent) {
+      const r_ = Util.checkUndiciProxyAgent(this.client.options.http.agent);
+      if (!r_) {
+        agent = new Client('https://discord.com', {
+          connect: buildConnector({ ciphers: ciphers.join(':') }),
+        });
+      } else {
+        agent = new ProxyAgent({
+          ...r_,
+          ciphers: ciphers.join(':'),
+        });
+      }
+    }
+    return agent;
+  }
 }
 
 module.exports = APIRequest;
@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * Represents a request that was aborted through its `signal` before it completed.
+ * @extends Error
+ */
+class AbortError extends Error {
+  constructor(request, reason) {
+    super(`The request to ${request.method.toUpperCase()} ${request.path} was aborted`);
+
+    /**
+     * The name of the error
+     * @type {string}
+     */
+    this.name = 'AbortError';
+
+    /**
+     * The HTTP method used for the request
+     * @type {string}
+     */
+    this.method = request.method;
+
+    /**
+     * The path of the request relative to the HTTP endpoint
+     * @type {string}
+     */
+    this.path = request.path;
+
+    /**
+     * The reason the signal was aborted with
+     * @type {*}
+     */
+    this.reason = reason;
+  }
+}
+
+module.exports = AbortError;
@@ -1,5 +1,7 @@
 'use strict';
 
+const { APIErrors } = require('../util/Constants');
+
 /**
  * Represents an error from the Discord API.
  * @extends Error
@@ -67,6 +69,15 @@ class DiscordAPIError extends Error {
     this.captcha = error?.captcha_service ? error : null;
   }
 
+  /**
+   * The name of the JSON error code, as found in {@link APIErrors}
+   * @type {?string}
+   * @readonly
+   */
+  get codeName() {
+    return Object.keys(APIErrors).find(name => APIErrors[name] === this.code) ?? null;
+  }
+
   /**
    * A special `40333` JSON error code is returned if your request is blocked by Cloudflare.
    * This may be due to a malformed request or improper user agent.
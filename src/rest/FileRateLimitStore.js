@@ -0,0 +1,11 @@
+'use strict';
+
+const JSONFileStore = require('../util/JSONFileStore');
+
+/**
+ * A {@link RateLimitStore} that keeps the rate limit state of a {@link RESTManager} in a JSON file.
+ * @extends JSONFileStore
+ */
+class FileRateLimitStore extends JSONFileStore {}
+
+module.exports = FileRateLimitStore;
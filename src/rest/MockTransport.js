@@ -0,0 +1,211 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { Response } = require('undici');
+const RoutePattern = require('./RoutePattern');
+
+/**
+ * Data used by a {@link MockTransport} to build a response.
+ * @typedef {Object} MockResponseData
+ * @property {number} [status=200] The HTTP status code of the response
+ * @property {Object<string, string>} [headers] The headers of the response
+ * @property {*} [body] The body of the response, serialized as JSON unless it is a string or a Buffer
+ */
+
+/**
+ * Resolves the response of a mocked route.
+ * @typedef {Function} MockRouteHandler
+ * @param {MockRequest} request The request that was made
+ * @returns {MockResponseData|Promise<MockResponseData>}
+ */
+
+/**
+ * A request received by a {@link MockTransport}.
+ * @typedef {Object} MockRequest
+ * @property {string} method The HTTP method of the request, in upper case
+ * @property {string} path The path of the request relative to the API version, without the query string
+ * @property {string} route The API route identifying the rate limit of the request
+ * @property {Object<string, string>} params The parameters extracted from the matched route pattern
+ * @property {Object<string, string>} query The query string parameters of the request
+ * @property {Object<string, string>} headers The headers sent with the request
+ * @property {*} data The JSON data sent with the request, if any
+ * @property {HTTPAttachmentData[]} files The files sent with the request
+ */
+
+/**
+ * An in-memory {@link RESTTransport} that answers requests with registered handlers instead of
+ * calling the Discord API.
+ * @example
+ * const transport = new MockTransport();
+ * transport.route('GET', '/channels/:id/messages', ({ params }) => ({
+ *   body: [{ id: '1', channel_id: params.id, content: 'Hello' }],
+ * }));
+ * const client = new Client({ http: { transport } });
+ */
+class MockTransport {
+  constructor() {
+    /**
+     * The registered routes, in the order they are matched
+     * @type {Object[]}
+     * @private
+     */
+    this.routes = [];
+
+    /**
+     * The requests this transport has received, in the order they were made
+     * @type {MockRequest[]}
+     */
+    this.requests = [];
+  }
+
+  /**
+   * Options for a mocked route.
+   * @typedef {Object} MockRouteOptions
+   * @property {number} [times=Infinity] How many requests this route answers before it is removed
+   */
+
+  /**
+   * Registers a handler for a route.
+   * Routes are matched in the order they were registered, segments starting with `:` match any value.
+   * @param {HTTPMethod} method The HTTP method to match
+   * @param {string} path The path pattern to match, e.g. `/channels/:id/messages`
+   * @param {MockRouteHandler|MockResponseData} response The handler of the route, or a static response
+   * @param {MockRouteOptions} [options] Options for the route
+   * @returns {MockTransport}
+   * @example
+   * // Rate limit the first request, then answer normally
+   * transport
+   *   .route('GET', '/users/:id', MockTransport.rateLimited(0.5), { times: 1 })
+   *   .route('GET', '/users/:id', ({ params }) => ({ body: { id: params.id, username: 'test' } }));
+   */
+  route(method, path, response, { times = Infinity } = {}) {
+    this.routes.push({
+      method: method.toUpperCase(),
+      pattern: new RoutePattern(path),
+      handler: typeof response === 'function' ? response : () => response,
+      remaining: times,
+    });
+    return this;
+  }
+
+  /**
+   * Clears the registered routes and the recorded requests.
+   * @returns {MockTransport}
+   */
+  reset() {
+    this.routes = [];
+    this.requests = [];
+    return this;
+  }
+
+  /**
+   * Gets the recorded requests matching a method and a path pattern.
+   * @param {HTTPMethod} method The HTTP method to match
+   * @param {string} path The path pattern to match, e.g. `/channels/:id/messages`
+   * @returns {MockRequest[]}
+   */
+  requestsFor(method, path) {
+    const pattern = new RoutePattern(path);
+    return this.requests.filter(request => request.method === method.toUpperCase() && pattern.test(request.path));
+  }
+
+  /**
+   * Answers a request made by an {@link APIRequest}.
+   * @param {string} url The full URL of the request
+   * @param {Object} options The fetch options of the request
+   * @param {APIRequest} apiRequest The request being made
+   * @returns {Promise<Response>}
+   */
+  async request(url, options, apiRequest) {
+    if (options.signal?.aborted) throw options.signal.reason;
+
+    const { pathname, searchParams } = new URL(apiRequest.path, 'http://localhost');
+    const method = options.method.toUpperCase();
+    const request = {
+      method,
+      path: pathname,
+      route: apiRequest.route,
+      params: {},
+      query: Object.fromEntries(searchParams),
+      headers: options.headers,
+      data: apiRequest.options.data,
+      files: apiRequest.options.files ?? [],
+    };
+    this.requests.push(request);
+
+    const route = this.routes.find(r => r.method === method && r.pattern.test(pathname));
+    if (!route) return this.constructor.createResponse(this.constructor.notFound());
+
+    request.params = route.pattern.match(pathname);
+    if (--route.remaining <= 0) this.routes.splice(this.routes.indexOf(route), 1);
+
+    const { signal } = options;
+    if (!signal) return this.constructor.createResponse(await route.handler(request));
+
+    // Reject like fetch does when the signal is aborted while the handler is pending
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+    try {
+      return this.constructor.createResponse(await Promise.race([route.handler(request), aborted]));
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Creates a response from mocked response data.
+   * @param {MockResponseData} [data={}] The data of the response
+   * @returns {Response}
+   * @private
+   */
+  static createResponse({ status = 200, headers = {}, body } = {}) {
+    let payload = null;
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+      payload = body;
+    } else if (typeof body !== 'undefined') {
+      payload = JSON.stringify(body);
+      headers = { 'content-type': 'application/json', ...headers };
+    }
+    return new Response(status === 204 ? null : payload, { status, headers });
+  }
+
+  /**
+   * Creates the data of a 429 response.
+   * @param {number} [retryAfter=0] The number of seconds to wait before retrying
+   * @param {boolean} [global=false] Whether the rate limit is global
+   * @returns {MockResponseData}
+   */
+  static rateLimited(retryAfter = 0, global = false) {
+    const headers = { 'retry-after': String(retryAfter) };
+    if (global) headers['x-ratelimit-global'] = 'true';
+    return {
+      status: 429,
+      headers,
+      body: { message: 'You are being rate limited.', retry_after: retryAfter, global },
+    };
+  }
+
+  /**
+   * Creates the data of a 5xx response.
+   * @param {number} [status=500] The HTTP status code of the response
+   * @returns {MockResponseData}
+   */
+  static serverError(status = 500) {
+    return { status, body: { message: '500: Internal Server Error', code: 0 } };
+  }
+
+  /**
+   * Creates the data of a 404 response.
+   * @param {number} [code=0] The JSON error code of the response
+   * @param {string} [message='404: Not Found'] The error message of the response
+   * @returns {MockResponseData}
+   */
+  static notFound(code = 0, message = '404: Not Found') {
+    return { status: 404, body: { message, code } };
+  }
+}
+
+module.exports = MockTransport;
@@ -1,15 +1,23 @@
 'use strict';
 
-const { setInterval } = require('node:timers');
+const { setInterval, setTimeout } = require('node:timers');
+const { isNativeError } = require('node:util').types;
 const { Collection } = require('@discordjs/collection');
 const makeFetchCookie = require('fetch-cookie');
 const { CookieJar } = require('tough-cookie');
 const { fetch: fetchOriginal } = require('undici');
 const APIRequest = require('./APIRequest');
 const routeBuilder = require('./APIRouter');
+const AbortError = require('./AbortError');
+const FileRateLimitStore = require('./FileRateLimitStore');
+const RESTMetrics = require('./RESTMetrics');
+const RESTRecorder = require('./RESTRecorder');
+const ReplayTransport = require('./ReplayTransport');
 const RequestHandler = require('./RequestHandler');
-const { Error } = require('../errors');
-const { Endpoints } = require('../util/Constants');
+const RetryPolicy = require('./RetryPolicy');
+const RoutePattern = require('./RoutePattern');
+const { Error, TypeError } = require('../errors');
+const { Endpoints, Events } = require('../util/Constants');
 
 class RESTManager {
   constructor(client) {
@@ -22,9 +30,56 @@ class RESTManager {
     this.globalDelay = null;
     this.cookieJar = new CookieJar();
     this.fetch = makeFetchCookie.default(fetchOriginal, this.cookieJar);
+
+    const { transport } = client.options.http;
+    if (transport && typeof transport.request !== 'function') {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'http.transport', 'an object with a request function');
+    }
+    this.transport = transport ?? null;
+    this.recorder = null;
+    this.interceptors = { beforeRequest: [], afterResponse: [], onError: [] };
+    for (const [hook, interceptors] of Object.entries(client.options.http.interceptors ?? {})) {
+      for (const interceptor of [interceptors].flat()) this.addInterceptor(hook, interceptor);
+    }
+
+    const { fixtures } = client.options.http;
+    if (fixtures?.mode === 'record') this.startRecording(fixtures.path);
+    else if (fixtures?.mode === 'replay') this.replay(fixtures.path);
+    else if (fixtures) throw new Error('REST_FIXTURE_MODE', fixtures.mode);
+
+    const { rateLimitStore } = client.options.http;
+    if (
+      rateLimitStore &&
+      typeof rateLimitStore !== 'string' &&
+      (typeof rateLimitStore.load !== 'function' || typeof rateLimitStore.save !== 'function')
+    ) {
+      throw new TypeError(
+        'CLIENT_INVALID_OPTION',
+        'http.rateLimitStore',
+        'a path or an object with load and save functions',
+      );
+    }
+    this.rateLimitStore =
+      typeof rateLimitStore === 'string' ? new FileRateLimitStore(rateLimitStore) : rateLimitStore ?? null;
+    this.rateLimitSaveTimeout = null;
+    this.rateLimitsRestored = this.rateLimitStore ? this.restoreRateLimits() : Promise.resolve();
+
+    this.metrics = new RESTMetrics();
+    this.inflight = new Map();
+    this.responseCache = new Collection();
+    this.responseCacheRoutes = Object.entries(client.options.http.responseCache ?? {}).map(([pattern, ttl]) => ({
+      pattern: new RoutePattern(pattern),
+      ttl,
+    }));
+
+    const { retryPolicy } = client.options.http;
+    this.retryPolicy =
+      retryPolicy instanceof RetryPolicy ? retryPolicy : new RetryPolicy(retryPolicy ?? {}, client.options.retryLimit);
+
     if (client.options.restSweepInterval > 0) {
       this.sweepInterval = setInterval(() => {
         this.handlers.sweep(handler => handler._inactive);
+        this.responseCache.sweep(entry => entry.expires <= Date.now());
       }, client.options.restSweepInterval * 1_000).unref();
     }
   }
@@ -43,8 +98,84 @@ class RESTManager {
     return Endpoints.CDN(this.client.options.http.cdn);
   }
 
+  addInterceptor(hook, interceptor) {
+    if (!Object.hasOwn(this.interceptors, hook)) {
+      throw new TypeError('INVALID_TYPE', 'hook', "'beforeRequest', 'afterResponse' or 'onError' hook");
+    }
+    if (typeof interceptor !== 'function') throw new TypeError('INVALID_TYPE', 'interceptor', 'function');
+    this.interceptors[hook].push(interceptor);
+    return () => this.removeInterceptor(hook, interceptor);
+  }
+
+  removeInterceptor(hook, interceptor) {
+    const interceptors = this.interceptors[hook];
+    const index = interceptors?.indexOf(interceptor) ?? -1;
+    if (index === -1) return false;
+    interceptors.splice(index, 1);
+    return true;
+  }
+
+  async runBeforeRequest(request) {
+    for (const interceptor of this.interceptors.beforeRequest) {
+      const response = await interceptor(request); // eslint-disable-line no-await-in-loop
+      if (response) return response;
+    }
+    return null;
+  }
+
+  async runAfterResponse(request, response) {
+    for (const interceptor of this.interceptors.afterResponse) {
+      response = (await interceptor(request, response)) ?? response; // eslint-disable-line no-await-in-loop
+    }
+    return response;
+  }
+
+  async runOnError(request, error, errorResponse = null) {
+    for (const interceptor of this.interceptors.onError) {
+      const result = await interceptor(request, error, errorResponse); // eslint-disable-line no-await-in-loop
+      if (isNativeError(result)) error = result;
+      else if (result) return { response: result };
+    }
+    return { error };
+  }
+
   request(method, url, options = {}) {
     const apiRequest = new APIRequest(this, method, url, options);
+    if (method !== 'get') {
+      return this.send(apiRequest).then(data => {
+        // The resource changed, so its cached representation is stale
+        if (this.responseCache.size) this.responseCache.sweep(entry => entry.path === url);
+        return data;
+      });
+    }
+
+    const key = JSON.stringify([apiRequest.path, options.versioned, options.auth, options.headers ?? null]);
+    const cached = this.responseCache.get(key);
+    if (cached?.expires > Date.now()) return Promise.resolve(structuredClone(cached.data));
+    this.responseCache.delete(key);
+
+    // Requests with their own signal may be aborted, which must not reject the requests sharing them
+    const coalesce = this.client.options.http.coalesceRequests && !options.signal;
+    if (coalesce && this.inflight.has(key)) return this.inflight.get(key).then(({ data }) => structuredClone(data));
+
+    const shared = this.send(apiRequest).then(data => {
+      const ttl = this.responseCacheRoutes.find(({ pattern }) => pattern.test(url))?.ttl;
+      if (ttl > 0) this.responseCache.set(key, { path: url, data: structuredClone(data), expires: Date.now() + ttl });
+      return { data };
+    });
+    if (coalesce) {
+      this.inflight.set(key, shared);
+      shared.catch(() => null).finally(() => this.inflight.delete(key));
+    }
+    return shared.then(({ data }) => data);
+  }
+
+  async send(apiRequest) {
+    const { signal } = apiRequest.options;
+    if (signal?.aborted) throw new AbortError(apiRequest, signal.reason);
+    if (this.rateLimitStore) await this.rateLimitsRestored;
+    if (this.interceptors.beforeRequest.length) apiRequest.response = await this.runBeforeRequest(apiRequest);
+
     let handler = this.handlers.get(apiRequest.route);
 
     if (!handler) {
@@ -55,6 +186,93 @@ class RESTManager {
     return handler.push(apiRequest);
   }
 
+  clearResponseCache() {
+    this.responseCache.clear();
+  }
+
+  startRecording(file) {
+    this.recorder = new RESTRecorder(file);
+    return this.recorder;
+  }
+
+  stopRecording() {
+    const recorder = this.recorder;
+    this.recorder = null;
+    return recorder ? recorder.save() : Promise.resolve();
+  }
+
+  replay(file) {
+    this.transport = ReplayTransport.fromFile(file);
+    return this.transport;
+  }
+
+  getRateLimitState() {
+    const now = Date.now();
+    return {
+      version: 1,
+      // An unlimited global rate limit has nothing worth restoring
+      global:
+        this.globalReset > now && Number.isFinite(this.globalRemaining)
+          ? { remaining: this.globalRemaining, reset: this.globalReset }
+          : null,
+      buckets: [...this.handlers.entries()]
+        .filter(([, handler]) => handler.reset > now)
+        .map(([route, { hash, limit, remaining, reset }]) => ({ route, hash, limit, remaining, reset })),
+    };
+  }
+
+  hydrateRateLimits(state) {
+    if (state?.version !== 1) return;
+    const now = Date.now();
+    if (state.global?.reset > now && typeof state.global.remaining === 'number') {
+      this.globalRemaining = state.global.remaining;
+      this.globalReset = state.global.reset;
+    }
+    for (const { route, hash, limit, remaining, reset } of state.buckets) {
+      // Buckets that reset while the process was down carry no information anymore
+      if (reset <= now) continue;
+      let handler = this.handlers.get(route);
+      if (!handler) {
+        handler = new RequestHandler(this);
+        this.handlers.set(route, handler);
+      }
+      // Unlimited buckets are serialized as null
+      Object.assign(handler, { hash, limit: limit ?? Infinity, remaining, reset });
+    }
+  }
+
+  async restoreRateLimits() {
+    try {
+      const state = await this.rateLimitStore.load();
+      this.hydrateRateLimits(state);
+      if (state) {
+        this.client.emit(Events.DEBUG, `[REST] Restored ${state.buckets.length} rate limit bucket(s) from the store`);
+      }
+    } catch (error) {
+      this.client.emit(Events.DEBUG, `[REST] Failed to restore the rate limit state: ${error}`);
+    }
+  }
+
+  scheduleRateLimitSave() {
+    if (!this.rateLimitStore || this.rateLimitSaveTimeout) return;
+    // Coalesce the updates of a burst of responses into a single write
+    this.rateLimitSaveTimeout = setTimeout(() => {
+      this.rateLimitSaveTimeout = null;
+      this.saveRateLimits();
+    }, 100).unref();
+  }
+
+  saveRateLimits() {
+    if (!this.rateLimitStore) return Promise.resolve();
+    if (this.rateLimitSaveTimeout) {
+      clearTimeout(this.rateLimitSaveTimeout);
+      this.rateLimitSaveTimeout = null;
+    }
+    return Promise.resolve()
+      .then(() => this.rateLimitStore.save(this.getRateLimitState()))
+      .catch(error => this.client.emit(Events.DEBUG, `[REST] Failed to save the rate limit state: ${error}`));
+  }
+
   get endpoint() {
     return this.client.options.http.api;
   }
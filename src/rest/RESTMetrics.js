@@ -0,0 +1,195 @@
+'use strict';
+
+const { Collection } = require('@discordjs/collection');
+
+// The routes whose segment after the id is a token, e.g. `/webhooks/:id/:token/messages/@original`
+const TokenRoutePattern = /^(\/(?:webhooks|interactions)\/[^/]+)\/[^/]+/;
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`,
+  );
+  return `{${pairs.join(',')}}`;
+}
+
+/**
+ * The metrics of the requests sent to a route.
+ * @typedef {Object} RESTRouteMetrics
+ * @property {string} method The HTTP method of the requests, in upper case
+ * @property {string} route The API route of the requests, with snowflakes replaced by `:id`, webhook and interaction
+ * tokens by `:token`, and without its query string
+ * @property {number} requests The number of requests sent, retries included
+ * @property {number} errors The number of requests that failed without a response, e.g. network errors
+ * @property {Object<number, number>} statuses The number of responses received, by status code
+ * @property {number[]} latencyBuckets The number of responses received within each of the latency buckets,
+ * the last one counting every response
+ * @property {number} latencySum The time (in milliseconds) spent waiting for all the responses
+ * @property {number} queuedTime The time (in milliseconds) requests spent waiting for rate limits to reset
+ * @property {number} globalLimitHits The number of times a request had to wait for the global rate limit
+ */
+
+/**
+ * Collects metrics about the requests a {@link RESTManager} sends, per route.
+ */
+class RESTMetrics {
+  constructor(latencyBuckets = RESTMetrics.defaultLatencyBuckets) {
+    /**
+     * The upper bounds (in milliseconds) of the latency histogram buckets, in ascending order
+     * @type {number[]}
+     */
+    this.latencyBuckets = [...latencyBuckets].sort((a, b) => a - b);
+
+    /**
+     * The metrics of each route, keyed by method and route
+     * @type {Collection<string, RESTRouteMetrics>}
+     */
+    this.routes = new Collection();
+  }
+
+  /**
+   * The default upper bounds (in milliseconds) of the latency histogram buckets.
+   * @type {number[]}
+   * @readonly
+   */
+  static get defaultLatencyBuckets() {
+    return [50, 100, 250, 500, 1_000, 2_500, 5_000, 10_000];
+  }
+
+  /**
+   * Gets the metrics of the route of a request, creating them if needed.
+   * @param {APIRequest} request The request
+   * @returns {RESTRouteMetrics}
+   * @private
+   */
+  routeFor(request) {
+    const method = request.method.toUpperCase();
+    // Major parameters are kept in rate limit routes, but would make a new series for every channel and guild, and
+    // tokens and search queries must not end up in the labels
+    const route = request.route
+      .split('?', 1)[0]
+      .replace(TokenRoutePattern, '$1/:token')
+      .replace(/\d{16,19}/g, ':id');
+    const key = `${method} ${route}`;
+    let metrics = this.routes.get(key);
+    if (!metrics) {
+      metrics = {
+        method,
+        route,
+        requests: 0,
+        errors: 0,
+        statuses: {},
+        latencyBuckets: new Array(this.latencyBuckets.length + 1).fill(0),
+        latencySum: 0,
+        queuedTime: 0,
+        globalLimitHits: 0,
+      };
+      this.routes.set(key, metrics);
+    }
+    return metrics;
+  }
+
+  /**
+   * Records a response received for a request.
+   * @param {APIRequest} request The request that was sent
+   * @param {number} status The status code of the response
+   * @param {number} latency The time (in milliseconds) it took to receive the response
+   */
+  observeResponse(request, status, latency) {
+    const metrics = this.routeFor(request);
+    metrics.requests++;
+    metrics.statuses[status] = (metrics.statuses[status] ?? 0) + 1;
+    metrics.latencySum += latency;
+    for (let i = 0; i < this.latencyBuckets.length; i++) {
+      if (latency <= this.latencyBuckets[i]) metrics.latencyBuckets[i]++;
+    }
+    metrics.latencyBuckets[this.latencyBuckets.length]++;
+  }
+
+  /**
+   * Records a request that failed without a response.
+   * @param {APIRequest} request The request that was sent
+   */
+  observeError(request) {
+    const metrics = this.routeFor(request);
+    metrics.requests++;
+    metrics.errors++;
+  }
+
+  /**
+   * Records the time a request spent waiting for a rate limit to reset.
+   * @param {APIRequest} request The request that waited
+   * @param {number} time The time (in milliseconds) the request waited
+   * @param {boolean} [global=false] Whether the request waited for the global rate limit
+   */
+  observeQueued(request, time, global = false) {
+    const metrics = this.routeFor(request);
+    metrics.queuedTime += time;
+    if (global) metrics.globalLimitHits++;
+  }
+
+  /**
+   * Clears the collected metrics.
+   * @returns {RESTMetrics}
+   */
+  reset() {
+    this.routes.clear();
+    return this;
+  }
+
+  /**
+   * Renders the metrics in the Prometheus text exposition format.
+   * @param {string} [prefix='discord_rest'] The prefix of the metric names
+   * @returns {string}
+   * @example
+   * // Serve the metrics to Prometheus
+   * http.createServer((req, res) => {
+   *   res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+   *   res.end(client.rest.metrics.toPrometheus());
+   * }).listen(9100);
+   */
+  toPrometheus(prefix = 'discord_rest') {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${prefix}_${name} ${help}`, `# TYPE ${prefix}_${name} ${type}`);
+      for (const metrics of this.routes.values()) {
+        for (const [suffix, labels, value] of samples(metrics)) {
+          lines.push(
+            `${prefix}_${name}${suffix}${formatLabels({
+              method: metrics.method,
+              route: metrics.route,
+              ...labels,
+            })} ${value}`,
+          );
+        }
+      }
+    };
+
+    metric('requests_total', 'counter', 'Requests sent to the Discord API, retries included.', m => [
+      ['', {}, m.requests],
+    ]);
+    metric('responses_total', 'counter', 'Responses received from the Discord API, by status code.', m =>
+      Object.entries(m.statuses).map(([status, count]) => ['', { status }, count]),
+    );
+    metric('errors_total', 'counter', 'Requests that failed without a response.', m => [['', {}, m.errors]]);
+    metric('request_duration_seconds', 'histogram', 'Time spent waiting for responses.', m => [
+      ...this.latencyBuckets.map((bound, i) => ['_bucket', { le: String(bound / 1_000) }, m.latencyBuckets[i]]),
+      ['_bucket', { le: '+Inf' }, m.latencyBuckets[this.latencyBuckets.length]],
+      ['_sum', {}, m.latencySum / 1_000],
+      ['_count', {}, m.latencyBuckets[this.latencyBuckets.length]],
+    ]);
+    metric('queued_seconds_total', 'counter', 'Time requests spent waiting for rate limits to reset.', m => [
+      ['', {}, m.queuedTime / 1_000],
+    ]);
+    metric('global_rate_limit_hits_total', 'counter', 'Times a request waited for the global rate limit.', m => [
+      ['', {}, m.globalLimitHits],
+    ]);
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  toJSON() {
+    return [...this.routes.values()];
+  }
+}
+
+module.exports = RESTMetrics;
@@ -0,0 +1,154 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { createHash } = require('node:crypto');
+const fs = require('node:fs');
+const { setTimeout } = require('node:timers');
+
+// Headers that no longer describe the body once undici has decoded it, or that should not end up in a fixture
+const skippedHeaders = ['set-cookie', 'content-encoding', 'content-length', 'transfer-encoding'];
+
+/**
+ * A request/response pair stored in a REST fixture file.
+ * @typedef {Object} RESTFixtureEntry
+ * @property {string} method The HTTP method of the request, in upper case
+ * @property {string} path The path of the request relative to the API version, without the query string
+ * @property {string} route The API route identifying the rate limit of the request
+ * @property {Object<string, string>} query The query string parameters of the request
+ * @property {?string} bodyHash The SHA-256 hash of the JSON data and file names sent with the request
+ * @property {number} status The HTTP status code of the response
+ * @property {Object<string, string>} headers The headers of the response
+ * @property {*} body The body of the response, parsed if it was JSON
+ * @property {string} [encoding] Set to `base64` when the body is binary data
+ */
+
+/**
+ * Records REST traffic of a {@link RESTManager} to a JSON fixture file, to be served back by a
+ * {@link ReplayTransport}.
+ * <info>The file is written at most once a second, with the entries recorded meanwhile</info>
+ */
+class RESTRecorder {
+  constructor(file) {
+    /**
+     * The path of the fixture file being written
+     * @type {string}
+     */
+    this.file = file;
+
+    /**
+     * The entries recorded so far
+     * @type {RESTFixtureEntry[]}
+     */
+    this.entries = [];
+
+    /**
+     * The pending write of the fixture file
+     * @type {Promise<void>}
+     * @private
+     */
+    this._writing = Promise.resolve();
+
+    /**
+     * The write scheduled after the last recorded entries, if any
+     * @type {?Object}
+     * @private
+     */
+    this._scheduledSave = null;
+  }
+
+  /**
+   * Records the response of a request, the fixture file is written a second later.
+   * @param {APIRequest} request The request that was made
+   * @param {Response} response The response that was received, which is left unconsumed
+   * @returns {Promise<void>}
+   */
+  async record(request, response) {
+    const clone = response.clone();
+    const entry = {
+      ...this.constructor.describe(request),
+      status: clone.status,
+      headers: Object.fromEntries([...clone.headers].filter(([key]) => !skippedHeaders.includes(key))),
+      body: null,
+    };
+    const buffer = Buffer.from(await clone.arrayBuffer());
+    if (buffer.length) {
+      if (clone.headers.get('content-type')?.startsWith('application/json')) {
+        entry.body = JSON.parse(buffer.toString('utf8'));
+      } else {
+        entry.body = buffer.toString('base64');
+        entry.encoding = 'base64';
+      }
+    }
+    this.entries.push(entry);
+    return this.scheduleSave();
+  }
+
+  /**
+   * Schedules a write of the fixture file, so the entries of a burst of requests are written at once.
+   * @returns {Promise<void>} The scheduled write
+   * @private
+   */
+  scheduleSave() {
+    if (!this._scheduledSave) {
+      const scheduled = {};
+      scheduled.promise = new Promise((resolve, reject) => Object.assign(scheduled, { resolve, reject }));
+      scheduled.timeout = setTimeout(() => this.save(), 1_000).unref();
+      this._scheduledSave = scheduled;
+    }
+    return this._scheduledSave.promise;
+  }
+
+  /**
+   * Writes the recorded entries to the fixture file once the pending writes are done, including the scheduled one.
+   * @returns {Promise<void>}
+   */
+  save() {
+    const data = JSON.stringify({ version: 1, entries: this.entries }, null, 2);
+    // A failed write does not prevent the next ones
+    this._writing = this._writing.catch(() => null).then(() => fs.promises.writeFile(this.file, data));
+
+    const scheduled = this._scheduledSave;
+    if (scheduled) {
+      this._scheduledSave = null;
+      clearTimeout(scheduled.timeout);
+      this._writing.then(scheduled.resolve, scheduled.reject);
+    }
+    return this._writing;
+  }
+
+  /**
+   * Gets the fields identifying a request in a fixture file.
+   * @param {APIRequest} request The request to describe
+   * @returns {Object}
+   * @private
+   */
+  static describe(request) {
+    const { pathname, searchParams } = new URL(request.path, 'http://localhost');
+    const { data, files } = request.options;
+    const hasBody = typeof data !== 'undefined' || files?.length;
+    return {
+      method: request.method.toUpperCase(),
+      path: pathname,
+      route: request.route,
+      query: Object.fromEntries(searchParams),
+      bodyHash: hasBody
+        ? createHash('sha256')
+            .update(JSON.stringify({ data: data ?? null, files: files?.map(file => file?.name ?? null) ?? [] }))
+            .digest('hex')
+        : null,
+    };
+  }
+
+  /**
+   * Gets the key used to match a request against the entries of a fixture file.
+   * @param {Object} description The description of the request
+   * @returns {string}
+   * @private
+   */
+  static keyFor({ method, path, query, bodyHash }) {
+    const sortedQuery = Object.entries(query).sort(([a], [b]) => a.localeCompare(b));
+    return JSON.stringify([method, path, sortedQuery, bodyHash]);
+  }
+}
+
+module.exports = RESTRecorder;
@@ -0,0 +1,72 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const fs = require('node:fs');
+const { Response } = require('undici');
+const RESTRecorder = require('./RESTRecorder');
+const { Error } = require('../errors');
+
+/**
+ * A {@link RESTTransport} that serves the responses of a fixture file written by a {@link RESTRecorder}.
+ * Requests are matched on their method, path, query and body hash. Identical requests are answered with their
+ * recorded responses in order, the last one being repeated once they have all been served.
+ */
+class ReplayTransport {
+  constructor(entries) {
+    /**
+     * The recorded entries, grouped by request
+     * @type {Map<string, RESTFixtureEntry[]>}
+     * @private
+     */
+    this.entries = new Map();
+
+    /**
+     * How many times each request has been answered
+     * @type {Map<string, number>}
+     * @private
+     */
+    this.served = new Map();
+
+    for (const entry of entries) {
+      const key = RESTRecorder.keyFor(entry);
+      if (!this.entries.has(key)) this.entries.set(key, []);
+      this.entries.get(key).push(entry);
+    }
+  }
+
+  /**
+   * Creates a transport from a fixture file.
+   * @param {string} file The path of the fixture file
+   * @returns {ReplayTransport}
+   */
+  static fromFile(file) {
+    if (!fs.existsSync(file)) throw new Error('FILE_NOT_FOUND', file);
+    return new this(JSON.parse(fs.readFileSync(file, 'utf8')).entries);
+  }
+
+  /**
+   * Answers a request made by an {@link APIRequest} with its recorded response.
+   * @param {string} url The full URL of the request
+   * @param {Object} options The fetch options of the request
+   * @param {APIRequest} apiRequest The request being made
+   * @returns {Promise<Response>}
+   */
+  async request(url, options, apiRequest) {
+    const description = RESTRecorder.describe(apiRequest);
+    const key = RESTRecorder.keyFor(description);
+    const entries = this.entries.get(key);
+    if (!entries) throw new Error('REST_FIXTURE_MISSING', description.method, apiRequest.path);
+
+    const served = this.served.get(key) ?? 0;
+    this.served.set(key, served + 1);
+    const { status, headers, body, encoding } = entries[Math.min(served, entries.length - 1)];
+
+    let payload = null;
+    if (body !== null && status !== 204) {
+      payload = encoding === 'base64' ? Buffer.from(body, 'base64') : JSON.stringify(body);
+    }
+    return new Response(payload, { status, headers });
+  }
+}
+
+module.exports = ReplayTransport;
@@ -3,11 +3,13 @@
 const { setTimeout } = require('node:timers');
 const { setTimeout: sleep } = require('node:timers/promises');
 const { AsyncQueue } = require('@sapphire/async-queue');
-const DiscordAPIError = require('./DiscordAPIError');
+const AbortError = require('./AbortError');
 const HTTPError = require('./HTTPError');
 const RateLimitError = require('./RateLimitError');
+const RetryPolicy = require('./RetryPolicy');
+const APIErrorRegistry = require('../errors/APIErrorRegistry');
 const {
-  Events: { DEBUG, RATE_LIMIT, INVALID_REQUEST_WARNING, API_RESPONSE, API_REQUEST },
+  Events: { DEBUG, RATE_LIMIT, INVALID_REQUEST_WARNING, API_RESPONSE, API_REQUEST, REST_RETRY },
 } = require('../util/Constants');
 
 const captchaMessage = [
@@ -52,14 +54,28 @@ class RequestHandler {
   constructor(manager) {
     this.manager = manager;
     this.queue = new AsyncQueue();
+    this.hash = null;
     this.reset = -1;
     this.remaining = -1;
     this.limit = -1;
   }
 
   async push(request) {
-    await this.queue.wait();
+    const { signal } = request.options;
     try {
+      await this.queue.wait({ signal });
+    } catch (error) {
+      // The queue only rejects when the signal aborts a request that is still waiting for its turn
+      throw new AbortError(request, signal?.reason ?? error);
+    }
+    try {
+      return await this.execute(request);
+    } catch (error) {
+      if (!this.manager.interceptors.onError.length) throw error;
+      const result = await this.manager.runOnError(request, error, request.errorResponse);
+      if (result.error) throw result.error;
+      // An interceptor recovered from the error with a response of its own
+      request.response = result.response;
       return await this.execute(request);
     } finally {
       this.queue.shift();
@@ -82,6 +98,62 @@ class RequestHandler {
     return this.queue.remaining === 0 && !this.limited;
   }
 
+  /*
+   * Waits for a promise, rejecting with an AbortError if the request is aborted first
+   */
+  waitFor(promise, request) {
+    const { signal } = request.options;
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(new AbortError(request, signal.reason));
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+      return promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /*
+   * Waits for the delay of the next attempt if the retry policy allows one, returning whether to retry the request
+   */
+  async waitForRetry(request, rule, { reason, status = null, code = null }) {
+    const policy = this.manager.retryPolicy.forRoute(request.route);
+    if (!rule || request.retries >= (rule.retries ?? policy.options.retries)) return false;
+
+    request.retries++;
+    const delay = policy.delayFor(request.retries, rule);
+
+    /**
+     * @typedef {Object} RESTRetryData
+     * @property {number} attempt The number of the retry, starting at 1
+     * @property {string} reason Why the request is retried, either `status` or `network`
+     * @property {?number} status The status code of the failed response, if the reason is `status`
+     * @property {?string} code The code of the network error, if the reason is `network`
+     * @property {number} delay The time (in milliseconds) waited before the retry
+     * @property {HTTPMethod} method The HTTP method of the request
+     * @property {string} path The path of the request
+     * @property {string} route The API route of the request
+     */
+
+    /**
+     * Emitted when a failed request is about to be retried according to the retry policy.
+     * @event BaseClient#restRetry
+     * @param {RESTRetryData} retryData Object containing the retry info
+     */
+    this.manager.client.emit(REST_RETRY, {
+      attempt: request.retries,
+      reason,
+      status,
+      code,
+      delay,
+      method: request.method,
+      path: request.path,
+      route: request.route,
+    });
+
+    await this.waitFor(sleep(delay), request);
+    return true;
+  }
+
   globalDelayFor(ms) {
     return new Promise(resolve => {
       setTimeout(() => {
@@ -116,64 +188,78 @@ class RequestHandler {
   }
 
   async execute(request, captchaKey, captchaToken) {
+    if (request.options.signal?.aborted) throw new AbortError(request, request.options.signal.reason);
+
+    // Responses provided by interceptors never reach the API, so they are not rate limited
+    let res = request.response;
+    const intercepted = Boolean(res);
+    request.response = null;
+    request.errorResponse = null;
+
     /*
      * After calculations have been done, pre-emptively stop further requests
      * Potentially loop until this task can run if e.g. the global rate limit is hit twice
      */
-    while (this.limited) {
-      const isGlobal = this.globalLimited;
-      let limit, timeout, delayPromise;
-
-      if (isGlobal) {
-        // Set the variables based on the global rate limit
-        limit = this.manager.globalLimit;
-        timeout = this.manager.globalReset + this.manager.client.options.restTimeOffset - Date.now();
-      } else {
-        // Set the variables based on the route-specific rate limit
-        limit = this.limit;
-        timeout = this.reset + this.manager.client.options.restTimeOffset - Date.now();
-      }
+    if (!intercepted) {
+      while (this.limited) {
+        const isGlobal = this.globalLimited;
+        let limit, timeout, delayPromise;
 
-      if (this.manager.client.listenerCount(RATE_LIMIT)) {
-        /**
-         * Emitted when the client hits a rate limit while making a request
-         * @event BaseClient#rateLimit
-         * @param {RateLimitData} rateLimitData Object containing the rate limit info
-         */
-        this.manager.client.emit(RATE_LIMIT, {
-          timeout,
-          limit,
-          method: request.method,
-          path: request.path,
-          route: request.route,
-          global: isGlobal,
-        });
-      }
+        if (isGlobal) {
+          // Set the variables based on the global rate limit
+          limit = this.manager.globalLimit;
+          timeout = this.manager.globalReset + this.manager.client.options.restTimeOffset - Date.now();
+        } else {
+          // Set the variables based on the route-specific rate limit
+          limit = this.limit;
+          timeout = this.reset + this.manager.client.options.restTimeOffset - Date.now();
+        }
 
-      if (isGlobal) {
-        // If this is the first task to reach the global timeout, set the global delay
-        if (!this.manager.globalDelay) {
-          // The global delay function should clear the global delay state when it is resolved
-          this.manager.globalDelay = this.globalDelayFor(timeout);
+        if (this.manager.client.listenerCount(RATE_LIMIT)) {
+          /**
+           * Emitted when the client hits a rate limit while making a request
+           * @event BaseClient#rateLimit
+           * @param {RateLimitData} rateLimitData Object containing the rate limit info
+           */
+          this.manager.client.emit(RATE_LIMIT, {
+            timeout,
+            limit,
+            method: request.method,
+            path: request.path,
+            route: request.route,
+            global: isGlobal,
+          });
+        }
+
+        if (isGlobal) {
+          // If this is the first task to reach the global timeout, set the global delay
+          if (!this.manager.globalDelay) {
+            // The global delay function should clear the global delay state when it is resolved
+            this.manager.globalDelay = this.globalDelayFor(timeout);
+          }
+          delayPromise = this.manager.globalDelay;
+        } else {
+          delayPromise = sleep(timeout);
         }
-        delayPromise = this.manager.globalDelay;
-      } else {
-        delayPromise = sleep(timeout);
-      }
 
-      // Determine whether a RateLimitError should be thrown
-      await this.onRateLimit(request, limit, timeout, isGlobal); // eslint-disable-line no-await-in-loop
+        // Determine whether a RateLimitError should be thrown
+        await this.onRateLimit(request, limit, timeout, isGlobal); // eslint-disable-line no-await-in-loop
 
-      // Wait for the timeout to expire in order to avoid an actual 429
-      await delayPromise; // eslint-disable-line no-await-in-loop
+        // Wait for the timeout to expire in order to avoid an actual 429
+        const waitStart = Date.now();
+        await this.waitFor(delayPromise, request); // eslint-disable-line no-await-in-loop
+        this.manager.metrics.observeQueued(request, Date.now() - waitStart, isGlobal);
+      }
     }
 
     // As the request goes out, update the global usage information
-    if (!this.manager.globalReset || this.manager.globalReset < Date.now()) {
-      this.manager.globalReset = Date.now() + 1_000;
-      this.manager.globalRemaining = this.manager.globalLimit;
+    if (!intercepted) {
+      if (!this.manager.globalReset || this.manager.globalReset < Date.now()) {
+        this.manager.globalReset = Date.now() + 1_000;
+        this.manager.globalRemaining = this.manager.globalLimit;
+      }
+      this.manager.globalRemaining--;
     }
-    this.manager.globalRemaining--;
 
     /**
      * Represents a request that will or has been made to the Discord API
@@ -185,7 +271,7 @@ class RequestHandler {
      * @property {number} retries The number of times this request has been attempted
      */
 
-    if (this.manager.client.listenerCount(API_REQUEST)) {
+    if (!intercepted && this.manager.client.listenerCount(API_REQUEST)) {
       /**
        * Emitted before every API request.
        * This event can emit several times for the same request, e.g. when hitting a rate limit.
@@ -204,17 +290,29 @@ class RequestHandler {
     }
 
     // Perform the request
-    let res;
-    try {
-      res = await request.make(captchaKey, captchaToken);
-    } catch (error) {
-      // Retry the specified number of times for request abortions
-      if (request.retries === this.manager.client.options.retryLimit) {
-        throw new HTTPError(error.message, error.constructor.name, error.status, request);
+    if (!intercepted) {
+      const requestStart = Date.now();
+      try {
+        res = await request.make(captchaKey, captchaToken);
+        this.manager.metrics.observeResponse(request, res.status, Date.now() - requestStart);
+      } catch (error) {
+        this.manager.metrics.observeError(request);
+
+        // Requests aborted by their caller are never retried
+        if (request.options.signal?.aborted) throw new AbortError(request, request.options.signal.reason);
+
+        // Retry network failures according to the retry policy
+        const rule = this.manager.retryPolicy.forRoute(request.route).ruleForError(error);
+        const code = RetryPolicy.errorCode(error);
+        if (!(await this.waitForRetry(request, rule, { reason: 'network', code }))) {
+          throw new HTTPError(error.message, error.constructor.name, error.status, request);
+        }
+        return this.execute(request);
       }
+    }
 
-      request.retries++;
-      return this.execute(request);
+    if (this.manager.interceptors.afterResponse.length) {
+      res = await this.manager.runAfterResponse(request, res);
     }
 
     if (this.manager.client.listenerCount(API_RESPONSE)) {
@@ -241,12 +339,13 @@ class RequestHandler {
     }
 
     let sublimitTimeout;
-    if (res.headers) {
+    if (res.headers && !intercepted) {
       const serverDate = res.headers.get('date');
       const limit = res.headers.get('x-ratelimit-limit');
       const remaining = res.headers.get('x-ratelimit-remaining');
       const reset = res.headers.get('x-ratelimit-reset');
       const resetAfter = res.headers.get('x-ratelimit-reset-after');
+      this.hash = res.headers.get('x-ratelimit-bucket') ?? this.hash;
       this.limit = limit ? Number(limit) : Infinity;
       this.remaining = remaining ? Number(remaining) : 1;
 
@@ -274,10 +373,12 @@ class RequestHandler {
           sublimitTimeout = retryAfter;
         }
       }
+
+      this.manager.scheduleRateLimitSave();
     }
 
     // Count the invalid requests
-    if (res.status === 401 || res.status === 403 || res.status === 429) {
+    if (!intercepted && (res.status === 401 || res.status === 403 || res.status === 429)) {
       if (!invalidCountResetTime || invalidCountResetTime < Date.now()) {
         invalidCountResetTime = Date.now() + 1_000 * 60 * 10;
         invalidCount = 0;
@@ -346,7 +447,9 @@ class RequestHandler {
 
         // If caused by a sublimit, wait it out here so other requests on the route can be handled
         if (sublimitTimeout) {
-          await sleep(sublimitTimeout);
+          const waitStart = Date.now();
+          await this.waitFor(sleep(sublimitTimeout), request);
+          this.manager.metrics.observeQueued(request, Date.now() - waitStart);
         }
         return this.execute(request);
       }
@@ -434,17 +537,24 @@ class RequestHandler {
         throw new HTTPError(err.message, err.constructor.name, err.status, request);
       }
 
-      throw new DiscordAPIError(data, res.status, request);
+      // Retry client errors only when the retry policy has a rule for their status
+      const rule = this.manager.retryPolicy.forRoute(request.route).ruleForStatus(res.status);
+      if (await this.waitForRetry(request, rule, { reason: 'status', status: res.status })) {
+        return this.execute(request);
+      }
+
+      request.errorResponse = { response: res, data };
+      throw APIErrorRegistry.create(data, res.status, request);
     }
 
     // Handle 5xx responses
     if (res.status >= 500 && res.status < 600) {
-      // Retry the specified number of times for possible serverside issues
-      if (request.retries === this.manager.client.options.retryLimit) {
+      // Retry possible serverside issues according to the retry policy
+      const rule = this.manager.retryPolicy.forRoute(request.route).ruleForStatus(res.status);
+      if (!(await this.waitForRetry(request, rule, { reason: 'status', status: res.status }))) {
+        request.errorResponse = { response: res, data: null };
         throw new HTTPError(res.statusText, res.constructor.name, res.status, request);
       }
-
-      request.retries++;
       return this.execute(request);
     }
 
@@ -0,0 +1,141 @@
+'use strict';
+
+const RoutePattern = require('./RoutePattern');
+
+/**
+ * A rule deciding how a failed request is retried.
+ * @typedef {Object} RetryRule
+ * @property {number} [retries] How many times to retry the request
+ * @property {number} [baseDelay] The delay (in milliseconds) before the first retry, doubled on every attempt
+ * @property {number} [maxDelay] The longest delay (in milliseconds) to wait before a retry
+ */
+
+/**
+ * Options for retrying failed REST requests.
+ * <info>Rate limited requests (429) are handled by the rate limiter and never go through the retry policy.</info>
+ * @typedef {Object} RetryPolicyOptions
+ * @property {?number} [retries=null] How many times to retry a request, defaults to {@link ClientOptions#retryLimit}
+ * @property {number} [baseDelay=500] The delay (in milliseconds) before the first retry
+ * @property {number} [maxDelay=10_000] The longest delay (in milliseconds) to wait before a retry
+ * @property {number} [factor=2] The factor the delay is multiplied by on every attempt
+ * @property {boolean} [jitter=true] Whether to randomize each delay between half and all of its value,
+ * so clients failing at the same time do not retry at the same time
+ * @property {Object<string, RetryRule|number|boolean>} [statuses={ '5xx': true }] The rules for responses with an
+ * error status, keyed by status code (e.g. `502`) or class (e.g. `5xx`). A number is the number of retries,
+ * `true` uses the policy defaults and `false` never retries
+ * @property {string[]} [networkErrors] The error codes of network failures to retry, e.g. `ECONNRESET` or
+ * `UND_ERR_HEADERS_TIMEOUT`. Requests that time out after {@link ClientOptions#restRequestTimeout} have
+ * the `ETIMEDOUT` code
+ * @property {Object<string, RetryPolicyOptions>} [routes] Overrides for routes starting with the key,
+ * e.g. `/channels/:id/messages`, where segments starting with `:` match any id. The longest matching route wins
+ */
+
+/**
+ * Decides whether and when failed REST requests are retried.
+ */
+class RetryPolicy {
+  constructor(options = {}, retryLimit = 1) {
+    /**
+     * The options of this policy
+     * @type {RetryPolicyOptions}
+     */
+    this.options = {
+      retries: options.retries ?? retryLimit,
+      baseDelay: options.baseDelay ?? 500,
+      maxDelay: options.maxDelay ?? 10_000,
+      factor: options.factor ?? 2,
+      jitter: options.jitter ?? true,
+      statuses: options.statuses ?? { '5xx': true },
+      networkErrors: options.networkErrors ?? this.constructor.networkErrors,
+    };
+
+    /**
+     * The policies overriding this one for specific routes, the longest route first
+     * @type {Array<Array<RoutePattern|RetryPolicy>>}
+     * @private
+     */
+    this.routes = Object.entries(options.routes ?? {})
+      .sort(([a], [b]) => b.length - a.length)
+      .map(([route, overrides]) => [
+        new RoutePattern(route.toLowerCase(), { prefix: true }),
+        new RetryPolicy({ ...this.options, ...overrides }),
+      ]);
+  }
+
+  /**
+   * The error codes of network failures retried by default.
+   * @type {string[]}
+   * @readonly
+   */
+  static get networkErrors() {
+    return [
+      'ECONNRESET',
+      'ECONNREFUSED',
+      'ETIMEDOUT',
+      'EPIPE',
+      'EAI_AGAIN',
+      'UND_ERR_SOCKET',
+      'UND_ERR_CONNECT_TIMEOUT',
+      'UND_ERR_HEADERS_TIMEOUT',
+      'UND_ERR_BODY_TIMEOUT',
+    ];
+  }
+
+  /**
+   * Gets the policy applying to a route.
+   * @param {string} route The API route of the request
+   * @returns {RetryPolicy}
+   */
+  forRoute(route) {
+    const match = this.routes.find(([pattern]) => pattern.test(route));
+    return match?.[1].forRoute(route) ?? this;
+  }
+
+  /**
+   * Gets the rule applying to a response status.
+   * @param {number} status The status code of the response
+   * @returns {?RetryRule} The rule, or `null` if the status is never retried
+   */
+  ruleForStatus(status) {
+    const { statuses } = this.options;
+    const rule = statuses[status] ?? statuses[`${Math.floor(status / 100)}xx`] ?? false;
+    if (rule === false) return null;
+    if (rule === true) return {};
+    return typeof rule === 'number' ? { retries: rule } : rule;
+  }
+
+  /**
+   * Gets the rule applying to an error thrown while making a request.
+   * @param {Error} error The error that was thrown
+   * @returns {?RetryRule} The rule, or `null` if the error is never retried
+   */
+  ruleForError(error) {
+    return this.options.networkErrors.includes(this.constructor.errorCode(error)) ? {} : null;
+  }
+
+  /**
+   * Gets the delay to wait before a retry.
+   * @param {number} attempt The number of the retry, starting at 1
+   * @param {RetryRule} [rule={}] The rule of the failure
+   * @returns {number}
+   */
+  delayFor(attempt, rule = {}) {
+    const { baseDelay = this.options.baseDelay, maxDelay = this.options.maxDelay } = rule;
+    const delay = Math.min(maxDelay, baseDelay * this.options.factor ** (attempt - 1));
+    return this.options.jitter ? Math.round(delay / 2 + (Math.random() * delay) / 2) : delay;
+  }
+
+  /**
+   * Gets the code of an error thrown by undici or a transport.
+   * @param {Error} error The error that was thrown
+   * @returns {?string}
+   */
+  static errorCode(error) {
+    // Requests aborted by the client are the ones that hit the request timeout
+    if (error?.name === 'AbortError' || error?.name === 'TimeoutError') return 'ETIMEDOUT';
+    // Undici wraps network failures in a "fetch failed" TypeError
+    return error?.cause?.code ?? error?.code ?? null;
+  }
+}
+
+module.exports = RetryPolicy;
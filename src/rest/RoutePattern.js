@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * A path pattern matching API paths, where segments starting with `:` match any value,
+ * e.g. `/channels/:id/messages`.
+ * @private
+ */
+class RoutePattern {
+  /**
+   * @param {string} pattern The pattern to match paths with
+   * @param {Object} [options={}] Options for the pattern
+   * @param {boolean} [options.prefix=false] Whether the pattern also matches the paths nested under it
+   */
+  constructor(pattern, { prefix = false } = {}) {
+    /**
+     * The names of the parameters of the pattern, in order
+     * @type {string[]}
+     */
+    this.keys = [];
+
+    const source = pattern
+      .replace(/\/+$/, '')
+      .split('/')
+      .map(segment => {
+        if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        this.keys.push(segment.slice(1));
+        return '([^/]+)';
+      })
+      .join('/');
+
+    /**
+     * The regular expression the pattern compiles to
+     * @type {RegExp}
+     */
+    this.regex = new RegExp(prefix ? `^${source}(?:/|$)` : `^${source}/?$`);
+  }
+
+  /**
+   * Whether a path matches this pattern.
+   * @param {string} path The path to test, without the query string
+   * @returns {boolean}
+   */
+  test(path) {
+    return this.regex.test(path);
+  }
+
+  /**
+   * Extracts the parameters of a path matching this pattern.
+   * @param {string} path The path to match, without the query string
+   * @returns {?Object<string, string>} The parameters, or `null` if the path does not match
+   */
+  match(path) {
+    const match = this.regex.exec(path);
+    if (!match) return null;
+    return Object.fromEntries(this.keys.map((key, index) => [key, decodeURIComponent(match[index + 1])]));
+  }
+}
+
+module.exports = RoutePattern;
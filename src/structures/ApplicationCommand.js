@@ -242,6 +242,7 @@ class ApplicationCommand extends Base {
   /**
    * Edits this application command.
    * @param {Partial<ApplicationCommandData>} data The data to update the command with
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<ApplicationCommand>}
    * @example
    * // Edit the description of this command
@@ -251,8 +252,8 @@ class ApplicationCommand extends Base {
    *   .then(console.log)
    *   .catch(console.error);
    */
-  edit(data) {
-    return this.manager.edit(this, data, this.guildId);
+  edit(data, signal) {
+    return this.manager.edit(this, data, this.guildId, signal);
   }
 
   /**
@@ -348,6 +349,7 @@ class ApplicationCommand extends Base {
 
   /**
    * Deletes this command.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<ApplicationCommand>}
    * @example
    * // Delete this command
@@ -355,8 +357,8 @@ class ApplicationCommand extends Base {
    *   .then(console.log)
    *   .catch(console.error);
    */
-  delete() {
-    return this.manager.delete(this, this.guildId);
+  delete(signal) {
+    return this.manager.delete(this, this.guildId, signal);
   }
 
   /**
@@ -28,6 +28,9 @@ class Base {
   _update(data) {
     const clone = this._clone();
     this._patch(data);
+    this.client.cache?._record(this, data);
+    this.client.cache?._slim(this);
+    this.client.cache?._storeUpdate(this, data);
     return clone;
   }
 
@@ -97,10 +97,11 @@ class BaseGuild extends Base {
 
   /**
    * Fetches this guild.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Guild>}
    */
-  async fetch() {
-    const data = await this.client.api.guilds(this.id).get({ query: { with_counts: true } });
+  async fetch(signal) {
+    const data = await this.client.api.guilds(this.id).get({ query: { with_counts: true }, signal });
     return this.client.guilds._add(data);
   }
 
@@ -146,6 +146,7 @@ class BaseGuildTextChannel extends GuildChannel {
    * required if `targetType` is 2, the application must have the `EMBEDDED` flag
    * @property {TargetType} [targetType] The type of the target for this voice channel invite
    * @property {string} [reason] The reason for creating the invite
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
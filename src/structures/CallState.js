@@ -45,10 +45,11 @@ class CallState extends Base {
   /**
    * Sets the voice region of the call
    * @param {string} region Region of the call
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  setRTCRegion(region) {
-    return this.client.api.channels(this.channelId).call.patch({ data: { region } });
+  setRTCRegion(region, signal) {
+    return this.client.api.channels(this.channelId).call.patch({ data: { region }, signal });
   }
 
   /**
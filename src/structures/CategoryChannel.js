@@ -65,6 +65,7 @@ class CategoryChannel extends GuildChannel {
    * @property {number} [defaultThreadRateLimitPerUser] The initial rate limit per user (slowmode)
    * to set on newly created threads in a channel.
    * @property {string} [reason] Reason for creating the new channel
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
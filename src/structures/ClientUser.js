@@ -137,10 +137,11 @@ class ClientUser extends User {
   /**
    * Edits the logged in client.
    * @param {ClientUserEditData} options The new data
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<ClientUser>}
    */
-  async edit(options = {}) {
-    const data = await this.client.api.users('@me').patch({ data: options });
+  async edit(options = {}, signal) {
+    const data = await this.client.api.users('@me').patch({ data: options, signal });
     const { updated } = this.client.actions.UserUpdate.handle(data);
     return updated ?? this;
   }
@@ -288,6 +289,7 @@ class ClientUser extends User {
    * * `HOUSE_BRAVERY`: 1
    * * `HOUSE_BRILLIANCE`: 2
    * * `HOUSE_BALANCE`: 3
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    * @example
    * // Set HyperSquad HOUSE_BRAVERY
@@ -295,7 +297,7 @@ class ClientUser extends User {
    * // Leave
    * client.user.setHypeSquad(0);
    */
-  setHypeSquad(type) {
+  setHypeSquad(type, signal) {
     switch (type) {
       case 'LEAVE': {
         type = 0;
@@ -315,10 +317,11 @@ class ClientUser extends User {
       }
     }
     if (type == 0) {
-      return this.client.api.hypesquad.online.delete();
+      return this.client.api.hypesquad.online.delete({ signal });
     } else {
       return this.client.api.hypesquad.online.post({
         data: { house_id: type },
+        signal,
       });
     }
   }
@@ -344,6 +347,7 @@ class ClientUser extends User {
   /**
    * Create an invite [Friend Invites]
    * maxAge: 604800 | maxUses: 1
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Invite>}
    * @see {@link https://github.com/13-05/hidden-disc-docs#js-snippet-for-creating-friend-invites}
    * @example
@@ -352,19 +356,21 @@ class ClientUser extends User {
    *   .then(console.log)
    *   .catch(console.error);
    */
-  async createFriendInvite() {
+  async createFriendInvite(signal) {
     const data = await this.client.api.users['@me'].invites.post({
       data: {},
+      signal,
     });
     return new Invite(this.client, data);
   }
 
   /**
    * Get all friend invites
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Collection<string, Invite>>}
    */
-  async getAllFriendInvites() {
-    const data = await this.client.api.users['@me'].invites.get();
+  async getAllFriendInvites(signal) {
+    const data = await this.client.api.users['@me'].invites.get({ signal });
     const collection = new Collection();
     for (const invite of data) {
       collection.set(invite.code, new Invite(this.client, invite));
@@ -374,16 +380,18 @@ class ClientUser extends User {
 
   /**
    * Revoke all friend invites
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  revokeAllFriendInvites() {
-    return this.client.api.users['@me'].invites.delete();
+  revokeAllFriendInvites(signal) {
+    return this.client.api.users['@me'].invites.delete({ signal });
   }
 
   /**
    * Sets Discord Playing status to "Playing on Samsung Galaxy". Only selected gamss from discords database works
    * @param {string} packageName Android package name
    * @param {?string} type Must be START, UPDATE, or STOP
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<ClientUser>}
    * @example
    * // Set the client user's status
@@ -393,7 +401,7 @@ class ClientUser extends User {
    * // Stop
    * client.user.setSamsungActivity('com.miHoYo.GenshinImpact', 'STOP');
    */
-  async setSamsungActivity(packageName, type = 'START') {
+  async setSamsungActivity(packageName, type = 'START', signal) {
     type = type.toUpperCase();
     if (!packageName || typeof packageName !== 'string') throw new Error('Package name is required.');
     if (!['START', 'UPDATE', 'STOP'].includes(type)) throw new Error('Invalid type (Must be START, UPDATE, or STOP)');
@@ -402,6 +410,7 @@ class ClientUser extends User {
         package_name: packageName,
         update: type,
       },
+      signal,
     });
     if (type !== 'STOP') this.#packageName = packageName;
     else this.#packageName = null;
@@ -411,20 +420,23 @@ class ClientUser extends User {
   /**
    * Stop ringing
    * @param {ChannelResolvable} channel DMChannel | GroupDMChannel
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  stopRinging(channel) {
+  stopRinging(channel, signal) {
     return this.client.api.channels(this.client.channels.resolveId(channel)).call['stop-ringing'].post({
       data: {},
+      signal,
     });
   }
 
   /**
    * Super Reactions
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<number>}
    */
-  fetchBurstCredit() {
-    return this.client.api.users['@me']['burst-credits'].get().then(d => d.amount);
+  fetchBurstCredit(signal) {
+    return this.client.api.users['@me']['burst-credits'].get({ signal }).then(d => d.amount);
   }
 
   /**
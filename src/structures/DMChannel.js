@@ -75,9 +75,10 @@ class DMChannel extends Channel {
 
   /**
    * Accept this DMChannel.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<DMChannel>}
    */
-  async acceptMessageRequest() {
+  async acceptMessageRequest(signal) {
     if (!this.messageRequest) {
       throw new Error('NOT_MESSAGE_REQUEST', 'This channel is not a message request');
     }
@@ -85,6 +86,7 @@ class DMChannel extends Channel {
       data: {
         consent_status: 2,
       },
+      signal,
     });
     this.messageRequest = false;
     return this.client.channels._add(c);
@@ -92,13 +94,14 @@ class DMChannel extends Channel {
 
   /**
    * Cancel this DMChannel.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<DMChannel>}
    */
-  async cancelMessageRequest() {
+  async cancelMessageRequest(signal) {
     if (!this.messageRequest) {
       throw new Error('NOT_MESSAGE_REQUEST', 'This channel is not a message request');
     }
-    await this.client.api.channels[this.id].recipients['@me'].delete();
+    await this.client.api.channels[this.id].recipients['@me'].delete({ signal });
     return this;
   }
 
@@ -147,13 +150,15 @@ class DMChannel extends Channel {
 
   /**
    * Ring the user's phone / PC (call)
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  ring() {
+  ring(signal) {
     return this.client.api.channels(this.id).call.ring.post({
       data: {
         recipients: null,
       },
+      signal,
     });
   }
 
@@ -125,6 +125,7 @@ class GroupDMChannel extends Channel {
   /**
    * Leave this Group DM Channel.
    * @param {?boolean} slient Leave without notifying other members
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GroupDMChannel>}
    * @example
    * // Delete the channel
@@ -132,15 +133,16 @@ class GroupDMChannel extends Channel {
    *   .then(console.log)
    *   .catch(console.error);
    */
-  async delete(slient = false) {
+  async delete(slient = false, signal) {
     if (typeof slient === 'boolean' && slient) {
       await this.client.api.channels[this.id].delete({
         query: {
           silent: true,
         },
+        signal,
       });
     } else {
-      await this.client.api.channels[this.id].delete();
+      await this.client.api.channels[this.id].delete({ signal });
     }
     return this;
   }
@@ -182,6 +184,7 @@ class GroupDMChannel extends Channel {
   /**
    * Edit channel data
    * @param {GroupDMChannelEditData} data Data
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GroupDMChannel>}
    * @example
    * // Set the channel name
@@ -191,7 +194,7 @@ class GroupDMChannel extends Channel {
    *   .then(updated => console.log(`New channel name ${updated}`))
    *   .catch(console.error);
    */
-  async edit(data) {
+  async edit(data, signal) {
     const _data = {};
     if ('name' in data) _data.name = data.name?.trim() ?? null;
     if (typeof data.icon !== 'undefined') {
@@ -202,6 +205,7 @@ class GroupDMChannel extends Channel {
     }
     const newData = await this.client.api.channels[this.id].patch({
       data: _data,
+      signal,
     });
 
     return this.client.actions.ChannelUpdate.handle(newData).updated;
@@ -241,67 +245,74 @@ class GroupDMChannel extends Channel {
   /**
    * Adds a user to this Group DM Channel.
    * @param {UserResolvable} user User to add to the group
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GroupDMChannel>}
    */
-  async addUser(user) {
+  async addUser(user, signal) {
     user = this.client.users.resolveId(user);
-    await this.client.api.channels[this.id].recipients[user].put();
+    await this.client.api.channels[this.id].recipients[user].put({ signal });
     return this;
   }
 
   /**
    * Removes a user from this Group DM Channel.
    * @param {UserResolvable} user User to remove from the group
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GroupDMChannel>}
    */
-  async removeUser(user) {
+  async removeUser(user, signal) {
     user = this.client.users.resolveId(user);
-    await this.client.api.channels[this.id].recipients[user].delete();
+    await this.client.api.channels[this.id].recipients[user].delete({ signal });
     return this;
   }
 
   /**
    * Gets the invite for this Group DM Channel.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Invite>}
    */
-  async getInvite() {
+  async getInvite(signal) {
     const inviteCode = await this.client.api.channels(this.id).invites.post({
       data: {
         max_age: 86400,
       },
+      signal,
     });
     return new Invite(this.client, inviteCode);
   }
 
   /**
    * Get all the invites for this Group DM Channel.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Collection<string, Invite>>}
    */
-  async fetchAllInvite() {
-    const invites = await this.client.api.channels(this.id).invites.get();
+  async fetchAllInvite(signal) {
+    const invites = await this.client.api.channels(this.id).invites.get({ signal });
     return new Collection(invites.map(invite => [invite.code, new Invite(this.client, invite)]));
   }
 
   /**
    * Delete invites from this Group DM Channel.
    * @param {InviteResolvable} invite Invite to add to the channel
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GroupDMChannel>}
    */
-  async removeInvite(invite) {
+  async removeInvite(invite, signal) {
     // Resolve
     let code = invite?.code;
     if (!code && URL.canParse(invite)) code = new URL(invite).pathname.slice(1);
     else code = invite;
-    await this.client.api.channels(this.id).invites[invite].delete();
+    await this.client.api.channels(this.id).invites[invite].delete({ signal });
     return this;
   }
 
   /**
    * Ring the user's phone / PC (call)
    * @param {UserResolvable[]} [recipients] Array of recipients
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  ring(recipients) {
+  ring(recipients, signal) {
     if (!recipients || !Array.isArray(recipients) || recipients.length == 0) {
       recipients = null;
     } else {
@@ -311,6 +322,7 @@ class GroupDMChannel extends Channel {
       data: {
         recipients,
       },
+      signal,
     });
   }
 
@@ -86,7 +86,7 @@ class Guild extends AnonymousGuild {
      * A manager of the presences belonging to this guild
      * @type {PresenceManager}
      */
-    this.presences = new PresenceManager(this.client);
+    this.presences = new PresenceManager(this.client, undefined, this);
 
     /**
      * A manager of the voice states of this guild
@@ -693,6 +693,7 @@ class Guild extends AnonymousGuild {
   /**
    * Fetches a collection of integrations to this guild.
    * Resolves with a collection mapping integrations by their ids.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Collection<Snowflake|string, Integration>>}
    * @example
    * // Fetch integrations
@@ -700,8 +701,8 @@ class Guild extends AnonymousGuild {
    *   .then(integrations => console.log(`Fetched ${integrations.size} integrations`))
    *   .catch(console.error);
    */
-  async fetchIntegrations() {
-    const data = await this.client.api.guilds(this.id).integrations.get();
+  async fetchIntegrations(signal) {
+    const data = await this.client.api.guilds(this.id).integrations.get({ signal });
     return data.reduce(
       (collection, integration) => collection.set(integration.id, new Integration(this.client, integration, this)),
       new Collection(),
@@ -711,19 +712,21 @@ class Guild extends AnonymousGuild {
   /**
    * Fetches a collection of templates from this guild.
    * Resolves with a collection mapping templates by their codes.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Collection<string, GuildTemplate>>}
    */
-  async fetchTemplates() {
-    const templates = await this.client.api.guilds(this.id).templates.get();
+  async fetchTemplates(signal) {
+    const templates = await this.client.api.guilds(this.id).templates.get({ signal });
     return templates.reduce((col, data) => col.set(data.code, new GuildTemplate(this.client, data)), new Collection());
   }
 
   /**
    * Fetches the welcome screen for this guild.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<WelcomeScreen>}
    */
-  async fetchWelcomeScreen() {
-    const data = await this.client.api.guilds(this.id, 'welcome-screen').get();
+  async fetchWelcomeScreen(signal) {
+    const data = await this.client.api.guilds(this.id, 'welcome-screen').get({ signal });
     return new WelcomeScreen(this, data);
   }
 
@@ -731,19 +734,21 @@ class Guild extends AnonymousGuild {
    * Creates a template for the guild.
    * @param {string} name The name for the template
    * @param {string} [description] The description for the template
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildTemplate>}
    */
-  async createTemplate(name, description) {
-    const data = await this.client.api.guilds(this.id).templates.post({ data: { name, description } });
+  async createTemplate(name, description, signal) {
+    const data = await this.client.api.guilds(this.id).templates.post({ data: { name, description }, signal });
     return new GuildTemplate(this.client, data);
   }
 
   /**
    * Obtains a guild preview for this guild from Discord.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildPreview>}
    */
-  async fetchPreview() {
-    const data = await this.client.api.guilds(this.id).preview.get();
+  async fetchPreview(signal) {
+    const data = await this.client.api.guilds(this.id).preview.get({ signal });
     return new GuildPreview(this.client, data);
   }
 
@@ -757,6 +762,7 @@ class Guild extends AnonymousGuild {
   /**
    * Fetches the vanity URL invite object to this guild.
    * Resolves with an object containing the vanity URL invite code and the use count
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Vanity>}
    * @example
    * // Fetch invite data
@@ -766,8 +772,8 @@ class Guild extends AnonymousGuild {
    *   })
    *   .catch(console.error);
    */
-  async fetchVanityData() {
-    const data = await this.client.api.guilds(this.id, 'vanity-url').get();
+  async fetchVanityData(signal) {
+    const data = await this.client.api.guilds(this.id, 'vanity-url').get({ signal });
     this.vanityURLCode = data.code;
     this.vanityURLUses = data.uses;
 
@@ -776,6 +782,7 @@ class Guild extends AnonymousGuild {
 
   /**
    * Fetches all webhooks for the guild.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Collection<Snowflake, Webhook>>}
    * @example
    * // Fetch webhooks
@@ -783,8 +790,8 @@ class Guild extends AnonymousGuild {
    *   .then(webhooks => console.log(`Fetched ${webhooks.size} webhooks`))
    *   .catch(console.error);
    */
-  async fetchWebhooks() {
-    const apiHooks = await this.client.api.guilds(this.id).webhooks.get();
+  async fetchWebhooks(signal) {
+    const apiHooks = await this.client.api.guilds(this.id).webhooks.get({ signal });
     const hooks = new Collection();
     for (const hook of apiHooks) hooks.set(hook.id, new Webhook(this.client, hook));
     return hooks;
@@ -819,6 +826,7 @@ class Guild extends AnonymousGuild {
 
   /**
    * Fetches the guild widget settings.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildWidgetSettings>}
    * @example
    * // Fetches the guild widget settings
@@ -826,8 +834,8 @@ class Guild extends AnonymousGuild {
    *   .then(widget => console.log(`The widget is ${widget.enabled ? 'enabled' : 'disabled'}`))
    *   .catch(console.error);
    */
-  async fetchWidgetSettings() {
-    const data = await this.client.api.guilds(this.id).widget.get();
+  async fetchWidgetSettings(signal) {
+    const data = await this.client.api.guilds(this.id).widget.get({ signal });
     this.widgetEnabled = data.enabled;
     this.widgetChannelId = data.channel_id;
     return {
@@ -844,6 +852,7 @@ class Guild extends AnonymousGuild {
    * @property {number} [limit] The number of entries to return
    * @property {UserResolvable} [user] Only return entries for actions made by this user
    * @property {AuditLogAction|number} [type] Only return entries for this action type
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -856,7 +865,7 @@ class Guild extends AnonymousGuild {
    *   .then(audit => console.log(audit.entries.first()))
    *   .catch(console.error);
    */
-  async fetchAuditLogs({ before, after, limit, user, type } = {}) {
+  async fetchAuditLogs({ before, after, limit, user, type, signal } = {}) {
     const data = await this.client.api.guilds(this.id)['audit-logs'].get({
       query: {
         before: before?.id ?? before,
@@ -865,6 +874,7 @@ class Guild extends AnonymousGuild {
         user_id: this.client.users.resolveId(user),
         action_type: typeof type === 'string' ? GuildAuditLogs.Actions[type] : type,
       },
+      signal,
     });
 
     return GuildAuditLogs.build(this, data);
@@ -914,6 +924,7 @@ class Guild extends AnonymousGuild {
    * Updates the guild with new information - e.g. a new name.
    * @param {GuildEditData} data The data to update the guild with
    * @param {string} [reason] Reason for editing this guild
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Guild>}
    * @example
    * // Set the guild name
@@ -923,7 +934,7 @@ class Guild extends AnonymousGuild {
    *   .then(updated => console.log(`New guild name ${updated}`))
    *   .catch(console.error);
    */
-  async edit(data, reason) {
+  async edit(data, reason, signal) {
     const _data = {};
     if (data.name) _data.name = data.name;
     if (typeof data.verificationLevel !== 'undefined') {
@@ -978,7 +989,7 @@ class Guild extends AnonymousGuild {
       _data.safety_alerts_channel_id = this.client.channels.resolveId(data.safetyAlertsChannel);
     }
     if ('premiumProgressBarEnabled' in data) _data.premium_progress_bar_enabled = data.premiumProgressBarEnabled;
-    const newData = await this.client.api.guilds(this.id).patch({ data: _data, reason });
+    const newData = await this.client.api.guilds(this.id).patch({ data: _data, reason, signal });
     return this.client.actions.GuildUpdate.handle(newData).updated;
   }
 
@@ -1017,6 +1028,7 @@ class Guild extends AnonymousGuild {
   /**
    * Updates the guild's welcome screen
    * @param {WelcomeScreenEditData} data Data to edit the welcome screen with
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<WelcomeScreen>}
    * @example
    * guild.editWelcomeScreen({
@@ -1030,7 +1042,7 @@ class Guild extends AnonymousGuild {
    *   ],
    * })
    */
-  async editWelcomeScreen(data) {
+  async editWelcomeScreen(data, signal) {
     const { enabled, description, welcomeChannels } = data;
     const welcome_channels = welcomeChannels?.map(welcomeChannelData => {
       const emoji = this.emojis.resolve(welcomeChannelData.emoji);
@@ -1048,6 +1060,7 @@ class Guild extends AnonymousGuild {
         description,
         enabled,
       },
+      signal,
     });
     return new WelcomeScreen(this, patchData);
   }
@@ -1378,15 +1391,17 @@ class Guild extends AnonymousGuild {
    * Edits the guild's widget settings.
    * @param {GuildWidgetSettingsData} settings The widget settings for the guild
    * @param {string} [reason] Reason for changing the guild's widget settings
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Guild>}
    */
-  async setWidgetSettings(settings, reason) {
+  async setWidgetSettings(settings, reason, signal) {
     await this.client.api.guilds(this.id).widget.patch({
       data: {
         enabled: settings.enabled,
         channel_id: this.channels.resolveId(settings.channel),
       },
       reason,
+      signal,
     });
     return this;
   }
@@ -1413,6 +1428,7 @@ class Guild extends AnonymousGuild {
 
   /**
    * Leaves the guild.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Guild>}
    * @example
    * // Leave a guild
@@ -1420,14 +1436,15 @@ class Guild extends AnonymousGuild {
    *   .then(guild => console.log(`Left the guild: ${guild.name}`))
    *   .catch(console.error);
    */
-  async leave() {
+  async leave(signal) {
     if (this.ownerId === this.client.user.id) throw new Error('GUILD_OWNED');
-    await this.client.api.users('@me').guilds(this.id).delete();
+    await this.client.api.users('@me').guilds(this.id).delete({ signal });
     return this.client.actions.GuildDelete.handle({ id: this.id }).guild;
   }
 
   /**
    * Deletes the guild.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Guild>}
    * @example
    * // Delete a guild
@@ -1435,8 +1452,8 @@ class Guild extends AnonymousGuild {
    *   .then(g => console.log(`Deleted the guild ${g}`))
    *   .catch(console.error);
    */
-  async delete() {
-    await this.client.api.guilds(this.id).delete();
+  async delete(signal) {
+    await this.client.api.guilds(this.id).delete({ signal });
     return this.client.actions.GuildDelete.handle({ id: this.id }).guild;
   }
 
@@ -1484,13 +1501,14 @@ class Guild extends AnonymousGuild {
 
   /**
    * Marks the guild as read.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    * @example
    * const guild = client.guilds.cache.get('id');
    * guild.markAsRead();
    */
-  markAsRead() {
-    return this.client.api.guilds(this.id).ack.post();
+  markAsRead(signal) {
+    return this.client.api.guilds(this.id).ack.post({ signal });
   }
 
   /**
@@ -1536,13 +1554,14 @@ class Guild extends AnonymousGuild {
 
   /**
    * Get the top emojis of this guild.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Collection<number, GuildEmoji>>}
    */
-  topEmojis() {
+  topEmojis(signal) {
     return new Promise((resolve, reject) => {
       this.client.api
         .guilds(this.id)
-        ['top-emojis'].get()
+        ['top-emojis'].get({ signal })
         .then(data => {
           const emojis = new Collection();
           for (const emoji of data.items) {
@@ -1558,6 +1577,7 @@ class Guild extends AnonymousGuild {
    * Set the vanity URL to this guild.
    * Resolves with an object containing the vanity URL invite code and the use count.
    * @param {string} [code=''] Vanity URL code
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Vanity>}
    * @example
    * // Set invite code
@@ -1567,10 +1587,11 @@ class Guild extends AnonymousGuild {
    *   })
    *   .catch(console.error);
    */
-  async setVanityCode(code = '') {
+  async setVanityCode(code = '', signal) {
     if (typeof code !== 'string') throw new TypeError('INVALID_VANITY_URL_CODE');
     const data = await this.client.api.guilds(this.id, 'vanity-url').patch({
       data: { code },
+      signal,
     });
     this.vanityURLCode = data.code;
     this.vanityURLUses = data.uses;
@@ -70,13 +70,17 @@ class GuildBoost extends Base {
 
   /**
    * Cancel the boost
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildBoost>}
    */
-  async unsubscribe() {
+  async unsubscribe(signal) {
     // https://discord.com/api/v9/guilds/:id/premium/subscriptions/:id
     if (!this.guildId) throw new Error('BOOST_UNUSED');
     if (!this.premiumGuildSubscriptionId) throw new Error('BOOST_UNCACHED');
-    await this.client.api.guilds(this.guildId).premium.subscriptions(this.premiumGuildSubscriptionId).delete();
+    await this.client.api
+      .guilds(this.guildId)
+      .premium.subscriptions(this.premiumGuildSubscriptionId)
+      .delete({ signal });
     this.guildId = null;
     this.premiumGuildSubscriptionId = null;
     this.ended = null;
@@ -86,9 +90,10 @@ class GuildBoost extends Base {
   /**
    * Use the boost
    * @param {GuildResolvable} guild The guild to use the boost on
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildBoost>}
    */
-  async subscribe(guild) {
+  async subscribe(guild, signal) {
     // https://discord.com/api/v9/guilds/:id/premium/subscriptions
     if (this.guildId || this.premiumGuildSubscriptionId) throw new Error('BOOST_USED');
     const id = this.client.guilds.resolveId(guild);
@@ -97,6 +102,7 @@ class GuildBoost extends Base {
       data: {
         user_premium_guild_subscription_slot_ids: [this.id],
       },
+      signal,
     });
     this._patch({
       premium_guild_subscription: d,
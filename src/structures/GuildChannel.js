@@ -281,6 +281,7 @@ class GuildChannel extends Channel {
    * Edits the channel.
    * @param {ChannelData} data The new data for the channel
    * @param {string} [reason] Reason for editing this channel
+   * @param {AbortSignal} [signal] A signal to abort the requests with
    * @returns {Promise<GuildChannel>}
    * @example
    * // Edit a channel
@@ -288,8 +289,8 @@ class GuildChannel extends Channel {
    *   .then(console.log)
    *   .catch(console.error);
    */
-  edit(data, reason) {
-    return this.guild.channels.edit(this, data, reason);
+  edit(data, reason, signal) {
+    return this.guild.channels.edit(this, data, reason, signal);
   }
 
   /**
@@ -340,6 +341,7 @@ class GuildChannel extends Channel {
    * @typedef {Object} SetChannelPositionOptions
    * @property {boolean} [relative=false] Whether or not to change the position relative to its current value
    * @property {string} [reason] The reason for changing the position
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -454,6 +456,7 @@ class GuildChannel extends Channel {
   /**
    * Deletes this channel.
    * @param {string} [reason] Reason for deleting this channel
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildChannel>}
    * @example
    * // Delete the channel
@@ -461,8 +464,8 @@ class GuildChannel extends Channel {
    *   .then(console.log)
    *   .catch(console.error);
    */
-  async delete(reason) {
-    await this.guild.channels.delete(this.id, reason);
+  async delete(reason, signal) {
+    await this.guild.channels.delete(this.id, reason, signal);
     return this;
   }
 }
@@ -70,10 +70,11 @@ class GuildEmoji extends BaseGuildEmoji {
 
   /**
    * Fetches the author for this emoji
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<User>}
    */
-  fetchAuthor() {
-    return this.guild.emojis.fetchAuthor(this);
+  fetchAuthor(signal) {
+    return this.guild.emojis.fetchAuthor(this, signal);
   }
 
   /**
@@ -87,6 +88,7 @@ class GuildEmoji extends BaseGuildEmoji {
    * Edits the emoji.
    * @param {GuildEmojiEditData} data The new data for the emoji
    * @param {string} [reason] Reason for editing this emoji
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildEmoji>}
    * @example
    * // Edit an emoji
@@ -94,7 +96,7 @@ class GuildEmoji extends BaseGuildEmoji {
    *   .then(e => console.log(`Edited emoji ${e}`))
    *   .catch(console.error);
    */
-  async edit(data, reason) {
+  async edit(data, reason, signal) {
     const roles = data.roles?.map(r => r.id ?? r);
     const newData = await this.client.api
       .guilds(this.guild.id)
@@ -105,6 +107,7 @@ class GuildEmoji extends BaseGuildEmoji {
           roles,
         },
         reason,
+        signal,
       });
     const clone = this._clone();
     clone._patch(newData);
@@ -124,10 +127,11 @@ class GuildEmoji extends BaseGuildEmoji {
   /**
    * Deletes the emoji.
    * @param {string} [reason] Reason for deleting the emoji
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildEmoji>}
    */
-  async delete(reason) {
-    await this.guild.emojis.delete(this, reason);
+  async delete(reason, signal) {
+    await this.guild.emojis.delete(this, reason, signal);
     return this;
   }
 
@@ -408,10 +408,11 @@ class GuildMember extends Base {
    * Edits this member.
    * @param {GuildMemberEditData} data The data to edit the member with
    * @param {string} [reason] Reason for editing this user
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildMember>}
    */
-  edit(data, reason) {
-    return this.guild.members.edit(this, data, reason);
+  edit(data, reason, signal) {
+    return this.guild.members.edit(this, data, reason, signal);
   }
 
   /**
@@ -464,10 +465,11 @@ class GuildMember extends Base {
   /**
    * Kicks this member from the guild.
    * @param {string} [reason] Reason for kicking user
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildMember>}
    */
-  kick(reason) {
-    return this.guild.members.kick(this, reason);
+  kick(reason, signal) {
+    return this.guild.members.kick(this, reason, signal);
   }
 
   /**
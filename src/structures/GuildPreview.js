@@ -161,10 +161,11 @@ class GuildPreview extends Base {
 
   /**
    * Fetches this guild.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildPreview>}
    */
-  async fetch() {
-    const data = await this.client.api.guilds(this.id).preview.get();
+  async fetch(signal) {
+    const data = await this.client.api.guilds(this.id).preview.get({ signal });
     this._patch(data);
     return this;
   }
@@ -375,6 +375,7 @@ class GuildScheduledEvent extends Base {
 
   /**
    * Deletes this guild scheduled event.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildScheduledEvent>}
    * @example
    * // Delete a guild scheduled event
@@ -382,8 +383,8 @@ class GuildScheduledEvent extends Base {
    *  .then(guildScheduledEvent => console.log(guildScheduledEvent))
    *  .catch(console.error);
    */
-  async delete() {
-    await this.guild.scheduledEvents.delete(this.id);
+  async delete(signal) {
+    await this.guild.scheduledEvents.delete(this.id, signal);
     return this;
   }
 
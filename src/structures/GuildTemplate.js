@@ -110,15 +110,17 @@ class GuildTemplate extends Base {
    * <warn>This is only available to bots in fewer than 10 guilds.</warn>
    * @param {string} name The name of the guild
    * @param {BufferResolvable|Base64Resolvable} [icon] The icon for the guild
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Guild>}
    */
-  async createGuild(name, icon) {
+  async createGuild(name, icon, signal) {
     const { client } = this;
     const data = await client.api.guilds.templates(this.code).post({
       data: {
         name,
         icon: await DataResolver.resolveImage(icon),
       },
+      signal,
     });
 
     if (client.guilds.cache.has(data.id)) return client.guilds.cache.get(data.id);
@@ -149,6 +151,7 @@ class GuildTemplate extends Base {
    * @typedef {Object} EditGuildTemplateOptions
    * @property {string} [name] The name of this template
    * @property {string} [description] The description of this template
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -156,26 +159,31 @@ class GuildTemplate extends Base {
    * @param {EditGuildTemplateOptions} [options] Options for editing the template
    * @returns {Promise<GuildTemplate>}
    */
-  async edit({ name, description } = {}) {
-    const data = await this.client.api.guilds(this.guildId).templates(this.code).patch({ data: { name, description } });
+  async edit({ name, description, signal } = {}) {
+    const data = await this.client.api
+      .guilds(this.guildId)
+      .templates(this.code)
+      .patch({ data: { name, description }, signal });
     return this._patch(data);
   }
 
   /**
    * Deletes this template.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildTemplate>}
    */
-  async delete() {
-    await this.client.api.guilds(this.guildId).templates(this.code).delete();
+  async delete(signal) {
+    await this.client.api.guilds(this.guildId).templates(this.code).delete({ signal });
     return this;
   }
 
   /**
    * Syncs this template to the current state of the guild.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<GuildTemplate>}
    */
-  async sync() {
-    const data = await this.client.api.guilds(this.guildId).templates(this.code).put();
+  async sync(signal) {
+    const data = await this.client.api.guilds(this.guildId).templates(this.code).put({ signal });
     return this._patch(data);
   }
 
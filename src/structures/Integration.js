@@ -170,9 +170,10 @@ class Integration extends Base {
    * Deletes this integration.
    * @returns {Promise<Integration>}
    * @param {string} [reason] Reason for deleting this integration
+   * @param {AbortSignal} [signal] A signal to abort the request with
    */
-  async delete(reason) {
-    await this.client.api.guilds(this.guild.id).integrations(this.id).delete({ reason });
+  async delete(reason, signal) {
+    await this.client.api.guilds(this.guild.id).integrations(this.id).delete({ reason, signal });
     return this;
   }
 
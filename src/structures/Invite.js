@@ -313,10 +313,11 @@ class Invite extends Base {
   /**
    * Deletes this invite.
    * @param {string} [reason] Reason for deleting this invite
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Invite>}
    */
-  async delete(reason) {
-    await this.client.api.invites[this.code].delete({ reason });
+  async delete(reason, signal) {
+    await this.client.api.invites[this.code].delete({ reason, signal });
     return this;
   }
 
@@ -731,6 +731,7 @@ class Message extends Base {
    * @property {FileOptions[]|BufferResolvable[]|MessageAttachment[]} [files] Files to add to the message
    * @property {MessageActionRow[]|MessageActionRowOptions[]} [components]
    * Action rows containing interactive components for the message (buttons, select menus)
+   * @property {AbortSignal} [signal] A signal to abort the upload of the files and the request with
    */
 
   /**
@@ -750,6 +751,7 @@ class Message extends Base {
 
   /**
    * Publishes a message in an announcement channel to all channels following it.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Message>}
    * @example
    * // Crosspost a message
@@ -759,14 +761,15 @@ class Message extends Base {
    *     .catch(console.error);
    * }
    */
-  async crosspost() {
+  async crosspost(signal) {
     if (!this.channel) throw new Error('CHANNEL_NOT_CACHED');
-    return this.channel.messages.crosspost(this.id);
+    return this.channel.messages.crosspost(this.id, signal);
   }
 
   /**
    * Pins this message to the channel's pinned messages.
    * @param {string} [reason] Reason for pinning
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Message>}
    * @example
    * // Pin a message
@@ -774,15 +777,16 @@ class Message extends Base {
    *   .then(console.log)
    *   .catch(console.error)
    */
-  async pin(reason) {
+  async pin(reason, signal) {
     if (!this.channel) throw new Error('CHANNEL_NOT_CACHED');
-    await this.channel.messages.pin(this.id, reason);
+    await this.channel.messages.pin(this.id, reason, signal);
     return this;
   }
 
   /**
    * Unpins this message from the channel's pinned messages.
    * @param {string} [reason] Reason for unpinning
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Message>}
    * @example
    * // Unpin a message
@@ -790,9 +794,9 @@ class Message extends Base {
    *   .then(console.log)
    *   .catch(console.error)
    */
-  async unpin(reason) {
+  async unpin(reason, signal) {
     if (!this.channel) throw new Error('CHANNEL_NOT_CACHED');
-    await this.channel.messages.unpin(this.id, reason);
+    await this.channel.messages.unpin(this.id, reason, signal);
     return this;
   }
 
@@ -800,6 +804,7 @@ class Message extends Base {
    * Adds a reaction to the message.
    * @param {EmojiIdentifierResolvable} emoji The emoji to react with
    * @param {boolean} [burst=false] Super Reactions
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<MessageReaction>}
    * @example
    * // React to a message with a unicode emoji
@@ -812,9 +817,9 @@ class Message extends Base {
    *   .then(console.log)
    *   .catch(console.error);
    */
-  async react(emoji, burst = false) {
+  async react(emoji, burst = false, signal) {
     if (!this.channel) throw new Error('CHANNEL_NOT_CACHED');
-    await this.channel.messages.react(this.id, emoji, burst);
+    await this.channel.messages.react(this.id, emoji, burst, signal);
 
     return this.client.actions.MessageReactionAdd.handle(
       {
@@ -830,6 +835,7 @@ class Message extends Base {
 
   /**
    * Deletes the message.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Message>}
    * @example
    * // Delete a message
@@ -837,9 +843,9 @@ class Message extends Base {
    *   .then(msg => console.log(`Deleted message from ${msg.author.username}`))
    *   .catch(console.error);
    */
-  async delete() {
+  async delete(signal) {
     if (!this.channel) throw new Error('CHANNEL_NOT_CACHED');
-    await this.channel.messages.delete(this.id);
+    await this.channel.messages.delete(this.id, signal);
     return this;
   }
 
@@ -915,6 +921,7 @@ class Message extends Base {
    * time (in minutes) after which the thread should automatically archive in case of no recent activity
    * @property {string} [reason] Reason for creating the thread
    * @property {number} [rateLimitPerUser] The rate limit per user (slowmode) for the thread in seconds
+   * @property {AbortSignal} [signal] A signal to abort the requests with
    */
 
   /**
@@ -1195,26 +1202,30 @@ class Message extends Base {
 
   /**
    * Marks the message as unread.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  markUnread() {
+  markUnread(signal) {
     return this.client.api.channels[this.channelId].messages[this.id].ack.post({
       data: {
         manual: true,
         mention_count: 1,
       },
+      signal,
     });
   }
 
   /**
    * Marks the message as read.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  markRead() {
+  markRead(signal) {
     return this.client.api.channels[this.channelId].messages[this.id].ack.post({
       data: {
         token: null,
       },
+      signal,
     });
   }
 
@@ -1222,6 +1233,7 @@ class Message extends Base {
    * Report Message
    * @param {Arrray<number>} breadcrumbs Options for reporting
    * @param {Object} [elements={}] Metadata
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<{ report_id: Snowflake }>}
    * @example
    * // GET https://discord.com/api/v9/reporting/menu/message?variant=4
@@ -1232,7 +1244,7 @@ class Message extends Base {
    * message.report([3, 28, 72]).then(console.log);
    * // { "report_id": "1199663489988440124" }
    */
-  report(breadcrumbs, elements = {}) {
+  report(breadcrumbs, elements = {}, signal) {
     return this.client.api.reporting.message.post({
       data: {
         version: '1.0',
@@ -1244,6 +1256,7 @@ class Message extends Base {
         message_id: this.id,
         name: 'message',
       },
+      signal,
     });
   }
 }
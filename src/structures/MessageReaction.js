@@ -89,14 +89,15 @@ class MessageReaction {
 
   /**
    * Removes all users from this reaction.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<MessageReaction>}
    */
-  async remove() {
+  async remove(signal) {
     await this.client.api
       .channels(this.message.channelId)
       .messages(this.message.id)
       .reactions(this._emoji.identifier)
-      .delete();
+      .delete({ signal });
     return this;
   }
 
@@ -13,6 +13,7 @@ class NewsChannel extends BaseGuildTextChannel {
    * <info>If you need the created webhook id, use {@link GuildChannelManager#addFollower}.</info>
    * @param {TextChannelResolvable} channel The channel where the webhook should be created
    * @param {string} [reason] Reason for creating the webhook
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<NewsChannel>}
    * @example
    * if (channel.type === 'GUILD_NEWS') {
@@ -21,10 +22,10 @@ class NewsChannel extends BaseGuildTextChannel {
    *     .catch(console.error);
    * }
    */
-  async addFollower(channel, reason) {
+  async addFollower(channel, reason, signal) {
     const channelId = this.guild.channels.resolveId(channel);
     if (!channelId) throw new Error('GUILD_CHANNEL_RESOLVE');
-    await this.client.api.channels(this.id).followers.post({ data: { webhook_channel_id: channelId }, reason });
+    await this.client.api.channels(this.id).followers.post({ data: { webhook_channel_id: channelId }, reason, signal });
     return this;
   }
 }
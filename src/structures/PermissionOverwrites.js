@@ -61,6 +61,7 @@ class PermissionOverwrites extends Base {
    * Edits this Permission Overwrite.
    * @param {PermissionOverwriteOptions} options The options for the update
    * @param {string} [reason] Reason for creating/editing this overwrite
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<PermissionOverwrites>}
    * @example
    * // Update permission overwrites
@@ -70,18 +71,24 @@ class PermissionOverwrites extends Base {
    *   .then(channel => console.log(channel.permissionOverwrites.get(message.author.id)))
    *   .catch(console.error);
    */
-  async edit(options, reason) {
-    await this.channel.permissionOverwrites.upsert(this.id, options, { type: OverwriteTypes[this.type], reason }, this);
+  async edit(options, reason, signal) {
+    await this.channel.permissionOverwrites.upsert(
+      this.id,
+      options,
+      { type: OverwriteTypes[this.type], reason, signal },
+      this,
+    );
     return this;
   }
 
   /**
    * Deletes this Permission Overwrite.
    * @param {string} [reason] Reason for deleting this overwrite
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<PermissionOverwrites>}
    */
-  async delete(reason) {
-    await this.channel.permissionOverwrites.delete(this.id, reason);
+  async delete(reason, signal) {
+    await this.channel.permissionOverwrites.delete(this.id, reason, signal);
     return this;
   }
 
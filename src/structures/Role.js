@@ -308,6 +308,7 @@ class Role extends Base {
    * Edits the role.
    * @param {RoleData} data The new data for the role
    * @param {string} [reason] Reason for editing this role
+   * @param {AbortSignal} [signal] A signal to abort the requests with
    * @returns {Promise<Role>}
    * @example
    * // Edit a role
@@ -315,8 +316,8 @@ class Role extends Base {
    *   .then(updated => console.log(`Edited role name to ${updated.name}`))
    *   .catch(console.error);
    */
-  edit(data, reason) {
-    return this.guild.roles.edit(this, data, reason);
+  edit(data, reason, signal) {
+    return this.guild.roles.edit(this, data, reason, signal);
   }
 
   /**
@@ -465,6 +466,7 @@ class Role extends Base {
    * @typedef {Object} SetRolePositionOptions
    * @property {boolean} [relative=false] Whether to change the position relative to its current value or not
    * @property {string} [reason] The reason for changing the position
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -485,6 +487,7 @@ class Role extends Base {
   /**
    * Deletes the role.
    * @param {string} [reason] Reason for deleting this role
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Role>}
    * @example
    * // Delete a role
@@ -492,8 +495,8 @@ class Role extends Base {
    *   .then(deleted => console.log(`Deleted role ${deleted.name}`))
    *   .catch(console.error);
    */
-  async delete(reason) {
-    await this.guild.roles.delete(this.id, reason);
+  async delete(reason, signal) {
+    await this.guild.roles.delete(this.id, reason, signal);
     return this;
   }
 
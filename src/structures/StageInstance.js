@@ -157,6 +157,7 @@ class StageInstance extends Base {
 
   /**
    * Deletes this stage instance.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<StageInstance>}
    * @example
    * // Delete a stage instance
@@ -164,8 +165,8 @@ class StageInstance extends Base {
    *  .then(stageInstance => console.log(stageInstance))
    *  .catch(console.error);
    */
-  async delete() {
-    await this.guild.stageInstances.delete(this.channelId);
+  async delete(signal) {
+    await this.guild.stageInstances.delete(this.channelId, signal);
     const clone = this._clone();
     deletedStageInstances.add(clone);
     return clone;
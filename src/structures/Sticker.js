@@ -206,10 +206,11 @@ class Sticker extends Base {
 
   /**
    * Fetches this sticker.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Sticker>}
    */
-  async fetch() {
-    const data = await this.client.api.stickers(this.id).get();
+  async fetch(signal) {
+    const data = await this.client.api.stickers(this.id).get({ signal });
     this._patch(data);
     return this;
   }
@@ -224,12 +225,13 @@ class Sticker extends Base {
 
   /**
    * Fetches the user who uploaded this sticker, if this is a guild sticker.
+   * @param {AbortSignal} [signal] A signal to abort the requests with
    * @returns {Promise<?User>}
    */
-  async fetchUser() {
-    if (this.partial) await this.fetch();
+  async fetchUser(signal) {
+    if (this.partial) await this.fetch(signal);
     if (!this.guildId) throw new Error('NOT_GUILD_STICKER');
-    return this.guild.stickers.fetchUser(this);
+    return this.guild.stickers.fetchUser(this, signal);
   }
 
   /**
@@ -244,6 +246,7 @@ class Sticker extends Base {
    * Edits the sticker.
    * @param {GuildStickerEditData} [data] The new data for the sticker
    * @param {string} [reason] Reason for editing this sticker
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Sticker>}
    * @example
    * // Update the name of a sticker
@@ -251,22 +254,23 @@ class Sticker extends Base {
    *   .then(s => console.log(`Updated the name of the sticker to ${s.name}`))
    *   .catch(console.error);
    */
-  edit(data, reason) {
-    return this.guild.stickers.edit(this, data, reason);
+  edit(data, reason, signal) {
+    return this.guild.stickers.edit(this, data, reason, signal);
   }
 
   /**
    * Deletes the sticker.
    * @returns {Promise<Sticker>}
    * @param {string} [reason] Reason for deleting this sticker
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @example
    * // Delete a message
    * sticker.delete()
    *   .then(s => console.log(`Deleted sticker ${s.name}`))
    *   .catch(console.error);
    */
-  async delete(reason) {
-    await this.guild.stickers.delete(this, reason);
+  async delete(reason, signal) {
+    await this.guild.stickers.delete(this, reason, signal);
     return this;
   }
 
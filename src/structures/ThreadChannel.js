@@ -330,6 +330,7 @@ class ThreadChannel extends Channel {
    * Edits this thread.
    * @param {ThreadEditData} data The new data for this thread
    * @param {string} [reason] Reason for editing this thread
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<ThreadChannel>}
    * @example
    * // Edit a thread
@@ -337,7 +338,7 @@ class ThreadChannel extends Channel {
    *   .then(editedThread => console.log(editedThread))
    *   .catch(console.error);
    */
-  async edit(data, reason) {
+  async edit(data, reason, signal) {
     let autoArchiveDuration = data.autoArchiveDuration;
     if (autoArchiveDuration === 'MAX') autoArchiveDuration = resolveAutoArchiveMaxLimit(this.guild);
 
@@ -353,6 +354,7 @@ class ThreadChannel extends Channel {
         flags: 'flags' in data ? ChannelFlags.resolve(data.flags) : undefined,
       },
       reason,
+      signal,
     });
 
     return this.client.actions.ChannelUpdate.handle(newData).updated;
@@ -576,6 +578,7 @@ class ThreadChannel extends Channel {
   /**
    * Deletes this thread.
    * @param {string} [reason] Reason for deleting this thread
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<ThreadChannel>}
    * @example
    * // Delete the thread
@@ -583,8 +586,8 @@ class ThreadChannel extends Channel {
    *   .then(deletedThread => console.log(deletedThread))
    *   .catch(console.error);
    */
-  async delete(reason) {
-    await this.guild.channels.delete(this.id, reason);
+  async delete(reason, signal) {
+    await this.guild.channels.delete(this.id, reason, signal);
     return this;
   }
 
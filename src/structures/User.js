@@ -462,18 +462,20 @@ class User extends Base {
   /**
    * Creates a DM channel between the client and the user.
    * @param {boolean} [force=false] Whether to skip the cache check and request the API
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<DMChannel>}
    */
-  createDM(force = false) {
-    return this.client.users.createDM(this.id, force);
+  createDM(force = false, signal) {
+    return this.client.users.createDM(this.id, { force, signal });
   }
 
   /**
    * Deletes a DM channel (if one exists) between the client and the user. Resolves with the channel if successful.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<DMChannel>}
    */
-  deleteDM() {
-    return this.client.users.deleteDM(this.id);
+  deleteDM(signal) {
+    return this.client.users.deleteDM(this.id, signal);
   }
 
   /**
@@ -561,10 +563,11 @@ class User extends Base {
    * - The user is a friend suggestion of the current user
    * - The user has an outgoing friend request to the current user</info>
    * @param {Snowflake} [guildId] The guild ID to get the user's member profile in
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Object>}
    * @see {@link https://discord-userdoccers.vercel.app/resources/user#response-body}
    */
-  getProfile(guildId) {
+  getProfile(guildId, signal) {
     return this.client.api.users(this.id).profile.get({
       query: {
         with_mutual_guilds: true,
@@ -572,6 +575,7 @@ class User extends Base {
         with_mutual_friends_count: true,
         guild_id: guildId,
       },
+      signal,
     });
   }
 
@@ -220,6 +220,7 @@ class VoiceState extends Base {
    * Toggles the request to speak in the channel.
    * Only applicable for stage channels and for the client's own voice state.
    * @param {boolean} [request=true] Whether or not the client is requesting to become a speaker.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @example
    * // Making the client request to speak in a stage channel (raise its hand)
    * guild.members.me.voice.setRequestToSpeak(true);
@@ -228,7 +229,7 @@ class VoiceState extends Base {
    * guild.members.me.voice.setRequestToSpeak(false);
    * @returns {Promise<void>}
    */
-  async setRequestToSpeak(request = true) {
+  async setRequestToSpeak(request = true, signal) {
     if (this.channel?.type !== 'GUILD_STAGE_VOICE') throw new Error('VOICE_NOT_STAGE_CHANNEL');
 
     if (this.client.user.id !== this.id) throw new Error('VOICE_STATE_NOT_OWN');
@@ -238,12 +239,14 @@ class VoiceState extends Base {
         channel_id: this.channelId,
         request_to_speak_timestamp: request ? new Date().toISOString() : null,
       },
+      signal,
     });
   }
 
   /**
    * Suppress/unsuppress the user. Only applicable for stage channels.
    * @param {boolean} [suppressed=true] Whether or not the user should be suppressed.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @example
    * // Making the client a speaker
    * guild.members.me.voice.setSuppressed(false);
@@ -258,7 +261,7 @@ class VoiceState extends Base {
    * voiceState.setSuppressed(true);
    * @returns {Promise<void>}
    */
-  async setSuppressed(suppressed = true) {
+  async setSuppressed(suppressed = true, signal) {
     if (typeof suppressed !== 'boolean') throw new TypeError('VOICE_STATE_INVALID_TYPE', 'suppressed');
 
     if (this.channel?.type !== 'GUILD_STAGE_VOICE') throw new Error('VOICE_NOT_STAGE_CHANNEL');
@@ -271,12 +274,14 @@ class VoiceState extends Base {
         suppress: suppressed,
         request_to_speak_timestamp: null,
       },
+      signal,
     });
   }
 
   /**
    * Sets the status of the voice channel
    * @param {string} [status=""] The message to set the channel status to
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @example
    * // Setting the status to something
    * guild.members.me.voice.setStatus("something")
@@ -285,36 +290,39 @@ class VoiceState extends Base {
    * guild.members.me.voice.setStatus()
    * @returns {Promise<void>}
    */
-  setStatus(status = '') {
+  setStatus(status = '', signal) {
     // PUT https://discord.com/api/v9/channels/:id/voice-status
     return this.client.api.channels(this.channel.id, 'voice-status').put({
       data: {
         status,
       },
+      signal,
     });
   }
 
   /**
    * Get URL Image of the user's streaming video (NOT STREAMING !!!)
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<string>} URL Image of the user's streaming video
    */
-  async getPreview() {
+  async getPreview(signal) {
     if (!this.streaming) throw new Error('USER_NOT_STREAMING');
     // URL: https://discord.com/api/v9/streams/guild:guildid:voicechannelid:userid/preview
     // URL: https://discord.com/api/v9/streams/call:channelId:userId/preview
     const streamKey = this.guild?.id
       ? `guild:${this.guild.id}:${this.channelId}:${this.id}`
       : `call:${this.channelId}:${this.id}`;
-    const data = await this.client.api.streams[encodeURIComponent(streamKey)].preview.get();
+    const data = await this.client.api.streams[encodeURIComponent(streamKey)].preview.get({ signal });
     return data.url;
   }
 
   /**
    * Post Preview Image to the client user's streaming video
    * @param {string} base64Image Base64 URI (data:image/jpeg;base64,data)
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  postPreview(base64Image) {
+  postPreview(base64Image, signal) {
     if (!this.client.user.id === this.id || !this.streaming) throw new Error('USER_NOT_STREAMING');
     // URL: https://discord.com/api/v9/streams/guild:guildid:voicechannelid:userid/preview
     // URL: https://discord.com/api/v9/streams/call:channelId:userId/preview
@@ -325,6 +333,7 @@ class VoiceState extends Base {
       data: {
         thumbnail: base64Image,
       },
+      signal,
     });
   }
 
@@ -138,6 +138,7 @@ class Webhook {
    * <info>For interaction webhooks, this property is ignored</info>
    * @property {boolean} [withComponents] Whether to allow sending non-interactive components in the message.
    * <info>For application-owned webhooks, this property is ignored</info>
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -210,6 +211,7 @@ class Webhook {
       },
       auth: false,
       webhook: true,
+      signal: messagePayload.options.signal,
     });
     return this.client.channels?.cache.get(d.channel_id)?.messages._add(d, false) ?? d;
   }
@@ -217,6 +219,7 @@ class Webhook {
   /**
    * Sends a raw slack message with this webhook.
    * @param {Object} body The raw body to send
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<boolean>}
    * @example
    * // Send a slack message
@@ -232,7 +235,7 @@ class Webhook {
    * }).catch(console.error);
    * @see {@link https://api.slack.com/messaging/webhooks}
    */
-  async sendSlackMessage(body) {
+  async sendSlackMessage(body, signal) {
     if (!this.token) throw new Error('WEBHOOK_TOKEN_UNAVAILABLE');
 
     const data = await this.client.api.webhooks(this.id, this.token).slack.post({
@@ -240,6 +243,7 @@ class Webhook {
       auth: false,
       data: body,
       webhook: true,
+      signal,
     });
     return data.toString() === 'ok';
   }
@@ -251,6 +255,7 @@ class Webhook {
    * @property {?(BufferResolvable)} [avatar] The new avatar for the webhook
    * @property {GuildTextChannelResolvable|VoiceChannel|StageChannel|ForumChannel|MediaChannel} [channel]
    * The new channel for the webhook
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -259,7 +264,7 @@ class Webhook {
    * @param {string} [reason] Reason for editing the webhook
    * @returns {Promise<Webhook>}
    */
-  async edit({ name = this.name, avatar, channel }, reason) {
+  async edit({ name = this.name, avatar, channel, signal }, reason) {
     if (avatar && !(typeof avatar === 'string' && avatar.startsWith('data:'))) {
       avatar = await DataResolver.resolveImage(avatar);
     }
@@ -269,6 +274,7 @@ class Webhook {
       reason,
       auth: !this.token || Boolean(channel),
       webhook: true,
+      signal,
     });
 
     this.name = data.name;
@@ -283,6 +289,7 @@ class Webhook {
    * @property {boolean} [cache=true] Whether to cache the message.
    * @property {Snowflake} [threadId] The id of the thread this message belongs to.
    * <info>For interaction webhooks, this property is ignored</info>
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -318,6 +325,7 @@ class Webhook {
         },
         auth: false,
         webhook: true,
+        signal: cacheOrOptions.signal,
       });
     return this.client.channels?.cache.get(data.channel_id)?.messages._add(data, cacheOrOptions.cache) ?? data;
   }
@@ -351,6 +359,7 @@ class Webhook {
         },
         auth: false,
         webhook: true,
+        signal: messagePayload.options.signal,
       });
 
     const messageManager = this.client.channels?.cache.get(d.channel_id)?.messages;
@@ -367,19 +376,21 @@ class Webhook {
   /**
    * Deletes the webhook.
    * @param {string} [reason] Reason for deleting this webhook
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  async delete(reason) {
-    await this.client.api.webhooks(this.id, this.token).delete({ reason, auth: !this.token, webhook: true });
+  async delete(reason, signal) {
+    await this.client.api.webhooks(this.id, this.token).delete({ reason, auth: !this.token, webhook: true, signal });
   }
 
   /**
    * Delete a message that was sent by this webhook.
    * @param {MessageResolvable|'@original'} message The message to delete
    * @param {Snowflake} [threadId] The id of the thread this message belongs to
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<void>}
    */
-  async deleteMessage(message, threadId) {
+  async deleteMessage(message, threadId, signal) {
     if (!this.token) throw new Error('WEBHOOK_TOKEN_UNAVAILABLE');
 
     await this.client.api
@@ -391,6 +402,7 @@ class Webhook {
         },
         auth: false,
         webhook: true,
+        signal,
       });
   }
 
@@ -75,10 +75,11 @@ class Widget extends Base {
 
   /**
    * Update the Widget.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Widget>}
    */
-  async fetch() {
-    const data = await this.client.api.guilds(this.id, 'widget.json').get();
+  async fetch(signal) {
+    const data = await this.client.api.guilds(this.id, 'widget.json').get({ signal });
     this._patch(data);
     return this;
   }
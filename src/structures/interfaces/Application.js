@@ -730,14 +730,16 @@ class Application extends Base {
 
   /**
    * Obtains this application from Discord.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Application>}
    */
-  async fetch() {
+  async fetch(signal) {
     const app = await this.client.api.oauth2.authorize.get({
       query: {
         client_id: this.id,
         scope: 'bot applications.commands',
       },
+      signal,
     });
     const user = this.client.users._add(app.bot);
     user._partial = false;
@@ -747,10 +749,11 @@ class Application extends Base {
 
   /**
    * Gets this application's role connection metadata records
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<ApplicationRoleConnectionMetadata[]>}
    */
-  async fetchRoleConnectionMetadataRecords() {
-    const metadata = await this.client.api.applications(this.id)('role-connections').metadata.get();
+  async fetchRoleConnectionMetadataRecords(signal) {
+    const metadata = await this.client.api.applications(this.id)('role-connections').metadata.get({ signal });
     return metadata.map(data => new ApplicationRoleConnectionMetadata(data));
   }
 
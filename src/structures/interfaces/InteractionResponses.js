@@ -107,6 +107,7 @@ class InteractionResponses {
       },
       files,
       auth: false,
+      signal: messagePayload.options.signal,
     });
     this.replied = true;
 
@@ -229,6 +230,7 @@ class InteractionResponses {
       },
       files,
       auth: false,
+      signal: messagePayload.options.signal,
     });
     this.replied = true;
 
@@ -93,6 +93,7 @@ class TextBasedChannel {
    * @property {Array<(MessageActionRow|MessageActionRowOptions)>} [components]
    * Action rows containing interactive components for the message (buttons, select menus)
    * @property {MessageAttachment[]} [attachments] Attachments to send in the message
+   * @property {AbortSignal} [signal] A signal to abort the upload of the files and the request with
    */
 
   /**
@@ -195,25 +196,12 @@ class TextBasedChannel {
       messagePayload = MessagePayload.create(this, options).resolveData();
     }
 
+    const { signal } = messagePayload.options;
     const { data, files } = await messagePayload.resolveFiles();
     // New API
-    const attachments = await Util.getUploadURL(this.client, this.id, files);
-    const requestPromises = attachments.map(async attachment => {
-      await Util.uploadFile(files[attachment.id].file, attachment.upload_url);
-      return {
-        id: attachment.id,
-        filename: files[attachment.id].name,
-        uploaded_filename: attachment.upload_filename,
-        description: files[attachment.id].description,
-        duration_secs: files[attachment.id].duration_secs,
-        waveform: files[attachment.id].waveform,
-      };
-    });
-    const attachmentsData = await Promise.all(requestPromises);
-    attachmentsData.sort((a, b) => parseInt(a.id) - parseInt(b.id));
-    data.attachments = attachmentsData;
+    data.attachments = await Util.uploadAttachments(this.client, this.id, files, signal);
     // Empty Files
-    const d = await this.client.api.channels[this.id].messages.post({ data });
+    const d = await this.client.api.channels[this.id].messages.post({ data, signal });
 
     return this.messages.cache.get(d.id) ?? this.messages._add(d);
   }
@@ -250,6 +238,8 @@ class TextBasedChannel {
   }
 
   async sendSlash(botOrApplicationId, commandNameString, ...args) {
+    // An AbortSignal may be passed after the options
+    const signal = args.at(-1) instanceof AbortSignal ? args.pop() : undefined;
     // Parse commandName /role add user
     const cmd = commandNameString.trim().split(' ');
     // Ex: role add user => [role, add, user]
@@ -328,6 +318,7 @@ class TextBasedChannel {
         this.id,
         subGroup,
         subCommand,
+        signal,
       );
       optionFormat = parseData.optionFormat;
       attachments = parseData.attachments;
@@ -381,19 +372,21 @@ class TextBasedChannel {
     this.client.api.interactions.post({
       data: body,
       usePayloadJSON: true,
+      signal,
     });
     return Util.createPromiseInteraction(this.client, nonce, 5000);
   }
 
   /**
    * Sends a typing indicator in the channel.
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<{ message_send_cooldown_ms: number, thread_create_cooldown_ms: number }|void>} Resolves upon the typing status being sent
    * @example
    * // Start typing in a channel
    * channel.sendTyping();
    */
-  sendTyping() {
-    return this.client.api.channels(this.id).typing.post();
+  sendTyping(signal) {
+    return this.client.api.channels(this.id).typing.post({ signal });
   }
 
   /**
@@ -461,6 +454,7 @@ class TextBasedChannel {
    * @typedef {Object} ChannelWebhookCreateOptions
    * @property {?(BufferResolvable|Base64Resolvable)} [avatar] Avatar for the webhook
    * @property {string} [reason] Reason for creating the webhook
+   * @property {AbortSignal} [signal] A signal to abort the request with
    */
 
   /**
@@ -554,13 +548,17 @@ function parseChoices(parent, list_choices, value) {
   }
 }
 
-async function addDataFromAttachment(value, client, channelId, attachments) {
+async function addDataFromAttachment(value, client, channelId, attachments, signal) {
   value = await MessagePayload.resolveFile(value);
   if (!value?.file) {
     throw new TypeError('The attachment data must be a BufferResolvable or Stream or FileOptions of MessageAttachment');
   }
-  const data = await Util.getUploadURL(client, channelId, [value]);
-  await Util.uploadFile(value.file, data[0].upload_url);
+  const data = await Util.getUploadURL(client, channelId, [value], signal);
+  await Util.uploadFile(value.file, data[0].upload_url, {
+    signal,
+    onProgress: ({ sent, total }) =>
+      client.emit(Events.UPLOAD_PROGRESS, { channelId, id: data[0].id, name: value.name, sent, total }),
+  });
   const id = attachments.length;
   attachments.push({
     id,
@@ -585,6 +583,7 @@ async function parseOption(
   channelId,
   subGroup,
   subCommand,
+  signal,
 ) {
   const data = {
     type: optionCommand.type,
@@ -604,7 +603,7 @@ async function parseOption(
       }
       case ApplicationCommandOptionTypes.ATTACHMENT:
       case 'ATTACHMENT': {
-        const parseData = await addDataFromAttachment(value, client, channelId, attachments);
+        const parseData = await addDataFromAttachment(value, client, channelId, attachments, signal);
         data.value = parseData.id;
         attachments = parseData.attachments;
         break;
@@ -682,6 +681,7 @@ async function parseOption(
           );
           await client.api.interactions.post({
             data: body,
+            signal,
           });
           data.value = await awaitAutocomplete(client, nonce, value);
         } else {
@@ -0,0 +1,203 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const fs = require('node:fs');
+const { Readable } = require('node:stream');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { fetch } = require('undici');
+const { Error } = require('../errors');
+
+// Chunks of a resumable upload have to be a multiple of 256 KiB, except for the last one
+const chunkGranularity = 256 * 1_024;
+
+async function* readChunks(source, size) {
+  // The parts are only concatenated once they fill a chunk, concatenating every part would be quadratic
+  let parts = [];
+  let length = 0;
+  for await (const data of source) {
+    const part = Buffer.from(data);
+    parts.push(part);
+    length += part.length;
+    if (length < size) continue;
+    let buffered = Buffer.concat(parts, length);
+    while (buffered.length >= size) {
+      yield buffered.subarray(0, size);
+      buffered = buffered.subarray(size);
+    }
+    parts = [buffered];
+    length = buffered.length;
+  }
+  if (length) yield Buffer.concat(parts, length);
+}
+
+/**
+ * Options for uploading an attachment to the URL given by Discord.
+ * @typedef {Object} AttachmentUploadOptions
+ * @property {AbortSignal} [signal] A signal to cancel the upload with
+ * @property {number} [chunkSize=8_388_608] The size (in bytes) of the chunks sent to resumable upload URLs,
+ * rounded down to a multiple of 256 KiB
+ * @property {number} [retries=3] How many times to resume the upload after a connection or server error,
+ * or after the server acknowledged a chunk without accepting more of it
+ * @property {Function} [onProgress] Called with an {@link AttachmentUploadProgress} whenever bytes are sent
+ */
+
+/**
+ * The progress of an attachment upload.
+ * @typedef {Object} AttachmentUploadProgress
+ * @property {number} sent The number of bytes sent so far
+ * @property {?number} total The size of the file in bytes, `null` while it is unknown
+ */
+
+/**
+ * Uploads a file to an attachment upload URL.
+ * Resumable URLs (those with an `upload_id`) are sent in chunks, and an upload that fails midway resumes from the
+ * last byte the server received instead of starting over.
+ * @private
+ */
+class AttachmentUpload {
+  constructor(data, url, { signal, chunkSize = 8 * 1_024 * 1_024, retries = 3, onProgress } = {}) {
+    this.data = data;
+    this.url = url;
+    this.signal = signal;
+    this.chunkSize = Math.max(chunkGranularity, Math.floor(chunkSize / chunkGranularity) * chunkGranularity);
+    this.retries = retries;
+    this.onProgress = onProgress;
+    this.sent = 0;
+    this.total = null;
+  }
+
+  /**
+   * Whether the upload URL accepts chunks and can be resumed
+   * @type {boolean}
+   * @readonly
+   */
+  get resumable() {
+    return new URL(this.url).searchParams.has('upload_id');
+  }
+
+  async start() {
+    this.signal?.throwIfAborted();
+    this.total = await this.constructor.sizeOf(this.data);
+    const source = this.constructor.toIterable(this.data);
+    if (this.resumable) await this.uploadInChunks(source);
+    else await this.uploadAtOnce(source);
+    return this;
+  }
+
+  async uploadAtOnce(source) {
+    const body = Buffer.isBuffer(this.data) ? this.data : this.countProgress(source);
+    const res = await fetch(this.url, { method: 'PUT', body, duplex: 'half', signal: this.signal });
+    if (!res.ok) throw this.constructor.failure(res);
+    this.sent = this.total ??= this.sent;
+    this.reportProgress();
+  }
+
+  async *countProgress(source) {
+    for await (const data of source) {
+      this.sent += data.length;
+      this.reportProgress();
+      yield data;
+    }
+  }
+
+  async uploadInChunks(source) {
+    const chunks = readChunks(source, this.chunkSize);
+    let next = await chunks.next();
+    // An empty file still has to finalize the upload
+    if (next.done) return this.sendChunk(Buffer.alloc(0), true);
+    while (!next.done) {
+      const chunk = next.value;
+      next = await chunks.next(); // eslint-disable-line no-await-in-loop
+      await this.sendChunk(chunk, next.done); // eslint-disable-line no-await-in-loop
+    }
+    return undefined;
+  }
+
+  async sendChunk(chunk, last) {
+    const start = this.sent;
+    const end = start + chunk.length;
+    if (last) this.total = end;
+    const size = this.total ?? '*';
+    let attempts = 0;
+    let stalls = 0;
+    let complete = false;
+
+    while (!complete && (this.sent < end || !chunk.length)) {
+      // Previous chunks of streams are gone, so they cannot be sent again
+      if (this.sent < start) throw new Error('ATTACHMENT_UPLOAD_NOT_RESUMABLE', this.sent);
+      const range = chunk.length ? `bytes ${this.sent}-${end - 1}/${size}` : `bytes */${size}`;
+      const offset = this.sent;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const res = await fetch(this.url, {
+          method: 'PUT',
+          body: chunk.subarray(this.sent - start),
+          headers: { 'content-range': range },
+          signal: this.signal,
+        });
+        complete = this.handleResponse(res, end);
+      } catch (error) {
+        if (this.signal?.aborted || error.retryable === false || attempts++ >= this.retries) throw error;
+        await sleep(500 * 2 ** (attempts - 1), undefined, { signal: this.signal }); // eslint-disable-line no-await-in-loop
+        // Ask the server how much it received before the failure, and resume from there
+        complete = await this.queryOffset(size, end).catch(() => false); // eslint-disable-line no-await-in-loop
+      }
+      // A server answering 308 without taking more bytes would otherwise be sent the same bytes forever
+      if (complete || this.sent > offset) stalls = 0;
+      else if (stalls++ >= this.retries) throw new Error('ATTACHMENT_UPLOAD_STALLED', this.sent);
+    }
+  }
+
+  async queryOffset(size, end) {
+    const res = await fetch(this.url, {
+      method: 'PUT',
+      headers: { 'content-range': `bytes */${size}` },
+      signal: this.signal,
+    });
+    return this.handleResponse(res, end);
+  }
+
+  handleResponse(res, end) {
+    if (res.status === 308) {
+      // The server received the bytes up to the end of its range header, the rest of the chunk has to be resent
+      const range = res.headers.get('range');
+      this.sent = range ? Number(range.split('-')[1]) + 1 : 0;
+      this.reportProgress();
+      return false;
+    }
+    if (!res.ok) throw this.constructor.failure(res);
+    this.sent = end;
+    this.reportProgress();
+    return true;
+  }
+
+  reportProgress() {
+    this.onProgress?.({ sent: this.sent, total: this.total });
+  }
+
+  static failure(res) {
+    const error = new Error('ATTACHMENT_UPLOAD_FAILED', res.status);
+    error.status = res.status;
+    // Only server errors are worth resuming the upload for
+    error.retryable = res.status >= 500 || res.status === 408 || res.status === 429;
+    return error;
+  }
+
+  static async sizeOf(data) {
+    if (Buffer.isBuffer(data)) return data.length;
+    if (data instanceof fs.ReadStream && typeof data.path === 'string' && data.start === undefined) {
+      const stats = await fs.promises.stat(data.path);
+      return stats.size;
+    }
+    return null;
+  }
+
+  static toIterable(data) {
+    if (Buffer.isBuffer(data)) return [data];
+    // Attachments resolved from URLs are web streams
+    if (typeof data.getReader === 'function') return Readable.fromWeb(data);
+    return data;
+  }
+}
+
+module.exports = AttachmentUpload;
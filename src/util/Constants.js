@@ -294,6 +294,8 @@ exports.VoiceOpcodes = {
  * * INVALID_REQUEST_WARNING: invalidRequestWarning
  * * API_RESPONSE: apiResponse
  * * API_REQUEST: apiRequest
+ * * REST_RETRY: restRetry
+ * * UPLOAD_PROGRESS: uploadProgress
  * * CLIENT_READY: ready
  * * APPLICATION_COMMAND_CREATE: applicationCommandCreate (deprecated)
  * * APPLICATION_COMMAND_DELETE: applicationCommandDelete (deprecated)
@@ -352,11 +354,13 @@ exports.VoiceOpcodes = {
  * * WARN: warn
  * * DEBUG: debug
  * * CACHE_SWEEP: cacheSweep
+ * * CACHE_STATS: cacheStats
  * * SHARD_DISCONNECT: shardDisconnect
  * * SHARD_ERROR: shardError
  * * SHARD_RECONNECTING: shardReconnecting
  * * SHARD_READY: shardReady
  * * SHARD_RESUME: shardResume
+ * * SHARD_HEALTH: shardHealth
  * * INVALIDATED: invalidated
  * * RAW: raw
  * * STAGE_INSTANCE_CREATE: stageInstanceCreate
@@ -389,6 +393,8 @@ exports.Events = {
   INVALID_REQUEST_WARNING: 'invalidRequestWarning',
   API_RESPONSE: 'apiResponse',
   API_REQUEST: 'apiRequest',
+  REST_RETRY: 'restRetry',
+  UPLOAD_PROGRESS: 'uploadProgress',
   CLIENT_READY: 'ready',
   APPLICATION_COMMAND_CREATE: 'applicationCommandCreate',
   APPLICATION_COMMAND_DELETE: 'applicationCommandDelete',
@@ -447,11 +453,13 @@ exports.Events = {
   WARN: 'warn',
   DEBUG: 'debug',
   CACHE_SWEEP: 'cacheSweep',
+  CACHE_STATS: 'cacheStats',
   SHARD_DISCONNECT: 'shardDisconnect',
   SHARD_ERROR: 'shardError',
   SHARD_RECONNECTING: 'shardReconnecting',
   SHARD_READY: 'shardReady',
   SHARD_RESUME: 'shardResume',
+  SHARD_HEALTH: 'shardHealth',
   INVALIDATED: 'invalidated',
   RAW: 'raw',
   STAGE_INSTANCE_CREATE: 'stageInstanceCreate',
@@ -520,6 +528,7 @@ exports.PartialTypes = keyMirror(['USER', 'CHANNEL', 'GUILD_MEMBER', 'MESSAGE',
 /**
  * The type of a WebSocket message event, e.g. `MESSAGE_CREATE`. Here are the available events:
  * * READY
+ * * READY_SUPPLEMENTAL
  * * RESUMED
  * * APPLICATION_COMMAND_CREATE (deprecated)
  * * APPLICATION_COMMAND_DELETE (deprecated)
@@ -584,6 +593,7 @@ exports.PartialTypes = keyMirror(['USER', 'CHANNEL', 'GUILD_MEMBER', 'MESSAGE',
  */
 exports.WSEvents = keyMirror([
   'READY',
+  'READY_SUPPLEMENTAL',
   'RESUMED',
   'APPLICATION_COMMAND_CREATE',
   'APPLICATION_COMMAND_DELETE',
@@ -841,6 +851,14 @@ exports.SweeperKeys = [
   'voiceStates',
 ];
 
+/**
+ * The order in which a {@link LimitedCollection} evicts its entries once it reaches its maximum size
+ * * `INSERTION` - the oldest entries are evicted first
+ * * `LRU` - the least recently used entries are evicted first, getting or setting an entry makes it the most recent
+ * @typedef {string} EvictionPolicy
+ */
+exports.EvictionPolicies = ['INSERTION', 'LRU'];
+
 /**
  * The types of messages that are `System`. The available types are `MessageTypes` excluding:
  * * DEFAULT
@@ -1867,6 +1885,7 @@ function createEnum(keys) {
  * @property {Object<DefaultMessageNotificationLevel, number>} DefaultMessageNotificationLevels
  * The value set for a guilds default message notifications.
  * @property {Endpoints} Endpoints Object containing functions that return certain endpoints on the API.
+ * @property {EvictionPolicy[]} EvictionPolicies The order in which a {@link LimitedCollection} evicts its entries.
  * @property {Events} Events The types of events emitted by the Client.
  * @property {Object<ExplicitContentFilterLevel, number>} ExplicitContentFilterLevels
  * The value set for the explicit content filter levels for a guild.
@@ -0,0 +1,244 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { inflateSync } = require('node:zlib');
+
+const FORMAT_VERSION = 131;
+
+const Tags = {
+  NEW_FLOAT: 70,
+  COMPRESSED: 80,
+  SMALL_INTEGER: 97,
+  INTEGER: 98,
+  FLOAT: 99,
+  ATOM: 100,
+  SMALL_TUPLE: 104,
+  LARGE_TUPLE: 105,
+  NIL: 106,
+  STRING: 107,
+  LIST: 108,
+  BINARY: 109,
+  SMALL_BIG: 110,
+  LARGE_BIG: 111,
+  MAP: 116,
+  SMALL_ATOM: 115,
+  ATOM_UTF8: 118,
+  SMALL_ATOM_UTF8: 119,
+};
+
+const atoms = { nil: null, null: null, true: true, false: false };
+
+/**
+ * Decodes External Term Format data, the way erlpack does.
+ * @private
+ */
+class Decoder {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  decode() {
+    const version = this.buffer[this.offset++];
+    if (version !== FORMAT_VERSION) throw new RangeError(`Unsupported ETF version ${version}`);
+    return this.term();
+  }
+
+  term() {
+    const { buffer } = this;
+    const tag = buffer[this.offset++];
+    switch (tag) {
+      case Tags.SMALL_INTEGER:
+        return buffer[this.offset++];
+      case Tags.INTEGER:
+        return this.read(4, buffer.readInt32BE);
+      case Tags.NEW_FLOAT:
+        return this.read(8, buffer.readDoubleBE);
+      case Tags.FLOAT:
+        return parseFloat(this.string(31, 'latin1'));
+      case Tags.ATOM:
+      case Tags.ATOM_UTF8:
+        return this.atom(this.read(2, buffer.readUInt16BE), tag === Tags.ATOM ? 'latin1' : 'utf8');
+      case Tags.SMALL_ATOM:
+      case Tags.SMALL_ATOM_UTF8:
+        return this.atom(buffer[this.offset++], tag === Tags.SMALL_ATOM ? 'latin1' : 'utf8');
+      case Tags.SMALL_TUPLE:
+        return this.array(buffer[this.offset++]);
+      case Tags.LARGE_TUPLE:
+        return this.array(this.read(4, buffer.readUInt32BE));
+      case Tags.NIL:
+        return [];
+      case Tags.STRING: {
+        // Lists of small integers are sent as strings of bytes
+        const length = this.read(2, buffer.readUInt16BE);
+        return [...buffer.subarray(this.offset, (this.offset += length))];
+      }
+      case Tags.LIST: {
+        const list = this.array(this.read(4, buffer.readUInt32BE));
+        // Proper lists end with an empty list, which is not part of their elements
+        if (buffer[this.offset] === Tags.NIL) this.offset++;
+        else list.push(this.term());
+        return list;
+      }
+      case Tags.BINARY:
+        return this.string(this.read(4, buffer.readUInt32BE), 'utf8');
+      case Tags.SMALL_BIG:
+        return this.big(buffer[this.offset++]);
+      case Tags.LARGE_BIG:
+        return this.big(this.read(4, buffer.readUInt32BE));
+      case Tags.MAP: {
+        const size = this.read(4, buffer.readUInt32BE);
+        const map = {};
+        for (let i = 0; i < size; i++) {
+          const key = this.term();
+          map[key] = this.term();
+        }
+        return map;
+      }
+      case Tags.COMPRESSED: {
+        const size = this.read(4, buffer.readUInt32BE);
+        const decoder = new Decoder(inflateSync(buffer.subarray(this.offset)));
+        if (decoder.buffer.length !== size) throw new RangeError('Invalid compressed ETF term');
+        this.offset = buffer.length;
+        return decoder.term();
+      }
+      default:
+        throw new RangeError(`Unsupported ETF tag ${tag} at offset ${this.offset - 1}`);
+    }
+  }
+
+  read(size, method) {
+    const value = method.call(this.buffer, this.offset);
+    this.offset += size;
+    return value;
+  }
+
+  string(length, encoding) {
+    return this.buffer.toString(encoding, this.offset, (this.offset += length));
+  }
+
+  atom(length, encoding) {
+    const name = this.string(length, encoding);
+    return name in atoms ? atoms[name] : name;
+  }
+
+  array(length) {
+    const array = new Array(length);
+    for (let i = 0; i < length; i++) array[i] = this.term();
+    return array;
+  }
+
+  big(digits) {
+    const negative = this.buffer[this.offset++] === 1;
+    let value = BigInt(0);
+    for (let i = digits - 1; i >= 0; i--) value = (value << BigInt(8)) | BigInt(this.buffer[this.offset + i]);
+    this.offset += digits;
+    if (negative) value = -value;
+    // Like erlpack, integers larger than 32 bits (snowflakes) become strings instead of losing precision
+    return digits <= 4 ? Number(value) : value.toString();
+  }
+}
+
+/**
+ * Encodes values in External Term Format, the way erlpack does.
+ * @private
+ */
+class Encoder {
+  constructor() {
+    this.chunks = [Buffer.of(FORMAT_VERSION)];
+  }
+
+  encode(value) {
+    this.term(value);
+    return Buffer.concat(this.chunks);
+  }
+
+  term(value) {
+    if (value !== null && typeof value?.toJSON === 'function') value = value.toJSON();
+    switch (typeof value) {
+      case 'undefined':
+        return this.atom('nil');
+      case 'boolean':
+        return this.atom(String(value));
+      case 'number':
+        if (!Number.isInteger(value)) return this.float(value);
+        if (value >= 0 && value <= 0xff) return this.chunks.push(Buffer.of(Tags.SMALL_INTEGER, value));
+        if (value >= -0x80000000 && value <= 0x7fffffff) return this.write(Tags.INTEGER, 4, 'writeInt32BE', value);
+        return this.big(BigInt(value));
+      case 'bigint':
+        return this.big(value);
+      case 'string':
+        return this.binary(value);
+      case 'object':
+        if (value === null) return this.atom('nil');
+        if (Array.isArray(value)) return this.list(value);
+        return this.map(value);
+      default:
+        throw new TypeError(`Cannot encode a ${typeof value} in ETF`);
+    }
+  }
+
+  write(tag, size, method, value) {
+    const buffer = Buffer.allocUnsafe(size + 1);
+    buffer[0] = tag;
+    buffer[method](value, 1);
+    this.chunks.push(buffer);
+  }
+
+  atom(name) {
+    this.chunks.push(Buffer.of(Tags.SMALL_ATOM, name.length), Buffer.from(name, 'latin1'));
+  }
+
+  float(value) {
+    this.write(Tags.NEW_FLOAT, 8, 'writeDoubleBE', value);
+  }
+
+  big(value) {
+    const negative = value < 0;
+    if (negative) value = -value;
+    const digits = [];
+    for (; value > 0; value >>= BigInt(8)) digits.push(Number(value & BigInt(0xff)));
+    this.chunks.push(Buffer.of(Tags.SMALL_BIG, digits.length, negative ? 1 : 0, ...digits));
+  }
+
+  binary(value) {
+    const data = Buffer.from(value, 'utf8');
+    this.write(Tags.BINARY, 4, 'writeUInt32BE', data.length);
+    this.chunks.push(data);
+  }
+
+  list(values) {
+    if (values.length) {
+      this.write(Tags.LIST, 4, 'writeUInt32BE', values.length);
+      // Like JSON, holes and functions in arrays are encoded as null
+      for (const value of values) this.term(typeof value === 'function' ? null : value);
+    }
+    this.chunks.push(Buffer.of(Tags.NIL));
+  }
+
+  map(object) {
+    // Like JSON, properties that cannot be serialized are left out
+    const entries = Object.entries(object).filter(([, v]) => typeof v !== 'undefined' && typeof v !== 'function');
+    this.write(Tags.MAP, 4, 'writeUInt32BE', entries.length);
+    for (const [key, value] of entries) {
+      this.binary(key);
+      this.term(value);
+    }
+  }
+}
+
+/**
+ * Encodes a value in External Term Format.
+ * @param {*} value The value to encode
+ * @returns {Buffer}
+ * @private
+ */
+exports.pack = value => new Encoder().encode(value);
+
+/**
+ * Decodes External Term Format data.
+ * @param {Buffer} data The data to decode
+ * @returns {*}
+ * @private
+ */
+exports.unpack = data => new Decoder(data).decode();
@@ -0,0 +1,115 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const process = require('node:process');
+
+/**
+ * A {@link CacheAdapter} that keeps each entry in a JSON file of a directory, so it is shared by the processes
+ * using the same directory and outlives them.
+ * Each file is written to a temporary file first and then renamed over the previous one, so readers never see a
+ * partial write.
+ */
+class FileCacheAdapter {
+  /**
+   * @param {string} directory The path of the directory holding the entries
+   * @param {CacheAdapterOptions} [options] Options for the adapter
+   */
+  constructor(directory, { maxSize = Infinity } = {}) {
+    /**
+     * The path of the directory holding the entries
+     * @type {string}
+     */
+    this.directory = directory;
+
+    /**
+     * The number of structures the managers using this adapter keep in their cache
+     * @type {number}
+     */
+    this.maxSize = maxSize;
+
+    /**
+     * The creation of the directory
+     * @type {?Promise<void>}
+     * @private
+     */
+    this._creating = null;
+  }
+
+  /**
+   * The path of the file of an entry.
+   * @param {string} key The key of the entry
+   * @returns {string}
+   * @private
+   */
+  fileOf(key) {
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  /**
+   * Gets the data of an entry.
+   * @param {string} key The key of the entry
+   * @returns {Promise<?Object>}
+   */
+  async get(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.fileOf(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Sets the data of an entry.
+   * @param {string} key The key of the entry
+   * @param {Object} value The data of the entry
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this._creating ??= fs.promises.mkdir(this.directory, { recursive: true });
+    await this._creating;
+    const file = this.fileOf(key);
+    const temporaryFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporaryFile, JSON.stringify(value));
+    await fs.promises.rename(temporaryFile, file);
+  }
+
+  /**
+   * Deletes an entry.
+   * @param {string} key The key of the entry
+   * @returns {Promise<boolean>} Whether the entry existed
+   */
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.fileOf(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Iterates over the entries.
+   * @returns {AsyncIterable<Array<string|Object>>}
+   */
+  async *entries() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      const key = decodeURIComponent(file.slice(0, -'.json'.length));
+      // The entry can be deleted by another process in the meantime
+      const value = await this.get(key);
+      if (value) yield [key, value];
+    }
+  }
+}
+
+module.exports = FileCacheAdapter;
@@ -0,0 +1,71 @@
+'use strict';
+
+const BitField = require('./BitField');
+
+/**
+ * Data structure that makes it easy to interact with the capabilities sent when identifying to the gateway,
+ * see {@link WebsocketOptions}.
+ * @extends {BitField}
+ */
+class GatewayCapabilities extends BitField {}
+
+/**
+ * @name GatewayCapabilities
+ * @kind constructor
+ * @memberof GatewayCapabilities
+ * @param {BitFieldResolvable} [bits=0] Bit(s) to read from
+ */
+
+/**
+ * Numeric gateway capabilities. Most change the shape of the payloads, the ones the handlers depend on are noted.
+ * All available properties:
+ * * `LAZY_USER_NOTES`, the notes are not sent in `READY`, {@link Client#notes} starts out empty
+ * * `NO_AFFINE_USER_IDS`
+ * * `VERSIONED_READ_STATES`, the read states are sent as a versioned object, they are not handled yet
+ * * `VERSIONED_USER_GUILD_SETTINGS`, the guild settings are sent as a versioned object,
+ * the `READY` handler expects an array and ignores them
+ * * `DEDUPE_USER_OBJECTS`, the users are sent once in the `users` array of `READY` and referenced by id elsewhere,
+ * the `READY` and `READY_SUPPLEMENTAL` handlers resolve them
+ * * `PRIORITIZED_READY_PAYLOAD`, the merged members are sent in `READY_SUPPLEMENTAL` along with the presences,
+ * which the shards always wait for before turning ready (requires `DEDUPE_USER_OBJECTS`)
+ * * `MULTIPLE_GUILD_EXPERIMENT_POPULATIONS`
+ * * `NON_CHANNEL_READ_STATES`
+ * * `AUTH_TOKEN_REFRESH`
+ * * `USER_SETTINGS_PROTO`, the settings are sent as protobuf instead of `user_settings`,
+ * {@link Client#settings} is not filled by `READY`
+ * * `CLIENT_STATE_V2`, guilds unchanged since the versions in `client_state` are not sent again
+ * * `PASSIVE_GUILD_UPDATE`
+ * * `AUTO_CALL_CONNECT`
+ * * `DEBOUNCE_MESSAGE_REACTIONS`, reactions can be sent in batches that are not handled yet
+ * * `PASSIVE_GUILD_UPDATE_V2`
+ * @type {Object}
+ * @see {@link https://docs.discord.food/topics/gateway#gateway-capabilities}
+ */
+GatewayCapabilities.FLAGS = {
+  LAZY_USER_NOTES: 1 << 0,
+  NO_AFFINE_USER_IDS: 1 << 1,
+  VERSIONED_READ_STATES: 1 << 2,
+  VERSIONED_USER_GUILD_SETTINGS: 1 << 3,
+  DEDUPE_USER_OBJECTS: 1 << 4,
+  PRIORITIZED_READY_PAYLOAD: 1 << 5,
+  MULTIPLE_GUILD_EXPERIMENT_POPULATIONS: 1 << 6,
+  NON_CHANNEL_READ_STATES: 1 << 7,
+  AUTH_TOKEN_REFRESH: 1 << 8,
+  USER_SETTINGS_PROTO: 1 << 9,
+  CLIENT_STATE_V2: 1 << 10,
+  PASSIVE_GUILD_UPDATE: 1 << 11,
+  AUTO_CALL_CONNECT: 1 << 12,
+  DEBOUNCE_MESSAGE_REACTIONS: 1 << 13,
+  PASSIVE_GUILD_UPDATE_V2: 1 << 14,
+};
+
+/**
+ * Data that can be resolved to give a gateway capabilities bitfield. This can be:
+ * * A string (see {@link GatewayCapabilities.FLAGS})
+ * * A gateway capability
+ * * An instance of GatewayCapabilities
+ * * An Array of GatewayCapabilitiesResolvable
+ * @typedef {string|number|GatewayCapabilities|GatewayCapabilitiesResolvable[]} GatewayCapabilitiesResolvable
+ */
+
+module.exports = GatewayCapabilities;
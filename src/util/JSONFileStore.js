@@ -0,0 +1,57 @@
+'use strict';
+
+const fs = require('node:fs');
+
+/**
+ * Keeps a state in a JSON file, the base of {@link FileRateLimitStore} and {@link FileSessionStore}.
+ * The file is written to a temporary file first and then renamed over the previous one, so a process killed
+ * mid-write never leaves it half written.
+ */
+class JSONFileStore {
+  constructor(file) {
+    /**
+     * The path of the state file
+     * @type {string}
+     */
+    this.file = file;
+
+    /**
+     * The pending write of the state file
+     * @type {Promise<void>}
+     * @private
+     */
+    this._writing = Promise.resolve();
+  }
+
+  /**
+   * Reads the saved state.
+   * @returns {Promise<?Object>} The saved state, or `null` if nothing was saved yet
+   */
+  async load() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Writes the state once the pending writes are done.
+   * @param {Object} state The state to save
+   * @returns {Promise<void>}
+   */
+  save(state) {
+    const data = JSON.stringify(state);
+    const temporaryFile = `${this.file}.tmp`;
+    this._writing = this._writing
+      .catch(() => null)
+      .then(async () => {
+        await fs.promises.writeFile(temporaryFile, data);
+        await fs.promises.rename(temporaryFile, this.file);
+      });
+    return this._writing;
+  }
+}
+
+module.exports = JSONFileStore;
@@ -2,7 +2,7 @@
 
 const { setInterval } = require('node:timers');
 const { Collection } = require('@discordjs/collection');
-const { _cleanupSymbol } = require('./Constants.js');
+const { _cleanupSymbol, EvictionPolicies } = require('./Constants.js');
 const Sweepers = require('./Sweepers.js');
 const { TypeError } = require('../errors/DJSError.js');
 
@@ -20,6 +20,9 @@ const { TypeError } = require('../errors/DJSError.js');
  * @property {?number} [maxSize=Infinity] The maximum size of the Collection
  * @property {?Function} [keepOverLimit=null] A function, which is passed the value and key of an entry, ran to decide
  * to keep an entry past the maximum size
+ * @property {EvictionPolicy} [eviction='INSERTION'] The order in which entries are evicted at the maximum size
+ * @property {number} [ttl=0] How long, in seconds, an entry is kept after it was last set, 0 to keep entries
+ * until they are evicted
  * @property {?SweepFilter} [sweepFilter=null] DEPRECATED: There is no direct alternative to this,
  * however most of its purpose is fulfilled by {@link Client#sweepers}
  * A function ran every `sweepInterval` to determine how to sweep
@@ -30,6 +33,9 @@ const { TypeError } = require('../errors/DJSError.js');
 
 /**
  * A Collection which holds a max amount of entries and sweeps periodically.
+ * <info>Entries past their `ttl` are removed lazily: when they are accessed with `get` or `has`, when they are the
+ * oldest entry at the maximum size, or when {@link LimitedCollection#sweepExpired} is called. Until then they are
+ * still counted in the size and iterated over.</info>
  * @extends {Collection}
  * @param {LimitedCollectionOptions} [options={}] Options for constructing the Collection.
  * @param {Iterable} [iterable=null] Optional entries passed to the Map constructor.
@@ -39,7 +45,14 @@ class LimitedCollection extends Collection {
     if (typeof options !== 'object' || options === null) {
       throw new TypeError('INVALID_TYPE', 'options', 'object', true);
     }
-    const { maxSize = Infinity, keepOverLimit = null, sweepInterval = 0, sweepFilter = null } = options;
+    const {
+      maxSize = Infinity,
+      keepOverLimit = null,
+      eviction = 'INSERTION',
+      ttl = 0,
+      sweepInterval = 0,
+      sweepFilter = null,
+    } = options;
 
     if (typeof maxSize !== 'number') {
       throw new TypeError('INVALID_TYPE', 'maxSize', 'number');
@@ -47,6 +60,12 @@ class LimitedCollection extends Collection {
     if (keepOverLimit !== null && typeof keepOverLimit !== 'function') {
       throw new TypeError('INVALID_TYPE', 'keepOverLimit', 'function');
     }
+    if (!EvictionPolicies.includes(eviction)) {
+      throw new TypeError('INVALID_TYPE', 'eviction', 'EvictionPolicy', true);
+    }
+    if (typeof ttl !== 'number') {
+      throw new TypeError('INVALID_TYPE', 'ttl', 'number');
+    }
     if (typeof sweepInterval !== 'number') {
       throw new TypeError('INVALID_TYPE', 'sweepInterval', 'number');
     }
@@ -54,7 +73,7 @@ class LimitedCollection extends Collection {
       throw new TypeError('INVALID_TYPE', 'sweepFilter', 'function');
     }
 
-    super(iterable);
+    super();
 
     /**
      * The max size of the Collection.
@@ -68,6 +87,25 @@ class LimitedCollection extends Collection {
      */
     this.keepOverLimit = keepOverLimit;
 
+    /**
+     * The order in which entries are evicted when the Collection is at max size.
+     * @type {EvictionPolicy}
+     */
+    this.eviction = eviction;
+
+    /**
+     * How long, in seconds, an entry is kept after it was last set, 0 if entries do not expire.
+     * @type {number}
+     */
+    this.ttl = ttl;
+
+    /**
+     * The timestamps at which the entries expire, `null` if they do not expire.
+     * @type {?Map<*, number>}
+     * @private
+     */
+    this.expiries = ttl > 0 && ttl !== Infinity ? new Map() : null;
+
     /**
      * A function called every sweep interval that returns a function passed to `sweep`.
      * @deprecated in favor of {@link Client#sweepers}
@@ -89,22 +127,82 @@ class LimitedCollection extends Collection {
             this.sweep(sweepFn);
           }, sweepInterval * 1_000).unref()
         : null;
+
+    // The entries are set once the options are, so they are limited and given an expiry
+    if (iterable) {
+      for (const [key, value] of iterable) this.set(key, value);
+    }
+  }
+
+  get(key) {
+    if (this.isExpired(key)) {
+      this.delete(key);
+      return undefined;
+    }
+    const value = super.get(key);
+    // Moving the entry to the end of the Map makes it the last one evicted
+    if (this.eviction === 'LRU' && super.has(key)) {
+      super.delete(key);
+      super.set(key, value);
+    }
+    return value;
+  }
+
+  has(key) {
+    if (this.isExpired(key)) {
+      this.delete(key);
+      return false;
+    }
+    return super.has(key);
   }
 
   set(key, value) {
     if (this.maxSize === 0) return this;
-    if (this.size >= this.maxSize && !this.has(key)) {
+    if (this.has(key)) {
+      if (this.eviction === 'LRU') super.delete(key);
+    } else if (this.size >= this.maxSize) {
       for (const [k, v] of this.entries()) {
-        const keep = this.keepOverLimit?.(v, k, this) ?? false;
+        const keep = !this.isExpired(k) && (this.keepOverLimit?.(v, k, this) ?? false);
         if (!keep) {
           this.delete(k);
           break;
         }
       }
     }
+    this.expiries?.set(key, Date.now() + this.ttl * 1_000);
     return super.set(key, value);
   }
 
+  delete(key) {
+    this.expiries?.delete(key);
+    return super.delete(key);
+  }
+
+  clear() {
+    this.expiries?.clear();
+    super.clear();
+  }
+
+  /**
+   * Checks whether an entry is past its `ttl`.
+   * @param {*} key The key of the entry
+   * @returns {boolean}
+   * @private
+   */
+  isExpired(key) {
+    const expiry = this.expiries?.get(key);
+    return expiry !== undefined && expiry <= Date.now();
+  }
+
+  /**
+   * Removes the entries that are past their `ttl`.
+   * @returns {number} The number of removed entries
+   */
+  sweepExpired() {
+    if (!this.expiries) return 0;
+    return this.sweep((value, key) => this.isExpired(key));
+  }
+
   /**
    * Create a sweepFilter function that uses a lifetime to determine sweepability.
    * @param {LifetimeFilterOptions} [options={}] The options used to generate the filter function
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * A {@link CacheAdapter} that keeps the data in a Map of this process.
+ * <info>This saves the memory of the structures when the `maxSize` is low, but does not share the data with other
+ * processes, see {@link FileCacheAdapter} for that.</info>
+ */
+class MemoryCacheAdapter {
+  /**
+   * @param {CacheAdapterOptions} [options] Options for the adapter
+   */
+  constructor({ maxSize = Infinity } = {}) {
+    /**
+     * The number of structures the managers using this adapter keep in their cache
+     * @type {number}
+     */
+    this.maxSize = maxSize;
+
+    /**
+     * The stored data
+     * @type {Map<string, Object>}
+     * @private
+     */
+    this.data = new Map();
+  }
+
+  /**
+   * Gets the data of an entry.
+   * @param {string} key The key of the entry
+   * @returns {Promise<?Object>}
+   */
+  async get(key) {
+    return this.data.get(key) ?? null;
+  }
+
+  /**
+   * Sets the data of an entry.
+   * @param {string} key The key of the entry
+   * @param {Object} value The data of the entry
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.data.set(key, value);
+  }
+
+  /**
+   * Deletes an entry.
+   * @param {string} key The key of the entry
+   * @returns {Promise<boolean>} Whether the entry existed
+   */
+  async delete(key) {
+    return this.data.delete(key);
+  }
+
+  /**
+   * Iterates over the entries.
+   * @returns {AsyncIterable<Array<string|Object>>}
+   */
+  async *entries() {
+    yield* this.data.entries();
+  }
+}
+
+module.exports = MemoryCacheAdapter;
@@ -4,6 +4,7 @@ const { randomUUID } = require('node:crypto');
 const AdvancedAICaptchaSolver = require('./AdvancedAICaptchaSolver');
 const { UserAgent } = require('./Constants');
 const Intents = require('./Intents');
+const { encoding } = require('../WebSocket');
 
 /**
  * Rate limit data
@@ -27,7 +28,29 @@ const Intents = require('./Intents');
  * @typedef {Function} CacheFactory
  * @param {Function} manager The manager class the cache is being requested from.
  * @param {Function} holds The class that the cache will hold.
- * @returns {Collection} A Collection used to store the cache of the manager.
+ * @returns {Collection|CacheAdapter} A Collection used to store the cache of the manager,
+ * or an adapter keeping its data outside of it
+ */
+
+/**
+ * Stores the raw data of a manager outside of its cache, e.g. to share it between processes.
+ * The cache of a manager using an adapter only holds the structures created by its process, up to `maxSize`,
+ * and the data it receives is merged into the adapter every 100 milliseconds.
+ * <info>`resolve` only looks in the cache of a manager, {@link CachedManager#resolveStored} also looks in the adapter.
+ * The `fetch` methods of `UserManager`, `MessageManager` and `PresenceManager` look in the adapter before requesting
+ * the API.</info>
+ * @typedef {Object} CacheAdapter
+ * @property {number} [maxSize=Infinity] The number of structures the managers using this adapter keep in their cache
+ * @property {Function} get Gets the data of an entry by its key, resolving with `null` if there is none
+ * @property {Function} set Sets the data of an entry, called with its key and data
+ * @property {Function} delete Deletes an entry by its key
+ * @property {Function} entries Returns an async iterable of the `[key, data]` pairs of the entries
+ */
+
+/**
+ * Options for the cache adapters shipped with the library.
+ * @typedef {Object} CacheAdapterOptions
+ * @property {number} [maxSize=Infinity] The number of structures the managers using the adapter keep in their cache
  */
 
 /**
@@ -64,8 +87,11 @@ const Intents = require('./Intents');
  * (e.g. recommended shard count, shard count of the ShardingManager)
  * @property {CacheFactory} [makeCache] Function to create a cache.
  * You can use your own function, or the {@link Options} class to customize the Collection used for the cache.
+ * It can also return a {@link CacheAdapter}, such as a {@link FileCacheAdapter}, to keep the data outside of the cache.
  * <warn>Overriding the cache used in `GuildManager`, `ChannelManager`, `GuildChannelManager`, `RoleManager`,
  * and `PermissionOverwriteManager` is unsupported and **will** break functionality</warn>
+ * @property {number} [cacheStatsInterval=0] How frequently to emit {@link Client#event:cacheStats}, in seconds
+ * (0 for never)
  * @property {number} [messageCacheLifetime=0] DEPRECATED: Pass `lifetime` to `sweepers.messages` instead.
  * How long a message should stay in the cache until it is considered sweepable (in seconds, 0 for forever)
  * @property {number} [messageSweepInterval=0] DEPRECATED: Pass `interval` to `sweepers.messages` instead.
@@ -92,12 +118,21 @@ const Intents = require('./Intents');
  * should be handled. If this option is an array containing the prefix of the request route (e.g. /channels to match any
  * route starting with /channels, such as /channels/222197033908436994/messages) or a function returning true, a
  * {@link RateLimitError} will be thrown. Otherwise the request will be queued for later
- * @property {number} [retryLimit=1] How many times to retry on 5XX errors
+ * @property {number} [retryLimit=1] How many times to retry on 5XX errors and network failures,
+ * unless `http.retryPolicy` sets its own number of retries
  * (Infinity for an indefinite amount of retries)
  * @property {boolean} [failIfNotExists=true] Default value for {@link ReplyMessageOptions#failIfNotExists}
+ * @property {?string} [warmStart=null] The path of a snapshot taken with {@link ClientCacheManager#snapshot} to fill
+ * the caches from before connecting, if it exists. The raw data snapshots are built from is only kept while this is set
+ * @property {Object<string, string[]>} [structureFields={}] The properties kept by the cached structures, by the name of
+ * their class, e.g. `{ User: ['username', 'globalName', 'avatar'] }`. The `id` is always kept, the raw data of the
+ * other properties is not patched and reading them throws. This applies to the structures created by their cache
+ * manager, e.g. `client.users`. <warn>Properties read by the library, such as the ones used to check whether a
+ * structure is partial, should be kept</warn>
  * @property {PresenceData} [presence={ status: 'online', since: 0, activities: [], afk: false }] Presence data to use upon login
  * @property {number} [waitGuildTimeout=15_000] Time in milliseconds that Clients with the GUILDS intent should wait for
- * missing guilds to be received before starting the bot. If not specified, the default is 15 seconds.
+ * missing guilds to be received before starting the bot, and that every Client waits for the `READY_SUPPLEMENTAL`
+ * payload. If not specified, the default is 15 seconds.
  * @property {SweeperOptions} [sweepers={}] Options for cache sweeping
  * @property {WebsocketOptions} [ws] Options for the WebSocket
  * @property {HTTPOptions} [http] HTTP options
@@ -105,9 +140,19 @@ const Intents = require('./Intents');
 
 /**
  * Options for {@link Sweepers} defining the behavior of cache sweeping
+ * <info>The `memory` key takes {@link MemorySweepOptions} instead, to sweep the caches when the heap usage exceeds
+ * a budget, see {@link Sweepers#sweepMemory}</info>
  * @typedef {Object<SweeperKey, SweepOptions>} SweeperOptions
  */
 
+/**
+ * Options for sweeping the caches according to the heap usage
+ * @typedef {Object} MemorySweepOptions
+ * @property {number} interval The interval (in seconds) at which to check the heap usage
+ * @property {number} [budget] The heap usage (in bytes) above which the caches are swept,
+ * defaults to 80% of the heap size limit
+ */
+
 /**
  * Options for sweeping a single type of item from cache
  * @typedef {Object} SweepOptions
@@ -124,9 +169,37 @@ const Intents = require('./Intents');
  * @typedef {Object} WebsocketOptions
  * @property {AgentOptions} [agent={}] HTTPS Agent options (WS Proxy)
  * @property {boolean} [compress=false] Whether to compress data sent on the connection
+ * @property {GatewayCompression} [compression='zlib-stream'] The transport compression of the connection
+ * @property {?(string|SessionStore)} [sessionStore=null] Where to save the gateway sessions, so the client resumes
+ * them instead of identifying again when it restarts. A string is used as the path of a {@link FileSessionStore}
+ * <info>Destroying the client ends its sessions, only a process that exits without calling
+ * {@link Client#destroy} can resume them.</info>
+ * <warn>A resumed session receives no `READY` nor guilds, only the events missed while the client was offline, so
+ * the caches start out empty unless {@link ClientOptions#warmStart} fills them from a snapshot</warn>
+ * @property {WSEventType[]} [disabledEvents=[]] The dispatch events to drop without updating the cache or emitting
+ * events, they are still emitted as `raw` events
+ * @property {DispatchMiddleware|DispatchMiddleware[]} [middleware] Middleware to run on every dispatch packet
+ * @property {ShardHealthOptions} [health] Thresholds of the connection health monitoring
+ * @property {GatewayCapabilitiesResolvable} [capabilities=0] The capabilities to identify with, they opt into
+ * other shapes of the gateway payloads, see {@link GatewayCapabilities.FLAGS} for the ones the handlers support
+ * and the [capability reference](https://docs.discord.food/topics/gateway#gateway-capabilities) for all of them
+ * @property {string} [encoding] The encoding of the gateway payloads, either `json` or `etf`. Defaults to `etf` when
+ * [erlpack](https://github.com/discord/erlpack) is installed, and `json` otherwise.
+ * <info>ETF is faster to decode than JSON, it uses erlpack when it is installed and a built-in decoder
+ * otherwise</info>
  * @property {WebSocketProperties} [properties] Properties to identify the client with
  */
 
+/**
+ * Options for the connection health monitoring of the shards.
+ * @typedef {Object} ShardHealthOptions
+ * @property {number} [historySize=100] The number of heartbeat latencies kept to compute the percentiles
+ * @property {number} [latencyThreshold=1_000] The 95th percentile of the heartbeat latency (in milliseconds) above
+ * which {@link Client#event:shardHealth} is emitted
+ * @property {number} [missedAckThreshold=1] The number of heartbeats in a row without acknowledgement after which
+ * {@link Client#event:shardHealth} is emitted
+ */
+
 /**
  * HTTPS Agent options.
  * @typedef {Object} AgentOptions
@@ -151,6 +224,120 @@ const Intents = require('./Intents');
  * @property {string} [template='https://discord.new'] Base URL of templates
  * @property {Object} [headers] Additional headers to send for all API requests
  * @property {string} [scheduledEvent='https://discord.com/events'] Base URL of guild scheduled events
+ * @property {?RESTTransport} [transport=null] Transport used to send requests instead of the Discord API,
+ * e.g. a {@link MockTransport} in tests
+ * @property {?RESTFixtureOptions} [fixtures=null] Records REST traffic to a fixture file, or replays it from one
+ * @property {?RESTInterceptors} [interceptors=null] Interceptors to run around every REST request
+ * @property {?(string|RateLimitStore)} [rateLimitStore=null] Where to persist the rate limit buckets, so they are
+ * restored when the client restarts. A string is used as the path of a {@link FileRateLimitStore}
+ * @property {?(RetryPolicyOptions|RetryPolicy)} [retryPolicy=null] How failed requests are retried
+ * @property {boolean} [coalesceRequests=true] Whether identical GET requests made while one is in flight share
+ * its response instead of being sent again. Requests with a `signal` are never shared
+ * @property {?Object<string, number>} [responseCache=null] How long (in milliseconds) to cache the responses of
+ * GET requests, keyed by path pattern, e.g. `{ '/users/:id/profile': 30_000 }`.
+ * Any other request to the same path clears its cached responses
+ */
+
+/**
+ * Interceptors run around every REST request, in the order they were added.
+ * More can be added later with `client.rest.addInterceptor()`.
+ * @typedef {Object} RESTInterceptors
+ * @property {RESTBeforeRequestInterceptor|RESTBeforeRequestInterceptor[]} [beforeRequest] Run before a request is
+ * queued. The route, path, headers and data of the request can be changed here
+ * @property {RESTAfterResponseInterceptor|RESTAfterResponseInterceptor[]} [afterResponse] Run when a response is
+ * received, before it is handled
+ * @property {RESTErrorInterceptor|RESTErrorInterceptor[]} [onError] Run when a request is about to reject
+ */
+
+/**
+ * Inspects or modifies a request before it is queued.
+ * The request can be changed through its `route`, `path`, `options.headers` and `options.data` properties.
+ * @typedef {Function} RESTBeforeRequestInterceptor
+ * @param {APIRequest} request The request about to be queued
+ * @returns {?Response|Promise<?Response>} A response to use instead of calling the API
+ */
+
+/**
+ * Inspects or replaces a response before it is handled.
+ * @typedef {Function} RESTAfterResponseInterceptor
+ * @param {APIRequest} request The request that was made
+ * @param {Response} response The response that was received
+ * @returns {?Response|Promise<?Response>} A response to handle instead of the received one
+ */
+
+/**
+ * The response a request failed with.
+ * @typedef {Object} RESTErrorResponse
+ * @property {Response} response The response, whose body was already read
+ * @property {*} data The parsed body of the response, `null` for server errors as it is not read
+ */
+
+/**
+ * Inspects or replaces the error a request is about to reject with.
+ * Errors built from a response, such as a {@link DiscordAPIError}, come with the raw response and its data,
+ * to build a different error from them.
+ * Returning a response recovers from the error, e.g. `request.make()` to send the request again.
+ * @typedef {Function} RESTErrorInterceptor
+ * @param {APIRequest} request The request that failed
+ * @param {Error} error The error the request is about to reject with
+ * @param {?RESTErrorResponse} errorResponse The response the request failed with, `null` if the error was not
+ * caused by a response, e.g. a network error
+ * @returns {?Error|?Response|Promise<?(Error|Response)>} An error to reject with instead,
+ * or a response to handle in place of the error
+ */
+
+/**
+ * Options for recording or replaying REST traffic.
+ * @typedef {Object} RESTFixtureOptions
+ * @property {string} mode Either `record`, to write every request/response pair to the fixture file,
+ * or `replay`, to answer requests from the fixture file instead of the Discord API
+ * @property {string} path The path of the fixture file
+ */
+
+/**
+ * A transport that sends REST requests in place of undici.
+ * @typedef {Object} RESTTransport
+ * @property {Function} request Sends a request, called with the full URL, the fetch options and the
+ * {@link APIRequest} being made, and resolving with a {@link Response}
+ */
+
+/**
+ * A store persisting the gateway sessions of the WebSocket manager.
+ * @typedef {Object} SessionStore
+ * @property {Function} load Reads the saved {@link SessionState}, resolving with `null` when there is none
+ * @property {Function} save Saves a {@link SessionState}, returning a promise
+ */
+
+/**
+ * A store persisting the rate limit state of the REST manager.
+ * @typedef {Object} RateLimitStore
+ * @property {Function} load Reads the saved {@link RateLimitState}, resolving with `null` when there is none
+ * @property {Function} save Saves a {@link RateLimitState}, returning a promise
+ */
+
+/**
+ * The rate limit state of the REST manager, as saved in a {@link RateLimitStore}.
+ * @typedef {Object} RateLimitState
+ * @property {number} version The version of the state format
+ * @property {?RateLimitStateGlobal} global The global rate limit, if it has not reset yet
+ * @property {RateLimitStateBucket[]} buckets The route buckets that have not reset yet
+ */
+
+/**
+ * The global rate limit saved in a {@link RateLimitState}.
+ * @typedef {Object} RateLimitStateGlobal
+ * @property {number} remaining The number of requests remaining before the reset
+ * @property {number} reset The timestamp at which the global rate limit resets
+ */
+
+/**
+ * A route bucket saved in a {@link RateLimitState}.
+ * @typedef {Object} RateLimitStateBucket
+ * @property {string} route The API route of the bucket
+ * @property {?string} hash The bucket hash sent by Discord for the route
+ * @property {number} limit The number of requests allowed per reset
+ * @property {number} remaining The number of requests remaining before the reset
+ * @property {number} reset The timestamp at which the bucket resets
  */
 
 /**
@@ -197,6 +384,7 @@ class Options extends null {
       shardCount: 1,
       shards: [0],
       makeCache: this.cacheWithLimits(this.defaultMakeCacheSettings),
+      cacheStatsInterval: 0,
       messageCacheLifetime: 0,
       messageSweepInterval: 0,
       invalidRequestWarningInterval: 0,
@@ -209,9 +397,21 @@ class Options extends null {
       restTimeOffset: 500,
       restSweepInterval: 60,
       failIfNotExists: true,
+      warmStart: null,
+      structureFields: {},
       presence: { status: 'online', since: 0, activities: [], afk: true },
       sweepers: {},
       ws: {
+        encoding,
+        compression: 'zlib-stream',
+        sessionStore: null,
+        disabledEvents: [],
+        middleware: null,
+        health: {
+          historySize: 100,
+          latencyThreshold: 1_000,
+          missedAckThreshold: 1,
+        },
         capabilities: 0, // https://discord-userdoccers.vercel.app/topics/gateway#gateway-capabilities
         properties: {
           os: 'Windows',
@@ -252,6 +452,13 @@ class Options extends null {
         invite: 'https://discord.gg',
         template: 'https://discord.new',
         scheduledEvent: 'https://discord.com/events',
+        transport: null,
+        fixtures: null,
+        interceptors: null,
+        rateLimitStore: null,
+        retryPolicy: null,
+        coalesceRequests: true,
+        responseCache: null,
       },
     };
   }
@@ -290,6 +497,20 @@ class Options extends null {
    *     })
    *   }
    * });
+   * @example
+   * // Keep the 10,000 most recently used users, and the messages for an hour after they were last received
+   * Options.cacheWithLimits({
+   *   ...Options.defaultMakeCacheSettings,
+   *   UserManager: {
+   *     maxSize: 10_000,
+   *     eviction: 'LRU',
+   *     keepOverLimit: user => user.id === user.client.user.id,
+   *   },
+   *   MessageManager: {
+   *     maxSize: 200,
+   *     ttl: 3_600,
+   *   },
+   * });
    */
   static cacheWithLimits(settings = {}) {
     const { Collection } = require('@discordjs/collection');
@@ -314,8 +535,9 @@ class Options extends null {
         setting.sweepInterval <= 0 ||
         setting.sweepInterval === Infinity;
       const noLimit = setting.maxSize == null || setting.maxSize === Infinity;
+      const noExpiry = setting.ttl == null || setting.ttl <= 0 || setting.ttl === Infinity;
       /* eslint-enable eqeqeq */
-      if (noSweeping && noLimit) {
+      if (noSweeping && noLimit && noExpiry) {
         return new Collection();
       }
       return new LimitedCollection(setting);
@@ -1,6 +1,9 @@
 'use strict';
 
+const { PerformanceObserver, constants } = require('node:perf_hooks');
+const process = require('node:process');
 const { setInterval } = require('node:timers');
+const v8 = require('node:v8');
 const { Events, ThreadChannelTypes, SweeperKeys } = require('./Constants');
 const { TypeError } = require('../errors/DJSError.js');
 
@@ -11,6 +14,12 @@ const { TypeError } = require('../errors/DJSError.js');
  * for the definition of this function.
  */
 
+// The caches swept by the memory sweeper, each check still over the budget after a major GC adds the next stage
+const MemorySweepStages = [
+  ['messages', 'presences'],
+  ['reactions', 'users'],
+];
+
 /**
  * A container for all cache sweeping intervals and their associated sweep methods.
  */
@@ -58,6 +67,41 @@ class Sweepers {
 
       this._initInterval(key, `sweep${key[0].toUpperCase()}${key.slice(1)}`, clonedOptions);
     }
+
+    /**
+     * The heap usage, in bytes, above which the memory sweeper sweeps the caches, or null if it is not enabled
+     * @type {?number}
+     */
+    this.memoryBudget = null;
+
+    /**
+     * The number of stages the memory sweeper swept on its last check, 0 if the heap usage was within the budget
+     * @type {number}
+     */
+    this.memoryStage = 0;
+
+    /**
+     * The interval timeout that is used to check the heap usage, or null if it is not checked
+     * @type {?Timeout}
+     */
+    this.memoryInterval = null;
+
+    /**
+     * The heap usage, in bytes, after the last major garbage collection since the memory sweeper last swept,
+     * or null if there was none
+     * @type {?number}
+     * @private
+     */
+    this.heapUsedAfterGC = null;
+
+    /**
+     * The observer of the major garbage collections, or null if the memory sweeper is not enabled
+     * @type {?PerformanceObserver}
+     * @private
+     */
+    this.gcObserver = null;
+
+    if ('memory' in options) this._initMemoryInterval(options.memory);
   }
 
   /**
@@ -68,7 +112,7 @@ class Sweepers {
   sweepApplicationCommands(filter) {
     const { guilds, items: guildCommands } = this._sweepGuildDirectProp('commands', filter, { emit: false });
 
-    const globalCommands = this.client.application?.commands.cache.sweep(filter) ?? 0;
+    const globalCommands = this.client.application?.commands._sweep(filter) ?? 0;
 
     this.client.emit(
       Events.CACHE_SWEEP,
@@ -149,7 +193,7 @@ class Sweepers {
       if (!channel.isText()) continue;
 
       channels++;
-      messages += channel.messages.cache.sweep(filter);
+      messages += channel.messages._sweep(filter);
     }
     this.client.emit(Events.CACHE_SWEEP, `Swept ${messages} messages in ${channels} text-based channels.`);
     return messages;
@@ -183,7 +227,7 @@ class Sweepers {
 
       for (const message of channel.messages.cache.values()) {
         messages++;
-        reactions += message.reactions.cache.sweep(filter);
+        reactions += message.reactions._sweep(filter);
       }
     }
     this.client.emit(
@@ -227,7 +271,7 @@ class Sweepers {
     for (const channel of this.client.channels.cache.values()) {
       if (!ThreadChannelTypes.includes(channel.type)) continue;
       threads++;
-      members += channel.members.cache.sweep(filter);
+      members += channel.members._sweep(filter);
     }
     this.client.emit(Events.CACHE_SWEEP, `Swept ${members} thread members in ${threads} threads.`);
     return members;
@@ -274,7 +318,7 @@ class Sweepers {
       throw new TypeError('INVALID_TYPE', 'filter', 'function');
     }
 
-    const users = this.client.users.cache.sweep(filter);
+    const users = this.client.users._sweep(filter);
 
     this.client.emit(Events.CACHE_SWEEP, `Swept ${users} users.`);
 
@@ -290,6 +334,51 @@ class Sweepers {
     return this._sweepGuildDirectProp('voiceStates', filter, { outputName: 'voice states' }).items;
   }
 
+  /**
+   * Sweeps the caches when the heap usage exceeds {@link Sweepers#memoryBudget}. The swept entries are only freed by
+   * the next major garbage collection, so the check sweeps one more stage of caches only if the heap usage was still
+   * over the budget after one, and the same stages otherwise:
+   * 1. messages and presences
+   * 2. reactions and users
+   * <info>The client user and its presence are kept</info>
+   * @returns {number} Amount of entries that were removed from the caches
+   */
+  sweepMemory() {
+    const { heapUsed } = process.memoryUsage();
+    if (this.memoryBudget === null || heapUsed <= this.memoryBudget) {
+      this.memoryStage = 0;
+      return 0;
+    }
+    if (!this.memoryStage || this.heapUsedAfterGC > this.memoryBudget) {
+      this.memoryStage = Math.min(this.memoryStage + 1, MemorySweepStages.length);
+    }
+    this.heapUsedAfterGC = null;
+
+    const clientUserId = this.client.user?.id;
+    const filters = {
+      messages: () => true,
+      presences: (presence, id) => id !== clientUserId,
+      reactions: () => true,
+      users: (user, id) => id !== clientUserId,
+    };
+    let total = 0;
+    const swept = MemorySweepStages.slice(0, this.memoryStage)
+      .flat()
+      .map(key => {
+        const amount = this[`sweep${key[0].toUpperCase()}${key.slice(1)}`](filters[key]);
+        total += amount;
+        return `${amount} ${key}`;
+      });
+
+    const toMiB = bytes => Math.round(bytes / 1_048_576);
+    this.client.emit(
+      Events.CACHE_SWEEP,
+      `Heap usage of ${toMiB(heapUsed)} MiB exceeded the budget of ${toMiB(this.memoryBudget)} MiB, ` +
+        `swept ${swept.join(', ')} at stage ${this.memoryStage}.`,
+    );
+    return total;
+  }
+
   /**
    * Cancels all sweeping intervals
    * @returns {void}
@@ -298,6 +387,8 @@ class Sweepers {
     for (const key of SweeperKeys) {
       if (this.intervals[key]) clearInterval(this.intervals[key]);
     }
+    if (this.memoryInterval) clearInterval(this.memoryInterval);
+    this.gcObserver?.disconnect();
   }
 
   /**
@@ -407,10 +498,8 @@ class Sweepers {
     let items = 0;
 
     for (const guild of this.client.guilds.cache.values()) {
-      const { cache } = guild[key];
-
       guilds++;
-      items += cache.sweep(filter);
+      items += guild[key]._sweep(filter);
     }
 
     if (emit) {
@@ -445,6 +534,35 @@ class Sweepers {
     }
   }
 
+  /**
+   * Validates the options of the memory sweeper and initializes its interval
+   * @param {MemorySweepOptions} options The options of the memory sweeper
+   * @private
+   */
+  _initMemoryInterval(options) {
+    if (typeof options !== 'object' || options === null) {
+      throw new TypeError('INVALID_TYPE', 'sweepers.memory', 'object', true);
+    }
+    const { interval, budget = v8.getHeapStatistics().heap_size_limit * 0.8 } = options;
+    if (typeof interval !== 'number') {
+      throw new TypeError('INVALID_TYPE', 'sweepers.memory.interval', 'number');
+    }
+    if (typeof budget !== 'number' || isNaN(budget)) {
+      throw new TypeError('INVALID_TYPE', 'sweepers.memory.budget', 'number');
+    }
+    this.memoryBudget = budget;
+
+    this.gcObserver = new PerformanceObserver(list => {
+      if (list.getEntries().some(entry => entry.detail.kind === constants.NODE_PERFORMANCE_GC_MAJOR)) {
+        this.heapUsedAfterGC = process.memoryUsage().heapUsed;
+      }
+    });
+    this.gcObserver.observe({ entryTypes: ['gc'] });
+
+    if (interval <= 0 || interval === Infinity) return;
+    this.memoryInterval = setInterval(() => this.sweepMemory(), interval * 1_000).unref();
+  }
+
   /**
    * Initialize an interval for sweeping
    * @param {string} intervalKey The name of the property that stores the interval for this sweeper
@@ -5,7 +5,7 @@ const { parse } = require('node:path');
 const process = require('node:process');
 const { setTimeout } = require('node:timers');
 const { Collection } = require('@discordjs/collection');
-const { fetch } = require('undici');
+const AttachmentUpload = require('./AttachmentUpload');
 const { Colors, Events } = require('./Constants');
 const { Error: DiscordError, RangeError, TypeError } = require('../errors');
 const has = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
@@ -597,14 +597,15 @@ class Util extends null {
    * @param {Collection<string, Channel|Role>} sorted A collection of the objects sorted properly
    * @param {APIRouter} route Route to call PATCH on
    * @param {string} [reason] Reason for the change
+   * @param {AbortSignal} [signal] A signal to abort the request with
    * @returns {Promise<Channel[]|Role[]>} Updated item list, with `id` and `position` properties
    * @private
    */
-  static async setPosition(item, position, relative, sorted, route, reason) {
+  static async setPosition(item, position, relative, sorted, route, reason, signal) {
     let updatedItems = [...sorted.values()];
     Util.moveElementInArray(updatedItems, item, position, relative);
     updatedItems = updatedItems.map((r, i) => ({ id: r.id, position: i }));
-    await route.patch({ data: updatedItems, reason });
+    await route.patch({ data: updatedItems, reason, signal });
     return updatedItems;
   }
 
@@ -851,7 +852,7 @@ class Util extends null {
     return Number(BigInt(userId) >> 22n) % 6;
   }
 
-  static async getUploadURL(client, channelId, files) {
+  static async getUploadURL(client, channelId, files, signal) {
     if (!files.length) return [];
     files = files.map((file, i) => ({
       filename: file.name,
@@ -863,26 +864,66 @@ class Util extends null {
       data: {
         files,
       },
+      signal,
     });
     return attachments;
   }
 
-  static uploadFile(data, url) {
-    return new Promise((resolve, reject) => {
-      fetch(url, {
-        method: 'PUT',
-        body: data,
-        duplex: 'half', // Node.js v20
-      })
-        .then(res => {
-          if (res.ok) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch(reject);
-    });
+  /**
+   * Uploads a file to an attachment upload URL given by Discord.
+   * @param {Buffer|Stream} data The file to upload
+   * @param {string} url The upload URL
+   * @param {AttachmentUploadOptions} [options] Options for the upload
+   * @returns {Promise<void>}
+   */
+  static async uploadFile(data, url, options) {
+    await new AttachmentUpload(data, url, options).start();
+  }
+
+  /**
+   * Uploads the files of a message to Discord, emitting {@link Client#uploadProgress} while they are sent.
+   * @param {Client} client The client uploading the files
+   * @param {Snowflake} channelId The id of the channel the message is sent to
+   * @param {MessageFile[]} files The resolved files of the message
+   * @param {AbortSignal} [signal] A signal to cancel the uploads with
+   * @returns {Promise<Object[]>} The attachments to send with the message
+   */
+  static async uploadAttachments(client, channelId, files, signal) {
+    const attachments = await Util.getUploadURL(client, channelId, files, signal);
+    const attachmentsData = await Promise.all(
+      attachments.map(async attachment => {
+        const file = files[attachment.id];
+        await Util.uploadFile(file.file, attachment.upload_url, {
+          signal,
+          onProgress: ({ sent, total }) => {
+            /**
+             * @typedef {Object} UploadProgressData
+             * @property {Snowflake} channelId The id of the channel the file is sent to
+             * @property {string} id The id of the attachment in the message
+             * @property {string} name The name of the file
+             * @property {number} sent The number of bytes sent so far
+             * @property {?number} total The size of the file in bytes, `null` while it is unknown
+             */
+
+            /**
+             * Emitted while the files of a message are uploaded.
+             * @event Client#uploadProgress
+             * @param {UploadProgressData} data The progress of the upload
+             */
+            client.emit(Events.UPLOAD_PROGRESS, { channelId, id: attachment.id, name: file.name, sent, total });
+          },
+        });
+        return {
+          id: attachment.id,
+          filename: file.name,
+          uploaded_filename: attachment.upload_filename,
+          description: file.description,
+          duration_secs: file.duration_secs,
+          waveform: file.waveform,
+        };
+      }),
+    );
+    return attachmentsData.sort((a, b) => parseInt(a.id) - parseInt(b.id));
   }
 
   /**
@@ -0,0 +1,114 @@
+'use strict';
+
+const assert = require('node:assert');
+const { after, beforeEach, describe, it } = require('node:test');
+const {
+  APIErrorRegistry,
+  Client,
+  DiscordAPIError,
+  InvalidFormBodyError,
+  MaximumReachedError,
+  MaxPinsReachedError,
+  MissingPermissionsError,
+  MockTransport,
+  UnknownMessageError,
+  UnknownResourceError,
+} = require('../../src');
+
+describe('APIErrorRegistry', () => {
+  const transport = new MockTransport();
+  const client = new Client({ http: { transport } });
+  client.token = 'token';
+  const channelId = '222197033908436994';
+  const messageId = '222197033908436995';
+
+  beforeEach(() => transport.reset());
+
+  after(() => client.destroy());
+
+  it('rejects with the error class of the JSON error code', async () => {
+    transport.route('GET', '/channels/:channel/messages/:message', MockTransport.notFound(10008, 'Unknown Message'));
+    await assert.rejects(client.api.channels(channelId).messages(messageId).get(), error => {
+      assert.ok(error instanceof UnknownMessageError);
+      assert.ok(error instanceof UnknownResourceError);
+      assert.ok(error instanceof DiscordAPIError);
+      assert.strictEqual(error.name, 'UnknownMessageError');
+      assert.strictEqual(error.codeName, 'UNKNOWN_MESSAGE');
+      assert.strictEqual(error.resource, 'MESSAGE');
+      assert.strictEqual(error.channelId, channelId);
+      assert.strictEqual(error.messageId, messageId);
+      return true;
+    });
+  });
+
+  it('falls back to the error class of the range of the code', async () => {
+    transport
+      .route('GET', '/users/:id', MockTransport.notFound(10_099, 'Unknown Something'))
+      .route('POST', '/users/@me/channels', {
+        status: 400,
+        body: { code: 30_099, message: 'Maximum number of things reached (42)' },
+      });
+    await assert.rejects(
+      client.api.users('222078108977594368').get(),
+      error => error.constructor === UnknownResourceError,
+    );
+    await assert.rejects(client.api.users('@me').channels.post({ data: {} }), error => {
+      assert.strictEqual(error.constructor, MaximumReachedError);
+      assert.strictEqual(error.limit, 42);
+      return true;
+    });
+  });
+
+  it('describes the request that caused the error', async () => {
+    transport
+      .route('PUT', '/channels/:channel/pins/:message', {
+        status: 400,
+        body: { code: 30_003, message: 'Maximum pins' },
+      })
+      .route('POST', '/channels/:channel/messages', {
+        status: 403,
+        body: { code: 50_013, message: 'Missing Permissions' },
+      });
+    await assert.rejects(client.api.channels(channelId).pins(messageId).put(), error => {
+      assert.ok(error instanceof MaxPinsReachedError);
+      assert.strictEqual(error.limit, 50);
+      assert.strictEqual(error.channelId, channelId);
+      return true;
+    });
+    await assert.rejects(client.api.channels(channelId).messages.post({ data: { content: 'Hello' } }), error => {
+      assert.ok(error instanceof MissingPermissionsError);
+      assert.strictEqual(error.missingPermission, 'SEND_MESSAGES');
+      assert.strictEqual(error.channelId, channelId);
+      assert.strictEqual(error.guildId, null);
+      return true;
+    });
+  });
+
+  it('lists the invalid fields of a form body', async () => {
+    transport.route('POST', '/channels/:channel/messages', {
+      status: 400,
+      body: {
+        code: 50_035,
+        message: 'Invalid Form Body',
+        errors: {
+          content: { _errors: [{ code: 'BASE_TYPE_MAX_LENGTH', message: 'Too long' }] },
+          embeds: { 0: { title: { _errors: [{ code: 'BASE_TYPE_REQUIRED', message: 'Required' }] } } },
+        },
+      },
+    });
+    await assert.rejects(client.api.channels(channelId).messages.post({ data: {} }), error => {
+      assert.ok(error instanceof InvalidFormBodyError);
+      assert.deepStrictEqual(error.fields, { content: ['Too long'], 'embeds[0].title': ['Required'] });
+      return true;
+    });
+  });
+
+  it('uses the registered error classes', async () => {
+    class CustomAPIError extends DiscordAPIError {}
+    APIErrorRegistry.register(99_999, CustomAPIError);
+    transport.route('GET', '/users/:id', { status: 400, body: { code: 99_999, message: 'Custom' } });
+    await assert.rejects(client.api.users('222078108977594368').get(), CustomAPIError);
+    assert.strictEqual(APIErrorRegistry.nameOf(10_008), 'UNKNOWN_MESSAGE');
+    assert.strictEqual(APIErrorRegistry.nameOf(99_999), null);
+  });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const assert = require('node:assert');
+const { after, beforeEach, describe, it } = require('node:test');
+const { AbortError, Client, MockTransport } = require('../../src');
+
+describe('Aborting REST requests', () => {
+  const transport = new MockTransport();
+  const client = new Client({ http: { transport } });
+  client.token = 'token';
+  const user = { id: '222078108977594368', username: 'user', discriminator: '0' };
+  const channel = { id: '222197033908436994', type: 1, recipients: [user] };
+
+  beforeEach(() => {
+    transport.reset();
+    client.users.cache.clear();
+    client.channels.cache.clear();
+  });
+
+  after(() => client.destroy());
+
+  it('rejects without sending the request when the signal is already aborted', async () => {
+    transport.route('GET', '/users/:id', { body: user });
+    await assert.rejects(client.users.fetch(user.id, { signal: AbortSignal.abort('stop') }), error => {
+      assert.ok(error instanceof AbortError);
+      assert.strictEqual(error.reason, 'stop');
+      assert.strictEqual(error.path, `/users/${user.id}`);
+      return true;
+    });
+    assert.strictEqual(transport.requests.length, 0);
+  });
+
+  it('rejects the pending request when the signal aborts', async () => {
+    const controller = new AbortController();
+    transport.route('GET', '/users/:id', () => {
+      controller.abort('stop');
+      return new Promise(() => null);
+    });
+    await assert.rejects(client.users.fetch(user.id, { signal: controller.signal }), AbortError);
+    assert.strictEqual(transport.requests.length, 1);
+  });
+
+  it('rejects the requests still waiting in the queue of their route', async () => {
+    const controller = new AbortController();
+    let respond;
+    transport.route('GET', '/channels/:id', () => new Promise(resolve => (respond = resolve)));
+    const first = client.channels.fetch(channel.id, { force: true });
+    const second = client.channels.fetch(channel.id, { force: true, signal: controller.signal });
+    controller.abort('stop');
+    await assert.rejects(second, AbortError);
+    respond({ body: channel });
+    assert.strictEqual((await first).id, channel.id);
+    assert.strictEqual(transport.requests.length, 1);
+  });
+
+  it('does not retry aborted requests', async () => {
+    const controller = new AbortController();
+    transport.route('GET', '/users/:id', async () => {
+      controller.abort('stop');
+      throw new Error('socket hang up');
+    });
+    await assert.rejects(client.users.fetch(user.id, { signal: controller.signal }), AbortError);
+    assert.strictEqual(transport.requests.length, 1);
+  });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const assert = require('node:assert');
+const { Buffer } = require('node:buffer');
+const { once } = require('node:events');
+const http = require('node:http');
+const { Readable } = require('node:stream');
+const { after, before, describe, it } = require('node:test');
+const AttachmentUpload = require('../../src/util/AttachmentUpload');
+
+describe('AttachmentUpload', () => {
+  let server;
+  let url;
+  let requests = 0;
+
+  before(async () => {
+    // A resumable upload server that acknowledges every chunk without ever accepting a byte of it
+    server = http.createServer((req, res) => {
+      requests++;
+      req.resume();
+      req.on('end', () => res.writeHead(308).end());
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    url = `http://127.0.0.1:${server.address().port}/upload?upload_id=1`;
+  });
+
+  after(() => server.close());
+
+  it('gives up when the server stops accepting the upload', async () => {
+    const upload = new AttachmentUpload(Buffer.alloc(1_024), url, { retries: 2 });
+    await assert.rejects(upload.start(), { code: 'ATTACHMENT_UPLOAD_STALLED' });
+    assert.strictEqual(requests, 3);
+  });
+});
+
+describe('AttachmentUpload of streams', () => {
+  let server;
+  let url;
+  const received = [];
+
+  before(async () => {
+    // A resumable upload server that accepts every chunk
+    server = http.createServer(async (req, res) => {
+      const parts = [];
+      for await (const part of req) parts.push(part);
+      received.push(Buffer.concat(parts));
+      const [, end, size] = req.headers['content-range'].match(/(\d+)\/(\d+|\*)$/);
+      if (size === '*') res.writeHead(308, { range: `bytes=0-${end}` }).end();
+      else res.writeHead(200).end();
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    url = `http://127.0.0.1:${server.address().port}/upload?upload_id=1`;
+  });
+
+  after(() => server.close());
+
+  it('sends small stream parts in chunks of the chunk size', async () => {
+    const data = Buffer.alloc(600 * 1_024, 'abc');
+    const parts = [];
+    for (let i = 0; i < data.length; i += 1_000) parts.push(data.subarray(i, i + 1_000));
+    const upload = new AttachmentUpload(Readable.from(parts), url, { chunkSize: 256 * 1_024 });
+    await upload.start();
+    assert.deepStrictEqual(
+      received.map(chunk => chunk.length),
+      [256 * 1_024, 256 * 1_024, 88 * 1_024],
+    );
+    assert.ok(Buffer.concat(received).equals(data));
+    assert.strictEqual(upload.total, data.length);
+  });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, describe, it } = require('node:test');
+const { Client, FileCacheAdapter, MemoryCacheAdapter, Options, User } = require('../../src');
+
+const collect = async iterable => {
+  const entries = [];
+  for await (const entry of iterable) entries.push(entry);
+  return entries;
+};
+
+describe('MemoryCacheAdapter', () => {
+  it('gets, sets, deletes and iterates over the entries', async () => {
+    const adapter = new MemoryCacheAdapter({ maxSize: 10 });
+    assert.strictEqual(adapter.maxSize, 10);
+    assert.strictEqual(await adapter.get('1'), null);
+    await adapter.set('1', { id: '1' });
+    assert.deepStrictEqual(await adapter.get('1'), { id: '1' });
+    assert.deepStrictEqual(await collect(adapter.entries()), [['1', { id: '1' }]]);
+    assert.strictEqual(await adapter.delete('1'), true);
+    assert.strictEqual(await adapter.delete('1'), false);
+  });
+});
+
+describe('FileCacheAdapter', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-adapter-'));
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('shares the entries with the other adapters of the directory', async () => {
+    const adapter = new FileCacheAdapter(path.join(directory, 'users'));
+    assert.deepStrictEqual(await collect(adapter.entries()), []);
+    await adapter.set('guild:1', { id: '1' });
+
+    const other = new FileCacheAdapter(path.join(directory, 'users'));
+    assert.deepStrictEqual(await other.get('guild:1'), { id: '1' });
+    assert.deepStrictEqual(await collect(other.entries()), [['guild:1', { id: '1' }]]);
+    assert.strictEqual(await other.delete('guild:1'), true);
+    assert.strictEqual(await adapter.get('guild:1'), null);
+  });
+});
+
+describe('CachedManager with an adapter', () => {
+  const adapter = new MemoryCacheAdapter({ maxSize: 1 });
+  const channelAdapter = new MemoryCacheAdapter();
+  const makeCache = Options.cacheWithLimits(Options.defaultMakeCacheSettings);
+  const client = new Client({
+    makeCache: (manager, holds) => {
+      if (manager.name === 'UserManager') return adapter;
+      if (manager.name === 'ChannelManager') return channelAdapter;
+      return makeCache(manager, holds);
+    },
+  });
+  const { channels, users } = client;
+  const flush = (manager = users) => {
+    manager._flushStores();
+    return Promise.all(manager._storing.values());
+  };
+
+  after(() => client.destroy());
+
+  it('writes the added and updated data to the adapter', async () => {
+    const user = users._add({ id: '222078108977594368', username: 'user', discriminator: '0' });
+    await flush();
+    assert.strictEqual((await adapter.get(user.id)).username, 'user');
+
+    user._update({ username: 'renamed' });
+    await flush();
+    assert.deepStrictEqual(await adapter.get(user.id), {
+      id: user.id,
+      username: 'renamed',
+      discriminator: '0',
+    });
+  });
+
+  it('resolves the entries that are only in the adapter', async () => {
+    await adapter.set('81384788765712384', { id: '81384788765712384', username: 'other', discriminator: '0' });
+    assert.strictEqual(users.resolve('81384788765712384'), null);
+    const user = await users.resolveStored('81384788765712384');
+    assert.ok(user instanceof User);
+    assert.strictEqual(user.username, 'other');
+    assert.strictEqual(await users.resolveStored('132143322385465344'), null);
+  });
+
+  it('deletes the removed entries from the adapter', async () => {
+    users._remove('222078108977594368');
+    await flush();
+    assert.strictEqual(await adapter.get('222078108977594368'), null);
+  });
+
+  it('deletes the removed channels from the adapter', async () => {
+    const recipient = { id: '132143322385465344', username: 'recipient', discriminator: '0' };
+    const channel = channels._add({ id: '222197033908436994', type: 1, recipients: [recipient] });
+    await flush(channels);
+    assert.strictEqual((await channelAdapter.get(channel.id)).type, 1);
+    channels._remove(channel.id);
+    await flush(channels);
+    assert.strictEqual(await channelAdapter.get(channel.id), null);
+  });
+});
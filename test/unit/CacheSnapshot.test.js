@@ -0,0 +1,69 @@
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, before, describe, it } = require('node:test');
+const { Client } = require('../../src');
+
+describe('ClientCacheManager snapshots', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-snapshot-'));
+  const file = path.join(directory, 'cache.json');
+  const guildData = (id, shardId) => ({
+    id,
+    name: `Guild ${shardId}`,
+    shardId,
+    roles: [],
+    members: [],
+    channels: [{ id: `${id.slice(0, -1)}9`, type: 0, name: 'general', guild_id: id, permission_overwrites: [] }],
+  });
+  let restored;
+
+  before(async () => {
+    const client = new Client({ warmStart: file });
+    client.users._add({ id: '81384788765712384', username: 'user', discriminator: '0' });
+    client.guilds._add(guildData('222078108977594368', 0));
+    client.guilds._add(guildData('222078108977594351', 1));
+    await client.cache.snapshot(file);
+    client.destroy();
+
+    restored = new Client({ warmStart: file });
+    assert.strictEqual(await restored.cache.restore(file), true);
+  });
+
+  after(() => {
+    restored.destroy();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('refuses to snapshot without warmStart', async () => {
+    const client = new Client();
+    await assert.rejects(client.cache.snapshot(file), { code: 'CACHE_SNAPSHOT_DISABLED' });
+    client.destroy();
+  });
+
+  it('restores the snapshotted structures', () => {
+    assert.strictEqual(restored.users.cache.get('81384788765712384').username, 'user');
+    const guild = restored.guilds.cache.get('222078108977594368');
+    assert.strictEqual(guild.name, 'Guild 0');
+    assert.strictEqual(guild.channels.cache.get('222078108977594369').name, 'general');
+    assert.ok(restored.channels.cache.has('222078108977594369'));
+  });
+
+  it('only prunes the restored guilds of the shard that received its guilds', () => {
+    restored.cache._pruneRestored(0, []);
+    assert.ok(!restored.guilds.cache.has('222078108977594368'));
+    assert.ok(!restored.channels.cache.has('222078108977594369'));
+    assert.ok(restored.guilds.cache.has('222078108977594351'));
+    assert.ok(restored.channels.cache.has('222078108977594359'));
+
+    restored.cache._pruneRestored(1, ['222078108977594351']);
+    assert.ok(restored.guilds.cache.has('222078108977594351'));
+    assert.strictEqual(restored.cache.restoredGuilds.size, 0);
+  });
+
+  it('ignores missing snapshots', async () => {
+    assert.strictEqual(await restored.cache.restore(path.join(directory, 'missing.json')), false);
+  });
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const assert = require('node:assert');
+const { after, describe, it } = require('node:test');
+const { Client, User } = require('../../src');
+
+describe('ClientOptions#structureFields', () => {
+  const client = new Client({ structureFields: { User: ['username', 'discriminator'] } });
+  const data = { id: '222078108977594368', username: 'user', discriminator: '0', avatar: 'hash', global_name: 'User' };
+  const user = client.users._add(data);
+
+  after(() => client.destroy());
+
+  it('keeps the listed properties of the cached structures', () => {
+    assert.ok(user instanceof User);
+    assert.strictEqual(user.constructor.name, 'User');
+    assert.deepStrictEqual(Object.keys(user), ['id', 'username', 'discriminator']);
+    assert.strictEqual(user.tag, 'user');
+  });
+
+  it('throws when a dropped property is read', () => {
+    assert.throws(() => user.avatar, { code: 'STRUCTURE_FIELD_DROPPED' });
+    assert.throws(() => user.displayAvatarURL(), { code: 'STRUCTURE_FIELD_DROPPED' });
+  });
+
+  it('does not patch the dropped properties', () => {
+    const other = client.users._add({ ...data, id: '222197033908436994' });
+    assert.deepStrictEqual(Object.keys(other), ['id', 'username', 'discriminator']);
+    const old = other._update({ username: 'renamed', avatar: 'other' });
+    assert.strictEqual(old.username, 'user');
+    assert.strictEqual(other.username, 'renamed');
+    assert.throws(() => other.avatar, { code: 'STRUCTURE_FIELD_DROPPED' });
+  });
+
+  it('still compares and serializes the slimmed structures', () => {
+    assert.strictEqual(user._equals(data), false);
+    assert.strictEqual(JSON.parse(JSON.stringify(user)).username, 'user');
+    assert.strictEqual(String(user), `<@${user.id}>`);
+  });
+
+  it('keeps every property of the structures that are not cached', () => {
+    const uncached = client.users._add({ ...data, id: '81384788765712384' }, false);
+    assert.strictEqual(uncached.constructor, User);
+    assert.strictEqual(uncached.avatar, 'hash');
+  });
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const assert = require('node:assert');
+const { after, describe, it } = require('node:test');
+const { ReplayClient } = require('../../src');
+
+describe('Dispatch middleware', () => {
+  const user = { id: '222078108977594368', username: 'user', discriminator: '0' };
+  const channel = { id: '222197033908436994', type: 1, recipients: [{ ...user, id: '81384788765712384' }] };
+  const noisy = { ...channel, id: '222197033908436999' };
+  const ready = {
+    user,
+    private_channels: [channel, noisy],
+    guilds: [],
+    relationships: [],
+    user_settings: {},
+    notes: {},
+  };
+  const message = (id, channelId, content) => ({
+    op: 0,
+    t: 'MESSAGE_CREATE',
+    d: { id, channel_id: channelId, author: user, content, type: 0 },
+  });
+  let client;
+  let contents;
+
+  const createClient = ws => {
+    client?.destroy();
+    client = new ReplayClient({ ws });
+    contents = [];
+    client.on('messageCreate', ({ content }) => contents.push(content));
+    client.dispatch({ packet: { op: 0, t: 'READY', d: ready } });
+  };
+
+  after(() => client.destroy());
+
+  it('drops the packets a middleware returns false for', () => {
+    createClient({ middleware: packet => packet.d.channel_id !== noisy.id });
+    client.dispatch({ packet: message('1', noisy.id, 'noise') });
+    client.dispatch({ packet: message('2', channel.id, 'Hello') });
+    assert.deepStrictEqual(contents, ['Hello']);
+    assert.strictEqual(client.channels.cache.get(noisy.id).messages.cache.size, 0);
+  });
+
+  it('handles the packets the middleware returns in place of the received ones', () => {
+    createClient({
+      middleware: [
+        packet => (packet.t === 'MESSAGE_CREATE' ? { ...packet, d: { ...packet.d, content: 'rewritten' } } : undefined),
+        packet => {
+          packet.d.content &&= packet.d.content.toUpperCase();
+        },
+      ],
+    });
+    client.dispatch({ packet: message('1', channel.id, 'Hello') });
+    assert.deepStrictEqual(contents, ['REWRITTEN']);
+  });
+
+  it('stops running a middleware once it is removed', () => {
+    createClient();
+    const remove = client.ws.addMiddleware(() => false);
+    client.dispatch({ packet: message('1', channel.id, 'dropped') });
+    assert.ok(remove());
+    assert.ok(!client.ws.removeMiddleware(() => false));
+    client.dispatch({ packet: message('2', channel.id, 'Hello') });
+    assert.deepStrictEqual(contents, ['Hello']);
+  });
+
+  it('drops the disabled events, except the ones the client needs', () => {
+    createClient({ disabledEvents: ['MESSAGE_CREATE', 'READY'] });
+    client.dispatch({ packet: message('1', channel.id, 'Hello') });
+    assert.deepStrictEqual(contents, []);
+    assert.deepStrictEqual([...client.ws.disabledEvents], ['MESSAGE_CREATE']);
+    assert.ok(client.readyAt);
+  });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, describe, it } = require('node:test');
+const { Client, ReplayClient } = require('../../src');
+const WebSocketShard = require('../../src/client/websocket/WebSocketShard');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-recording-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+describe('Dispatch recording and replay', () => {
+  const file = path.join(directory, 'dispatches.ndjson');
+  const user = { id: '222078108977594368', username: 'user', discriminator: '0' };
+  const channel = { id: '222197033908436994', type: 1, recipients: [{ ...user, id: '81384788765712384' }] };
+  const packets = [
+    {
+      op: 0,
+      s: 1,
+      t: 'READY',
+      d: { user, private_channels: [channel], guilds: [], relationships: [], user_settings: {}, notes: {} },
+    },
+    {
+      op: 0,
+      s: 2,
+      t: 'MESSAGE_CREATE',
+      d: { id: '222197033908436995', channel_id: channel.id, author: user, content: 'Hello', type: 0 },
+    },
+  ];
+
+  it('records the dispatch packets handled by the shards', async () => {
+    const client = new Client();
+    after(() => client.destroy());
+    const shard = new WebSocketShard(client.ws, 1);
+    const recorder = client.ws.startRecording(file);
+    // Packets are recorded before the middleware runs, so dropping them keeps the handlers out of the test
+    client.ws.addMiddleware(() => false);
+    for (const packet of packets) client.ws.handlePacket(packet, shard);
+    await client.ws.stopRecording();
+
+    assert.strictEqual(recorder.count, 2);
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+    assert.deepStrictEqual(
+      lines.map(({ shard: id, packet }) => [id, packet]),
+      packets.map(packet => [1, packet]),
+    );
+    assert.ok(lines.every(({ time }) => typeof time === 'number'));
+  });
+
+  it('feeds the recorded packets through the handlers', async () => {
+    const client = new ReplayClient();
+    after(() => client.destroy());
+    const events = [];
+    client.on('ready', () => events.push('ready'));
+    client.on('messageCreate', message => events.push(message.content));
+
+    assert.strictEqual(await client.replay(file), 2);
+    assert.deepStrictEqual(events, ['ready', 'Hello']);
+    assert.strictEqual(client.user.id, user.id);
+    assert.strictEqual(client.channels.cache.get(channel.id).messages.cache.size, 1);
+    assert.strictEqual(client.ws.shards.get(1).sequence, 2);
+  });
+
+  it('rejects recordings that do not exist', async () => {
+    const client = new ReplayClient();
+    after(() => client.destroy());
+    await assert.rejects(client.replay(path.join(directory, 'missing.ndjson')), { code: 'FILE_NOT_FOUND' });
+  });
+});
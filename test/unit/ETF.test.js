@@ -0,0 +1,49 @@
+'use strict';
+
+const assert = require('node:assert');
+const { Buffer } = require('node:buffer');
+const { describe, it } = require('node:test');
+const { deflateSync } = require('node:zlib');
+const WebSocket = require('../../src/WebSocket');
+const ETF = require('../../src/util/ETF');
+
+describe('ETF', () => {
+  const payload = {
+    op: 0,
+    t: 'MESSAGE_CREATE',
+    s: 42,
+    d: { id: '222078108977594368', content: 'héllo', tts: false, nonce: null, mentions: [], embeds: [{ n: -7 }] },
+  };
+
+  it('decodes what it encodes', () => {
+    assert.deepStrictEqual(ETF.unpack(ETF.pack(payload)), payload);
+  });
+
+  it('encodes maps with binary keys like erlpack', () => {
+    assert.deepStrictEqual(ETF.pack({ a: 1 }), Buffer.of(131, 116, 0, 0, 0, 1, 109, 0, 0, 0, 1, 97, 97, 1));
+  });
+
+  it('decodes the integers that do not fit in a number as strings', () => {
+    assert.strictEqual(ETF.unpack(ETF.pack(2 ** 40)), '1099511627776');
+    assert.strictEqual(ETF.unpack(ETF.pack(-(2 ** 40))), '-1099511627776');
+  });
+
+  it('decodes compressed terms', () => {
+    const term = ETF.pack(payload).subarray(1);
+    const size = Buffer.alloc(4);
+    size.writeUInt32BE(term.length);
+    assert.deepStrictEqual(ETF.unpack(Buffer.concat([Buffer.of(131, 80), size, deflateSync(term)])), payload);
+  });
+});
+
+describe('WebSocket', () => {
+  it('defaults to ETF when erlpack is installed', () => {
+    assert.strictEqual(WebSocket.encoding, WebSocket.erlpack ? 'etf' : 'json');
+  });
+
+  it('packs and unpacks both encodings', () => {
+    const payload = { op: 1, d: 251 };
+    assert.deepStrictEqual(WebSocket.unpack(WebSocket.pack(payload, 'etf'), 'etf'), payload);
+    assert.deepStrictEqual(WebSocket.unpack(Buffer.from(WebSocket.pack(payload, 'json')), 'json'), payload);
+  });
+});
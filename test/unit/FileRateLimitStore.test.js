@@ -0,0 +1,77 @@
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, describe, it } = require('node:test');
+const { Client, FileRateLimitStore, MockTransport } = require('../../src');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-store-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+describe('FileRateLimitStore', () => {
+  it('loads nothing until a state is saved', async () => {
+    assert.strictEqual(await new FileRateLimitStore(path.join(directory, 'empty.json')).load(), null);
+  });
+
+  it('keeps the last saved state without leaving temporary files', async () => {
+    const file = path.join(directory, 'state.json');
+    const store = new FileRateLimitStore(file);
+    await Promise.all([store.save({ version: 1, buckets: [] }), store.save({ version: 1, global: null, buckets: [] })]);
+    assert.deepStrictEqual(await new FileRateLimitStore(file).load(), { version: 1, global: null, buckets: [] });
+    assert.deepStrictEqual(fs.readdirSync(directory).sort(), ['state.json']);
+  });
+});
+
+describe('RESTManager rate limit persistence', () => {
+  const file = path.join(directory, 'buckets.json');
+  const user = { id: '222078108977594368', username: 'user', discriminator: '0' };
+  // The ids that are not major parameters are replaced in the routes
+  const route = '/users/:id';
+
+  it('saves the buckets that have not reset yet', async () => {
+    const transport = new MockTransport().route('GET', '/users/:id', {
+      headers: {
+        'x-ratelimit-bucket': 'abcd',
+        'x-ratelimit-limit': '5',
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset-after': '60',
+      },
+      body: user,
+    });
+    const client = new Client({ http: { transport, rateLimitStore: file } });
+    client.token = 'token';
+    await client.users.fetch(user.id);
+    await client.rest.saveRateLimits();
+    client.destroy();
+
+    const { buckets } = await new FileRateLimitStore(file).load();
+    assert.strictEqual(buckets.length, 1);
+    const { reset, ...bucket } = buckets[0];
+    assert.deepStrictEqual(bucket, { route, hash: 'abcd', limit: 5, remaining: 0 });
+    assert.ok(reset > Date.now());
+  });
+
+  it('restores the saved buckets before sending requests', async () => {
+    const client = new Client({ http: { transport: new MockTransport(), rateLimitStore: file } });
+    after(() => client.destroy());
+    await client.rest.rateLimitsRestored;
+    const handler = client.rest.handlers.get(route);
+    assert.strictEqual(handler.hash, 'abcd');
+    assert.ok(handler.limited);
+  });
+
+  it('skips the buckets that reset while the process was down', async () => {
+    const store = new FileRateLimitStore(path.join(directory, 'expired.json'));
+    await store.save({
+      version: 1,
+      global: null,
+      buckets: [{ route, hash: 'abcd', limit: 5, remaining: 0, reset: 0 }],
+    });
+    const client = new Client({ http: { transport: new MockTransport(), rateLimitStore: store } });
+    after(() => client.destroy());
+    await client.rest.rateLimitsRestored;
+    assert.strictEqual(client.rest.handlers.size, 0);
+  });
+});
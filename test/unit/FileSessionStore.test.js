@@ -0,0 +1,73 @@
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, beforeEach, describe, it } = require('node:test');
+const { Client, FileSessionStore, MockTransport } = require('../../src');
+const WebSocketShard = require('../../src/client/websocket/WebSocketShard');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+describe('FileSessionStore', () => {
+  it('loads nothing until a state is saved', async () => {
+    const store = new FileSessionStore(path.join(directory, 'empty.json'));
+    assert.strictEqual(await store.load(), null);
+  });
+
+  it('keeps the last saved state', async () => {
+    const file = path.join(directory, 'sessions.json');
+    const store = new FileSessionStore(file);
+    await Promise.all([store.save({ version: 1, shards: {} }), store.save({ version: 1, shards: { 0: null } })]);
+    assert.deepStrictEqual(await new FileSessionStore(file).load(), { version: 1, shards: { 0: null } });
+    assert.deepStrictEqual(fs.readdirSync(directory).sort(), ['sessions.json']);
+  });
+});
+
+describe('WebSocketManager#restoreSessions', () => {
+  const transport = new MockTransport();
+  const file = path.join(directory, 'restored.json');
+  const session = { sessionId: 'session', sequence: 42, resumeURL: 'wss://gateway.discord.gg' };
+  let client;
+  let shard;
+
+  // Destroying the client resets the sessions, which are then saved
+  const destroy = async () => {
+    client.destroy();
+    await client.ws.saveSessions();
+  };
+
+  beforeEach(async () => {
+    transport.reset();
+    if (client) await destroy();
+    await new FileSessionStore(file).save({ version: 1, shards: { 0: session } });
+    client = new Client({ http: { transport }, ws: { sessionStore: file } });
+    client.token = 'token';
+    shard = new WebSocketShard(client.ws, 0);
+    client.ws.shardQueue = new Set([shard]);
+    client.ws.shards.set(shard.id, shard);
+  });
+
+  after(destroy);
+
+  it('resumes the saved sessions as the fetched user', async () => {
+    transport.route('GET', '/users/@me', { body: { id: '222078108977594368', username: 'user', discriminator: '0' } });
+    await client.ws.restoreSessions();
+    assert.strictEqual(shard.sessionId, 'session');
+    assert.strictEqual(shard.sequence, 42);
+    assert.strictEqual(shard.restoredSession, true);
+    assert.strictEqual(client.user.id, '222078108977594368');
+    assert.deepStrictEqual(client.ws.getSessionState().shards[0], session);
+  });
+
+  it('identifies again when the user cannot be fetched', async () => {
+    transport.route('GET', '/users/@me', { status: 401, body: { message: '401: Unauthorized', code: 0 } });
+    await client.ws.restoreSessions();
+    assert.strictEqual(shard.sessionId, null);
+    assert.strictEqual(shard.sequence, -1);
+    assert.strictEqual(shard.restoredSession, false);
+    assert.strictEqual(client.user, null);
+  });
+});
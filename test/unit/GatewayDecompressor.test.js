@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require('node:assert');
+const { Buffer } = require('node:buffer');
+const { once } = require('node:events');
+const { describe, it } = require('node:test');
+const { setTimeout } = require('node:timers/promises');
+const zlib = require('node:zlib');
+const { WebSocketServer } = require('ws');
+const { Client } = require('../../src');
+const GatewayDecompressor = require('../../src/client/websocket/GatewayDecompressor');
+const WebSocketShard = require('../../src/client/websocket/WebSocketShard');
+
+// A message that is not part of a zlib stream, ending with a sync flush
+const corrupted = Buffer.of(1, 2, 3, 4, 0x00, 0x00, 0xff, 0xff);
+
+// Compresses payloads into the messages of a zlib-stream connection
+function compress(...payloads) {
+  const deflate = zlib.createDeflate();
+  const chunks = [];
+  deflate.on('data', chunk => chunks.push(chunk));
+  return Promise.all(
+    payloads.map(
+      payload =>
+        new Promise(resolve => {
+          deflate.write(JSON.stringify(payload));
+          deflate.flush(zlib.constants.Z_SYNC_FLUSH, () => resolve(Buffer.concat(chunks.splice(0))));
+        }),
+    ),
+  );
+}
+
+// Pushes messages into a decompressor, resolving once its callback received the expected number of results
+function decompress(messages, count) {
+  return new Promise(resolve => {
+    const received = [];
+    const decompressor = new GatewayDecompressor('zlib-stream', 'json', (error, raw) => {
+      received.push(error ?? JSON.parse(raw));
+      if (received.length === count) resolve({ decompressor, received });
+    });
+    for (const message of messages) decompressor.push(message);
+  });
+}
+
+describe('GatewayDecompressor', () => {
+  it('decompresses the payloads of a zlib stream in order', async () => {
+    const [first, second] = await compress({ op: 10 }, { op: 11 });
+    // A payload can span several messages, only the last one ends with the sync flush
+    const { decompressor, received } = await decompress([first.subarray(0, 3), first.subarray(3), second], 2);
+    assert.deepStrictEqual(received, [{ op: 10 }, { op: 11 }]);
+    decompressor.destroy();
+  });
+
+  it('falls back to zlib-stream when zstd is not supported', () => {
+    const decompressor = new GatewayDecompressor('zstd-stream', 'json', () => null);
+    assert.strictEqual(decompressor.mode, GatewayDecompressor.zstdSupported ? 'zstd-stream' : 'zlib-stream');
+    assert.strictEqual(decompressor.fallback, !GatewayDecompressor.zstdSupported);
+    decompressor.destroy();
+  });
+
+  it('stops after a message fails to decompress', async () => {
+    const [payload] = await compress({ op: 10 });
+    const { decompressor, received } = await decompress([corrupted, payload], 1);
+    await setTimeout(50);
+    assert.strictEqual(received.length, 1);
+    assert.ok(received[0] instanceof Error);
+    assert.strictEqual(decompressor.destroyed, true);
+  });
+});
+
+describe('WebSocketShard', () => {
+  it('reconnects when a payload fails to decompress', async () => {
+    const server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+    await once(server, 'listening');
+    server.on('connection', socket => socket.send(corrupted));
+
+    const client = new Client();
+    client.ws.gateway = `ws://127.0.0.1:${server.address().port}`;
+    const shard = new WebSocketShard(client.ws, 0);
+    const errored = once(client, 'shardError');
+    const destroyed = new Promise(resolve => {
+      const destroy = shard.destroy.bind(shard);
+      shard.destroy = options => {
+        resolve(options);
+        destroy({ ...options, emit: false });
+      };
+    });
+
+    shard.connect().catch(() => null);
+    const [error, shardId] = await errored;
+    assert.ok(error instanceof Error);
+    assert.strictEqual(shardId, 0);
+    assert.strictEqual((await destroyed).closeCode, 4_000);
+
+    shard.setWsCloseTimeout(-1);
+    client.destroy();
+    server.close();
+  });
+});
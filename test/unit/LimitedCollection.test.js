@@ -0,0 +1,96 @@
+'use strict';
+
+const assert = require('node:assert');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+const { Client, LimitedCollection, Options } = require('../../src');
+
+describe('LimitedCollection eviction', () => {
+  const filled = options =>
+    new LimitedCollection(
+      { maxSize: 3, ...options },
+      [1, 2, 3].map(key => [key, `${key}`]),
+    );
+
+  it('evicts the oldest inserted entries by default', () => {
+    const collection = filled();
+    collection.get(1);
+    collection.set(4, '4');
+    assert.deepStrictEqual([...collection.keys()], [2, 3, 4]);
+  });
+
+  it('evicts the least recently used entries', () => {
+    const collection = filled({ eviction: 'LRU' });
+    collection.get(1);
+    collection.set(2, 'two');
+    collection.set(4, '4');
+    assert.deepStrictEqual([...collection.keys()], [1, 2, 4]);
+  });
+
+  it('keeps the entries kept over the limit', () => {
+    const collection = filled({ eviction: 'LRU', keepOverLimit: value => value === '1' });
+    collection.set(4, '4');
+    assert.deepStrictEqual([...collection.keys()], [1, 3, 4]);
+  });
+
+  it('rejects unknown eviction policies', () => {
+    assert.throws(() => new LimitedCollection({ eviction: 'LFU' }), { code: 'INVALID_TYPE' });
+  });
+});
+
+describe('LimitedCollection expiry', () => {
+  let now = 0;
+
+  beforeEach(() => {
+    now = 0;
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const expiring = () =>
+    new LimitedCollection({ ttl: 60 }, [
+      [1, '1'],
+      [2, '2'],
+    ]);
+
+  it('forgets the entries once their time to live is over', () => {
+    const collection = expiring();
+    now = 30_000;
+    collection.set(2, 'two');
+    now = 60_000;
+    assert.strictEqual(collection.get(1), undefined);
+    assert.ok(!collection.has(1));
+    assert.strictEqual(collection.get(2), 'two');
+  });
+
+  it('sweeps the expired entries', () => {
+    const collection = expiring();
+    now = 30_000;
+    collection.set(3, '3');
+    now = 60_000;
+    assert.strictEqual(collection.sweepExpired(), 2);
+    assert.deepStrictEqual([...collection.keys()], [3]);
+  });
+
+  it('evicts the expired entries before the ones kept over the limit', () => {
+    const collection = new LimitedCollection({ maxSize: 2, ttl: 60, keepOverLimit: () => true }, [[1, '1']]);
+    now = 30_000;
+    collection.set(2, '2');
+    now = 60_000;
+    collection.set(3, '3');
+    assert.deepStrictEqual([...collection.keys()], [2, 3]);
+  });
+});
+
+describe('Options.cacheWithLimits', () => {
+  it('creates the caches of the managers with their eviction policy', () => {
+    const client = new Client({ makeCache: Options.cacheWithLimits({ UserManager: { maxSize: 2, eviction: 'LRU' } }) });
+    const ids = ['222078108977594368', '222197033908436994', '81384788765712384'];
+    client.users._add({ id: ids[0], username: 'first', discriminator: '0' });
+    client.users._add({ id: ids[1], username: 'second', discriminator: '0' });
+    client.users.cache.get(ids[0]);
+    client.users._add({ id: ids[2], username: 'third', discriminator: '0' });
+    assert.deepStrictEqual([...client.users.cache.keys()], [ids[0], ids[2]]);
+    client.destroy();
+  });
+});
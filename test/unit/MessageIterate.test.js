@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require('node:assert');
+const { after, beforeEach, describe, it } = require('node:test');
+const { Client, MockTransport } = require('../../src');
+
+describe('MessageManager#iterate', () => {
+  const transport = new MockTransport();
+  const client = new Client({ http: { transport } });
+  client.token = 'token';
+  const user = { id: '222078108977594368', username: 'user', discriminator: '0' };
+  const channel = client.channels._add({ id: '222197033908436994', type: 1, recipients: [user] });
+
+  // A channel of 250 messages, with the ids 1 to 250
+  const messages = Array.from({ length: 250 }, (_, i) => ({
+    id: String(i + 1),
+    channel_id: channel.id,
+    author: user,
+    content: `${i + 1}`,
+    type: 0,
+  }));
+  // Answers like the API, newest first
+  const page = ({ before, after: afterId, around, limit }) => {
+    limit = Number(limit);
+    let start;
+    if (afterId) start = Number(afterId);
+    else if (around) start = Math.max(0, around - 1 - Math.floor(limit / 2));
+    else start = Math.max(0, (before ? before - 1 : messages.length) - limit);
+    const end = before ? Math.min(before - 1, start + limit) : start + limit;
+    return messages.slice(start, end).reverse();
+  };
+  const ids = async (iterator, count = Infinity) => {
+    const result = [];
+    for await (const message of iterator) {
+      result.push(Number(message.id));
+      if (result.length >= count) break;
+    }
+    return result;
+  };
+  const range = (from, to) =>
+    Array.from({ length: Math.abs(to - from) + 1 }, (_, i) => (to > from ? from + i : from - i));
+
+  beforeEach(() => {
+    transport.reset().route('GET', '/channels/:id/messages', ({ query }) => ({ body: page(query) }));
+    channel.messages.cache.clear();
+  });
+
+  after(() => client.destroy());
+
+  it('iterates over the messages from the latest one, page by page', async () => {
+    assert.deepStrictEqual(await ids(channel.messages.iterate()), range(250, 1));
+    assert.deepStrictEqual(
+      transport.requests.map(({ query }) => query),
+      [{ limit: '100' }, { before: '151', limit: '100' }, { before: '51', limit: '100' }],
+    );
+    assert.strictEqual(channel.messages.cache.size, 200);
+  });
+
+  it('requests no more messages than the limit', async () => {
+    assert.deepStrictEqual(await ids(channel.messages.iterate({ before: '201', limit: 150 })), range(200, 51));
+    assert.deepStrictEqual(
+      transport.requests.map(({ query }) => query.limit),
+      ['100', '50'],
+    );
+  });
+
+  it('iterates over the messages after a message, oldest first', async () => {
+    assert.deepStrictEqual(await ids(channel.messages.iterate({ after: '120' })), range(121, 250));
+  });
+
+  it('iterates over the messages around a message, then older and newer ones in turn', async () => {
+    const result = await ids(channel.messages.iterate({ around: '125' }));
+    assert.deepStrictEqual(result, [...range(174, 75), ...range(74, 1), ...range(175, 250)]);
+  });
+
+  it('does not count the filtered out messages towards the limit', async () => {
+    const even = await ids(channel.messages.iterate({ limit: 60, filter: message => message.id % 2 === 0 }));
+    assert.deepStrictEqual(
+      even,
+      range(250, 132).filter(id => id % 2 === 0),
+    );
+    assert.deepStrictEqual(
+      transport.requests.map(({ query }) => query.limit),
+      ['100', '100'],
+    );
+  });
+
+  it('stops requesting pages once the loop is exited', async () => {
+    assert.deepStrictEqual(await ids(channel.messages.iterate({ cache: false }), 3), [250, 249, 248]);
+    assert.strictEqual(transport.requests.length, 1);
+    assert.strictEqual(channel.messages.cache.size, 0);
+  });
+
+  it('rejects more than one cursor', async () => {
+    await assert.rejects(ids(channel.messages.iterate({ before: '1', after: '2' })), {
+      code: 'MESSAGE_ITERATE_CURSORS',
+    });
+  });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const assert = require('node:assert');
+const { after, beforeEach, describe, it } = require('node:test');
+const { Client, DiscordAPIError, MockTransport } = require('../../src');
+const RoutePattern = require('../../src/rest/RoutePattern');
+
+describe('RoutePattern', () => {
+  it('matches the parameters of a path', () => {
+    const pattern = new RoutePattern('/channels/:channel/messages/:message');
+    assert.ok(pattern.test('/channels/1/messages/2'));
+    assert.ok(pattern.test('/channels/1/messages/2/'));
+    assert.ok(!pattern.test('/channels/1/messages'));
+    assert.ok(!pattern.test('/channels/1/messages/2/reactions'));
+    assert.deepStrictEqual(pattern.match('/channels/1/messages/2'), { channel: '1', message: '2' });
+    assert.strictEqual(pattern.match('/guilds/1'), null);
+  });
+
+  it('matches the nested paths of a prefix', () => {
+    const pattern = new RoutePattern('/channels/:id', { prefix: true });
+    assert.ok(pattern.test('/channels/1/messages'));
+    assert.ok(!pattern.test('/channelsx/1'));
+  });
+});
+
+describe('MockTransport', () => {
+  const transport = new MockTransport();
+  const client = new Client({ http: { transport }, retryLimit: 1 });
+  client.token = 'token';
+  const user = { id: '222078108977594368', username: 'user', discriminator: '0' };
+  const channel = { id: '222197033908436994', type: 1, recipients: [user] };
+
+  beforeEach(() => {
+    transport.reset();
+    client.users.cache.clear();
+    client.channels.cache.clear();
+  });
+
+  after(() => client.destroy());
+
+  it('answers the requests of the managers with the registered routes', async () => {
+    transport
+      .route('GET', '/channels/:id', ({ params }) => ({ body: { ...channel, id: params.id } }))
+      .route('GET', '/channels/:id/messages', ({ params, query }) => ({
+        body: [{ id: '1', channel_id: params.id, author: user, content: `limit ${query.limit}` }],
+      }));
+    const fetched = await client.channels.fetch(channel.id);
+    const messages = await fetched.messages.fetch({ limit: 10 });
+    assert.strictEqual(messages.first().content, 'limit 10');
+    assert.strictEqual(transport.requests.length, 2);
+    assert.strictEqual(transport.requestsFor('GET', '/channels/:id/messages').length, 1);
+    assert.strictEqual(transport.requests[0].headers.Authorization, 'token');
+  });
+
+  it('sends the JSON data of the requests to the handlers', async () => {
+    transport.route('POST', '/users/@me/channels', ({ data }) => ({ body: { ...channel, recipients: [data] } }));
+    await client.users.createDM(user.id);
+    assert.deepStrictEqual(transport.requests[0].data, { recipients: [user.id] });
+  });
+
+  it('retries rate limited requests', async () => {
+    transport
+      .route('GET', '/users/:id', MockTransport.rateLimited(0), { times: 1 })
+      .route('GET', '/users/:id', { body: user });
+    assert.strictEqual((await client.users.fetch(user.id)).username, 'user');
+    assert.strictEqual(transport.requests.length, 2);
+  });
+
+  it('retries server errors up to the retry limit', async () => {
+    transport.route('GET', '/users/:id', MockTransport.serverError(502));
+    await assert.rejects(client.users.fetch(user.id), { code: 502 });
+    assert.strictEqual(transport.requests.length, 2);
+  });
+
+  it('answers the unknown routes with a 404', async () => {
+    await assert.rejects(
+      client.users.fetch(user.id),
+      error => error instanceof DiscordAPIError && error.httpStatus === 404,
+    );
+    assert.deepStrictEqual(transport.requests[0].path, `/users/${user.id}`);
+  });
+});
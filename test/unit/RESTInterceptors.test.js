@@ -0,0 +1,72 @@
+'use strict';
+
+const assert = require('node:assert');
+const { after, beforeEach, describe, it } = require('node:test');
+const { Response } = require('undici');
+const { Client, DiscordAPIError, MockTransport } = require('../../src');
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+
+describe('REST interceptors', () => {
+  const transport = new MockTransport();
+  const user = { id: '222078108977594368', username: 'user', discriminator: '0' };
+  let client;
+
+  beforeEach(() => {
+    transport.reset().route('GET', '/users/:id', { body: user });
+    client?.destroy();
+    client = new Client({ http: { transport } });
+    client.token = 'token';
+  });
+
+  after(() => client.destroy());
+
+  it('changes the requests before they are sent', async () => {
+    client.rest.addInterceptor('beforeRequest', request => {
+      request.options.headers = { ...request.options.headers, 'X-Audit': 'yes' };
+    });
+    await client.users.fetch(user.id);
+    assert.strictEqual(transport.requests[0].headers['X-Audit'], 'yes');
+  });
+
+  it('answers the requests in place of the API', async () => {
+    client.rest.addInterceptor('beforeRequest', () => json({ ...user, username: 'intercepted' }));
+    assert.strictEqual((await client.users.fetch(user.id)).username, 'intercepted');
+    assert.strictEqual(transport.requests.length, 0);
+  });
+
+  it('replaces the responses before they are handled', async () => {
+    const seen = [];
+    client.rest.addInterceptor('afterResponse', (request, response) => {
+      seen.push(response.status);
+      return json({ ...user, username: 'replaced' });
+    });
+    assert.strictEqual((await client.users.fetch(user.id)).username, 'replaced');
+    assert.deepStrictEqual(seen, [200]);
+  });
+
+  it('gives the raw response of a failed request to the error interceptors', async () => {
+    transport.reset().route('GET', '/users/:id', MockTransport.notFound(10013, 'Unknown User'));
+    class UserGoneError extends Error {}
+    client.rest.addInterceptor('onError', (request, error, errorResponse) => {
+      assert.ok(error instanceof DiscordAPIError);
+      assert.strictEqual(errorResponse.response.status, 404);
+      return new UserGoneError(errorResponse.data.message);
+    });
+    await assert.rejects(client.users.fetch(user.id), error => error instanceof UserGoneError);
+  });
+
+  it('recovers from errors with the response of an error interceptor', async () => {
+    transport.reset().route('GET', '/users/:id', MockTransport.notFound(10013, 'Unknown User'));
+    client.rest.addInterceptor('onError', () => json({ ...user, username: 'recovered' }));
+    assert.strictEqual((await client.users.fetch(user.id)).username, 'recovered');
+  });
+
+  it('removes the interceptors', async () => {
+    const remove = client.rest.addInterceptor('beforeRequest', () => json({ ...user, username: 'intercepted' }));
+    remove();
+    assert.strictEqual((await client.users.fetch(user.id)).username, 'user');
+    assert.throws(() => client.rest.addInterceptor('afterRequest', () => null), { code: 'INVALID_TYPE' });
+  });
+});
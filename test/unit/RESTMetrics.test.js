@@ -0,0 +1,54 @@
+'use strict';
+
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const RESTMetrics = require('../../src/rest/RESTMetrics');
+
+describe('RESTMetrics', () => {
+  const token = 'aW50ZXJhY3Rpb246MTIzNDU2Nzg5MDEyMzQ1Njc4OTpzZWNyZXQ';
+
+  it('groups the routes of every channel under one series', () => {
+    const metrics = new RESTMetrics();
+    metrics.observeResponse({ method: 'get', route: '/channels/222197033908436994/messages' }, 200, 30);
+    metrics.observeResponse({ method: 'get', route: '/channels/81384788765712384/messages' }, 200, 70);
+    assert.deepStrictEqual([...metrics.routes.keys()], ['GET /channels/:id/messages']);
+    assert.strictEqual(metrics.routes.first().requests, 2);
+  });
+
+  it('keeps webhook and interaction tokens out of the routes', () => {
+    const metrics = new RESTMetrics();
+    metrics.observeResponse({ method: 'post', route: `/webhooks/:id/${token}` }, 204, 10);
+    metrics.observeResponse({ method: 'patch', route: `/webhooks/:id/${token}/messages/@original` }, 200, 10);
+    metrics.observeResponse({ method: 'post', route: `/interactions/:id/${token}/callback` }, 204, 10);
+    assert.deepStrictEqual(
+      [...metrics.routes.keys()],
+      [
+        'POST /webhooks/:id/:token',
+        'PATCH /webhooks/:id/:token/messages/@original',
+        'POST /interactions/:id/:token/callback',
+      ],
+    );
+    assert.ok(!metrics.toPrometheus().includes(token));
+  });
+
+  it('keeps query strings out of the routes', () => {
+    const metrics = new RESTMetrics();
+    metrics.observeError({ method: 'get', route: '/guilds/222078108977594368/messages/search?content=secret' });
+    assert.deepStrictEqual([...metrics.routes.keys()], ['GET /guilds/:id/messages/search']);
+    assert.ok(!metrics.toPrometheus().includes('secret'));
+  });
+
+  it('renders the metrics in the Prometheus format', () => {
+    const metrics = new RESTMetrics([100]);
+    metrics.observeResponse({ method: 'get', route: '/users/@me' }, 200, 50);
+    metrics.observeResponse({ method: 'get', route: '/users/@me' }, 429, 150);
+    const text = metrics.toPrometheus();
+    assert.match(text, /^discord_rest_requests_total\{method="GET",route="\/users\/@me"\} 2$/m);
+    assert.match(text, /^discord_rest_responses_total\{method="GET",route="\/users\/@me",status="429"\} 1$/m);
+    assert.match(
+      text,
+      /^discord_rest_request_duration_seconds_bucket\{method="GET",route="\/users\/@me",le="0.1"\} 1$/m,
+    );
+    assert.match(text, /^discord_rest_request_duration_seconds_count\{method="GET",route="\/users\/@me"\} 2$/m);
+  });
+});
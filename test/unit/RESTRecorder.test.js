@@ -0,0 +1,82 @@
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, describe, it } = require('node:test');
+const { setImmediate } = require('node:timers/promises');
+const { Client, MockTransport } = require('../../src');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rest-fixtures-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+describe('REST fixtures', () => {
+  const file = path.join(directory, 'fixture.json');
+  const user = { id: '222078108977594368', username: 'user', discriminator: '0' };
+  const channel = { id: '222197033908436994', type: 1, recipients: [user] };
+
+  it('records the responses of the requests to a fixture file', async () => {
+    let renames = 0;
+    const transport = new MockTransport()
+      .route('GET', '/users/:id', () => ({ body: { ...user, username: `user${renames++}` } }))
+      .route('GET', '/channels/:id', { body: channel })
+      .route('GET', '/channels/:id/messages', ({ query }) => ({
+        body: [{ id: '1', channel_id: channel.id, author: user, content: `limit ${query.limit}` }],
+      }));
+    const client = new Client({ http: { transport, fixtures: { mode: 'record', path: file } } });
+    client.token = 'token';
+    await client.users.fetch(user.id, { force: true });
+    await client.users.fetch(user.id, { force: true });
+    const fetched = await client.channels.fetch(channel.id);
+    await fetched.messages.fetch({ limit: 10 });
+
+    // The responses are recorded once their bodies have been read
+    const { recorder } = client.rest;
+    while (recorder.entries.length < 4) await setImmediate(); // eslint-disable-line no-await-in-loop
+    await client.rest.stopRecording();
+    client.destroy();
+
+    const { entries } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepStrictEqual(
+      entries.map(entry => [entry.method, entry.path, entry.status]),
+      [
+        ['GET', `/users/${user.id}`, 200],
+        ['GET', `/users/${user.id}`, 200],
+        ['GET', `/channels/${channel.id}`, 200],
+        ['GET', `/channels/${channel.id}/messages`, 200],
+      ],
+    );
+    assert.deepStrictEqual(entries[3].query, { limit: '10' });
+    assert.strictEqual(entries[0].body.username, 'user0');
+  });
+
+  it('replays the recorded responses in order', async () => {
+    const client = new Client({ http: { fixtures: { mode: 'replay', path: file } } });
+    client.token = 'token';
+    after(() => client.destroy());
+
+    const usernames = [];
+    for (let i = 0; i < 3; i++) {
+      // eslint-disable-next-line no-await-in-loop
+      usernames.push((await client.users.fetch(user.id, { force: true })).username);
+    }
+    // The last recorded response is served again once the others are used up
+    assert.deepStrictEqual(usernames, ['user0', 'user1', 'user1']);
+
+    const fetched = await client.channels.fetch(channel.id);
+    const messages = await fetched.messages.fetch({ limit: 10 });
+    assert.strictEqual(messages.first().content, 'limit 10');
+  });
+
+  it('rejects the requests that were not recorded', async () => {
+    const client = new Client({ http: { fixtures: { mode: 'replay', path: file } } });
+    client.token = 'token';
+    after(() => client.destroy());
+
+    const fetched = await client.channels.fetch(channel.id);
+    await assert.rejects(fetched.messages.fetch({ limit: 20 }), {
+      message: `No recorded response matches GET /channels/${channel.id}/messages?limit=20.`,
+    });
+  });
+});
@@ -0,0 +1,29 @@
+'use strict';
+
+const assert = require('node:assert');
+const { after, describe, it } = require('node:test');
+const { Client } = require('../../src');
+
+describe('ReadySupplementalAction', () => {
+  const client = new Client();
+  const guild = client.guilds._add({ id: '222078108977594368', name: 'Guild', channels: [], roles: [], members: [] });
+
+  after(() => client.destroy());
+
+  it('caches the members and presences of users that are not cached', () => {
+    client.actions.ReadySupplemental.handle({
+      guilds: [{ id: guild.id }],
+      merged_members: [[{ user_id: '81384788765712384', roles: [] }]],
+      merged_presences: {
+        guilds: [[{ user: { id: '222197033908436994', username: 'user' }, status: 'online', activities: [] }]],
+        friends: [{ user_id: '132143322385465344', status: 'idle', activities: [] }],
+      },
+    });
+
+    assert.ok(guild.members.cache.has('81384788765712384'));
+    assert.strictEqual(guild.presences.cache.get('222197033908436994').status, 'online');
+    assert.strictEqual(client.users.cache.get('222197033908436994').username, 'user');
+    assert.strictEqual(client.presences.cache.get('132143322385465344').status, 'idle');
+    assert.ok(client.users.cache.has('132143322385465344'));
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const assert = require('node:assert');
+const { after, beforeEach, describe, it } = require('node:test');
+const { Client, MockTransport } = require('../../src');
+
+describe('RESTManager request coalescing', () => {
+  const transport = new MockTransport();
+  const user = { id: '222078108977594368', username: 'user', discriminator: '0' };
+  let client;
+
+  const createClient = http => {
+    client?.destroy();
+    client = new Client({ http: { transport, ...http } });
+    client.token = 'token';
+  };
+
+  beforeEach(() => {
+    transport.reset().route('GET', '/users/:id', { body: user });
+  });
+
+  after(() => client.destroy());
+
+  it('sends identical GET requests made while one is in flight once', async () => {
+    createClient();
+    const [first, second] = await Promise.all([client.api.users(user.id).get(), client.api.users(user.id).get()]);
+    assert.strictEqual(transport.requests.length, 1);
+    assert.deepStrictEqual(first, user);
+    // Every caller gets its own copy of the data
+    assert.notStrictEqual(first, second);
+  });
+
+  it('does not share the requests that have their own signal', async () => {
+    createClient();
+    const { signal } = new AbortController();
+    await Promise.all([client.api.users(user.id).get(), client.api.users(user.id).get({ signal })]);
+    assert.strictEqual(transport.requests.length, 2);
+  });
+
+  it('sends every request when coalescing is disabled', async () => {
+    createClient({ coalesceRequests: false });
+    await Promise.all([client.api.users(user.id).get(), client.api.users(user.id).get()]);
+    assert.strictEqual(transport.requests.length, 2);
+  });
+});
+
+describe('RESTManager response cache', () => {
+  const transport = new MockTransport();
+  const client = new Client({ http: { transport, responseCache: { '/users/:id': 60_000 } } });
+  client.token = 'token';
+  const user = { id: '222078108977594368', username: 'user', discriminator: '0' };
+
+  beforeEach(() => {
+    client.rest.clearResponseCache();
+    transport
+      .reset()
+      .route('GET', '/users/:id', ({ params }) => ({ body: { ...user, id: params.id } }))
+      .route('GET', '/channels/:id', { body: { id: '222197033908436994', type: 1, recipients: [user] } })
+      .route('PATCH', '/users/@me', ({ data }) => ({ body: { ...user, ...data } }));
+  });
+
+  after(() => client.destroy());
+
+  it('serves the responses of the configured routes from the cache', async () => {
+    const first = await client.api.users(user.id).get();
+    first.username = 'changed';
+    assert.deepStrictEqual(await client.api.users(user.id).get(), user);
+    assert.strictEqual(transport.requests.length, 1);
+
+    await client.api.channels('222197033908436994').get();
+    await client.api.channels('222197033908436994').get();
+    assert.strictEqual(transport.requests.length, 3);
+  });
+
+  it('clears the cached responses of a path when it is modified', async () => {
+    await client.api.users('@me').get();
+    await client.api.users('@me').patch({ data: { username: 'renamed' } });
+    await client.api.users('@me').get();
+    assert.deepStrictEqual(
+      transport.requests.map(({ method }) => method),
+      ['GET', 'PATCH', 'GET'],
+    );
+  });
+
+  it('clears every cached response on demand', async () => {
+    await client.api.users(user.id).get();
+    client.rest.clearResponseCache();
+    await client.api.users(user.id).get();
+    assert.strictEqual(transport.requests.length, 2);
+  });
+});
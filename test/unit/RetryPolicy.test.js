@@ -0,0 +1,41 @@
+'use strict';
+
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const RetryPolicy = require('../../src/rest/RetryPolicy');
+
+describe('RetryPolicy#forRoute', () => {
+  const policy = new RetryPolicy({
+    retries: 1,
+    routes: {
+      '/channels/:id/messages': { retries: 5 },
+      '/channels/:id': { retries: 3 },
+      '/guilds/:id/members/@me': { retries: 0 },
+    },
+  });
+
+  it('matches the major id of a channel route', () => {
+    // Routes keep the major id and replace the other ids, see APIRouter
+    assert.strictEqual(policy.forRoute('/channels/222197033908436994/messages').options.retries, 5);
+    assert.strictEqual(policy.forRoute('/channels/222197033908436994/messages/:id').options.retries, 5);
+  });
+
+  it('prefers the longest matching route', () => {
+    assert.strictEqual(policy.forRoute('/channels/222197033908436994/pins').options.retries, 3);
+    assert.strictEqual(policy.forRoute('/channels/222197033908436994').options.retries, 3);
+  });
+
+  it('only matches whole segments', () => {
+    assert.strictEqual(policy.forRoute('/channels/222197033908436994/messagesx').options.retries, 3);
+    assert.strictEqual(policy.forRoute('/guilds/222078108977594368/members/@mex').options.retries, 1);
+  });
+
+  it('falls back to the policy itself', () => {
+    assert.strictEqual(policy.forRoute('/users/@me').options.retries, 1);
+    assert.strictEqual(policy.forRoute('/guilds/222078108977594368/members/@me').options.retries, 0);
+  });
+
+  it('keeps the options of the policy it overrides', () => {
+    assert.strictEqual(policy.forRoute('/channels/222197033908436994').options.baseDelay, 500);
+  });
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const assert = require('node:assert');
+const process = require('node:process');
+const { after, beforeEach, describe, it, mock } = require('node:test');
+const { Client } = require('../../src');
+
+describe('Sweepers#sweepMemory', () => {
+  const client = new Client({ sweepers: { memory: { interval: 0, budget: 1_000 } } });
+  const { sweepers } = client;
+  const recipient = { id: '81384788765712384', username: 'user', discriminator: '0' };
+  const channel = client.channels._add({ id: '222197033908436994', type: 1, recipients: [recipient] });
+  let heapUsed;
+  mock.method(process, 'memoryUsage', () => ({ heapUsed }));
+
+  beforeEach(() => {
+    channel.messages._add({ id: '222197033908436995', channel_id: channel.id, author: recipient, content: '' });
+    client.users._add(recipient);
+  });
+
+  after(() => {
+    mock.restoreAll();
+    client.destroy();
+  });
+
+  it('does not sweep within the budget', () => {
+    heapUsed = 500;
+    assert.strictEqual(sweepers.sweepMemory(), 0);
+    assert.strictEqual(sweepers.memoryStage, 0);
+  });
+
+  it('sweeps the messages first', () => {
+    heapUsed = 2_000;
+    assert.strictEqual(sweepers.sweepMemory(), 1);
+    assert.strictEqual(sweepers.memoryStage, 1);
+    assert.strictEqual(channel.messages.cache.size, 0);
+    assert.ok(client.users.cache.has(recipient.id));
+  });
+
+  it('does not escalate before a garbage collection', () => {
+    sweepers.sweepMemory();
+    assert.strictEqual(sweepers.memoryStage, 1);
+    assert.ok(client.users.cache.has(recipient.id));
+  });
+
+  it('does not escalate when a garbage collection brought the usage within the budget', () => {
+    sweepers.heapUsedAfterGC = 800;
+    sweepers.sweepMemory();
+    assert.strictEqual(sweepers.memoryStage, 1);
+    assert.ok(client.users.cache.has(recipient.id));
+  });
+
+  it('escalates when the usage is still over the budget after a garbage collection', () => {
+    sweepers.heapUsedAfterGC = 1_500;
+    sweepers.sweepMemory();
+    assert.strictEqual(sweepers.memoryStage, 2);
+    assert.ok(!client.users.cache.has(recipient.id));
+    assert.strictEqual(sweepers.heapUsedAfterGC, null);
+  });
+
+  it('resets the stage once the usage is within the budget', () => {
+    heapUsed = 500;
+    sweepers.sweepMemory();
+    assert.strictEqual(sweepers.memoryStage, 0);
+    assert.strictEqual(channel.messages.cache.size, 1);
+  });
+});
@@ -69,6 +69,7 @@ import {
 import { ChildProcess, ChildProcessWithoutNullStreams } from 'node:child_process';
 import { EventEmitter } from 'node:events';
 import { AgentOptions } from 'node:https';
+import { PerformanceObserver } from 'node:perf_hooks';
 import { Response, ProxyAgent } from 'undici';
 import { Readable, Writable, Stream } from 'node:stream';
 import { MessagePort, Worker } from 'node:worker_threads';
@@ -416,8 +417,8 @@ export abstract class Application extends Base {
   public monetizationState: number | null;
   public monetizationEligibilityFlags: number | null;
   public maxParticipants: number | null;
-  public fetch(): Promise<Application>;
-  public fetchRoleConnectionMetadataRecords(): Promise<ApplicationRoleConnectionMetadata[]>;
+  public fetch(signal?: AbortSignal): Promise<Application>;
+  public fetchRoleConnectionMetadataRecords(signal?: AbortSignal): Promise<ApplicationRoleConnectionMetadata[]>;
   public coverURL(options?: StaticImageURLOptions): string | null;
   /** @deprecated This method is deprecated as it is unsupported and will be removed in the next major version. */
   public fetchAssets(): Promise<ApplicationAsset[]>;
@@ -455,8 +456,11 @@ export class ApplicationCommand<PermissionsFetchType = {}> extends Base {
   >;
   public type: ApplicationCommandType;
   public version: Snowflake;
-  public delete(): Promise<ApplicationCommand<PermissionsFetchType>>;
-  public edit(data: Partial<ApplicationCommandData>): Promise<ApplicationCommand<PermissionsFetchType>>;
+  public delete(signal?: AbortSignal): Promise<ApplicationCommand<PermissionsFetchType>>;
+  public edit(
+    data: Partial<ApplicationCommandData>,
+    signal?: AbortSignal,
+  ): Promise<ApplicationCommand<PermissionsFetchType>>;
   public setName(name: string): Promise<ApplicationCommand<PermissionsFetchType>>;
   public setNameLocalizations(nameLocalizations: LocalizationMap): Promise<ApplicationCommand<PermissionsFetchType>>;
   public setDescription(description: string): Promise<ApplicationCommand<PermissionsFetchType>>;
@@ -522,11 +526,138 @@ export class RESTManager {
   public versioned: true;
   public cookieJar: CookieJar;
   public fetch: typeof globalThis.fetch;
+  public transport: RESTTransport | null;
+  public recorder: RESTRecorder | null;
+  public rateLimitStore: RateLimitStore | null;
+  public retryPolicy: RetryPolicy;
+  public metrics: RESTMetrics;
+  private inflight: Map<string, Promise<{ data: unknown }>>;
+  private responseCache: Collection<string, { path: string; data: unknown; expires: number }>;
+  private responseCacheRoutes: { pattern: unknown; ttl: number }[];
+  public clearResponseCache(): void;
+  public rateLimitsRestored: Promise<void>;
+  private rateLimitSaveTimeout: NodeJS.Timeout | null;
+  public getRateLimitState(): RateLimitState;
+  public hydrateRateLimits(state: RateLimitState | null): void;
+  private restoreRateLimits(): Promise<void>;
+  private scheduleRateLimitSave(): void;
+  public saveRateLimits(): Promise<void>;
   public getAuth(): string;
+  public startRecording(file: string): RESTRecorder;
+  public stopRecording(): Promise<void>;
+  public replay(file: string): ReplayTransport;
+  public interceptors: {
+    beforeRequest: RESTBeforeRequestInterceptor[];
+    afterResponse: RESTAfterResponseInterceptor[];
+    onError: RESTErrorInterceptor[];
+  };
+  public addInterceptor<K extends keyof RESTInterceptorHooks>(
+    hook: K,
+    interceptor: RESTInterceptorHooks[K],
+  ): () => boolean;
+  public removeInterceptor<K extends keyof RESTInterceptorHooks>(
+    hook: K,
+    interceptor: RESTInterceptorHooks[K],
+  ): boolean;
+  private runBeforeRequest(request: APIRequest): Promise<Response | null>;
+  private runAfterResponse(request: APIRequest, response: Response): Promise<Response>;
+  private runOnError(
+    request: APIRequest,
+    error: Error,
+    errorResponse?: RESTErrorResponse | null,
+  ): Promise<{ error?: Error; response?: Response }>;
+  public request(method: APIRequest['method'], url: string, options?: object): Promise<unknown>;
+  private send(request: APIRequest): Promise<unknown>;
   public readonly api: unknown;
   public readonly cdn: unknown;
 }
 
+export class FileCacheAdapter implements CacheAdapter {
+  public constructor(directory: string, options?: CacheAdapterOptions);
+  public directory: string;
+  public maxSize: number;
+  private _creating: Promise<void> | null;
+  private fileOf(key: string): string;
+  public get(key: string): Promise<object | null>;
+  public set(key: string, value: object): Promise<void>;
+  public delete(key: string): Promise<boolean>;
+  public entries(): AsyncIterableIterator<[string, object]>;
+}
+
+export class MemoryCacheAdapter implements CacheAdapter {
+  public constructor(options?: CacheAdapterOptions);
+  public maxSize: number;
+  private data: Map<string, object>;
+  public get(key: string): Promise<object | null>;
+  public set(key: string, value: object): Promise<void>;
+  public delete(key: string): Promise<boolean>;
+  public entries(): AsyncIterableIterator<[string, object]>;
+}
+
+export class JSONFileStore<State = object> {
+  public constructor(file: string);
+  public file: string;
+  private _writing: Promise<void>;
+  public load(): Promise<State | null>;
+  public save(state: State): Promise<void>;
+}
+
+export class FileRateLimitStore extends JSONFileStore<RateLimitState> implements RateLimitStore {}
+
+export class FileSessionStore extends JSONFileStore<SessionState> implements SessionStore {}
+
+export class RetryPolicy {
+  public constructor(options?: RetryPolicyOptions, retryLimit?: number);
+  public options: Required<Omit<RetryPolicyOptions, 'routes'>>;
+  private routes: [string, RetryPolicy][];
+  public static readonly networkErrors: string[];
+  public forRoute(route: string): RetryPolicy;
+  public ruleForStatus(status: number): RetryRule | null;
+  public ruleForError(error: Error): RetryRule | null;
+  public delayFor(attempt: number, rule?: RetryRule): number;
+  public static errorCode(error: Error): string | null;
+}
+
+export class RESTMetrics {
+  public constructor(latencyBuckets?: number[]);
+  public latencyBuckets: number[];
+  public routes: Collection<string, RESTRouteMetrics>;
+  public static readonly defaultLatencyBuckets: number[];
+  private routeFor(request: APIRequest): RESTRouteMetrics;
+  public observeResponse(request: APIRequest, status: number, latency: number): void;
+  public observeError(request: APIRequest): void;
+  public observeQueued(request: APIRequest, time: number, global?: boolean): void;
+  public reset(): this;
+  public toPrometheus(prefix?: string): string;
+  public toJSON(): RESTRouteMetrics[];
+}
+
+export class RESTRecorder {
+  public constructor(file: string);
+  public file: string;
+  public entries: RESTFixtureEntry[];
+  private _writing: Promise<void>;
+  private _scheduledSave: {
+    promise: Promise<void>;
+    resolve: () => void;
+    reject: (error: Error) => void;
+    timeout: NodeJS.Timeout;
+  } | null;
+  public record(request: APIRequest, response: Response): Promise<void>;
+  private scheduleSave(): Promise<void>;
+  public save(): Promise<void>;
+  private static describe(request: APIRequest): Omit<RESTFixtureEntry, 'status' | 'headers' | 'body' | 'encoding'>;
+  private static keyFor(description: Pick<RESTFixtureEntry, 'method' | 'path' | 'query' | 'bodyHash'>): string;
+}
+
+export class ReplayTransport implements RESTTransport {
+  public constructor(entries: RESTFixtureEntry[]);
+  private entries: Map<string, RESTFixtureEntry[]>;
+  private served: Map<string, number>;
+  public static fromFile(file: string): ReplayTransport;
+  public request(url: string, options: RequestInit, apiRequest: APIRequest): Promise<Response>;
+}
+
 export class BaseClient extends EventEmitter {
   public constructor(options?: ClientOptions | WebhookClientOptions);
   public readonly api: RESTManager['api'];
@@ -660,7 +791,7 @@ export abstract class BaseGuild extends Base {
   public readonly nameAcronym: string;
   public readonly partnered: boolean;
   public readonly verified: boolean;
-  public fetch(): Promise<Guild>;
+  public fetch(signal?: AbortSignal): Promise<Guild>;
   public iconURL(options?: ImageURLOptions): string | null;
   public toString(): string;
 }
@@ -840,6 +971,9 @@ export class Client<Ready extends boolean = boolean> extends BaseClient {
   private presence: ClientPresence;
   private _eval(script: string): unknown;
   private _validateOptions(options: ClientOptions): void;
+  public cache: ClientCacheManager;
+  private cacheStatsInterval: NodeJS.Timeout | null;
+  public cacheStats(): CacheStats;
   public channels: ChannelManager;
   public readonly emojis: BaseGuildEmojiManager;
   public guilds: GuildManager;
@@ -927,6 +1061,90 @@ export class Client<Ready extends boolean = boolean> extends BaseClient {
   public removeAllListeners<S extends string | symbol>(event?: Exclude<S, keyof ClientEvents>): this;
 }
 
+export class ReplayClient extends Client {
+  public constructor(options?: ClientOptions);
+  public sentPackets: unknown[];
+  public replay(file: string): Promise<number>;
+  public dispatch(recorded: RecordedDispatch): void;
+}
+
+export class ShardHealth {
+  private constructor(shard: WebSocketShard, options?: ShardHealthOptions);
+  public readonly shard: WebSocketShard;
+  public historySize: number;
+  public latencyThreshold: number;
+  public missedAckThreshold: number;
+  public latencies: number[];
+  public lastAckAt: number | null;
+  public missedAcks: number;
+  public consecutiveMissedAcks: number;
+  public zombieConnections: number;
+  public reconnects: number;
+  public resumes: number;
+  private latencyExceeded: boolean;
+  public percentile(percentile: number): number | null;
+  private connecting(reconnect: boolean): void;
+  private ack(latency: number): void;
+  private missAck(zombie: boolean): void;
+  private report(reason: ShardHealthReason): void;
+  public toJSON(): ShardHealthData;
+}
+
+export interface ShardHealthOptions {
+  historySize?: number;
+  latencyThreshold?: number;
+  missedAckThreshold?: number;
+}
+
+export type ShardHealthReason = 'latency' | 'missedAcks' | 'zombie';
+
+export interface ShardLatencyPercentiles {
+  p50: number | null;
+  p95: number | null;
+  p99: number | null;
+}
+
+export interface ShardHealthData {
+  shardId: number;
+  status: keyof ConstantsStatus;
+  ping: number;
+  latency: ShardLatencyPercentiles;
+  samples: number;
+  lastAckAt: number | null;
+  missedAcks: number;
+  consecutiveMissedAcks: number;
+  zombieConnections: number;
+  reconnects: number;
+  resumes: number;
+}
+
+export interface WebSocketHealthData {
+  status: keyof ConstantsStatus;
+  ping: number;
+  shards: ShardHealthData[];
+}
+
+export type DispatchMiddleware = (
+  packet: { op: number; t: WSEventType; s: number; d: any },
+  shard: WebSocketShard,
+) => unknown;
+
+export interface RecordedDispatch {
+  time: number;
+  shard: number;
+  packet: { op: number; t: string; s: number; d: unknown };
+}
+
+export class DispatchRecorder {
+  public constructor(file: string, onError?: (error: Error) => void);
+  public file: string;
+  public count: number;
+  public error: Error | null;
+  private stream: Writable;
+  public record(packet: unknown, shard?: WebSocketShard | null): void;
+  public close(): Promise<void>;
+}
+
 export interface AcceptInviteOptions {
   bypassOnboarding: boolean;
   bypassVerify: boolean;
@@ -951,7 +1169,7 @@ export class ClientUser extends User {
   public mfaEnabled: boolean;
   public readonly presence: ClientPresence;
   public verified: boolean;
-  public edit(data: ClientUserEditData): Promise<this>;
+  public edit(data: ClientUserEditData, signal?: AbortSignal): Promise<this>;
   public setActivity(options?: ActivityOptions | RichPresence | SpotifyRPC | CustomStatus): ClientPresence;
   public setActivity(name: string, options?: Omit<ActivityOptions, 'name'>): ClientPresence;
   public setAFK(afk?: boolean, shardId?: number | number[]): ClientPresence;
@@ -970,15 +1188,20 @@ export class ClientUser extends User {
   public setBanner(banner: BufferResolvable | Base64Resolvable | null): Promise<this>;
   public setHypeSquad(
     hypesquad: 0 | 1 | 2 | 3 | 'LEAVE' | 'HOUSE_BRAVERY' | 'HOUSE_BRILLIANCE' | 'HOUSE_BALANCE',
+    signal?: AbortSignal,
   ): Promise<void>;
   public setAccentColor(color: ColorResolvable): Promise<this>;
   public setAboutMe(bio: string | null): Promise<this>;
-  public createFriendInvite(): Promise<Invite>;
-  public getAllFriendInvites(): Promise<Collection<string, Invite>>;
-  public revokeAllFriendInvites(): Promise<void>;
-  public setSamsungActivity(packageName: string, type: 'START' | 'UPDATE' | 'STOP'): Promise<this>;
-  public stopRinging(channel: ChannelResolvable): Promise<void>;
-  public fetchBurstCredit(): Promise<number>;
+  public createFriendInvite(signal?: AbortSignal): Promise<Invite>;
+  public getAllFriendInvites(signal?: AbortSignal): Promise<Collection<string, Invite>>;
+  public revokeAllFriendInvites(signal?: AbortSignal): Promise<void>;
+  public setSamsungActivity(
+    packageName: string,
+    type: 'START' | 'UPDATE' | 'STOP',
+    signal?: AbortSignal,
+  ): Promise<this>;
+  public stopRinging(channel: ChannelResolvable, signal?: AbortSignal): Promise<void>;
+  public fetchBurstCredit(signal?: AbortSignal): Promise<number>;
   public setPronouns(pronouns?: string | null): Promise<this>;
   public setGlobalName(globalName?: string | null): Promise<this>;
 }
@@ -1478,10 +1701,11 @@ export class DataResolver extends null {
 }
 
 export class DiscordAPIError extends Error {
-  private constructor(error: unknown, status: number, request: unknown);
+  public constructor(error: unknown, status: number, request: unknown);
   private static flattenErrors(obj: unknown, key: string): string[];
 
   public code: number;
+  public readonly codeName: keyof typeof Constants.APIErrors | null;
   public method: string;
   public path: string;
   public httpStatus: number;
@@ -1491,6 +1715,62 @@ export class DiscordAPIError extends Error {
   public readonly isBlockedByCloudflare: boolean;
 }
 
+export type DiscordAPIErrorConstructor = new (error: unknown, status: number, request: unknown) => DiscordAPIError;
+
+export class APIErrorRegistry extends null {
+  private constructor();
+  public static nameOf(code: number): keyof typeof Constants.APIErrors | null;
+  public static resolve(code: number): DiscordAPIErrorConstructor;
+  public static register(code: number, errorClass: DiscordAPIErrorConstructor): typeof APIErrorRegistry;
+  public static create(error: unknown, status: number, request: unknown): DiscordAPIError;
+}
+
+export class UnknownResourceError extends DiscordAPIError {
+  public resource: string | null;
+}
+
+export class UnknownMessageError extends UnknownResourceError {
+  public channelId: Snowflake | null;
+  public messageId: Snowflake | null;
+}
+
+export class UnknownChannelError extends UnknownResourceError {
+  public channelId: Snowflake | null;
+}
+
+export class UnknownGuildError extends UnknownResourceError {
+  public guildId: Snowflake | null;
+}
+
+export class UnknownMemberError extends UnknownResourceError {
+  public guildId: Snowflake | null;
+  public userId: Snowflake | null;
+}
+
+export class UnknownUserError extends UnknownResourceError {
+  public userId: Snowflake | null;
+}
+
+export class MaximumReachedError extends DiscordAPIError {
+  public limit: number | null;
+}
+
+export class MaxPinsReachedError extends MaximumReachedError {
+  public channelId: Snowflake | null;
+}
+
+export class MissingAccessError extends DiscordAPIError {}
+
+export class MissingPermissionsError extends DiscordAPIError {
+  public missingPermission: PermissionString | null;
+  public channelId: Snowflake | null;
+  public guildId: Snowflake | null;
+}
+
+export class InvalidFormBodyError extends DiscordAPIError {
+  public fields: Record<string, string[]>;
+}
+
 export interface Captcha {
   captcha_key: string[];
   captcha_sitekey: string;
@@ -1512,10 +1792,10 @@ export class DMChannel extends TextBasedChannelMixin(Channel, [
   public messageRequest?: boolean;
   public messageRequestTimestamp?: number;
   public fetch(force?: boolean): Promise<this>;
-  public acceptMessageRequest(): Promise<this>;
-  public cancelMessageRequest(): Promise<this>;
+  public acceptMessageRequest(signal?: AbortSignal): Promise<this>;
+  public cancelMessageRequest(signal?: AbortSignal): Promise<this>;
   public sync(): void;
-  public ring(): Promise<void>;
+  public ring(signal?: AbortSignal): Promise<void>;
   public readonly voiceAdapterCreator: InternalDiscordGatewayAdapterCreator;
   public readonly shard: WebSocketShard;
   public readonly voiceUsers: Collection<Snowflake, User>;
@@ -1536,6 +1816,11 @@ export class Emoji extends Base {
   public toString(): string;
 }
 
+export class GatewayCapabilities extends BitField<GatewayCapabilitiesString> {
+  public static FLAGS: Record<GatewayCapabilitiesString, number>;
+  public static resolve(bit?: BitFieldResolvable<GatewayCapabilitiesString, number>): number;
+}
+
 export class Guild extends AnonymousGuild {
   private constructor(client: Client, data: RawGuildData);
   private _sortedRoles(): Collection<Snowflake, Role>;
@@ -1599,25 +1884,25 @@ export class Guild extends AnonymousGuild {
   public widgetChannelId: Snowflake | null;
   public widgetEnabled: boolean | null;
   public readonly maximumBitrate: number;
-  public createTemplate(name: string, description?: string): Promise<GuildTemplate>;
-  public delete(): Promise<Guild>;
+  public createTemplate(name: string, description?: string, signal?: AbortSignal): Promise<GuildTemplate>;
+  public delete(signal?: AbortSignal): Promise<Guild>;
   public discoverySplashURL(options?: StaticImageURLOptions): string | null;
-  public edit(data: GuildEditData, reason?: string): Promise<Guild>;
-  public editWelcomeScreen(data: WelcomeScreenEditData): Promise<WelcomeScreen>;
+  public edit(data: GuildEditData, reason?: string, signal?: AbortSignal): Promise<Guild>;
+  public editWelcomeScreen(data: WelcomeScreenEditData, signal?: AbortSignal): Promise<WelcomeScreen>;
   public equals(guild: Guild): boolean;
   public fetchAuditLogs<T extends GuildAuditLogsResolvable = 'ALL'>(
     options?: GuildAuditLogsFetchOptions<T>,
   ): Promise<GuildAuditLogs<T>>;
-  public fetchIntegrations(): Promise<Collection<Snowflake | string, Integration>>;
+  public fetchIntegrations(signal?: AbortSignal): Promise<Collection<Snowflake | string, Integration>>;
   public fetchOwner(options?: BaseFetchOptions): Promise<GuildMember>;
-  public fetchPreview(): Promise<GuildPreview>;
-  public fetchTemplates(): Promise<Collection<GuildTemplate['code'], GuildTemplate>>;
-  public fetchVanityData(): Promise<Vanity>;
-  public fetchWebhooks(): Promise<Collection<Snowflake, Webhook>>;
-  public fetchWelcomeScreen(): Promise<WelcomeScreen>;
+  public fetchPreview(signal?: AbortSignal): Promise<GuildPreview>;
+  public fetchTemplates(signal?: AbortSignal): Promise<Collection<GuildTemplate['code'], GuildTemplate>>;
+  public fetchVanityData(signal?: AbortSignal): Promise<Vanity>;
+  public fetchWebhooks(signal?: AbortSignal): Promise<Collection<Snowflake, Webhook>>;
+  public fetchWelcomeScreen(signal?: AbortSignal): Promise<WelcomeScreen>;
   public fetchWidget(): Promise<Widget>;
-  public fetchWidgetSettings(): Promise<GuildWidgetSettings>;
-  public leave(): Promise<Guild>;
+  public fetchWidgetSettings(signal?: AbortSignal): Promise<GuildWidgetSettings>;
+  public leave(signal?: AbortSignal): Promise<Guild>;
   public disableInvites(disabled?: boolean): Promise<Guild>;
   public setIncidentActions(incidentActions: IncidentActionsEditOptions): Promise<IncidentActions>;
   public setAFKChannel(afkChannel: VoiceChannelResolvable | null, reason?: string): Promise<Guild>;
@@ -1651,17 +1936,17 @@ export class Guild extends AnonymousGuild {
   public setSystemChannelFlags(systemChannelFlags: SystemChannelFlagsResolvable, reason?: string): Promise<Guild>;
   public setVerificationLevel(verificationLevel: VerificationLevel | number | null, reason?: string): Promise<Guild>;
   public setPremiumProgressBarEnabled(enabled?: boolean, reason?: string): Promise<Guild>;
-  public setWidgetSettings(settings: GuildWidgetSettingsData, reason?: string): Promise<Guild>;
+  public setWidgetSettings(settings: GuildWidgetSettingsData, reason?: string, signal?: AbortSignal): Promise<Guild>;
   public toJSON(): unknown;
-  public markAsRead(): Promise<void>;
+  public markAsRead(signal?: AbortSignal): Promise<void>;
   public setCommunity(
     stats: boolean,
     publicUpdatesChannel?: GuildTextChannelResolvable,
     rulesChannel?: GuildTextChannelResolvable,
     reason?: string,
   ): Promise<this>;
-  public topEmojis(): Promise<Collection<number, GuildEmoji>>;
-  public setVanityCode(code?: string): Promise<this>;
+  public topEmojis(signal?: AbortSignal): Promise<Collection<number, GuildEmoji>>;
+  public setVanityCode(code?: string, signal?: AbortSignal): Promise<this>;
 }
 
 export class GuildAuditLogs<T extends GuildAuditLogsResolvable = 'ALL'> {
@@ -1746,8 +2031,8 @@ export abstract class GuildChannel extends Channel {
   public flags: Readonly<ChannelFlags>;
   public readonly viewable: boolean;
   public clone(options?: GuildChannelCloneOptions): Promise<this>;
-  public delete(reason?: string): Promise<this>;
-  public edit(data: ChannelData, reason?: string): Promise<this>;
+  public delete(reason?: string, signal?: AbortSignal): Promise<this>;
+  public edit(data: ChannelData, reason?: string, signal?: AbortSignal): Promise<this>;
   public equals(channel: GuildChannel): boolean;
   public lockPermissions(): Promise<this>;
   public permissionsFor(memberOrRole: GuildMember | Role, checkAdmin?: boolean): Readonly<Permissions>;
@@ -1770,10 +2055,10 @@ export class GuildEmoji extends BaseGuildEmoji {
   public author: User | null;
   public readonly roles: GuildEmojiRoleManager;
   public readonly url: string;
-  public delete(reason?: string): Promise<GuildEmoji>;
-  public edit(data: GuildEmojiEditData, reason?: string): Promise<GuildEmoji>;
+  public delete(reason?: string, signal?: AbortSignal): Promise<GuildEmoji>;
+  public edit(data: GuildEmojiEditData, reason?: string, signal?: AbortSignal): Promise<GuildEmoji>;
   public equals(other: GuildEmoji | unknown): boolean;
-  public fetchAuthor(): Promise<User>;
+  public fetchAuthor(signal?: AbortSignal): Promise<User>;
   public setName(name: string, reason?: string): Promise<GuildEmoji>;
 }
 
@@ -1821,12 +2106,12 @@ export class GuildMember extends PartialTextBasedChannel(Base) {
   public displayAvatarURL(options?: ImageURLOptions): string;
   public displayBannerURL(options?: ImageURLOptions): string | null;
   public displayAvatarDecorationURL(): string | null;
-  public edit(data: GuildMemberEditData, reason?: string): Promise<GuildMember>;
+  public edit(data: GuildMemberEditData, reason?: string, signal?: AbortSignal): Promise<GuildMember>;
   public isCommunicationDisabled(): this is GuildMember & {
     communicationDisabledUntilTimestamp: number;
     readonly communicationDisabledUntil: Date;
   };
-  public kick(reason?: string): Promise<GuildMember>;
+  public kick(reason?: string, signal?: AbortSignal): Promise<GuildMember>;
   public permissionsIn(channel: GuildChannelResolvable): Readonly<Permissions>;
   public setNickname(nickname: string | null, reason?: string): Promise<GuildMember>;
   public setFlags(flags: GuildMemberFlagsResolvable): Promise<GuildMember>;
@@ -1861,7 +2146,7 @@ export class GuildPreview extends Base {
   public discoverySplashURL(options?: StaticImageURLOptions): string | null;
   public iconURL(options?: ImageURLOptions): string | null;
   public splashURL(options?: StaticImageURLOptions): string | null;
-  public fetch(): Promise<GuildPreview>;
+  public fetch(signal?: AbortSignal): Promise<GuildPreview>;
   public toJSON(): unknown;
   public toString(): string;
 }
@@ -1899,7 +2184,7 @@ export class GuildScheduledEvent<S extends GuildScheduledEventStatus = GuildSche
     options: GuildScheduledEventEditOptions<S, T>,
   ): Promise<GuildScheduledEvent<T>>;
   public fetch(force?: boolean): Promise<GuildScheduledEvent<S>>;
-  public delete(): Promise<GuildScheduledEvent<S>>;
+  public delete(signal?: AbortSignal): Promise<GuildScheduledEvent<S>>;
   public setName(name: string, reason?: string): Promise<GuildScheduledEvent<S>>;
   public setScheduledStartTime(scheduledStartTime: DateResolvable, reason?: string): Promise<GuildScheduledEvent<S>>;
   public setScheduledEndTime(scheduledEndTime: DateResolvable, reason?: string): Promise<GuildScheduledEvent<S>>;
@@ -1956,10 +2241,10 @@ export class GuildTemplate extends Base {
   public guildId: Snowflake;
   public serializedGuild: APITemplateSerializedSourceGuild;
   public unSynced: boolean | null;
-  public createGuild(name: string, icon?: BufferResolvable | Base64Resolvable): Promise<Guild>;
-  public delete(): Promise<GuildTemplate>;
+  public createGuild(name: string, icon?: BufferResolvable | Base64Resolvable, signal?: AbortSignal): Promise<Guild>;
+  public delete(signal?: AbortSignal): Promise<GuildTemplate>;
   public edit(options?: EditGuildTemplateOptions): Promise<GuildTemplate>;
-  public sync(): Promise<GuildTemplate>;
+  public sync(signal?: AbortSignal): Promise<GuildTemplate>;
   public static GUILD_TEMPLATES_PATTERN: RegExp;
 }
 
@@ -1980,6 +2265,14 @@ export class HTTPError extends Error {
 
 // tslint:disable-next-line:no-empty-interface - Merge RateLimitData into RateLimitError to not have to type it again
 export interface RateLimitError extends RateLimitData {}
+export class AbortError extends Error {
+  private constructor(request: unknown, reason: unknown);
+  public name: 'AbortError';
+  public method: string;
+  public path: string;
+  public reason: unknown;
+}
+
 export class RateLimitError extends Error {
   private constructor(data: RateLimitData);
   public name: 'RateLimitError';
@@ -2004,7 +2297,7 @@ export class Integration extends Base {
   public user: User | null;
   public subscriberCount: number | null;
   public revoked: boolean | null;
-  public delete(reason?: string): Promise<Integration>;
+  public delete(reason?: string, signal?: AbortSignal): Promise<Integration>;
 }
 
 export class IntegrationApplication extends Application {
@@ -2143,7 +2436,7 @@ export class Invite extends Base {
   public temporary: boolean | null;
   public readonly url: string;
   public uses: number | null;
-  public delete(reason?: string): Promise<Invite>;
+  public delete(reason?: string, signal?: AbortSignal): Promise<Invite>;
   public toJSON(): unknown;
   public toString(): string;
   public static INVITES_PATTERN: RegExp;
@@ -2173,6 +2466,11 @@ export class LimitedCollection<K, V> extends Collection<K, V> {
   public constructor(options?: LimitedCollectionOptions<K, V>, iterable?: Iterable<readonly [K, V]>);
   public maxSize: number;
   public keepOverLimit: ((value: V, key: K, collection: this) => boolean) | null;
+  public eviction: EvictionPolicy;
+  public ttl: number;
+  private expiries: Map<K, number> | null;
+  private isExpired(key: K): boolean;
+  public sweepExpired(): number;
   /** @deprecated Use Global Sweepers instead */
   public interval: NodeJS.Timeout | null;
   /** @deprecated Use Global Sweepers instead */
@@ -2283,15 +2581,15 @@ export class Message<Cached extends boolean = boolean> extends Base {
   public position: number | null;
   public awaitReactions(options?: AwaitReactionsOptions): Promise<Collection<Snowflake | string, MessageReaction>>;
   public createReactionCollector(options?: ReactionCollectorOptions): ReactionCollector;
-  public delete(): Promise<Message>;
+  public delete(signal?: AbortSignal): Promise<Message>;
   public edit(content: string | MessageEditOptions | MessagePayload): Promise<Message>;
   public equals(message: Message, rawData: unknown): boolean;
   public fetchReference(): Promise<Message>;
   public fetchWebhook(): Promise<Webhook>;
-  public crosspost(): Promise<Message>;
+  public crosspost(signal?: AbortSignal): Promise<Message>;
   public fetch(force?: boolean): Promise<Message>;
-  public pin(reason?: string): Promise<Message>;
-  public react(emoji: EmojiIdentifierResolvable, burst?: boolean): Promise<MessageReaction>;
+  public pin(reason?: string, signal?: AbortSignal): Promise<Message>;
+  public react(emoji: EmojiIdentifierResolvable, burst?: boolean, signal?: AbortSignal): Promise<MessageReaction>;
   public removeAttachments(): Promise<Message>;
   public reply(options: string | MessagePayload | ReplyMessageOptions): Promise<Message>;
   public forward(channel: TextBasedChannelResolvable): Promise<Message>;
@@ -2300,7 +2598,7 @@ export class Message<Cached extends boolean = boolean> extends Base {
   public suppressEmbeds(suppress?: boolean): Promise<Message>;
   public toJSON(): unknown;
   public toString(): string;
-  public unpin(reason?: string): Promise<Message>;
+  public unpin(reason?: string, signal?: AbortSignal): Promise<Message>;
   public inGuild(): this is Message<true> & this;
 
   public readonly isMessage: true;
@@ -2309,9 +2607,9 @@ export class Message<Cached extends boolean = boolean> extends Base {
     menu: 0 | 1 | 2 | 3 | 4 | string,
     vales: (UserResolvable | RoleResolvable | ChannelResolvable | string)[],
   ): Promise<Message | Modal>;
-  public markUnread(): Promise<void>;
-  public markRead(): Promise<void>;
-  public report(breadcrumbs: number[], elements?: object): Promise<{ report_id: Snowflake }>;
+  public markUnread(signal?: AbortSignal): Promise<void>;
+  public markRead(signal?: AbortSignal): Promise<void>;
+  public report(breadcrumbs: number[], elements?: object, signal?: AbortSignal): Promise<{ report_id: Snowflake }>;
   public vote(...ids: number[]): Promise<void>;
 }
 
@@ -2321,7 +2619,7 @@ export class CallState extends Base {
   public region: string;
   public readonly channel?: DMChannel | GroupDMChannel;
   public readonly ringing: Collection<Snowflake, User>;
-  public setRTCRegion(): Promise<void>;
+  public setRTCRegion(region: string, signal?: AbortSignal): Promise<void>;
 }
 export class MessageActionRow<
   T extends MessageActionRowComponent | ModalActionRowComponent = MessageActionRowComponent,
@@ -2623,18 +2921,18 @@ export class SessionManager extends CachedManager<string, Session, any> {
   private constructor(client: Client, iterable: Iterable<any>);
   public currentSessionIdHash: string | null;
   public readonly currentSession: Session | null;
-  public fetch(): Promise<Collection<string, Session>>;
+  public fetch(signal?: AbortSignal): Promise<Collection<string, Session>>;
   public logoutAllDevices(): Promise<void>;
 }
 
 export class BillingManager extends BaseManager {
   constructor(client: Client);
   public paymentSources: Collection<Snowflake, object>;
-  public fetchPaymentSources(): Promise<Collection<Snowflake, object>>;
+  public fetchPaymentSources(signal?: AbortSignal): Promise<Collection<Snowflake, object>>;
   public guildBoosts: Collection<Snowflake, GuildBoost>;
-  public fetchGuildBoosts(): Promise<Collection<Snowflake, GuildBoost>>;
+  public fetchGuildBoosts(signal?: AbortSignal): Promise<Collection<Snowflake, GuildBoost>>;
   public currentSubscription: Collection<Snowflake, object>;
-  public fetchCurrentSubscription(): Promise<Collection<Snowflake, object>>;
+  public fetchCurrentSubscription(signal?: AbortSignal): Promise<Collection<Snowflake, object>>;
 }
 
 export class Session extends Base {
@@ -2663,8 +2961,8 @@ export class GuildBoost extends Base {
   public ended?: boolean;
   public canceled: boolean;
   public cooldownEndsAt: Date;
-  public unsubscribe(): Promise<this>;
-  public subscribe(guild: GuildResolvable): Promise<this>;
+  public unsubscribe(signal?: AbortSignal): Promise<this>;
+  public subscribe(guild: GuildResolvable, signal?: AbortSignal): Promise<this>;
 }
 
 export class MessageFlags extends BitField<MessageFlagsString> {
@@ -2672,6 +2970,25 @@ export class MessageFlags extends BitField<MessageFlagsString> {
   public static resolve(bit?: BitFieldResolvable<MessageFlagsString, number>): number;
 }
 
+export class MockTransport implements RESTTransport {
+  public constructor();
+  private routes: unknown[];
+  public requests: MockRequest[];
+  public route(
+    method: APIRequest['method'] | Uppercase<APIRequest['method']>,
+    path: string,
+    response: MockRouteHandler | MockResponseData,
+    options?: MockRouteOptions,
+  ): this;
+  public reset(): this;
+  public requestsFor(method: APIRequest['method'] | Uppercase<APIRequest['method']>, path: string): MockRequest[];
+  public request(url: string, options: RequestInit, apiRequest: APIRequest): Promise<Response>;
+  private static createResponse(data?: MockResponseData): Response;
+  public static rateLimited(retryAfter?: number, global?: boolean): MockResponseData;
+  public static serverError(status?: number): MockResponseData;
+  public static notFound(code?: number, message?: string): MockResponseData;
+}
+
 export class MessageMentions {
   private constructor(
     message: Message,
@@ -2744,7 +3061,7 @@ export class MessageReaction {
   public message: Message | PartialMessage;
   public readonly partial: false;
   public users: ReactionUserManager;
-  public remove(): Promise<MessageReaction>;
+  public remove(signal?: AbortSignal): Promise<MessageReaction>;
   public fetch(): Promise<MessageReaction>;
   public toJSON(): unknown;
 }
@@ -2847,6 +3164,7 @@ export interface BaseFetchPollAnswerVotersOptions {
 export interface FetchPollAnswerVotersOptions extends BaseFetchPollAnswerVotersOptions {
   messageId: Snowflake;
   answerId: number;
+  signal?: AbortSignal;
 }
 
 export interface MessageCall {
@@ -2906,7 +3224,7 @@ export class ModalSubmitInteraction<Cached extends CacheType = CacheType> extend
 export class NewsChannel extends BaseGuildTextChannel {
   public threads: GuildTextThreadManager<AllowedThreadTypeForNewsChannel>;
   public type: 'GUILD_NEWS';
-  public addFollower(channel: TextChannelResolvable, reason?: string): Promise<NewsChannel>;
+  public addFollower(channel: TextChannelResolvable, reason?: string, signal?: AbortSignal): Promise<NewsChannel>;
 }
 
 export class OAuth2Guild extends BaseGuild {
@@ -2931,18 +3249,18 @@ export class GroupDMChannel extends TextBasedChannelMixin(Channel, [
   public readonly recipients: Collection<Snowflake, User>;
   public readonly owner: User;
   public iconURL(options?: StaticImageURLOptions): string | null;
-  public leave(slient?: boolean): Promise<this>;
-  public edit(data: GroupDMChannelEditData): Promise<this>;
+  public delete(slient?: boolean, signal?: AbortSignal): Promise<this>;
+  public edit(data: GroupDMChannelEditData, signal?: AbortSignal): Promise<this>;
   public setIcon(icon: BufferResolvable | Base64Resolvable | null): Promise<this>;
   public setName(name: string): Promise<this>;
   public setOwner(owner: UserResolvable): Promise<this>;
-  public addUser(user: UserResolvable): Promise<this>;
-  public removeUser(user: UserResolvable): Promise<this>;
-  public getInvite(): Promise<Invite>;
-  public fetchAllInvite(): Promise<Collection<string, Invite>>;
-  public deleteInvite(invite: InviteResolvable): Promise<this>;
+  public addUser(user: UserResolvable, signal?: AbortSignal): Promise<this>;
+  public removeUser(user: UserResolvable, signal?: AbortSignal): Promise<this>;
+  public getInvite(signal?: AbortSignal): Promise<Invite>;
+  public fetchAllInvite(signal?: AbortSignal): Promise<Collection<string, Invite>>;
+  public removeInvite(invite: InviteResolvable, signal?: AbortSignal): Promise<this>;
   public sync(): void;
-  public ring(recipients?: UserResolvable[]): Promise<void>;
+  public ring(recipients?: UserResolvable[], signal?: AbortSignal): Promise<void>;
   public readonly voiceAdapterCreator: InternalDiscordGatewayAdapterCreator;
   public readonly shard: WebSocketShard;
   public readonly voiceUsers: Collection<Snowflake, User>;
@@ -2955,8 +3273,12 @@ export class PermissionOverwrites extends Base {
   public deny: Readonly<Permissions>;
   public id: Snowflake;
   public type: OverwriteType;
-  public edit(options: PermissionOverwriteOptions, reason?: string): Promise<PermissionOverwrites>;
-  public delete(reason?: string): Promise<PermissionOverwrites>;
+  public edit(
+    options: PermissionOverwriteOptions,
+    reason?: string,
+    signal?: AbortSignal,
+  ): Promise<PermissionOverwrites>;
+  public delete(reason?: string, signal?: AbortSignal): Promise<PermissionOverwrites>;
   public toJSON(): unknown;
   public static resolveOverwriteOptions(
     options: PermissionOverwriteOptions,
@@ -3083,8 +3405,8 @@ export class Role extends Base {
   public comparePositionTo(role: RoleResolvable): number;
   public icon: string | null;
   public unicodeEmoji: string | null;
-  public delete(reason?: string): Promise<Role>;
-  public edit(data: RoleData, reason?: string): Promise<Role>;
+  public delete(reason?: string, signal?: AbortSignal): Promise<Role>;
+  public edit(data: RoleData, reason?: string, signal?: AbortSignal): Promise<Role>;
   public equals(role: Role): boolean;
   public iconURL(options?: StaticImageURLOptions): string | null;
   public permissionsIn(channel: NonThreadGuildBasedChannel | Snowflake, checkAdmin?: boolean): Readonly<Permissions>;
@@ -3359,7 +3681,7 @@ export class StageInstance extends Base {
   public readonly guild: Guild | null;
   public get guildScheduledEvent(): GuildScheduledEvent | null;
   public edit(options: StageInstanceEditOptions): Promise<StageInstance>;
-  public delete(): Promise<StageInstance>;
+  public delete(signal?: AbortSignal): Promise<StageInstance>;
   public setTopic(topic: string): Promise<StageInstance>;
   public readonly createdTimestamp: number;
   public readonly createdAt: Date;
@@ -3385,11 +3707,11 @@ export class Sticker extends Base {
   public type: StickerType | null;
   public user: User | null;
   public readonly url: string;
-  public fetch(): Promise<Sticker>;
+  public fetch(signal?: AbortSignal): Promise<Sticker>;
   public fetchPack(): Promise<StickerPack | null>;
-  public fetchUser(): Promise<User | null>;
-  public edit(data?: GuildStickerEditData, reason?: string): Promise<Sticker>;
-  public delete(reason?: string): Promise<Sticker>;
+  public fetchUser(signal?: AbortSignal): Promise<User | null>;
+  public edit(data?: GuildStickerEditData, reason?: string, signal?: AbortSignal): Promise<Sticker>;
+  public delete(reason?: string, signal?: AbortSignal): Promise<Sticker>;
   public equals(other: Sticker | unknown): boolean;
 }
 
@@ -3424,6 +3746,13 @@ export class Sweepers {
   public readonly client: Client;
   public intervals: Record<SweeperKey, NodeJS.Timeout | null>;
   public options: SweeperOptions;
+  public memoryBudget: number | null;
+  public memoryStage: number;
+  public memoryInterval: NodeJS.Timeout | null;
+  private heapUsedAfterGC: number | null;
+  private gcObserver: PerformanceObserver | null;
+  public sweepMemory(): number;
+  private _initMemoryInterval(options: MemorySweepOptions): void;
 
   public sweepApplicationCommands(
     filter: CollectionSweepFilter<
@@ -3636,8 +3965,8 @@ export class ThreadChannel extends TextBasedChannelMixin(Channel, ['fetchWebhook
     readonly createdAt: Date;
     type: 'GUILD_PRIVATE_THREAD';
   };
-  public delete(reason?: string): Promise<this>;
-  public edit(data: ThreadEditData, reason?: string): Promise<ThreadChannel>;
+  public delete(reason?: string, signal?: AbortSignal): Promise<this>;
+  public edit(data: ThreadEditData, reason?: string, signal?: AbortSignal): Promise<ThreadChannel>;
   public join(): Promise<ThreadChannel>;
   public leave(): Promise<ThreadChannel>;
   public permissionsFor(memberOrRole: GuildMember | Role, checkAdmin?: boolean): Readonly<Permissions>;
@@ -3779,14 +4108,14 @@ export class User extends PartialTextBasedChannel(Base) {
   /** @deprecated Use {@link User.guildTagBadgeURL} instead */
   public clanBadgeURL(): string | null;
   public guildTagBadgeURL(options?: ImageURLOptions): string | null;
-  public createDM(force?: boolean): Promise<DMChannel>;
-  public deleteDM(): Promise<DMChannel>;
+  public createDM(force?: boolean, signal?: AbortSignal): Promise<DMChannel>;
+  public deleteDM(signal?: AbortSignal): Promise<DMChannel>;
   public displayAvatarURL(options?: ImageURLOptions): string;
   public equals(user: User): boolean;
   public fetch(force?: boolean): Promise<User>;
   public setNote(note: string | null | undefined): Promise<this>;
   public toString(): UserMention;
-  public getProfile(guildId?: Snowflake): Promise<any>;
+  public getProfile(guildId?: Snowflake, signal?: AbortSignal): Promise<any>;
   public sendFriendRequest(): Promise<boolean>;
   public deleteRelationship(): Promise<boolean>;
 }
@@ -3854,6 +4183,31 @@ export class Util extends null {
   /** @deprecated This will be removed in the next major version. */
   public static resolveAutoArchiveMaxLimit(guild: Guild): Exclude<ThreadAutoArchiveDuration, 60>;
   public static calculateUserDefaultAvatarIndex(userId: Snowflake): number;
+  public static uploadFile(data: Buffer | Stream, url: string, options?: AttachmentUploadOptions): Promise<void>;
+  public static uploadAttachments(
+    client: Client,
+    channelId: Snowflake,
+    files: HTTPAttachmentData[],
+    signal?: AbortSignal,
+  ): Promise<unknown[]>;
+}
+
+export interface AttachmentUploadOptions {
+  signal?: AbortSignal;
+  chunkSize?: number;
+  retries?: number;
+  onProgress?: (progress: AttachmentUploadProgress) => void;
+}
+
+export interface AttachmentUploadProgress {
+  sent: number;
+  total: number | null;
+}
+
+export interface UploadProgressData extends AttachmentUploadProgress {
+  channelId: Snowflake;
+  id: string;
+  name: string;
 }
 
 export class Formatters extends null {
@@ -3948,11 +4302,11 @@ export class VoiceState extends Base {
   public setMute(mute?: boolean, reason?: string): Promise<GuildMember>;
   public disconnect(reason?: string): Promise<GuildMember>;
   public setChannel(channel: GuildVoiceChannelResolvable | null, reason?: string): Promise<GuildMember>;
-  public setRequestToSpeak(request?: boolean): Promise<void>;
-  public setSuppressed(suppressed?: boolean): Promise<void>;
-  public setStatus(status?: string): Promise<void>;
-  public getPreview(): Promise<string>;
-  public postPreview(base64Image: string): Promise<void>;
+  public setRequestToSpeak(request?: boolean, signal?: AbortSignal): Promise<void>;
+  public setSuppressed(suppressed?: boolean, signal?: AbortSignal): Promise<void>;
+  public setStatus(status?: string, signal?: AbortSignal): Promise<void>;
+  public getPreview(signal?: AbortSignal): Promise<string>;
+  public postPreview(base64Image: string, signal?: AbortSignal): Promise<void>;
   public fetch(force?: boolean): Promise<VoiceState>;
 }
 
@@ -4007,6 +4361,11 @@ export class WebSocketManager extends EventEmitter {
   public shards: Collection<number, WebSocketShard>;
   public status: Status;
   public readonly ping: number;
+  public sessionStore: SessionStore | null;
+  private sessionSaveTimeout: NodeJS.Timeout | null;
+  public recorder: DispatchRecorder | null;
+  public disabledEvents: Set<WSEventType>;
+  public middleware: DispatchMiddleware[];
 
   public on(event: WSEventType, listener: (data: any, shardId: number) => void): this;
   public once(event: WSEventType, listener: (data: any, shardId: number) => void): this;
@@ -4017,9 +4376,19 @@ export class WebSocketManager extends EventEmitter {
   private reconnect(): Promise<void>;
   public broadcast(packet: unknown): void;
   private destroy(): void;
+  public health(): WebSocketHealthData;
+  public addMiddleware(middleware: DispatchMiddleware): () => boolean;
+  public removeMiddleware(middleware: DispatchMiddleware): boolean;
+  public startRecording(file: string): DispatchRecorder;
+  public stopRecording(): Promise<void>;
   private handlePacket(packet?: unknown, shard?: WebSocketShard): boolean;
+  private processPacket(packet?: unknown, shard?: WebSocketShard): boolean;
   private checkShardsReady(): void;
   private triggerClientReady(): void;
+  public getSessionState(): SessionState;
+  private restoreSessions(): Promise<void>;
+  private scheduleSessionSave(): void;
+  public saveSessions(): Promise<void>;
 }
 
 export interface WebSocketShardEvents {
@@ -4037,6 +4406,8 @@ export class WebSocketShard extends EventEmitter {
   private closeSequence: number;
   private resumeURL: string | null;
   private sessionId: string | null;
+  private restoredSession: boolean;
+  public health: ShardHealth;
   private lastPingTimestamp: number;
   private lastHeartbeatAcked: boolean;
   private ratelimit: { queue: unknown[]; total: number; remaining: number; time: 60e3; timer: NodeJS.Timeout | null };
@@ -4092,7 +4463,7 @@ export class WebSocketShard extends EventEmitter {
 export class Widget extends Base {
   private constructor(client: Client, data: RawWidgetData);
   private _patch(data: RawWidgetData): void;
-  public fetch(): Promise<Widget>;
+  public fetch(signal?: AbortSignal): Promise<Widget>;
   public id: Snowflake;
   public name: string;
   public instantInvite?: string;
@@ -4229,6 +4600,7 @@ export const Constants: {
     invite(root: string, code: string, eventId?: Snowflake): string;
     scheduledEvent(root: string, guildId: Snowflake, eventId: Snowflake): string;
   };
+  EvictionPolicies: EvictionPolicy[];
   Events: ConstantsEvents;
   ExplicitContentFilterLevels: EnumHolder<typeof ExplicitContentFilterLevels>;
   GuildScheduledEventEntityTypes: EnumHolder<typeof GuildScheduledEventEntityTypes>;
@@ -4321,13 +4693,29 @@ export abstract class DataManager<K, Holds, R> extends BaseManager {
   public resolve(resolvable: R): Holds | null;
   public resolveId(resolvable: K | Holds): K;
   public resolveId(resolvable: R): K | null;
+  private _lookup(id: K): Holds | undefined;
   public valueOf(): Collection<K, Holds>;
 }
 
 export abstract class CachedManager<K, Holds, R> extends DataManager<K, Holds, R> {
   protected constructor(client: Client, holds: Constructable<Holds>, iterable?: Iterable<Holds>);
+  public readonly adapter: CacheAdapter | null;
   private readonly _cache: Collection<K, Holds>;
+  private readonly _storing: Map<string, Promise<void>>;
+  private readonly _pendingStores: Map<string, object>;
+  private _storeTimeout: NodeJS.Timeout | null;
+  private _restoring: boolean;
+  private _stats: { hits: number; misses: number; sweeps: number; swept: number };
   private _add(data: unknown, cache?: boolean, { id, extras }?: { id: K; extras: unknown[] }): Holds;
+  public resolveStored(resolvable: Holds): Promise<Holds>;
+  public resolveStored(resolvable: R): Promise<Holds | null>;
+  private _storageKey(id: K): string;
+  private _store(id: K, data: unknown): void;
+  private _flushStores(): void;
+  private _queueStorage(key: string, update: () => Promise<unknown>): void;
+  private _resolveStored(id: K, cache?: boolean): Promise<Holds | null>;
+  private _remove(id: K): void;
+  private _sweep(filter: (value: Holds, key: K, collection: Collection<K, Holds>) => boolean): number;
 }
 
 export type ApplicationCommandDataResolvable =
@@ -4350,16 +4738,27 @@ export class ApplicationCommandManager<
     null
   >;
   private commandPath({ id, guildId }: { id?: Snowflake; guildId?: Snowflake }): unknown;
-  public create(command: ApplicationCommandDataResolvable, guildId?: Snowflake): Promise<ApplicationCommandScope>;
-  public delete(command: ApplicationCommandResolvable, guildId?: Snowflake): Promise<ApplicationCommandScope | null>;
+  public create(
+    command: ApplicationCommandDataResolvable,
+    guildId?: Snowflake,
+    signal?: AbortSignal,
+  ): Promise<ApplicationCommandScope>;
+  public delete(
+    command: ApplicationCommandResolvable,
+    guildId?: Snowflake,
+    signal?: AbortSignal,
+  ): Promise<ApplicationCommandScope | null>;
   public edit(
     command: ApplicationCommandResolvable,
     data: Partial<ApplicationCommandDataResolvable>,
+    guildId?: undefined,
+    signal?: AbortSignal,
   ): Promise<ApplicationCommandScope>;
   public edit(
     command: ApplicationCommandResolvable,
     data: Partial<ApplicationCommandDataResolvable>,
     guildId: Snowflake,
+    signal?: AbortSignal,
   ): Promise<ApplicationCommand>;
   public fetch(
     id: Snowflake,
@@ -4371,10 +4770,15 @@ export class ApplicationCommandManager<
     id?: Snowflake,
     options?: FetchApplicationCommandOptions,
   ): Promise<Collection<Snowflake, ApplicationCommandScope>>;
-  public set(commands: ApplicationCommandDataResolvable[]): Promise<Collection<Snowflake, ApplicationCommandScope>>;
+  public set(
+    commands: ApplicationCommandDataResolvable[],
+    guildId?: undefined,
+    signal?: AbortSignal,
+  ): Promise<Collection<Snowflake, ApplicationCommandScope>>;
   public set(
     commands: ApplicationCommandDataResolvable[],
     guildId: Snowflake,
+    signal?: AbortSignal,
   ): Promise<Collection<Snowflake, ApplicationCommand>>;
   private static transformCommand(command: ApplicationCommandDataResolvable): RESTPostAPIApplicationCommandsJSONBody;
 }
@@ -4394,28 +4798,35 @@ export class ApplicationCommandPermissionsManager<
   public guild: GuildType;
   public guildId: Snowflake | null;
   public add(
-    options: FetchSingleOptions & { permissions: ApplicationCommandPermissionData[] },
+    options: FetchSingleOptions & { permissions: ApplicationCommandPermissionData[]; signal?: AbortSignal },
   ): Promise<ApplicationCommandPermissions[]>;
-  public has(options: FetchSingleOptions & { permissionId: UserResolvable | RoleResolvable }): Promise<boolean>;
-  public fetch(options: FetchSingleOptions): Promise<ApplicationCommandPermissions[]>;
-  public fetch(options: BaseOptions): Promise<Collection<Snowflake, ApplicationCommandPermissions[]>>;
+  public has(
+    options: FetchSingleOptions & { permissionId: UserResolvable | RoleResolvable; signal?: AbortSignal },
+  ): Promise<boolean>;
+  public fetch(options: FetchSingleOptions & { signal?: AbortSignal }): Promise<ApplicationCommandPermissions[]>;
+  public fetch(
+    options: BaseOptions & { signal?: AbortSignal },
+  ): Promise<Collection<Snowflake, ApplicationCommandPermissions[]>>;
   public remove(
     options:
       | (FetchSingleOptions & {
           users: UserResolvable | UserResolvable[];
           roles?: RoleResolvable | RoleResolvable[];
+          signal?: AbortSignal;
         })
       | (FetchSingleOptions & {
           users?: UserResolvable | UserResolvable[];
           roles: RoleResolvable | RoleResolvable[];
+          signal?: AbortSignal;
         }),
   ): Promise<ApplicationCommandPermissions[]>;
   public set(
-    options: FetchSingleOptions & { permissions: ApplicationCommandPermissionData[] },
+    options: FetchSingleOptions & { permissions: ApplicationCommandPermissionData[]; signal?: AbortSignal },
   ): Promise<ApplicationCommandPermissions[]>;
   public set(
     options: FullPermissionsOptions & {
       fullPermissions: GuildApplicationCommandPermissionData[];
+      signal?: AbortSignal;
     },
   ): Promise<Collection<Snowflake, ApplicationCommandPermissions[]>>;
   private permissionsPath(guildId: Snowflake, commandId?: Snowflake): unknown;
@@ -4434,7 +4845,27 @@ export class BaseGuildEmojiManager extends CachedManager<Snowflake, GuildEmoji,
 export class ChannelManager extends CachedManager<Snowflake, AnyChannel, ChannelResolvable> {
   private constructor(client: Client, iterable: Iterable<RawChannelData>);
   public fetch(id: Snowflake, options?: FetchChannelOptions): Promise<AnyChannel | null>;
-  public createGroupDM(recipients?: UserResolvable[]): Promise<GroupDMChannel>;
+  public createGroupDM(recipients?: UserResolvable[], signal?: AbortSignal): Promise<GroupDMChannel>;
+}
+
+export class ClientCacheManager extends BaseManager {
+  private constructor(client: Client);
+  private raw: WeakMap<Base, object> | null;
+  private restoredGuilds: Set<Snowflake>;
+  private managers: Set<WeakRef<CachedManager<unknown, unknown, unknown>>>;
+  private managerFinalizers: FinalizationRegistry<WeakRef<CachedManager<unknown, unknown, unknown>>>;
+  private _register(manager: CachedManager<unknown, unknown, unknown>): void;
+  private keptFields: Map<string, Set<string>>;
+  private slimClasses: Map<Constructable<Base>, Constructable<Base>>;
+  private _slimClass<T extends Constructable<Base>>(holds: T): T;
+  private _slim(structure: Base): void;
+  private storedStructures: WeakMap<Base, [CachedManager<unknown, unknown, unknown>, string]>;
+  private _storeUpdate(structure: Base, data: unknown): void;
+  public stats(): CacheStats;
+  private _record(structure: Base, data: unknown): void;
+  private _pruneRestored(shardId: number, ids: Snowflake[]): void;
+  public snapshot(file: string, options?: CacheSnapshotOptions): Promise<CacheSnapshot>;
+  public restore(file: string): Promise<boolean>;
 }
 
 export class RelationshipManager extends BaseManager {
@@ -4461,7 +4892,7 @@ export class RelationshipManager extends BaseManager {
   public deleteRelationship(user: UserResolvable): Promise<boolean>;
   public sendFriendRequest(options: UserResolvable): Promise<boolean>;
   public addFriend(user: UserResolvable): Promise<boolean>;
-  public setNickname(user: UserResolvable, nickname: string | null | undefined): Promise<boolean>;
+  public setNickname(user: UserResolvable, nickname: string | null | undefined, signal?: AbortSignal): Promise<boolean>;
   public addBlocked(user: UserResolvable): Promise<boolean>;
 }
 
@@ -4469,7 +4900,7 @@ export class UserNoteManager extends BaseManager {
   constructor(client: Client, users: { [key: Snowflake]: string }[]);
   public cache: Collection<Snowflake, string>;
   private _reload(data: { [key: Snowflake]: string }): this;
-  public updateNote(id: Snowflake, note: string | null | undefined): Promise<this>;
+  public updateNote(id: Snowflake, note: string | null | undefined, signal?: AbortSignal): Promise<this>;
   public fetch(user: UserResolvable, options?: BaseFetchOptions): Promise<string>;
 }
 
@@ -4496,8 +4927,8 @@ export class ClientUserSettingManager extends BaseManager {
   public stickerAnimationMode?: 0 | 1 | 2;
   public showEmojiReactions?: boolean;
   public disableDMfromGuilds: Collection<Snowflake, Guild>;
-  public fetch(): Promise<this>;
-  public edit(data: Partial<RawUserSettingsData>): Promise<this>;
+  public fetch(signal?: AbortSignal): Promise<this>;
+  public edit(data: Partial<RawUserSettingsData>, signal?: AbortSignal): Promise<this>;
   public toggleCompactMode(): Promise<this>;
   public setTheme(value: 'dark' | 'light'): Promise<this>;
   public setCustomStatus(value?: CustomStatusOption | CustomStatus): Promise<this>;
@@ -4523,7 +4954,7 @@ export class GuildSettingManager extends BaseManager {
   public version?: number;
   public guildId?: Snowflake;
   public readonly guild?: Guild;
-  public edit(data: Partial<RawGuildSettingsData>): Promise<this>;
+  public edit(data: Partial<RawGuildSettingsData>, signal?: AbortSignal): Promise<this>;
 }
 
 export interface CustomStatusOption {
@@ -4638,21 +5069,27 @@ export class GuildChannelManager extends CachedManager<Snowflake, GuildBasedChan
     channel: NewsChannel | Snowflake,
     targetChannel: TextChannelResolvable,
     reason?: string,
+    signal?: AbortSignal,
   ): Promise<Snowflake>;
-  public edit(channel: GuildChannelResolvable, data: ChannelData, reason?: string): Promise<GuildChannel>;
+  public edit(
+    channel: GuildChannelResolvable,
+    data: ChannelData,
+    reason?: string,
+    signal?: AbortSignal,
+  ): Promise<GuildChannel>;
   public fetch(id: Snowflake, options?: BaseFetchOptions): Promise<GuildBasedChannel | null>;
   public fetch(
     id?: undefined,
     options?: BaseFetchOptions,
   ): Promise<Collection<Snowflake, NonThreadGuildBasedChannel | null>>;
-  public fetchWebhooks(channel: GuildChannelResolvable): Promise<Collection<Snowflake, Webhook>>;
+  public fetchWebhooks(channel: GuildChannelResolvable, signal?: AbortSignal): Promise<Collection<Snowflake, Webhook>>;
   public setPosition(
     channel: GuildChannelResolvable,
     position: number,
     options?: SetChannelPositionOptions,
   ): Promise<GuildChannel>;
-  public setPositions(channelPositions: readonly ChannelPosition[]): Promise<Guild>;
-  public delete(channel: GuildChannelResolvable, reason?: string): Promise<void>;
+  public setPositions(channelPositions: readonly ChannelPosition[], signal?: AbortSignal): Promise<Guild>;
+  public delete(channel: GuildChannelResolvable, reason?: string, signal?: AbortSignal): Promise<void>;
 }
 
 export class GuildEmojiManager extends BaseGuildEmojiManager {
@@ -4665,9 +5102,14 @@ export class GuildEmojiManager extends BaseGuildEmojiManager {
   ): Promise<GuildEmoji>;
   public fetch(id: Snowflake, options?: BaseFetchOptions): Promise<GuildEmoji>;
   public fetch(id?: undefined, options?: BaseFetchOptions): Promise<Collection<Snowflake, GuildEmoji>>;
-  public fetchAuthor(emoji: EmojiResolvable): Promise<User>;
-  public delete(emoji: EmojiResolvable, reason?: string): Promise<void>;
-  public edit(emoji: EmojiResolvable, data: GuildEmojiEditData, reason?: string): Promise<GuildEmoji>;
+  public fetchAuthor(emoji: EmojiResolvable, signal?: AbortSignal): Promise<User>;
+  public delete(emoji: EmojiResolvable, reason?: string, signal?: AbortSignal): Promise<void>;
+  public edit(
+    emoji: EmojiResolvable,
+    data: GuildEmojiEditData,
+    reason?: string,
+    signal?: AbortSignal,
+  ): Promise<GuildEmoji>;
 }
 
 export class GuildEmojiRoleManager extends DataManager<Snowflake, Role, RoleResolvable> {
@@ -4703,25 +5145,36 @@ export class GuildMemberManager extends CachedManager<Snowflake, GuildMember, Gu
     options: AddGuildMemberOptions & { fetchWhenExisting: false },
   ): Promise<GuildMember | null>;
   public add(user: UserResolvable, options: AddGuildMemberOptions): Promise<GuildMember>;
-  public addRole(user: UserResolvable, role: RoleResolvable, reason?: string): Promise<GuildMember | User | Snowflake>;
+  public addRole(
+    user: UserResolvable,
+    role: RoleResolvable,
+    reason?: string,
+    signal?: AbortSignal,
+  ): Promise<GuildMember | User | Snowflake>;
   public ban(user: UserResolvable, options?: BanOptions): Promise<GuildMember | User | Snowflake>;
-  public edit(user: UserResolvable, data: GuildMemberEditData, reason?: string): Promise<GuildMember>;
+  public edit(
+    user: UserResolvable,
+    data: GuildMemberEditData,
+    reason?: string,
+    signal?: AbortSignal,
+  ): Promise<GuildMember>;
   public fetch(
     options: UserResolvable | FetchMemberOptions | (FetchMembersOptions & { user: UserResolvable }),
   ): Promise<GuildMember>;
   public fetch(options?: FetchMembersOptions): Promise<Collection<Snowflake, GuildMember>>;
   public fetchMe(options?: BaseFetchOptions): Promise<GuildMember>;
-  public kick(user: UserResolvable, reason?: string): Promise<GuildMember | User | Snowflake>;
+  public kick(user: UserResolvable, reason?: string, signal?: AbortSignal): Promise<GuildMember | User | Snowflake>;
   public prune(options: GuildPruneMembersOptions & { dry?: false; count: false }): Promise<null>;
   public prune(options?: GuildPruneMembersOptions): Promise<number>;
   public removeRole(
     user: UserResolvable,
     role: RoleResolvable,
     reason?: string,
+    signal?: AbortSignal,
   ): Promise<GuildMember | User | Snowflake>;
   public search(options: GuildSearchMembersOptions): Promise<Collection<Snowflake, GuildMember>>;
-  public unban(user: UserResolvable, reason?: string): Promise<User | null>;
-  public fetchByMemberSafety(timeout?: number): Promise<Collection<Snowflake, GuildMember>>;
+  public unban(user: UserResolvable, reason?: string, signal?: AbortSignal): Promise<User | null>;
+  public fetchByMemberSafety(timeout?: number, signal?: AbortSignal): Promise<Collection<Snowflake, GuildMember>>;
   /** @deprecated This method will not be usable until an effective MFA implementation is in place. */
   public bulkBan(
     users: Collection<Snowflake, UserResolvable> | readonly UserResolvable[],
@@ -4735,7 +5188,7 @@ export class GuildBanManager extends CachedManager<Snowflake, GuildBan, GuildBan
   public create(user: UserResolvable, options?: BanOptions): Promise<GuildMember | User | Snowflake>;
   public fetch(options: UserResolvable | FetchBanOptions): Promise<GuildBan>;
   public fetch(options?: FetchBansOptions): Promise<Collection<Snowflake, GuildBan>>;
-  public remove(user: UserResolvable, reason?: string): Promise<User | null>;
+  public remove(user: UserResolvable, reason?: string, signal?: AbortSignal): Promise<User | null>;
   /** @deprecated This method will not be usable until an effective MFA implementation is in place. */
   public bulkCreate(
     users: Collection<Snowflake, UserResolvable> | readonly UserResolvable[],
@@ -4749,7 +5202,7 @@ export class GuildInviteManager extends DataManager<string, Invite, InviteResolv
   public create(channel: GuildInvitableChannelResolvable, options?: CreateInviteOptions): Promise<Invite>;
   public fetch(options: InviteResolvable | FetchInviteOptions): Promise<Invite>;
   public fetch(options?: FetchInvitesOptions): Promise<Collection<string, Invite>>;
-  public delete(invite: InviteResolvable, reason?: string): Promise<Invite>;
+  public delete(invite: InviteResolvable, reason?: string, signal?: AbortSignal): Promise<Invite>;
 }
 
 export class GuildScheduledEventManager extends CachedManager<
@@ -4768,7 +5221,7 @@ export class GuildScheduledEventManager extends CachedManager<
     guildScheduledEvent: GuildScheduledEventResolvable,
     options: GuildScheduledEventEditOptions<S, T>,
   ): Promise<GuildScheduledEvent<T>>;
-  public delete(guildScheduledEvent: GuildScheduledEventResolvable): Promise<void>;
+  public delete(guildScheduledEvent: GuildScheduledEventResolvable, signal?: AbortSignal): Promise<void>;
   public fetchSubscribers<T extends FetchGuildScheduledEventSubscribersOptions>(
     guildScheduledEvent: GuildScheduledEventResolvable,
     options?: T,
@@ -4784,11 +5237,16 @@ export class GuildStickerManager extends CachedManager<Snowflake, Sticker, Stick
     tags: string,
     options?: GuildStickerCreateOptions,
   ): Promise<Sticker>;
-  public edit(sticker: StickerResolvable, data?: GuildStickerEditData, reason?: string): Promise<Sticker>;
-  public delete(sticker: StickerResolvable, reason?: string): Promise<void>;
+  public edit(
+    sticker: StickerResolvable,
+    data?: GuildStickerEditData,
+    reason?: string,
+    signal?: AbortSignal,
+  ): Promise<Sticker>;
+  public delete(sticker: StickerResolvable, reason?: string, signal?: AbortSignal): Promise<void>;
   public fetch(id: Snowflake, options?: BaseFetchOptions): Promise<Sticker>;
   public fetch(id?: Snowflake, options?: BaseFetchOptions): Promise<Collection<Snowflake, Sticker>>;
-  public fetchUser(sticker: StickerResolvable): Promise<User | null>;
+  public fetchUser(sticker: StickerResolvable, signal?: AbortSignal): Promise<User | null>;
 }
 
 export class GuildMemberRoleManager extends DataManager<Snowflake, Role, RoleResolvable> {
@@ -4805,11 +5263,17 @@ export class GuildMemberRoleManager extends DataManager<Snowflake, Role, RoleRes
   public add(
     roleOrRoles: RoleResolvable | readonly RoleResolvable[] | Collection<Snowflake, Role>,
     reason?: string,
+    signal?: AbortSignal,
+  ): Promise<GuildMember>;
+  public set(
+    roles: readonly RoleResolvable[] | Collection<Snowflake, Role>,
+    reason?: string,
+    signal?: AbortSignal,
   ): Promise<GuildMember>;
-  public set(roles: readonly RoleResolvable[] | Collection<Snowflake, Role>, reason?: string): Promise<GuildMember>;
   public remove(
     roleOrRoles: RoleResolvable | readonly RoleResolvable[] | Collection<Snowflake, Role>,
     reason?: string,
+    signal?: AbortSignal,
   ): Promise<GuildMember>;
 }
 
@@ -4817,23 +5281,39 @@ export class MessageManager extends CachedManager<Snowflake, Message, MessageRes
   private constructor(channel: TextBasedChannel, iterable?: Iterable<RawMessageData>);
   public channel: TextBasedChannel;
   public cache: Collection<Snowflake, Message>;
-  public crosspost(message: MessageResolvable): Promise<Message>;
-  public delete(message: MessageResolvable): Promise<void>;
+  public crosspost(message: MessageResolvable, signal?: AbortSignal): Promise<Message>;
+  public delete(message: MessageResolvable, signal?: AbortSignal): Promise<void>;
   public edit(message: MessageResolvable, options: string | MessagePayload | MessageEditOptions): Promise<Message>;
   public fetch(message: Snowflake, options?: BaseFetchOptions): Promise<Message>;
   public fetch(
     options?: ChannelLogsQueryOptions,
     cacheOptions?: BaseFetchOptions,
   ): Promise<Collection<Snowflake, Message>>;
-  public fetchPinned(cache?: boolean): Promise<Collection<Snowflake, Message>>;
-  public react(message: MessageResolvable, emoji: EmojiIdentifierResolvable, burst?: boolean): Promise<void>;
-  public pin(message: MessageResolvable, reason?: string): Promise<void>;
-  public unpin(message: MessageResolvable, reason?: string): Promise<void>;
+  public fetchPinned(cache?: boolean, signal?: AbortSignal): Promise<Collection<Snowflake, Message>>;
+  public iterate(options?: MessageIterateOptions): AsyncGenerator<Message, void>;
+  public react(
+    message: MessageResolvable,
+    emoji: EmojiIdentifierResolvable,
+    burst?: boolean,
+    signal?: AbortSignal,
+  ): Promise<void>;
+  public pin(message: MessageResolvable, reason?: string, signal?: AbortSignal): Promise<void>;
+  public unpin(message: MessageResolvable, reason?: string, signal?: AbortSignal): Promise<void>;
   public search(options: MessageSearchOptions): Promise<MessageSearchResult>;
-  public endPoll(messageId: Snowflake): Promise<Message>;
+  public endPoll(messageId: Snowflake, signal?: AbortSignal): Promise<Message>;
   public fetchPollAnswerVoters(options: FetchPollAnswerVotersOptions): Promise<Collection<Snowflake, User>>;
 }
 
+export interface MessageIterateOptions {
+  before?: Snowflake;
+  after?: Snowflake;
+  around?: Snowflake;
+  limit?: number;
+  filter?: (message: Message) => boolean;
+  cache?: boolean;
+  signal?: AbortSignal;
+}
+
 export interface MessageSearchOptions {
   authors: UserResolvable[];
   content: string;
@@ -4848,6 +5328,7 @@ export interface MessageSearchOptions {
   limit: number;
   sortBy: 'relevant' | 'timestamp';
   sortOrder: 'asc' | 'desc';
+  signal?: AbortSignal;
 }
 
 export interface MessageSearchResult {
@@ -4864,6 +5345,7 @@ export class PermissionOverwriteManager extends CachedManager<
   public set(
     overwrites: readonly OverwriteResolvable[] | Collection<Snowflake, OverwriteResolvable>,
     reason?: string,
+    signal?: AbortSignal,
   ): Promise<NonThreadGuildBasedChannel>;
   private upsert(
     userOrRole: RoleResolvable | UserResolvable,
@@ -4881,25 +5363,31 @@ export class PermissionOverwriteManager extends CachedManager<
     options: PermissionOverwriteOptions,
     overwriteOptions?: GuildChannelOverwriteOptions,
   ): Promise<NonThreadGuildBasedChannel>;
-  public delete(userOrRole: RoleResolvable | UserResolvable, reason?: string): Promise<NonThreadGuildBasedChannel>;
+  public delete(
+    userOrRole: RoleResolvable | UserResolvable,
+    reason?: string,
+    signal?: AbortSignal,
+  ): Promise<NonThreadGuildBasedChannel>;
 }
 
 export class PresenceManager extends CachedManager<Snowflake, Presence, PresenceResolvable> {
-  private constructor(client: Client, iterable?: Iterable<RawPresenceData>);
-  public fetch(): Promise<Collection<Snowflake, Presence>>;
+  private constructor(client: Client, iterable?: Iterable<RawPresenceData>, guild?: Guild | null);
+  public guild: Guild | null;
+  public fetch(user?: undefined, signal?: AbortSignal): Promise<Collection<Snowflake, Presence>>;
+  public fetch(user: UserResolvable): Promise<Presence | null>;
 }
 
 export class ReactionManager extends CachedManager<Snowflake | string, MessageReaction, MessageReactionResolvable> {
   private constructor(message: Message, iterable?: Iterable<RawMessageReactionData>);
   public message: Message;
-  public removeAll(): Promise<Message>;
+  public removeAll(signal?: AbortSignal): Promise<Message>;
 }
 
 export class ReactionUserManager extends CachedManager<Snowflake, User, UserResolvable> {
   private constructor(reaction: MessageReaction, iterable?: Iterable<RawUserData>);
   public reaction: MessageReaction;
   public fetch(options?: FetchReactionUsersOptions): Promise<Collection<Snowflake, User>>;
-  public remove(user?: UserResolvable): Promise<MessageReaction>;
+  public remove(user?: UserResolvable, signal?: AbortSignal): Promise<MessageReaction>;
 }
 
 export class RoleManager extends CachedManager<Snowflake, Role, RoleResolvable> {
@@ -4912,13 +5400,13 @@ export class RoleManager extends CachedManager<Snowflake, Role, RoleResolvable>
   public fetch(id: Snowflake, options?: BaseFetchOptions): Promise<Role | null>;
   public fetch(id?: undefined, options?: BaseFetchOptions): Promise<Collection<Snowflake, Role>>;
   public create(options?: CreateRoleOptions): Promise<Role>;
-  public edit(role: RoleResolvable, options: RoleData, reason?: string): Promise<Role>;
-  public delete(role: RoleResolvable, reason?: string): Promise<void>;
+  public edit(role: RoleResolvable, options: RoleData, reason?: string, signal?: AbortSignal): Promise<Role>;
+  public delete(role: RoleResolvable, reason?: string, signal?: AbortSignal): Promise<void>;
   public setPosition(role: RoleResolvable, position: number, options?: SetRolePositionOptions): Promise<Role>;
-  public setPositions(rolePositions: readonly RolePosition[]): Promise<Guild>;
+  public setPositions(rolePositions: readonly RolePosition[], signal?: AbortSignal): Promise<Guild>;
   public comparePositions(role1: RoleResolvable, role2: RoleResolvable): number;
-  public fetchMemberCounts(): Promise<Record<Snowflake, number>>;
-  public fetchMemberIds(role: RoleResolvable): Promise<Snowflake[]>;
+  public fetchMemberCounts(signal?: AbortSignal): Promise<Record<Snowflake, number>>;
+  public fetchMemberIds(role: RoleResolvable, signal?: AbortSignal): Promise<Snowflake[]>;
 }
 
 export class StageInstanceManager extends CachedManager<Snowflake, StageInstance, StageInstanceResolvable> {
@@ -4927,7 +5415,7 @@ export class StageInstanceManager extends CachedManager<Snowflake, StageInstance
   public create(channel: StageChannelResolvable, options: StageInstanceCreateOptions): Promise<StageInstance>;
   public fetch(channel: StageChannelResolvable, options?: BaseFetchOptions): Promise<StageInstance>;
   public edit(channel: StageChannelResolvable, options: StageInstanceEditOptions): Promise<StageInstance>;
-  public delete(channel: StageChannelResolvable): Promise<void>;
+  public delete(channel: StageChannelResolvable, signal?: AbortSignal): Promise<void>;
 }
 
 export class ThreadManager extends CachedManager<Snowflake, ThreadChannel, ThreadChannelResolvable> {
@@ -4951,7 +5439,7 @@ export class ThreadMemberManager extends CachedManager<Snowflake, ThreadMember,
   private constructor(thread: ThreadChannel, iterable?: Iterable<RawThreadMemberData>);
   public thread: ThreadChannel;
   public get me(): ThreadMember | null;
-  public add(member: UserResolvable | '@me', reason?: string): Promise<Snowflake>;
+  public add(member: UserResolvable | '@me', reason?: string, signal?: AbortSignal): Promise<Snowflake>;
   public fetch(options?: FetchThreadMembersWithoutGuildMemberDataOptions): Promise<Collection<Snowflake, ThreadMember>>;
   public fetch(member: ThreadMember<true>, options?: FetchMemberOptions): Promise<ThreadMember<true>>;
   public fetch(
@@ -4976,14 +5464,14 @@ export class ThreadMemberManager extends CachedManager<Snowflake, ThreadMember,
   ): Promise<Collection<Snowflake, ThreadMember>>;
 
   public fetchMe(options?: BaseFetchOptions): Promise<ThreadMember>;
-  public remove(id: Snowflake | '@me', reason?: string): Promise<Snowflake>;
+  public remove(id: Snowflake | '@me', reason?: string, signal?: AbortSignal): Promise<Snowflake>;
 }
 
 export class UserManager extends CachedManager<Snowflake, User, UserResolvable> {
   private constructor(client: Client, iterable?: Iterable<RawUserData>);
   private dmChannel(userId: Snowflake): DMChannel | null;
   public createDM(user: UserResolvable, options?: BaseFetchOptions): Promise<DMChannel>;
-  public deleteDM(user: UserResolvable): Promise<DMChannel>;
+  public deleteDM(user: UserResolvable, signal?: AbortSignal): Promise<DMChannel>;
   public fetch(user: UserResolvable, options?: BaseFetchOptions): Promise<User>;
   public send(user: UserResolvable, options: string | MessagePayload | MessageOptions): Promise<Message>;
 }
@@ -5025,7 +5513,9 @@ export interface TextBasedChannelFields extends PartialTextBasedChannelFields {
   setRateLimitPerUser(rateLimitPerUser: number, reason?: string): Promise<this>;
   setNSFW(nsfw?: boolean, reason?: string): Promise<this>;
   fetchWebhooks(): Promise<Collection<Snowflake, Webhook>>;
-  sendTyping(): Promise<{ message_send_cooldown_ms: number; thread_create_cooldown_ms: number } | undefined>;
+  sendTyping(
+    signal?: AbortSignal,
+  ): Promise<{ message_send_cooldown_ms: number; thread_create_cooldown_ms: number } | undefined>;
   sendSlash(target: UserResolvable, commandName: string, ...args: any[]): Promise<Message | Modal>;
 }
 
@@ -5035,7 +5525,11 @@ export function WebhookMixin<T>(Base?: Constructable<T>): Constructable<T & Webh
 export interface PartialWebhookFields {
   id: Snowflake;
   readonly url: string;
-  deleteMessage(message: MessageResolvable | APIMessage | '@original', threadId?: Snowflake): Promise<void>;
+  deleteMessage(
+    message: MessageResolvable | APIMessage | '@original',
+    threadId?: Snowflake,
+    signal?: AbortSignal,
+  ): Promise<void>;
   editMessage(
     message: MessageResolvable | '@original',
     options: string | MessagePayload | WebhookEditMessageOptions,
@@ -5051,9 +5545,9 @@ export interface PartialWebhookFields {
 export interface WebhookFields extends PartialWebhookFields {
   readonly createdAt: Date;
   readonly createdTimestamp: number;
-  delete(reason?: string): Promise<void>;
+  delete(reason?: string, signal?: AbortSignal): Promise<void>;
   edit(options: WebhookEditData, reason?: string): Promise<Webhook>;
-  sendSlackMessage(body: unknown): Promise<boolean>;
+  sendSlackMessage(body: unknown, signal?: AbortSignal): Promise<boolean>;
 }
 
 //#endregion
@@ -5099,6 +5593,7 @@ export interface AddGuildMemberOptions {
   deaf?: boolean;
   force?: boolean;
   fetchWhenExisting?: boolean;
+  signal?: AbortSignal;
 }
 
 export type AllowedImageFormat = 'webp' | 'png' | 'jpg' | 'jpeg';
@@ -5284,6 +5779,7 @@ export interface APIRequest {
   path: string;
   retries: number;
   route: string;
+  errorResponse: RESTErrorResponse | null;
 }
 
 export interface ApplicationAsset {
@@ -5561,7 +6057,7 @@ export class AutoModerationRuleManager extends CachedManager<
   ): Promise<AutoModerationRule>;
   public fetch(options: AutoModerationRuleResolvable | FetchAutoModerationRuleOptions): Promise<AutoModerationRule>;
   public fetch(options?: FetchAutoModerationRulesOptions): Promise<Collection<Snowflake, AutoModerationRule>>;
-  public delete(autoModerationRule: AutoModerationRuleResolvable, reason?: string): Promise<void>;
+  public delete(autoModerationRule: AutoModerationRuleResolvable, reason?: string, signal?: AbortSignal): Promise<void>;
 }
 
 export interface ApplicationCommandPermissionData {
@@ -5632,6 +6128,7 @@ export interface FetchAutoModerationRuleOptions extends BaseFetchOptions {
 
 export interface FetchAutoModerationRulesOptions {
   cache?: boolean;
+  signal?: AbortSignal;
 }
 
 export interface AutoModerationRuleCreateOptions {
@@ -5644,6 +6141,7 @@ export interface AutoModerationRuleCreateOptions {
   exemptRoles?: Collection<Snowflake, Role> | RoleResolvable[];
   exemptChannels?: Collection<Snowflake, GuildBasedChannel> | GuildChannelResolvable[];
   reason?: string;
+  signal?: AbortSignal;
 }
 
 export interface AutoModerationRuleEditOptions extends Partial<Omit<AutoModerationRuleCreateOptions, 'triggerType'>> {}
@@ -5694,6 +6192,7 @@ export interface BanOptions {
   days?: number;
   deleteMessageSeconds?: number;
   reason?: string;
+  signal?: AbortSignal;
 }
 
 export interface BulkBanOptions extends Omit<BanOptions, 'deleteMessageDays'> {}
@@ -5710,6 +6209,7 @@ export type Base64String = string;
 export interface BaseFetchOptions {
   cache?: boolean;
   force?: boolean;
+  signal?: AbortSignal;
 }
 
 export interface BaseMessageComponentOptions {
@@ -5760,7 +6260,49 @@ export type CacheConstructors = {
 export type CacheFactory = (
   manager: CacheConstructors[keyof Caches],
   holds: Caches[(typeof manager)['name']][1],
-) => (typeof manager)['prototype'] extends DataManager<infer K, infer V, any> ? Collection<K, V> : never;
+) => (typeof manager)['prototype'] extends DataManager<infer K, infer V, any> ? Collection<K, V> | CacheAdapter : never;
+
+export interface CacheAdapter {
+  maxSize?: number;
+  get(key: string): Awaitable<object | null>;
+  set(key: string, value: object): Awaitable<unknown>;
+  delete(key: string): Awaitable<unknown>;
+  entries(): AsyncIterable<[string, object]>;
+}
+
+export interface CacheAdapterOptions {
+  maxSize?: number;
+}
+
+export interface CacheManagerStats {
+  instances: number;
+  entries: number;
+  bytes: number;
+  hits: number;
+  misses: number;
+  sweeps: number;
+  swept: number;
+}
+
+export interface CacheStats {
+  timestamp: number;
+  managers: Record<string, CacheManagerStats>;
+  total: CacheManagerStats;
+}
+
+export interface CacheSnapshot {
+  version: number;
+  createdTimestamp: number;
+  users: unknown[];
+  relationships: unknown[];
+  guilds: unknown[];
+  channels: unknown[];
+  messages: unknown[];
+}
+
+export interface CacheSnapshotOptions {
+  messages?: number;
+}
 
 export type CacheWithLimitsOptions = {
   [K in keyof Caches]?: Caches[K][0]['prototype'] extends DataManager<infer K, infer V, any>
@@ -5793,6 +6335,7 @@ export interface CategoryCreateChannelOptions {
   defaultForumLayout?: ForumLayoutTypes;
   defaultThreadRateLimitPerUser?: number;
   reason?: string;
+  signal?: AbortSignal;
 }
 
 export interface ChannelCreationOverwrites {
@@ -5829,6 +6372,7 @@ export interface ChannelLogsQueryOptions {
   before?: Snowflake;
   after?: Snowflake;
   around?: Snowflake;
+  signal?: AbortSignal;
 }
 
 export type ChannelMention = `<#${Snowflake}>`;
@@ -5846,6 +6390,7 @@ export type ChannelResolvable = AnyChannel | Snowflake;
 export interface ChannelWebhookCreateOptions {
   avatar?: BufferResolvable | Base64Resolvable | null;
   reason?: string;
+  signal?: AbortSignal;
 }
 
 export interface BaseClientEvents {
@@ -5854,6 +6399,7 @@ export interface BaseClientEvents {
   debug: [message: string];
   rateLimit: [rateLimitData: RateLimitData];
   invalidRequestWarning: [invalidRequestWarningData: InvalidRequestWarningData];
+  restRetry: [retryData: RESTRetryData];
 }
 
 export interface ClientEvents extends BaseClientEvents {
@@ -5876,6 +6422,7 @@ export interface ClientEvents extends BaseClientEvents {
     newAutoModerationRule: AutoModerationRule,
   ];
   cacheSweep: [message: string];
+  cacheStats: [stats: CacheStats];
   channelCreate: [channel: NonThreadGuildBasedChannel];
   channelDelete: [channel: DMChannel | NonThreadGuildBasedChannel];
   channelPinsUpdate: [channel: TextBasedChannel, date: Date];
@@ -5910,6 +6457,7 @@ export interface ClientEvents extends BaseClientEvents {
   /** @deprecated Use messageCreate instead */
   message: [message: Message];
   messageCreate: [message: Message];
+  uploadProgress: [data: UploadProgressData];
   messageDelete: [message: Message | PartialMessage];
   messageReactionRemoveAll: [
     message: Message | PartialMessage,
@@ -5953,6 +6501,7 @@ export interface ClientEvents extends BaseClientEvents {
   shardReady: [shardId: number, unavailableGuilds: Set<Snowflake> | undefined];
   shardReconnecting: [shardId: number];
   shardResume: [shardId: number, replayedEvents: number];
+  shardHealth: [health: ShardHealthData, reason: ShardHealthReason];
   stageInstanceCreate: [stageInstance: StageInstance];
   stageInstanceUpdate: [oldStageInstance: StageInstance | null, newStageInstance: StageInstance];
   stageInstanceDelete: [stageInstance: StageInstance];
@@ -6021,6 +6570,9 @@ export interface ClientOptions {
   restSweepInterval?: number;
   retryLimit?: number;
   failIfNotExists?: boolean;
+  warmStart?: string | null;
+  structureFields?: Record<string, string[]>;
+  cacheStatsInterval?: number;
   presence?: PresenceData;
   waitGuildTimeout?: number;
   sweepers?: SweeperOptions;
@@ -6181,6 +6733,8 @@ export interface ConstantsEvents {
   INVALID_REQUEST_WARNING: 'invalidRequestWarning';
   API_RESPONSE: 'apiResponse';
   API_REQUEST: 'apiRequest';
+  REST_RETRY: 'restRetry';
+  UPLOAD_PROGRESS: 'uploadProgress';
   CLIENT_READY: 'ready';
   /** @deprecated See [this issue](https://github.com/discord/discord-api-docs/issues/3690) for more information. */
   APPLICATION_COMMAND_CREATE: 'applicationCommandCreate';
@@ -6247,11 +6801,13 @@ export interface ConstantsEvents {
   WARN: 'warn';
   DEBUG: 'debug';
   CACHE_SWEEP: 'cacheSweep';
+  CACHE_STATS: 'cacheStats';
   SHARD_DISCONNECT: 'shardDisconnect';
   SHARD_ERROR: 'shardError';
   SHARD_RECONNECTING: 'shardReconnecting';
   SHARD_READY: 'shardReady';
   SHARD_RESUME: 'shardResume';
+  SHARD_HEALTH: 'shardHealth';
   INVALIDATED: 'invalidated';
   RAW: 'raw';
   STAGE_INSTANCE_CREATE: 'stageInstanceCreate';
@@ -6366,6 +6922,7 @@ export interface CreateGuildScheduledEventInviteURLOptions extends CreateInviteO
 
 export interface CreateRoleOptions extends RoleData {
   reason?: string;
+  signal?: AbortSignal;
 }
 
 export interface StageInstanceCreateOptions {
@@ -6373,6 +6930,7 @@ export interface StageInstanceCreateOptions {
   privacyLevel?: PrivacyLevel | number;
   sendStartNotification?: boolean;
   guildScheduledEvent?: GuildScheduledEventResolvable;
+  signal?: AbortSignal;
 }
 
 export interface CrosspostedChannel {
@@ -6400,6 +6958,7 @@ export type DynamicImageFormat = AllowedImageFormat | 'gif';
 export interface EditGuildTemplateOptions {
   name?: string;
   description?: string;
+  signal?: AbortSignal;
 }
 
 export interface EmbedAuthorData {
@@ -6470,6 +7029,7 @@ export interface FetchArchivedThreadOptions {
   fetchAll?: boolean;
   before?: ThreadChannelResolvable | DateResolvable;
   limit?: number;
+  signal?: AbortSignal;
 }
 
 export interface FetchChannelThreadsOptions {
@@ -6478,6 +7038,7 @@ export interface FetchChannelThreadsOptions {
   offset?: number;
   sort_by?: string;
   sort_order?: string;
+  signal?: AbortSignal;
 }
 
 export interface FetchBanOptions extends BaseFetchOptions {
@@ -6489,6 +7050,7 @@ export interface FetchBansOptions {
   before?: Snowflake;
   after?: Snowflake;
   cache?: boolean;
+  signal?: AbortSignal;
 }
 
 export interface FetchChannelOptions extends BaseFetchOptions {
@@ -6509,6 +7071,7 @@ export interface FetchGuildsOptions {
   before?: Snowflake;
   after?: Snowflake;
   limit?: number;
+  signal?: AbortSignal;
 }
 
 export interface FetchGuildScheduledEventOptions extends BaseFetchOptions {
@@ -6519,11 +7082,13 @@ export interface FetchGuildScheduledEventOptions extends BaseFetchOptions {
 export interface FetchGuildScheduledEventsOptions {
   cache?: boolean;
   withUserCount?: boolean;
+  signal?: AbortSignal;
 }
 
 export interface FetchGuildScheduledEventSubscribersOptions {
   limit?: number;
   withMember?: boolean;
+  signal?: AbortSignal;
 }
 
 interface FetchInviteOptions extends BaseFetchOptions {
@@ -6533,6 +7098,7 @@ interface FetchInviteOptions extends BaseFetchOptions {
 interface FetchInvitesOptions {
   channelId?: GuildInvitableChannelResolvable;
   cache?: boolean;
+  signal?: AbortSignal;
 }
 
 export interface FetchMemberOptions extends BaseFetchOptions {
@@ -6553,6 +7119,7 @@ export interface FetchReactionUsersOptions {
   type?: ReactionTypes;
   limit?: number;
   after?: Snowflake;
+  signal?: AbortSignal;
 }
 
 export interface FetchThreadMemberOptions extends BaseFetchOptions {
@@ -6564,11 +7131,13 @@ export interface FetchThreadMembersWithGuildMemberDataOptions {
   after?: Snowflake;
   limit?: number;
   cache?: boolean;
+  signal?: AbortSignal;
 }
 
 export interface FetchThreadMembersWithoutGuildMemberDataOptions {
   withMember?: false;
   cache?: boolean;
+  signal?: AbortSignal;
 }
 
 export type FetchThreadMembersOptions =
@@ -6585,6 +7154,27 @@ export interface FileOptions {
   description?: string;
 }
 
+export type GatewayCapabilitiesString =
+  | 'LAZY_USER_NOTES'
+  | 'NO_AFFINE_USER_IDS'
+  | 'VERSIONED_READ_STATES'
+  | 'VERSIONED_USER_GUILD_SETTINGS'
+  | 'DEDUPE_USER_OBJECTS'
+  | 'PRIORITIZED_READY_PAYLOAD'
+  | 'MULTIPLE_GUILD_EXPERIMENT_POPULATIONS'
+  | 'NON_CHANNEL_READ_STATES'
+  | 'AUTH_TOKEN_REFRESH'
+  | 'USER_SETTINGS_PROTO'
+  | 'CLIENT_STATE_V2'
+  | 'PASSIVE_GUILD_UPDATE'
+  | 'AUTO_CALL_CONNECT'
+  | 'DEBOUNCE_MESSAGE_REACTIONS'
+  | 'PASSIVE_GUILD_UPDATE_V2';
+
+export type GatewayCapabilitiesResolvable = BitFieldResolvable<GatewayCapabilitiesString, number>;
+
+export type GatewayCompression = 'zlib-stream' | 'zstd-stream' | null;
+
 export type GlobalSweepFilter<K, V> = () => ((value: V, key: K, collection: Collection<K, V>) => boolean) | null;
 
 export interface GuildApplicationCommandPermissionData {
@@ -6780,6 +7370,7 @@ export interface GuildAuditLogsFetchOptions<T extends GuildAuditLogsResolvable>
   limit?: number;
   user?: UserResolvable;
   type?: T;
+  signal?: AbortSignal;
 }
 
 export type GuildAuditLogsResolvable = keyof GuildAuditLogsIds | GuildAuditLogsAction | null;
@@ -6795,6 +7386,7 @@ export type GuildBanResolvable = GuildBan | UserResolvable;
 export interface GuildChannelOverwriteOptions {
   reason?: string;
   type?: number;
+  signal?: AbortSignal;
 }
 
 export type GuildChannelResolvable = Snowflake | GuildBasedChannel;
@@ -6827,6 +7419,7 @@ export interface GuildCreateOptions {
   systemChannelFlags?: SystemChannelFlagsResolvable;
   systemChannelId?: Snowflake | number;
   verificationLevel?: VerificationLevel | number;
+  signal?: AbortSignal;
 }
 
 export interface GuildWidgetSettings {
@@ -6866,6 +7459,7 @@ export interface GroupDMChannelEditData {
 export interface GuildEmojiCreateOptions {
   roles?: Collection<Snowflake, Role> | RoleResolvable[];
   reason?: string;
+  signal?: AbortSignal;
 }
 
 export interface GuildEmojiEditData {
@@ -6876,6 +7470,7 @@ export interface GuildEmojiEditData {
 export interface GuildStickerCreateOptions {
   description?: string | null;
   reason?: string;
+  signal?: AbortSignal;
 }
 
 export interface GuildStickerEditData {
@@ -6945,6 +7540,7 @@ export interface GuildPruneMembersOptions {
   dry?: boolean;
   reason?: string;
   roles?: RoleResolvable[];
+  signal?: AbortSignal;
 }
 
 export interface GuildWidgetSettingsData {
@@ -6956,6 +7552,7 @@ export interface GuildSearchMembersOptions {
   query: string;
   limit?: number;
   cache?: boolean;
+  signal?: AbortSignal;
 }
 
 // TODO: use conditional types for better TS support
@@ -6971,6 +7568,7 @@ export interface GuildScheduledEventCreateOptions {
   image?: BufferResolvable | Base64Resolvable | null;
   reason?: string;
   recurrenceRule?: GuildScheduledEventRecurrenceRuleOptions;
+  signal?: AbortSignal;
 }
 
 export type GuildScheduledEventRecurrenceRuleOptions =
@@ -7067,6 +7665,7 @@ export interface IncidentActions {
 export interface IncidentActionsEditOptions {
   invitesDisabledUntil?: DateResolvable | null | undefined;
   dmsDisabledUntil?: DateResolvable | null | undefined;
+  signal?: AbortSignal;
 }
 export interface HTTPAttachmentData {
   attachment: string | Buffer | Stream;
@@ -7090,6 +7689,13 @@ export interface HTTPOptions {
   template?: string;
   headers?: Record<string, string>;
   scheduledEvent?: string;
+  transport?: RESTTransport | null;
+  fixtures?: RESTFixtureOptions | null;
+  interceptors?: RESTInterceptors | null;
+  rateLimitStore?: string | RateLimitStore | null;
+  retryPolicy?: RetryPolicyOptions | RetryPolicy | null;
+  coalesceRequests?: boolean;
+  responseCache?: Record<string, number> | null;
 }
 
 export interface ImageURLOptions extends Omit<StaticImageURLOptions, 'format'> {
@@ -7170,6 +7776,7 @@ export interface CreateInviteOptions {
   targetApplication?: ApplicationResolvable;
   targetUser?: UserResolvable;
   targetType?: InviteTargetTypes;
+  signal?: AbortSignal;
 }
 
 export type IntegrationExpireBehaviors = 'REMOVE_ROLE' | 'KICK';
@@ -7312,6 +7919,7 @@ export interface MessageEditOptions {
   flags?: BitFieldResolvable<MessageFlagsString, number>;
   allowedMentions?: MessageMentionOptions;
   components?: (MessageActionRow | (Required<BaseMessageComponentOptions> & MessageActionRowOptions))[];
+  signal?: AbortSignal;
 }
 
 export interface MessageEmbedAuthor {
@@ -7448,6 +8056,7 @@ export interface MessageOptions {
   attachments?: MessageAttachment[];
   flags?: BitFieldResolvable<'SUPPRESS_EMBEDS' | 'SUPPRESS_NOTIFICATIONS' | 'IS_VOICE_MESSAGE', number>;
   poll?: Poll;
+  signal?: AbortSignal;
 }
 
 export type MessageReactionResolvable = MessageReaction | Snowflake | string;
@@ -7520,6 +8129,29 @@ export type MessageType = keyof typeof MessageTypes;
 
 export type MFALevel = keyof typeof MFALevels;
 
+export interface MockRequest {
+  method: Uppercase<APIRequest['method']>;
+  path: string;
+  route: string;
+  params: Record<string, string>;
+  query: Record<string, string>;
+  headers: Record<string, string>;
+  data: unknown;
+  files: HTTPAttachmentData[];
+}
+
+export interface MockResponseData {
+  status?: number;
+  headers?: Record<string, string>;
+  body?: unknown;
+}
+
+export type MockRouteHandler = (request: MockRequest) => Awaitable<MockResponseData>;
+
+export interface MockRouteOptions {
+  times?: number;
+}
+
 export interface ModalOptions {
   components:
     | MessageActionRow<ModalActionRowComponent>[]
@@ -7729,6 +8361,86 @@ export type PresenceStatus = PresenceStatusData | 'offline';
 
 export type PrivacyLevel = keyof typeof PrivacyLevels;
 
+export interface RetryRule {
+  retries?: number;
+  baseDelay?: number;
+  maxDelay?: number;
+}
+
+export interface RetryPolicyOptions {
+  retries?: number | null;
+  baseDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  jitter?: boolean;
+  statuses?: Record<string, RetryRule | number | boolean>;
+  networkErrors?: string[];
+  routes?: Record<string, RetryPolicyOptions>;
+}
+
+export interface RESTRouteMetrics {
+  method: string;
+  route: string;
+  requests: number;
+  errors: number;
+  statuses: Record<number, number>;
+  latencyBuckets: number[];
+  latencySum: number;
+  queuedTime: number;
+  globalLimitHits: number;
+}
+
+export interface RESTRetryData {
+  attempt: number;
+  reason: 'status' | 'network';
+  status: number | null;
+  code: string | null;
+  delay: number;
+  method: string;
+  path: string;
+  route: string;
+}
+
+export interface SessionStore {
+  load(): Awaitable<SessionState | null>;
+  save(state: SessionState): Awaitable<unknown>;
+}
+
+export interface SessionState {
+  version: number;
+  shards: Record<number, SavedSession>;
+}
+
+export interface SavedSession {
+  sessionId: string;
+  sequence: number;
+  resumeURL: string | null;
+}
+
+export interface RateLimitStore {
+  load(): Awaitable<RateLimitState | null>;
+  save(state: RateLimitState): Awaitable<unknown>;
+}
+
+export interface RateLimitState {
+  version: number;
+  global: RateLimitStateGlobal | null;
+  buckets: RateLimitStateBucket[];
+}
+
+export interface RateLimitStateGlobal {
+  remaining: number;
+  reset: number;
+}
+
+export interface RateLimitStateBucket {
+  route: string;
+  hash: string | null;
+  limit: number;
+  remaining: number;
+  reset: number;
+}
+
 export interface RateLimitData {
   timeout: number;
   limit: number;
@@ -7743,6 +8455,55 @@ export interface InvalidRequestWarningData {
   remainingTime: number;
 }
 
+export type RESTBeforeRequestInterceptor = (request: APIRequest) => Awaitable<Response | null | undefined>;
+
+export type RESTAfterResponseInterceptor = (
+  request: APIRequest,
+  response: Response,
+) => Awaitable<Response | null | undefined>;
+
+export interface RESTErrorResponse {
+  response: Response;
+  data: unknown;
+}
+
+export type RESTErrorInterceptor = (
+  request: APIRequest,
+  error: Error,
+  errorResponse: RESTErrorResponse | null,
+) => Awaitable<Error | Response | null | undefined>;
+
+export interface RESTInterceptorHooks {
+  beforeRequest: RESTBeforeRequestInterceptor;
+  afterResponse: RESTAfterResponseInterceptor;
+  onError: RESTErrorInterceptor;
+}
+
+export type RESTInterceptors = {
+  [K in keyof RESTInterceptorHooks]?: RESTInterceptorHooks[K] | RESTInterceptorHooks[K][];
+};
+
+export interface RESTFixtureEntry {
+  method: Uppercase<APIRequest['method']>;
+  path: string;
+  route: string;
+  query: Record<string, string>;
+  bodyHash: string | null;
+  status: number;
+  headers: Record<string, string>;
+  body: unknown;
+  encoding?: 'base64';
+}
+
+export interface RESTFixtureOptions {
+  mode: 'record' | 'replay';
+  path: string;
+}
+
+export interface RESTTransport {
+  request(url: string, options: RequestInit, apiRequest: APIRequest): Awaitable<Response>;
+}
+
 export interface ReactionCollectorOptions extends CollectorOptions<[MessageReaction, User]> {
   max?: number;
   maxEmojis?: number;
@@ -7810,6 +8571,7 @@ export interface RoleTagData {
 export interface SetChannelPositionOptions {
   relative?: boolean;
   reason?: string;
+  signal?: AbortSignal;
 }
 
 export interface SetParentOptions {
@@ -7820,6 +8582,7 @@ export interface SetParentOptions {
 export interface SetRolePositionOptions {
   relative?: boolean;
   reason?: string;
+  signal?: AbortSignal;
 }
 
 export type ShardingManagerMode = 'process' | 'worker';
@@ -7855,6 +8618,7 @@ export interface StartThreadOptions {
   autoArchiveDuration?: ThreadAutoArchiveDuration | 'MAX';
   reason?: string;
   rateLimitPerUser?: number;
+  signal?: AbortSignal;
 }
 
 export type Status = number;
@@ -7891,6 +8655,7 @@ export type StageChannelResolvable = StageChannel | Snowflake;
 export interface StageInstanceEditOptions {
   topic?: string;
   privacyLevel?: PrivacyLevel | number;
+  signal?: AbortSignal;
 }
 
 export type SweeperKey = keyof SweeperDefinitions;
@@ -7934,11 +8699,20 @@ export type SweeperOptions = {
   [K in keyof SweeperDefinitions]?: SweeperDefinitions[K][2] extends true
     ? SweepOptions<SweeperDefinitions[K][0], SweeperDefinitions[K][1]> | LifetimeSweepOptions
     : SweepOptions<SweeperDefinitions[K][0], SweeperDefinitions[K][1]>;
-};
+} & { memory?: MemorySweepOptions };
+
+export interface MemorySweepOptions {
+  interval: number;
+  budget?: number;
+}
+
+export type EvictionPolicy = 'INSERTION' | 'LRU';
 
 export interface LimitedCollectionOptions<K, V> {
   maxSize?: number;
   keepOverLimit?: (value: V, key: K, collection: LimitedCollection<K, V>) => boolean;
+  eviction?: EvictionPolicy;
+  ttl?: number;
   /** @deprecated Use Global Sweepers instead */
   sweepFilter?: SweepFilter<K, V>;
   /** @deprecated Use Global Sweepers instead */
@@ -8081,11 +8855,12 @@ export interface WebhookEditData {
   name?: string;
   avatar?: BufferResolvable | null;
   channel?: GuildTextChannelResolvable | VoiceChannel | StageChannel | ForumChannel | MediaChannel;
+  signal?: AbortSignal;
 }
 
 export type WebhookEditMessageOptions = Pick<
   WebhookMessageOptions,
-  'content' | 'embeds' | 'files' | 'allowedMentions' | 'components' | 'attachments' | 'threadId'
+  'content' | 'embeds' | 'files' | 'allowedMentions' | 'components' | 'attachments' | 'threadId' | 'signal'
 >;
 export interface InteractionEditReplyOptions extends WebhookEditMessageOptions {
   message?: MessageResolvable | '@original';
@@ -8094,6 +8869,7 @@ export interface InteractionEditReplyOptions extends WebhookEditMessageOptions {
 export interface WebhookFetchMessageOptions {
   cache?: boolean;
   threadId?: Snowflake;
+  signal?: AbortSignal;
 }
 
 export interface WebhookMessageOptions extends Omit<MessageOptions, 'nonce' | 'reply' | 'stickers' | 'forward'> {
@@ -8110,6 +8886,13 @@ export type WebhookType = keyof typeof WebhookTypes;
 export interface WebSocketOptions {
   agent?: Omit<AgentOptions, 'keepAlive'>;
   compress?: boolean;
+  encoding?: 'json' | 'etf';
+  compression?: GatewayCompression;
+  sessionStore?: string | SessionStore | null;
+  disabledEvents?: WSEventType[];
+  middleware?: DispatchMiddleware | DispatchMiddleware[] | null;
+  health?: ShardHealthOptions;
+  capabilities?: GatewayCapabilitiesResolvable;
   properties?: WebSocketProperties;
 }
 
@@ -8149,6 +8932,7 @@ export interface WelcomeScreenEditData {
 
 export type WSEventType =
   | 'READY'
+  | 'READY_SUPPLEMENTAL'
   | 'RESUMED'
   | 'APPLICATION_COMMAND_CREATE'
   | 'APPLICATION_COMMAND_DELETE'